@@ -13,7 +13,8 @@ ALTER TABLE pets
   ADD COLUMN IF NOT EXISTS gender VARCHAR(10),
   ADD COLUMN IF NOT EXISTS weight NUMERIC(6, 2),
   ADD COLUMN IF NOT EXISTS color VARCHAR(50),
-  ADD COLUMN IF NOT EXISTS notes TEXT;
+  ADD COLUMN IF NOT EXISTS notes TEXT,
+  ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;
 
 -- Add missing columns to vaccines table
 ALTER TABLE vaccines
@@ -20,6 +20,7 @@ CREATE TABLE IF NOT EXISTS pets (
   breed VARCHAR(255),
   species VARCHAR(50),
   birth_date DATE,
+  is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
@@ -27,6 +27,7 @@ export class AppointmentConfirmation {
         AND DATE(a.appointment_date) = CURRENT_DATE + INTERVAL '1 day'
         AND c.phone IS NOT NULL
         AND c.phone != ''
+        AND p.is_active IS NOT FALSE
       ORDER BY a.appointment_date ASC
     `;
 
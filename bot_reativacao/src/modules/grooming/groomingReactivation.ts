@@ -28,6 +28,7 @@ export class GroomingReactivation {
       INNER JOIN customers c ON p.customer_id = c.id
       WHERE c.phone IS NOT NULL
         AND c.phone != ''
+        AND p.is_active IS NOT FALSE
       ORDER BY gs.service_date DESC
     `;
 
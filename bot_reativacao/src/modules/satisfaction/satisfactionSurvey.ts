@@ -31,6 +31,7 @@ export class SatisfactionSurvey {
         AND cs.service_date <= NOW()
         AND c.phone IS NOT NULL
         AND c.phone != ''
+        AND p.is_active IS NOT FALSE
       ORDER BY cs.service_date ASC
     `;
 
@@ -25,6 +25,7 @@ export class VaccineReactivation {
       INNER JOIN customers c ON p.customer_id = c.id
       WHERE c.phone IS NOT NULL
         AND c.phone != ''
+        AND p.is_active IS NOT FALSE
       ORDER BY v.application_date DESC
     `;
 
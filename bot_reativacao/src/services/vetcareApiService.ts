@@ -256,8 +256,8 @@ export class VetCareApiService {
               `UPDATE pets
                SET name = $1, species = $2, breed = $3, gender = $4,
                    birth_date = $5, customer_id = $6, weight = $7,
-                   color = $8, notes = $9, updated_at = NOW()
-               WHERE id = $10`,
+                   color = $8, notes = $9, is_active = $10, updated_at = NOW()
+               WHERE id = $11`,
               [
                 pet.nome,
                 pet.especie,
@@ -268,14 +268,15 @@ export class VetCareApiService {
                 pet.peso || null,
                 pet.pelagem || null,
                 pet.observacoes || null,
+                Number(pet.ativo ?? 1) !== 0, // inativo = óbito ou desativado no VetCare
                 pet.id,
               ]
             );
           } else {
             // Inserir novo pet
             await database.query(
-              `INSERT INTO pets (id, name, species, breed, gender, birth_date, customer_id, weight, color, notes, created_at)
-               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())`,
+              `INSERT INTO pets (id, name, species, breed, gender, birth_date, customer_id, weight, color, notes, is_active, created_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())`,
               [
                 pet.id,
                 pet.nome,
@@ -287,6 +288,7 @@ export class VetCareApiService {
                 pet.peso || null,
                 pet.pelagem || null,
                 pet.observacoes || null,
+                Number(pet.ativo ?? 1) !== 0,
               ]
             );
           }
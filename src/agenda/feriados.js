@@ -0,0 +1,47 @@
+/**
+ * Feriados móveis da agenda
+ *
+ * Carnaval, Sexta-feira Santa e Corpus Christi são calculados a partir do
+ * domingo de Páscoa de cada ano. Funções puras: quais feriados a clínica
+ * observa chegam por parâmetro (feriados.moveis de agenda.json, ver AGENDA
+ * DA CLÍNICA em server.js).
+ */
+
+import { somarDias } from './motor.js';
+
+// Deslocamento em dias a partir do domingo de Páscoa
+export const FERIADOS_MOVEIS = {
+  carnaval: [[-48, 'Carnaval'], [-47, 'Carnaval']],
+  sexta_santa: [[-2, 'Sexta-feira Santa']],
+  corpus_christi: [[60, 'Corpus Christi']]
+};
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+export function calcularPascoa(ano) {
+  const a = ano % 19;
+  const b = Math.floor(ano / 100);
+  const c = ano % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const mes = Math.floor((h + l - 7 * m + 114) / 31);
+  const dia = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${ano}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+}
+
+// Nome do feriado móvel em `data` entre os observados (chaves de FERIADOS_MOVEIS), ou null
+export function feriadoMovel(data, moveis = []) {
+  const pascoa = calcularPascoa(parseInt(data.substring(0, 4)));
+  for (const chave of moveis) {
+    for (const [deslocamento, nome] of FERIADOS_MOVEIS[chave] || []) {
+      if (somarDias(pascoa, deslocamento) === data) return nome;
+    }
+  }
+  return null;
+}
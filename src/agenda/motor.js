@@ -0,0 +1,146 @@
+/**
+ * Motor de horários da agenda
+ *
+ * Cálculo de horários em minutos inteiros desde 00:00 (nada de horas fracionárias):
+ * - candidatos andam numa grade de `granularidade` minutos a partir do início
+ *   de cada turno, independente da duração do serviço (45 ou 50 min não
+ *   desalinham a grade);
+ * - o atendimento e o intervalo de limpeza que vem depois dele precisam caber
+ *   inteiros em um turno, então nunca atravessam o almoço nem o fechamento;
+ * - cada agendamento já marcado ocupa duração + intervalo de limpeza do seu
+ *   serviço, inclusive os que atravessam o almoço ou o fim do turno.
+ *
+ * Funções puras: expediente, intervalos por serviço e status que liberam o
+ * horário chegam por parâmetro (ver AGENDA DA CLÍNICA em server.js).
+ */
+
+export const GRANULARIDADE_PADRAO = 15;
+
+export function paraMinutos(horario) {
+  const [h, m] = String(horario).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+export function minutosParaHorario(minutos) {
+  return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+// "YYYY-MM-DD HH:MM:SS" (ou ISO com T) → minuto do dia
+export function minutoDoDia(dataHora) {
+  return paraMinutos(String(dataHora).split(/[ T]/)[1].substring(0, 5));
+}
+
+// Data local (fuso do servidor = fuso da clínica) no formato YYYY-MM-DD
+export function dataLocal(momento = new Date()) {
+  return `${momento.getFullYear()}-${String(momento.getMonth() + 1).padStart(2, '0')}-${String(momento.getDate()).padStart(2, '0')}`;
+}
+
+// Datas de agenda são sempre no fuso da clínica: trabalha só com YYYY-MM-DD
+export function somarDias(data, dias) {
+  const [a, m, d] = data.split('-').map(Number);
+  return new Date(Date.UTC(a, m - 1, d + dias)).toISOString().split('T')[0];
+}
+
+export function diaDaSemana(data) {
+  const [a, m, d] = data.split('-').map(Number);
+  return new Date(Date.UTC(a, m - 1, d)).getUTCDay();
+}
+
+// Primeiro minuto que ainda pode ser oferecido em `data`: dias passados não têm horário
+export function minutoDeCorte(data, agora = new Date()) {
+  const hoje = dataLocal(agora);
+  if (data < hoje) return Infinity;
+  if (data > hoje) return 0;
+  return agora.getHours() * 60 + agora.getMinutes() + 1;
+}
+
+export function granularidadeAgenda(agenda = {}) {
+  const granularidade = parseInt(agenda.granularidade_minutos);
+  return granularidade > 0 ? granularidade : GRANULARIDADE_PADRAO;
+}
+
+// Intervalo de limpeza/preparo após o serviço: maior valor entre os termos que aparecem no nome/tipo
+export function intervaloDoServico({ nome, tipo } = {}, intervalosServico = {}) {
+  const texto = `${nome || ''} ${tipo || ''}`.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const intervalos = Object.entries(intervalosServico)
+    .filter(([termo]) => texto.includes(termo))
+    .map(([, minutos]) => parseInt(minutos) || 0);
+  return intervalos.length > 0 ? Math.max(...intervalos) : 0;
+}
+
+/**
+ * Intervalos [inicio, fim) ocupados pelos agendamentos de uma data, já com o
+ * intervalo de limpeza de cada serviço. nomesServicos (servico_id → nome)
+ * completa agendamentos que só trazem o id do serviço; agendamentos com
+ * status em statusLiberados (cancelado, falta) não ocupam a agenda.
+ */
+export function intervalosOcupados(agendamentos, data, {
+  nomesServicos = new Map(),
+  ignorarAgendamentoId = null,
+  intervalosServico = {},
+  statusLiberados = []
+} = {}) {
+  return agendamentos
+    .filter(ag => String(ag.data_hora).startsWith(data)
+      && !statusLiberados.includes(ag.status)
+      && String(ag.id) !== String(ignorarAgendamentoId))
+    .map(ag => {
+      const servico = {
+        id: ag.servico_id,
+        nome: ag.servico_nome || ag.servico || nomesServicos.get(String(ag.servico_id)),
+        tipo: ag.tipo
+      };
+      const inicio = minutoDoDia(ag.data_hora);
+      return {
+        agendamento_id: ag.id,
+        veterinario_id: ag.veterinario_id || null,
+        servico,
+        inicio,
+        fim: inicio + (parseInt(ag.duracao_minutos) || 30) + intervaloDoServico(servico, intervalosServico)
+      };
+    });
+}
+
+export function sobrepostos(ocupados, inicio, fim) {
+  return ocupados.filter(ocupado => inicio < ocupado.fim && fim > ocupado.inicio);
+}
+
+// Se [inicio, fim) cabe inteiro em algum turno ({ inicio: "HH:MM", fim: "HH:MM" })
+export function cabeEmTurno(turnos, inicio, fim) {
+  return turnos.some(turno => inicio >= paraMinutos(turno.inicio) && fim <= paraMinutos(turno.fim));
+}
+
+/**
+ * Minutos de início livres para um atendimento de `duracao` seguido de
+ * `intervalo` de limpeza dentro dos turnos. `aPartirDe` descarta horários já
+ * passados (ver minutoDeCorte) e `aceitar(inicio, fim)` permite restrições
+ * extras (ex: salas e equipamentos).
+ */
+export function gerarSlots({
+  turnos,
+  duracao,
+  intervalo = 0,
+  granularidade = GRANULARIDADE_PADRAO,
+  ocupados = [],
+  aPartirDe = 0,
+  limite = Infinity,
+  aceitar = () => true
+}) {
+  const slots = [];
+
+  for (const turno of turnos) {
+    const fimTurno = paraMinutos(turno.fim);
+
+    for (let minuto = paraMinutos(turno.inicio); minuto + duracao + intervalo <= fimTurno; minuto += granularidade) {
+      if (slots.length >= limite) return slots;
+      if (minuto < aPartirDe) continue;
+
+      const fim = minuto + duracao + intervalo;
+      if (sobrepostos(ocupados, minuto, fim).length === 0 && aceitar(minuto, fim)) {
+        slots.push(minuto);
+      }
+    }
+  }
+
+  return slots;
+}
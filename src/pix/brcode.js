@@ -0,0 +1,59 @@
+/**
+ * BR Code PIX estático ("copia e cola", padrão EMV do Banco Central)
+ *
+ * Funções puras: chave, nome e cidade do recebedor chegam por parâmetro
+ * (ver FERRAMENTAS - PIX em server.js, que usa CONFIG.PIX).
+ */
+
+// Campo EMV: ID (2) + tamanho (2) + valor
+export function emvField(id, value) {
+  const text = String(value);
+  if (text.length > 99) {
+    throw new Error(`Campo PIX ${id} excede 99 caracteres`);
+  }
+  return `${id}${String(text.length).padStart(2, '0')}${text}`;
+}
+
+// CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF), exigido no campo 63
+export function crc16Ccitt(payload) {
+  let crc = 0xFFFF;
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// Nome/cidade/descrição: sem acentos e dentro do limite do BR Code
+export function normalizarTextoPix(texto, limite) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .,\-/]/g, '')
+    .trim()
+    .substring(0, limite);
+}
+
+export function montarPayloadPix({ chave, nome, cidade, valor, txid, descricao }) {
+  const gui = emvField('00', 'br.gov.bcb.pix') + emvField('01', chave);
+  // Descrição ocupa só o que sobra dos 99 caracteres do campo 26 (cabeçalho do 02 incluído)
+  const espacoDescricao = 99 - gui.length - 4;
+  const texto = espacoDescricao > 0 ? normalizarTextoPix(descricao, espacoDescricao) : '';
+  const contaPix = gui + (texto ? emvField('02', texto) : '');
+
+  const payload = emvField('00', '01') +
+    emvField('01', '12') + // uso único
+    emvField('26', contaPix) +
+    emvField('52', '0000') +
+    emvField('53', '986') +
+    emvField('54', valor.toFixed(2)) +
+    emvField('58', 'BR') +
+    emvField('59', normalizarTextoPix(nome, 25).toUpperCase()) +
+    emvField('60', normalizarTextoPix(cidade, 15).toUpperCase()) +
+    emvField('62', emvField('05', txid)) +
+    '6304';
+
+  return payload + crc16Ccitt(payload);
+}
@@ -24,6 +24,30 @@
  *  - Rate limiting adaptativo
  *  - Compatível com OpenAI ChatGPT e Claude
  *  - Suporte completo ao protocolo MCP 2024-11-05
+ *  - Transporte Streamable HTTP (/mcp) com sessões e progresso via SSE
+ *  - Transporte stdio para hosts MCP desktop (--stdio ou MCP_TRANSPORT=stdio)
+ *  - Lotes JSON-RPC 2.0 (várias chamadas em uma única requisição)
+ *  - Notificações sem resposta e cancelamento de chamadas em andamento
+ *  - Recursos MCP (vetcare://pets/{id}, vetcare://clientes/{id}/ficha, ...)
+ *  - Prompts MCP com os roteiros padrão de atendimento
+ *  - Assinatura de recursos (notifications/resources/updated em agendamentos)
+ *  - Autenticação Bearer com chaves de API por cliente (node src/server.js keys ...)
+ *  - Papéis por credencial (chatbot, recepcao, gestao) filtrando as ferramentas
+ *  - OAuth 2.1 (registro dinâmico, PKCE, introspecção) para hosts MCP remotos
+ *  - Trilha de auditoria das operações que alteram dados (consultar_auditoria, GET /audit)
+ *  - Chaves de idempotência (idempotency_key / Idempotency-Key) nas operações de criação
+ *  - Óbito/desativação de pet com cancelamento de agendamentos e fim dos lembretes
+ *  - Contas a pagar (fornecedores): listagem por vencimento, cadastro e baixa
+ *  - Relatórios financeiros (DRE, fluxo de caixa, inadimplência...) resumidos para o chat
+ *  - Ficha do cliente agregada (pets, agenda, contas, vacinas e débito) em uma chamada
+ *  - Bloqueio de agendamentos eletivos para clientes com débito acima do limite
+ *  - Cobrança PIX offline (BR Code copia e cola + QR code) com desconto e baixa
+ *  - Saldo do cliente ("quanto eu devo?") e faturas com serviços e produtos
+ *  - Expediente configurável (turnos, exceções e feriados) em src/config/agenda.json
+ *  - Agenda por profissional (turnos semanais, férias e bloqueios) respeitada nas sugestões
+ *  - Busca de horários em vários dias com preferência (manhã, tarde ou horário aproximado)
+ *  - Salas e equipamentos compartilhados (sala cirúrgica, banho/tosa, raio-x) nos conflitos de horário
+ *  - Grade de horários em minutos com granularidade configurável e intervalo de limpeza por serviço
  *
  * API Base: https://vet.talkhub.me/api (100% funcional)
  *
@@ -42,7 +66,29 @@ import express from 'express';
 import cors from 'cors';
 import fetch from 'node-fetch';
 import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { dirname, join } from 'path';
+import { randomUUID, randomBytes, createHash, timingSafeEqual } from 'crypto';
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import readline from 'readline';
+import QRCode from 'qrcode';
+import {
+  paraMinutos,
+  minutosParaHorario,
+  minutoDoDia,
+  dataLocal,
+  somarDias,
+  diaDaSemana,
+  minutoDeCorte,
+  granularidadeAgenda,
+  intervaloDoServico,
+  intervalosOcupados,
+  sobrepostos,
+  cabeEmTurno,
+  gerarSlots
+} from './agenda/motor.js';
+import { feriadoMovel } from './agenda/feriados.js';
+import { montarPayloadPix as montarBrCode } from './pix/brcode.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -52,6 +98,9 @@ global.fetch = fetch;
 // ==================== CONFIGURAÇÕES ====================
 
 const CONFIG = {
+  // Transporte: 'http' (Express) ou 'stdio' (hosts MCP desktop)
+  TRANSPORT: process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio' ? 'stdio' : 'http',
+
   PORT: process.env.PORT || 5150,
   HOST: process.env.HOST || '0.0.0.0',
   DOMAIN: process.env.DOMAIN || 'vet.talkhub.me',
@@ -60,7 +109,7 @@ const CONFIG = {
   VETCARE_API_URL: process.env.VETCARE_API_URL || 'https://vet.talkhub.me/api',
   
   // Configurações de rede
-  RETRY_ATTEMPTS: 3,
+  RETRY_ATTEMPTS: 3,          // POST/PATCH só são repetidos com chave de idempotência
   RETRY_DELAY: 2000,
   API_TIMEOUT: 30000,
   
@@ -76,6 +125,54 @@ const CONFIG = {
   // Rate Limiting
   RATE_LIMIT_WINDOW: 60000,  // 1 minuto
   RATE_LIMIT_MAX: 100,        // máximo de requisições
+  BATCH_MAX_SIZE: 20,         // máximo de mensagens por lote JSON-RPC
+  IDEMPOTENCY_TTL: parseInt(process.env.IDEMPOTENCY_TTL) || 86400000, // 24h de janela para idempotency_key
+  IDEMPOTENCY_MAX_KEYS: parseInt(process.env.IDEMPOTENCY_MAX_KEYS) || 1000, // resultados gravados (os mais antigos saem primeiro)
+  IDEMPOTENCY_FILE: process.env.IDEMPOTENCY_FILE || null, // padrão: DATA_DIR/idempotency.json
+
+  // Política de agendamentos
+  CANCELLATION_MIN_NOTICE_HOURS: parseInt(process.env.CANCELLATION_MIN_NOTICE_HOURS) || 24,
+  ADVANCE_BOOKING_DAYS: parseInt(process.env.ADVANCE_BOOKING_DAYS) || 30, // horizonte máximo de busca de horários
+  ALTERNATIVE_SEARCH_DAYS: parseInt(process.env.ALTERNATIVE_SEARCH_DAYS) || 7, // dias buscados quando a data pedida não tem horário
+  SCHEDULE_FILE: process.env.SCHEDULE_FILE || join(__dirname, 'config', 'agenda.json'), // expediente, exceções e feriados
+  PROFESSIONAL_SCHEDULE_FILE: process.env.PROFESSIONAL_SCHEDULE_FILE || null, // padrão: DATA_DIR/agenda-profissionais.json
+  RESOURCES_FILE: process.env.RESOURCES_FILE || null, // padrão: DATA_DIR/recursos.json
+
+  // Política financeira
+  MAX_DEBT_ALLOWED: parseFloat(process.env.MAX_DEBT_ALLOWED || '200.00'), // débito em aberto tolerado por cliente
+
+  // PIX (BR Code gerado localmente a partir da chave da clínica)
+  PIX: {
+    KEY: process.env.PIX_KEY || null,
+    MERCHANT_NAME: process.env.PIX_MERCHANT_NAME || 'Clinica Bicho Solto',
+    MERCHANT_CITY: process.env.PIX_MERCHANT_CITY || 'Sao Paulo',
+    DISCOUNT_PERCENT: parseFloat(process.env.PIX_DISCOUNT_PERCENT || '5'),
+    CHARGES_FILE: process.env.PIX_CHARGES_FILE || null // padrão: DATA_DIR/pix-charges.json
+  },
+
+  // Protocolo MCP
+  PROTOCOL_VERSIONS: ['2025-03-26', '2024-11-05'], // mais recente primeiro
+  SESSION_TTL: 1800000,       // 30 min sem atividade encerra a sessão
+  SSE_KEEPALIVE: 25000,       // ping para manter streams SSE abertos
+
+  // Segurança
+  DATA_DIR: process.env.DATA_DIR || join(__dirname, '..', 'data'),
+  API_KEYS_FILE: process.env.API_KEYS_FILE || null, // padrão: DATA_DIR/api-keys.json
+  API_KEY_TOUCH_INTERVAL: 60000, // intervalo mínimo para gravar last_used_at
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+  AUDIT_FILE: process.env.AUDIT_FILE || null, // padrão: DATA_DIR/audit.jsonl
+
+  // OAuth 2.1 para hosts MCP remotos
+  OAUTH: {
+    ISSUER: process.env.OAUTH_ISSUER || null,          // padrão: https://DOMAIN
+    APPROVAL_SECRET: process.env.OAUTH_APPROVAL_SECRET || null, // sem senha o consentimento fica desativado
+    CODE_TTL: 300000,              // 5 min
+    ACCESS_TOKEN_TTL: 3600000,     // 1 hora
+    REFRESH_TOKEN_TTL: 2592000000, // 30 dias
+    RATE_LIMIT_MAX: 10,            // registros/aprovações por IP por minuto
+    MAX_CLIENTS: 100,              // clientes registrados dinamicamente
+    UNUSED_CLIENT_TTL: 86400000    // 24h: cliente que nunca obteve token é descartado
+  },
   
   // Features flags
   FEATURES: {
@@ -84,10 +181,21 @@ const CONFIG = {
     RATE_LIMIT_ENABLED: true,
     METRICS_ENABLED: true,
     REQUEST_LOGGING: true,
+    // Desligada só com MCP_AUTH_ENABLED=false explícito; sem chaves, responde 401
+    AUTH_ENABLED: process.env.MCP_AUTH_ENABLED !== 'false',
     DEBUG_MODE: process.env.DEBUG === 'true'
   }
 };
 
+// Comando administrativo de chaves (node src/server.js keys ...)
+const CLI_COMMAND = process.argv[2] === 'keys' ? process.argv.slice(2) : null;
+
+// No modo stdio o stdout é exclusivo do protocolo: todo log vai para stderr.
+// O mesmo vale para o CLI, cuja saída precisa ser limpa.
+if (CONFIG.TRANSPORT === 'stdio' || CLI_COMMAND) {
+  console.log = console.error;
+}
+
 console.log('🚀 VetCare MCP Server v4.2.0 - Otimização para Chatbot');
 console.log('========================================================');
 console.log('📊 50 ferramentas disponíveis');
@@ -279,6 +387,7 @@ class MCPError extends Error {
 }
 
 const ErrorCodes = {
+  PARSE_ERROR: -32700,
   INVALID_REQUEST: -32600,
   METHOD_NOT_FOUND: -32601,
   INVALID_PARAMS: -32602,
@@ -286,7 +395,11 @@ const ErrorCodes = {
   VALIDATION_ERROR: -32604,
   RATE_LIMIT_ERROR: -32605,
   API_ERROR: -32606,
-  TIMEOUT_ERROR: -32607
+  TIMEOUT_ERROR: -32607,
+  UNAUTHORIZED: -32608,
+  FORBIDDEN: -32609,
+  REQUEST_CANCELLED: -32800,
+  RESOURCE_NOT_FOUND: -32002
 };
 
 // ==================== RATE LIMITING ====================
@@ -345,6 +458,272 @@ class RateLimiter {
 
 const rateLimiter = new RateLimiter();
 
+// ==================== PERSISTÊNCIA LOCAL ====================
+
+/**
+ * Armazenamento em arquivo JSON para dados que pertencem ao próprio MCP
+ * (credenciais, registros locais). Escrita atômica via arquivo temporário.
+ */
+class JsonFileStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = null;
+    this.mtime = null;
+  }
+  
+  // Relê o arquivo se ele foi alterado por outro processo (ex: CLI de chaves)
+  load() {
+    let stat = null;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    if (this.data && (stat?.mtimeMs ?? null) === this.mtime) {
+      return this.data;
+    }
+    
+    if (!stat) {
+      this.data = this.data || structuredClone(this.defaults);
+      return this.data;
+    }
+    
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.mtime = stat.mtimeMs;
+    } catch (error) {
+      log('STORE', `Falha ao ler ${this.filePath}`, { error: error.message }, LogLevel.ERROR);
+      throw error;
+    }
+    
+    return this.data;
+  }
+  
+  save() {
+    fs.mkdirSync(dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+    this.mtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+// ==================== AUDITORIA ====================
+
+/**
+ * Trilha de auditoria append-only (JSON Lines) para ferramentas que alteram
+ * dados. Cada linha registra quem chamou (credencial), a ferramenta, os
+ * argumentos com campos sensíveis mascarados, o resultado e os IDs envolvidos.
+ */
+
+const SENSITIVE_FIELDS = /cpf|cnpj|^rg$|senha|password|token|secret|cartao|card|email|telefone|whatsapp/i;
+
+function maskSensitive(value, depth = 0) {
+  if (depth > 5 || value === null || typeof value !== 'object') return value;
+  
+  if (Array.isArray(value)) {
+    return value.map(item => maskSensitive(item, depth + 1));
+  }
+  
+  const masked = {};
+  for (const [key, val] of Object.entries(value)) {
+    if (SENSITIVE_FIELDS.test(key) && val !== null && val !== undefined && typeof val !== 'object') {
+      const str = String(val);
+      masked[key] = str.length > 4 ? `***${str.slice(-2)}` : '***';
+    } else {
+      masked[key] = maskSensitive(val, depth + 1);
+    }
+  }
+  return masked;
+}
+
+// Coleta cliente_id, pet_id e agendamento_id de argumentos e resultado para permitir a busca
+function extractAuditRefs(...sources) {
+  const refs = {};
+  const visit = (obj, depth) => {
+    if (depth > 4 || obj === null || typeof obj !== 'object') return;
+    for (const [key, val] of Object.entries(obj)) {
+      for (const entity of ['cliente', 'pet', 'agendamento']) {
+        const refKey = `${entity}_id`;
+        if (refs[refKey]) continue;
+        if (key === refKey && val) refs[refKey] = parseInt(val) || val;
+        else if (key === entity && val?.id) refs[refKey] = val.id;
+      }
+      if (typeof val === 'object') visit(val, depth + 1);
+    }
+  };
+  sources.forEach(source => visit(source, 0));
+  return refs;
+}
+
+// ID do registro criado/alterado na API VetCare, quando a resposta o expõe
+function extractUpstreamId(result) {
+  if (!result || typeof result !== 'object') return null;
+  if (result.data?.id) return result.data.id;
+  for (const val of Object.values(result)) {
+    if (val && typeof val === 'object' && !Array.isArray(val) && val.id) return val.id;
+  }
+  return null;
+}
+
+class AuditLog {
+  constructor(filePath = CONFIG.AUDIT_FILE || join(CONFIG.DATA_DIR, 'audit.jsonl')) {
+    this.filePath = filePath;
+  }
+  
+  record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+    try {
+      fs.mkdirSync(dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, line, { mode: 0o600 });
+    } catch (error) {
+      // Falha de auditoria não interrompe a operação, mas precisa ser visível
+      log('AUDIT', 'Falha ao gravar auditoria', { error: error.message, tool: entry.tool }, LogLevel.CRITICAL);
+    }
+  }
+  
+  // Varre o arquivo e retorna os registros mais recentes que atendem aos filtros
+  async search(filters = {}, limit = 50) {
+    if (!fs.existsSync(this.filePath)) return [];
+    
+    const matches = [];
+    const rl = readline.createInterface({
+      input: fs.createReadStream(this.filePath, 'utf8'),
+      crlfDelay: Infinity
+    });
+    
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (AuditLog.matches(entry, filters)) {
+        matches.push(entry);
+        if (matches.length > limit) matches.shift();
+      }
+    }
+    
+    return matches.reverse();
+  }
+  
+  static matches(entry, filters) {
+    if (filters.cliente_id && String(entry.refs?.cliente_id) !== String(filters.cliente_id)) return false;
+    if (filters.pet_id && String(entry.refs?.pet_id) !== String(filters.pet_id)) return false;
+    if (filters.agendamento_id && String(entry.refs?.agendamento_id) !== String(filters.agendamento_id)) return false;
+    if (filters.credencial && entry.credencial?.cliente !== filters.credencial) return false;
+    if (filters.ferramenta && entry.tool !== filters.ferramenta) return false;
+    // Datas comparadas no fuso do servidor (TZ), não em UTC
+    const day = new Date(entry.timestamp).toLocaleDateString('sv-SE');
+    if (filters.data_inicio && day < filters.data_inicio) return false;
+    if (filters.data_fim && day > filters.data_fim) return false;
+    return true;
+  }
+}
+
+const auditLog = new AuditLog();
+
+function auditToolCall(context, toolName, args, outcome) {
+  if (!MUTATING_TOOLS.has(toolName)) return;
+  
+  const { result, error, duration } = outcome;
+  auditLog.record({
+    request_id: context.requestId || null,
+    credencial: {
+      id: context.auth?.keyId || null,
+      cliente: context.clientId || null,
+      papel: context.role || null,
+      operador: context.auth?.operator || null
+    },
+    tool: toolName,
+    arguments: maskSensitive(args),
+    success: error ? false : Boolean(result?.success),
+    error: error || result?.error || null,
+    upstream_id: extractUpstreamId(result),
+    refs: extractAuditRefs(args, result),
+    duration_ms: duration
+  });
+}
+
+// ==================== IDEMPOTÊNCIA ====================
+
+/**
+ * Chaves de idempotência para ferramentas que alteram dados. Uma repetição
+ * com a mesma chave (mesmo cliente e ferramenta) devolve o resultado gravado
+ * em vez de executar de novo; repetições simultâneas aguardam a primeira.
+ * Os resultados ficam em DATA_DIR/idempotency.json e sobrevivem a reinícios
+ * e deploys; cada instância do servidor tem o seu arquivo.
+ */
+
+class IdempotencyStore {
+  constructor(filePath = CONFIG.IDEMPOTENCY_FILE || join(CONFIG.DATA_DIR, 'idempotency.json')) {
+    this.store = new JsonFileStore(filePath, { entries: {} });
+  }
+  
+  get(scopeKey) {
+    const entry = this.store.load().entries[scopeKey];
+    return entry && entry.expires_at > Date.now() ? entry : null;
+  }
+  
+  set(scopeKey, fingerprint, result) {
+    const data = this.store.load();
+    const now = Date.now();
+    data.entries[scopeKey] = { fingerprint, result, expires_at: now + CONFIG.IDEMPOTENCY_TTL };
+    
+    // Descarta expirados e, acima do limite, os mais antigos
+    const vigentes = Object.entries(data.entries)
+      .filter(([, entry]) => entry.expires_at > now)
+      .sort(([, a], [, b]) => a.expires_at - b.expires_at)
+      .slice(-CONFIG.IDEMPOTENCY_MAX_KEYS);
+    data.entries = Object.fromEntries(vigentes);
+    this.store.save();
+  }
+}
+
+const idempotencyStore = new IdempotencyStore();
+const idempotencyPending = new Map();
+
+function fingerprintArgs(args) {
+  return createHash('sha256').update(JSON.stringify(args)).digest('hex');
+}
+
+async function runIdempotent(scopeKey, args, execute) {
+  const fingerprint = fingerprintArgs(args);
+  const stored = idempotencyStore.get(scopeKey) || idempotencyPending.get(scopeKey);
+  
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        'idempotency_key já utilizada com argumentos diferentes',
+        { idempotency_key: scopeKey.split(':').pop() }
+      );
+    }
+    
+    log('MCP', `Replay idempotente: ${scopeKey}`);
+    const result = stored.result || await stored.promise;
+    return { ...result, idempotent_replay: true };
+  }
+  
+  const promise = execute();
+  idempotencyPending.set(scopeKey, { fingerprint, promise });
+  
+  try {
+    const result = await promise;
+    // Apenas sucessos são gravados: uma falha pode ser tentada de novo com a mesma chave
+    if (result?.success) {
+      idempotencyStore.set(scopeKey, fingerprint, result);
+    }
+    return result;
+  } finally {
+    idempotencyPending.delete(scopeKey);
+  }
+}
+
 // ==================== VALIDADORES ====================
 
 const Validators = {
@@ -499,6 +878,15 @@ const Validators = {
       throw new Error(`Forma de pagamento inválida. Valores aceitos: ${validas.join(', ')}`);
     }
     return value;
+  },
+
+  // Status de conta financeira (pagar/receber)
+  statusConta(value) {
+    const validos = ['Pendente', 'Paga', 'Parcial', 'Cancelada'];
+    if (!validos.includes(value)) {
+      throw new Error(`Status de conta inválido. Valores aceitos: ${validos.join(', ')}`);
+    }
+    return value;
   }
 };
 
@@ -552,6 +940,33 @@ function formatMCPResponse(requestId, result, error = null) {
   return response;
 }
 
+function formatMCPNotification(method, params = {}) {
+  return { jsonrpc: "2.0", method, params };
+}
+
+// ==================== CONTEXTO DA REQUISIÇÃO ====================
+
+// Contexto da chamada MCP em andamento (sessão, cliente, token de progresso),
+// disponível para as ferramentas sem precisar alterar suas assinaturas
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Envia notifications/progress ao cliente MCP, se ele pediu progresso
+ * (params._meta.progressToken) e o transporte tiver um canal aberto.
+ * Fora de uma chamada MCP, ou no endpoint POST / clássico, não faz nada.
+ */
+function reportProgress(progress, total, message) {
+  const ctx = requestContext.getStore();
+  if (!ctx || ctx.progressToken === undefined || !ctx.send) return;
+
+  ctx.send(formatMCPNotification('notifications/progress', {
+    progressToken: ctx.progressToken,
+    progress,
+    ...(total !== undefined && { total }),
+    ...(message && { message })
+  }));
+}
+
 // ==================== WRAPPER PARA VALIDAÇÃO ====================
 
 function handleValidationErrors(fn) {
@@ -585,18 +1000,35 @@ async function apiRequest(endpoint, method = 'GET', data = null, retries = CONFI
     throw new MCPError(ErrorCodes.API_ERROR, cached.error);
   }
   
+  // Sinal de cancelamento da chamada MCP em andamento (notifications/cancelled)
+  const cancelSignal = requestContext.getStore()?.signal;
+  
+  // POST/PATCH não são idempotentes: repetir após timeout pode duplicar registros
+  const idempotencyKey = requestContext.getStore()?.idempotencyKey;
+  if ((method === 'POST' || method === 'PATCH') && !idempotencyKey) {
+    retries = 1;
+  }
+  
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (cancelSignal?.aborted) {
+      log('API', `Requisição cancelada antes de ${method} ${endpoint}`, null, LogLevel.DEBUG);
+      throw new MCPError(ErrorCodes.REQUEST_CANCELLED, 'Request cancelled');
+    }
+    
     try {
       log('API', `${method} ${endpoint} (tentativa ${attempt}/${retries})`, null, LogLevel.DEBUG);
       
       const controller = new AbortController();
       const timeout = setTimeout(() => controller.abort(), CONFIG.API_TIMEOUT);
+      const onCancel = () => controller.abort();
+      cancelSignal?.addEventListener('abort', onCancel, { once: true });
       
       const options = {
         method,
         headers: {
           'Accept': 'application/json; charset=UTF-8',
-          'Content-Type': 'application/json; charset=UTF-8'
+          'Content-Type': 'application/json; charset=UTF-8',
+          ...(idempotencyKey ? { 'Idempotency-Key': `${idempotencyKey}:${method}:${endpoint}` } : {})
         },
         signal: controller.signal
       };
@@ -605,8 +1037,10 @@ async function apiRequest(endpoint, method = 'GET', data = null, retries = CONFI
         options.body = JSON.stringify(data);
       }
       
-      const response = await fetch(url, options);
-      clearTimeout(timeout);
+      const response = await fetch(url, options).finally(() => {
+        clearTimeout(timeout);
+        cancelSignal?.removeEventListener('abort', onCancel);
+      });
       
       if (!response.ok) {
         const errorText = await response.text();
@@ -616,7 +1050,7 @@ async function apiRequest(endpoint, method = 'GET', data = null, retries = CONFI
           // Erro do cliente - não tentar novamente
           const errorMessage = `API Error ${response.status}: ${errorText}`;
           cacheInstances.financeiro.setNegative(cacheKey, errorMessage);
-          throw new Error(errorMessage);
+          throw new MCPError(ErrorCodes.API_ERROR, errorMessage);
         }
         
         if (attempt < retries) {
@@ -632,6 +1066,16 @@ async function apiRequest(endpoint, method = 'GET', data = null, retries = CONFI
       return { success: true, data: result };
       
     } catch (error) {
+      if (cancelSignal?.aborted) {
+        log('API', `Requisição cancelada: ${method} ${endpoint}`, null, LogLevel.WARN);
+        throw new MCPError(ErrorCodes.REQUEST_CANCELLED, 'Request cancelled');
+      }
+      
+      // Erros 4xx já classificados acima não são repetidos
+      if (error instanceof MCPError) {
+        throw error;
+      }
+      
       if (error.name === 'AbortError') {
         log('API', `Timeout na requisição ${method} ${endpoint}`, null, LogLevel.ERROR);
         if (attempt < retries) {
@@ -851,6 +1295,86 @@ async function atualizarCliente({ cliente_id, dados_atualizacao }) {
   }
 }
 
+/**
+ * Ficha completa do cliente em uma única chamada: cadastro, pets, próximos
+ * agendamentos, contas em aberto, vacinas atrasadas e situação de débito.
+ * Cada parte é buscada de forma independente; uma falha parcial não derruba a ficha.
+ */
+async function obterFichaCliente({ cliente_id }) {
+  log('TOOL', `obter_ficha_cliente: ${cliente_id}`);
+  try {
+    if (!cliente_id) throw new Error('cliente_id é obrigatório');
+    
+    const buscarCadastro = async () => {
+      for (const endpoint of [`/clientes/${cliente_id}/ficha`, `/clientes/${cliente_id}/detalhes`]) {
+        try {
+          const result = await apiRequest(endpoint);
+          if (result.success) return result.data?.cliente || result.data?.data || result.data;
+        } catch (error) {
+          log('TOOL', `Falha em ${endpoint}:`, error.message, LogLevel.WARN);
+        }
+      }
+      return null;
+    };
+    
+    const [cliente, petsResult, agendamentosResult, contasResult] = await Promise.all([
+      buscarCadastro(),
+      listarPetsCliente({ cliente_id }),
+      listarProximosAgendamentos({ cliente_id, limite: 5 }),
+      listarContasReceber({ filtros: { cliente_id } })
+    ]);
+    
+    if (!cliente) {
+      return { success: false, error: 'Cliente não encontrado' };
+    }
+    
+    const pets = petsResult.success ? petsResult.pets : [];
+    const vacinas = await Promise.all(
+      pets.filter(pet => Number(pet.ativo ?? 1) !== 0).map(async (pet) => {
+        const resultado = await verificarVacinasAtrasadas({ pet_id: pet.id });
+        return {
+          pet_id: pet.id,
+          pet_nome: pet.nome,
+          vacinas_atrasadas: resultado.success ? resultado.vacinas_atrasadas : [],
+          proximas_vacinas: resultado.success ? resultado.proximas_vacinas : []
+        };
+      })
+    );
+    
+    const contas = contasResult.success ? contasResult.contas : [];
+    const debito = resumirDebitoCliente(contas);
+    const contasEmAberto = contas.filter(conta => !['Paga', 'Cancelada'].includes(conta.status));
+    
+    // Partes que falharam ficam vazias, mas a ficha sinaliza para o atendente
+    const indisponivel = [
+      !petsResult.success && 'pets',
+      !agendamentosResult.success && 'agendamentos',
+      !contasResult.success && 'financeiro'
+    ].filter(Boolean);
+    
+    return {
+      success: true,
+      cliente,
+      pets,
+      proximos_agendamentos: agendamentosResult.success ? agendamentosResult.agendamentos : [],
+      contas_em_aberto: contasEmAberto,
+      vacinas: vacinas.filter(v => v.vacinas_atrasadas.length > 0 || v.proximas_vacinas.length > 0),
+      debito,
+      alertas: [
+        debito.acima_do_limite && `💰 Débito de R$ ${debito.valor_em_aberto.toFixed(2)} acima do limite (R$ ${debito.limite.toFixed(2)})`,
+        ...vacinas
+          .filter(v => v.vacinas_atrasadas.length > 0)
+          .map(v => `💉 ${v.pet_nome}: ${v.vacinas_atrasadas.length} vacina(s) atrasada(s)`)
+      ].filter(Boolean),
+      ...(indisponivel.length > 0 ? { dados_indisponiveis: indisponivel } : {})
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao obter ficha do cliente:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
 // ==================== FERRAMENTAS - PETS ====================
 
 async function listarPetsCliente({ cliente_id }) {
@@ -965,1148 +1489,1860 @@ async function criarPet({ dados }) {
   }
 }
 
-// ==================== FERRAMENTAS - AGENDAMENTOS ====================
-
-async function listarAgendamentos({ filtros = {} }) {
-  log('TOOL', 'listar_agendamentos', filtros);
+async function atualizarPet({ pet_id, dados_atualizacao = {} }) {
+  log('TOOL', `atualizar_pet: ${pet_id}`, Object.keys(dados_atualizacao));
   try {
-    let endpoint = '/agendamentos';
-    const params = [];
+    if (!pet_id) throw new Error('pet_id é obrigatório');
     
-    if (filtros.cliente_id) params.push(`cliente_id=${filtros.cliente_id}`);
-    if (filtros.pet_id) params.push(`pet_id=${filtros.pet_id}`);
-    if (filtros.status) params.push(`status=${encodeURIComponent(filtros.status)}`);
-    if (filtros.data) params.push(`data=${filtros.data}`);
-    if (filtros.data_inicio) params.push(`data_inicio=${filtros.data_inicio}`);
-    if (filtros.data_fim) params.push(`data_fim=${filtros.data_fim}`);
+    // A API exige o cadastro completo no PUT: mescla com os dados atuais
+    const atual = await apiRequest(`/pets/${pet_id}`);
+    if (!atual.success) {
+      return { success: false, error: 'Pet não encontrado' };
+    }
+    return await gravarPet(pet_id, atual.data.pet || atual.data, dados_atualizacao);
     
-    if (params.length > 0) {
-      endpoint += '?' + params.join('&');
+  } catch (error) {
+    log('TOOL', 'Erro ao atualizar pet:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// PUT do cadastro completo: `pet` é o registro atual, já carregado pelo chamador
+async function gravarPet(pet_id, pet, dados_atualizacao) {
+  const novo = (campo) => dados_atualizacao[campo] !== undefined;
+  
+  let peso = pet.peso ?? null;
+  if (novo('peso')) {
+    peso = dados_atualizacao.peso === null ? null : parseFloat(dados_atualizacao.peso);
+    if (peso !== null && (isNaN(peso) || peso <= 0 || peso > 999.99)) {
+      throw new Error('Peso inválido (kg, entre 0 e 999.99)');
+    }
+  }
+  
+  const payload = {
+    cliente_id: pet.cliente_id,
+    nome: novo('nome') ? dados_atualizacao.nome.trim() : pet.nome,
+    especie: novo('especie') ? dados_atualizacao.especie.trim() : pet.especie,
+    raca: novo('raca') ? dados_atualizacao.raca : (pet.raca || ''),
+    sexo: Validators.sexo(novo('sexo') ? dados_atualizacao.sexo : pet.sexo),
+    castrado: Boolean(novo('castrado') ? dados_atualizacao.castrado : pet.castrado),
+    data_nascimento: novo('data_nascimento')
+      ? Validators.data(dados_atualizacao.data_nascimento)
+      : (pet.data_nascimento ? String(pet.data_nascimento).substring(0, 10) : null),
+    peso,
+    pelagem: novo('pelagem') ? dados_atualizacao.pelagem : (pet.pelagem || ''),
+    microchip: novo('microchip') ? dados_atualizacao.microchip : (pet.microchip || ''),
+    alergias: novo('alergias') ? dados_atualizacao.alergias : (pet.alergias || ''),
+    observacoes: novo('observacoes') ? dados_atualizacao.observacoes : (pet.observacoes || ''),
+    // Pet sem o campo ativo é considerado ativo: só envia quando informado ou já cadastrado
+    ...(novo('ativo') || pet.ativo !== undefined
+      ? { ativo: Number((novo('ativo') ? dados_atualizacao.ativo : pet.ativo) ?? 1) !== 0 ? 1 : 0 }
+      : {})
+  };
+  
+  const result = await apiRequest(`/pets/${pet_id}`, 'PUT', payload);
+  
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+  
+  cacheInstances.pets.delete(`pet_${pet_id}`);
+  cacheInstances.pets.delete(`pets_cliente_${pet.cliente_id}`);
+  notifyResourceUpdated(`vetcare://pets/${pet_id}`);
+  
+  return {
+    success: true,
+    pet: result.data.pet || result.data,
+    campos_atualizados: Object.keys(dados_atualizacao),
+    message: 'Pet atualizado com sucesso'
+  };
+}
+
+/**
+ * Desativa o pet e cancela os agendamentos futuros. Pets inativos não
+ * recebem lembretes (verificar_vacinas_atrasadas e bot de reativação).
+ */
+async function desativarPetComAgendamentos({ pet_id, observacao, motivo_cancelamento }) {
+  const atual = await apiRequest(`/pets/${pet_id}`);
+  if (!atual.success) {
+    return { success: false, error: 'Pet não encontrado' };
+  }
+  const pet = atual.data.pet || atual.data;
+  
+  const observacoes = [pet.observacoes, observacao].filter(Boolean).join('\n');
+  const desativacao = await gravarPet(pet_id, pet, { ativo: false, observacoes });
+  if (!desativacao.success) {
+    return desativacao;
+  }
+  
+  // Agendamentos de hoje (fuso da clínica) em diante que ainda não aconteceram
+  const hoje = dataLocal();
+  const agendamentos = await listarAgendamentos({ filtros: { pet_id, data_inicio: hoje } });
+  const pendentes = (agendamentos.agendamentos || []).filter(a =>
+    !STATUS_AGENDAMENTO_FINALIZADOS.includes(a.status) &&
+    new Date(String(a.data_hora).replace(' ', 'T')) >= new Date()
+  );
+  
+  const cancelados = [];
+  const falhas = [];
+  for (const agendamento of pendentes) {
+    try {
+      const result = await apiRequest(`/agendamentos/${agendamento.id}/status`, 'PUT', {
+        status: 'Cancelado',
+        motivo: motivo_cancelamento
+      });
+      if (result.success) {
+        cancelados.push({ id: agendamento.id, data_hora: agendamento.data_hora });
+        notifyResourceUpdated(`vetcare://agendamentos/${agendamento.id}`);
+      } else {
+        falhas.push({ id: agendamento.id, error: result.error });
+      }
+    } catch (error) {
+      falhas.push({ id: agendamento.id, error: error.message });
     }
+  }
+  
+  if (pendentes.length > 0) {
+    cacheInstances.agendamentos.deletePattern(/agendamento/);
+  }
+  
+  return {
+    success: true,
+    pet: { id: parseInt(pet_id), nome: pet.nome, cliente_id: pet.cliente_id, ativo: false },
+    agendamentos_cancelados: cancelados,
+    falhas_cancelamento: falhas,
+    lembretes_suspensos: true
+  };
+}
+
+async function registrarObitoPet({ pet_id, data_obito, causa }) {
+  log('TOOL', `registrar_obito_pet: ${pet_id}`, { data_obito });
+  try {
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+    const data = Validators.data(data_obito) || dataLocal();
     
-    const result = await apiRequest(endpoint);
+    const result = await desativarPetComAgendamentos({
+      pet_id,
+      observacao: `[ÓBITO ${data}]${causa ? ` ${causa}` : ''}`,
+      motivo_cancelamento: 'Óbito do pet'
+    });
     
-    if (!result.success) {
-      return { success: false, agendamentos: [], error: result.error };
-    }
+    if (!result.success) return result;
     
     return {
-      success: true,
-      agendamentos: result.data,
-      total: result.data.length
+      ...result,
+      data_obito: data,
+      message: `Óbito registrado. ${result.agendamentos_cancelados.length} agendamento(s) cancelado(s) e lembretes suspensos.`
     };
     
   } catch (error) {
-    log('TOOL', 'Erro ao listar agendamentos:', error.message, LogLevel.ERROR);
-    return { success: false, agendamentos: [], error: error.message };
+    log('TOOL', 'Erro ao registrar óbito:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
   }
 }
 
-async function criarAgendamento({ dados }) {
-  log('TOOL', 'criar_agendamento:', dados);
+async function desativarPet({ pet_id, motivo }) {
+  log('TOOL', `desativar_pet: ${pet_id}`, { motivo });
   try {
-    if (!dados.cliente_id) throw new Error('cliente_id é obrigatório');
-    if (!dados.pet_id) throw new Error('pet_id é obrigatório');
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+    if (!motivo || !motivo.trim()) throw new Error('motivo é obrigatório');
     
-    // Ajustar o tipo se vier como nome de serviço
-    const tipoAjustado = Validators.tipoAgendamento(dados.tipo);
+    const hoje = dataLocal();
+    const result = await desativarPetComAgendamentos({
+      pet_id,
+      observacao: `[INATIVO ${hoje}] ${motivo.trim()}`,
+      motivo_cancelamento: `Pet desativado: ${motivo.trim()}`
+    });
     
-    const payload = {
-      cliente_id: parseInt(dados.cliente_id),
-      pet_id: parseInt(dados.pet_id),
-      servico_id: dados.servico_id ? parseInt(dados.servico_id) : null,
-      veterinario_id: dados.veterinario_id ? parseInt(dados.veterinario_id) : null,
-      data_hora: Validators.dataHora(dados.data_hora),
-      tipo: tipoAjustado,
-      duracao_minutos: parseInt(dados.duracao_minutos) || 30,
-      valor: dados.valor ? parseFloat(dados.valor) : null,
-      observacoes: dados.observacoes || '',
-      status: dados.status || 'Agendado'
-    };
-    
-    // Validar conflito de horário se veterinário especificado
-    if (payload.veterinario_id) {
-      const conflito = await apiRequest('/agendamentos/validar-conflito', 'POST', {
-        data_hora: payload.data_hora,
-        veterinario_id: payload.veterinario_id,
-        duracao_minutos: payload.duracao_minutos
-      });
-      
-      if (conflito.success && !conflito.data.disponivel) {
-        return { 
-          success: false, 
-          error: 'Horário não disponível. Conflito com outro agendamento.' 
-        };
-      }
-    }
-    
-    const result = await apiRequest('/agendamentos', 'POST', payload);
-    
-    if (!result.success) {
-      return { success: false, error: result.error };
-    }
-    
-    cacheInstances.agendamentos.deletePattern(/agendamento/);
-    
-    return {
-      success: true,
-      agendamento: result.data,
-      message: 'Agendamento criado com sucesso'
+    if (!result.success) return result;
+    
+    return {
+      ...result,
+      message: `Pet desativado. ${result.agendamentos_cancelados.length} agendamento(s) cancelado(s).`
     };
     
   } catch (error) {
-    log('TOOL', 'Erro ao criar agendamento:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao desativar pet:', error.message, LogLevel.ERROR);
     return { success: false, error: error.message };
   }
 }
 
-async function atualizarStatusAgendamento({ agendamento_id, status }) {
-  log('TOOL', `atualizar_status_agendamento: ${agendamento_id} -> ${status}`);
-  try {
-    const statusValidado = Validators.statusAgendamento(status);
+// ==================== AGENDA DA CLÍNICA ====================
 
-    const result = await apiRequest(`/agendamentos/${agendamento_id}/status`, 'PUT', {
-      status: statusValidado
-    });
+/**
+ * Expediente da clínica lido de src/config/agenda.json (ou SCHEDULE_FILE):
+ * - semana: turnos por dia da semana (0 = domingo), ex: [["08:00", "12:00"], ["13:00", "18:00"]]
+ * - excecoes: { "YYYY-MM-DD": { turnos, motivo } } (turnos vazios = fechado)
+ * - feriados: fixos e municipais ("MM-DD" ou "YYYY-MM-DD") e móveis calculados pela Páscoa
+ * - granularidade_minutos: passo da grade de horários oferecidos (padrão 15)
+ * - intervalos_servico: { "<termo no nome/tipo do serviço>": minutos } de limpeza após o atendimento
+ *
+ * O arquivo só tem configuração da clínica: semana, substitutos e bloqueios
+ * de cada profissional ficam em AgendaProfissionalStore.
+ * Precedência em uma data: exceção da clínica > feriado > semana do
+ * profissional > semana da clínica; bloqueios do profissional valem sobre tudo.
+ * Alterações no arquivo valem sem reiniciar o servidor.
+ */
 
-    if (!result.success) {
-      return { success: false, error: result.error };
-    }
+const AGENDA_PADRAO = {
+  semana: {
+    0: [],
+    1: [['08:00', '12:00'], ['13:00', '18:00']],
+    2: [['08:00', '12:00'], ['13:00', '18:00']],
+    3: [['08:00', '12:00'], ['13:00', '18:00']],
+    4: [['08:00', '12:00'], ['13:00', '18:00']],
+    5: [['08:00', '12:00'], ['13:00', '18:00']],
+    6: [['08:00', '12:00']]
+  },
+  excecoes: {},
+  feriados: { fixos: {}, moveis: [], municipais: {} },
+  granularidade_minutos: 15,
+  intervalos_servico: {}
+};
 
-    cacheInstances.agendamentos.deletePattern(/agendamento/);
+const DIAS_SEMANA = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
 
-    return {
-      success: true,
-      message: `Status atualizado para: ${statusValidado}`
-    };
+const agendaStore = new JsonFileStore(CONFIG.SCHEDULE_FILE, AGENDA_PADRAO);
 
-  } catch (error) {
-    log('TOOL', 'Erro ao atualizar status:', error.message, LogLevel.ERROR);
-    return { success: false, error: error.message };
-  }
-}
+let avisoProfissionaisAgenda = false;
 
-async function validarHorarioDisponivel({ data_hora, veterinario_id, duracao_minutos, agendamento_id }) {
-  log('TOOL', 'validar_horario_disponivel', { data_hora, veterinario_id });
+function carregarAgenda() {
   try {
-    if (!data_hora) throw new Error('data_hora é obrigatória');
-    if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
-
-    const payload = {
-      data_hora: Validators.dataHora(data_hora),
-      veterinario_id: parseInt(veterinario_id),
-      duracao_minutos: parseInt(duracao_minutos) || 30
-    };
-
-    // Se estiver remarcando, incluir ID do agendamento
-    if (agendamento_id) {
-      payload.agendamento_id = parseInt(agendamento_id);
-    }
-
-    const result = await apiRequest('/agendamentos/validar-conflito', 'POST', payload);
-
-    if (!result.success) {
-      return { success: false, disponivel: false, error: result.error };
+    const { profissionais, ...dados } = agendaStore.load();
+    if (profissionais && Object.keys(profissionais).length > 0 && !avisoProfissionaisAgenda) {
+      avisoProfissionaisAgenda = true;
+      log('AGENDA', 'Campo "profissionais" de agenda.json ignorado: use definir_agenda_profissional', {}, LogLevel.WARN);
     }
-
     return {
-      success: true,
-      disponivel: result.data.disponivel === true,
-      message: result.data.message || '',
-      conflito: result.data.conflito || null
+      ...AGENDA_PADRAO,
+      ...dados,
+      feriados: { ...AGENDA_PADRAO.feriados, ...(dados.feriados || {}) }
     };
-
   } catch (error) {
-    log('TOOL', 'Erro ao validar horário:', error.message, LogLevel.ERROR);
-    return { success: false, disponivel: false, error: error.message };
+    log('AGENDA', 'Arquivo de agenda inválido, usando expediente padrão', { error: error.message }, LogLevel.ERROR);
+    return AGENDA_PADRAO;
   }
 }
 
-async function listarProximosAgendamentos({ cliente_id, limite }) {
-  log('TOOL', 'listar_proximos_agendamentos', { cliente_id });
-  try {
-    if (!cliente_id) throw new Error('cliente_id é obrigatório');
+function obterFeriado(data, agenda = carregarAgenda()) {
+  const { fixos = {}, moveis = [], municipais = {} } = agenda.feriados;
+  const mesDia = data.substring(5);
+  
+  if (municipais[data]) return municipais[data];
+  if (municipais[mesDia]) return municipais[mesDia];
+  if (fixos[mesDia]) return fixos[mesDia];
+  
+  return feriadoMovel(data, moveis);
+}
 
-    const hoje = new Date().toISOString().split('T')[0];
-    const endpoint = `/agendamentos?cliente_id=${cliente_id}&data_inicio=${hoje}`;
+/**
+ * Agenda própria de cada profissional, gerenciada pelas ferramentas
+ * definir_agenda_profissional e bloquear_agenda (DATA_DIR/agenda-profissionais.json).
+ * Única fonte da semana e dos substitutos de cada profissional (sem semana
+ * própria, vale a da clínica); bloqueios (férias, ausências) valem sobre
+ * qualquer turno, inclusive exceções da clínica.
+ */
 
-    // Cache curto (1 min) pois agendamentos mudam frequentemente
-    const cacheKey = `agendamentos_proximos_${cliente_id}`;
-    const cached = cacheInstances.agendamentos.get(cacheKey);
-    if (cached) {
-      log('TOOL', '✓ Próximos agendamentos encontrados no cache');
-      return cached;
+// Arquivo inicial: Gustavo (8) cobre Thais (14), como nas regras de sugestão
+const AGENDA_PROFISSIONAIS_PADRAO = {
+  profissionais: { 14: { substitutos: [8] } },
+  bloqueios: []
+};
+
+class AgendaProfissionalStore {
+  constructor(filePath = CONFIG.PROFESSIONAL_SCHEDULE_FILE || join(CONFIG.DATA_DIR, 'agenda-profissionais.json')) {
+    this.store = new JsonFileStore(filePath, AGENDA_PROFISSIONAIS_PADRAO);
+  }
+  
+  semanaDe(veterinario_id) {
+    return this.store.load().profissionais[String(veterinario_id)]?.semana ?? null;
+  }
+  
+  substitutosDe(veterinario_id) {
+    return this.store.load().profissionais[String(veterinario_id)]?.substitutos ?? null;
+  }
+  
+  definirSemana(veterinario_id, semana, autor) {
+    this.atualizar(veterinario_id, 'semana', semana, autor);
+  }
+  
+  definirSubstitutos(veterinario_id, substitutos, autor) {
+    this.atualizar(veterinario_id, 'substitutos', substitutos, autor);
+  }
+  
+  // null remove o campo (volta ao agenda.json); sem campos, remove o profissional
+  atualizar(veterinario_id, campo, valor, autor) {
+    const data = this.store.load();
+    const { atualizado_em, atualizado_por, ...atual } = data.profissionais[String(veterinario_id)] || {};
+    if (valor === null) {
+      delete atual[campo];
+    } else {
+      atual[campo] = valor;
+    }
+    
+    if (Object.keys(atual).length === 0) {
+      delete data.profissionais[String(veterinario_id)];
+    } else {
+      data.profissionais[String(veterinario_id)] = {
+        ...atual,
+        atualizado_em: new Date().toISOString(),
+        atualizado_por: autor
+      };
     }
+    this.store.save();
+  }
+  
+  bloqueiosEm(veterinario_id, data) {
+    return this.store.load().bloqueios.filter(b =>
+      String(b.veterinario_id) === String(veterinario_id) && b.data_inicio <= data && b.data_fim >= data
+    );
+  }
+  
+  bloqueiosFuturos(veterinario_id, aPartirDe) {
+    return this.store.load().bloqueios.filter(b =>
+      String(b.veterinario_id) === String(veterinario_id) && b.data_fim >= aPartirDe
+    );
+  }
+  
+  adicionarBloqueio(bloqueio) {
+    const data = this.store.load();
+    const registro = { id: randomUUID(), ...bloqueio, criado_em: new Date().toISOString() };
+    data.bloqueios.push(registro);
+    this.store.save();
+    return registro;
+  }
+  
+  removerBloqueio(id) {
+    const data = this.store.load();
+    const index = data.bloqueios.findIndex(b => b.id === id);
+    if (index === -1) return null;
+    const [removido] = data.bloqueios.splice(index, 1);
+    this.store.save();
+    return removido;
+  }
+}
 
-    const result = await apiRequest(endpoint);
+const agendaProfissionais = new AgendaProfissionalStore();
 
-    if (!result.success) {
-      return { success: false, agendamentos: [], error: result.error };
+// Remove o intervalo [inicio, fim) dos turnos, dividindo o turno se necessário
+function subtrairIntervalo(turnos, inicio, fim) {
+  const resultado = [];
+  for (const [turnoInicio, turnoFim] of turnos) {
+    const ti = paraMinutos(turnoInicio);
+    const tf = paraMinutos(turnoFim);
+    if (fim <= ti || inicio >= tf) {
+      resultado.push([turnoInicio, turnoFim]);
+      continue;
     }
+    if (inicio > ti) resultado.push([turnoInicio, minutosParaHorario(inicio)]);
+    if (fim < tf) resultado.push([minutosParaHorario(fim), turnoFim]);
+  }
+  return resultado;
+}
 
-    const agendamentos = Array.isArray(result.data) ? result.data : [];
+/**
+ * Turnos de trabalho de uma data (e opcionalmente de um profissional).
+ * Retorna { aberto, turnos: [{ inicio, fim }], motivo }.
+ */
+function obterExpediente(data, veterinario_id = null) {
+  const agenda = carregarAgenda();
+  const diaSemana = diaDaSemana(data);
+  
+  let turnos;
+  let motivo = null;
+  
+  const excecao = agenda.excecoes[data];
+  const feriado = obterFeriado(data, agenda);
+  
+  if (excecao) {
+    turnos = excecao.turnos || [];
+    motivo = excecao.motivo || null;
+  } else if (feriado) {
+    turnos = [];
+    motivo = `Feriado: ${feriado}`;
+  } else {
+    const semanaProfissional = veterinario_id ? agendaProfissionais.semanaDe(veterinario_id) : null;
+    turnos = semanaProfissional?.[diaSemana] ?? agenda.semana[diaSemana] ?? [];
+    if (turnos.length === 0) {
+      motivo = semanaProfissional?.[diaSemana] ? 'Profissional não atende neste dia' : `Fechado aos ${DIAS_SEMANA[diaSemana]}s`;
+    }
+  }
+  
+  // Férias e bloqueios do profissional
+  const bloqueios = veterinario_id ? agendaProfissionais.bloqueiosEm(veterinario_id, data) : [];
+  for (const bloqueio of bloqueios) {
+    if (turnos.length === 0) break;
+    turnos = bloqueio.hora_inicio
+      ? subtrairIntervalo(turnos, paraMinutos(bloqueio.hora_inicio), paraMinutos(bloqueio.hora_fim))
+      : [];
+    if (turnos.length === 0) {
+      motivo = `Profissional indisponível: ${bloqueio.motivo}`;
+    }
+  }
+  
+  return {
+    data,
+    dia_semana: DIAS_SEMANA[diaSemana],
+    aberto: turnos.length > 0,
+    turnos: turnos.map(([inicio, fim]) => ({ inicio, fim })),
+    motivo,
+    ...(bloqueios.length > 0 ? { bloqueios: bloqueios.map(b => ({ id: b.id, tipo: b.tipo, motivo: b.motivo, hora_inicio: b.hora_inicio, hora_fim: b.hora_fim })) } : {})
+  };
+}
 
-    // Ordenar por data
-    agendamentos.sort((a, b) => new Date(a.data_hora) - new Date(b.data_hora));
+// Verifica se o atendimento inteiro (com o intervalo de limpeza, se houver) cabe em um dos turnos do dia
+function verificarExpediente(dataHora, duracaoMinutos, veterinario_id = null) {
+  const [data, hora] = dataHora.split(' ');
+  const expediente = obterExpediente(data, veterinario_id);
+  
+  if (!expediente.aberto) {
+    return { dentro: false, motivo: expediente.motivo, expediente };
+  }
+  
+  const inicio = paraMinutos(hora);
+  const dentro = cabeEmTurno(expediente.turnos, inicio, inicio + duracaoMinutos);
+  
+  return {
+    dentro,
+    motivo: dentro ? null : `Fora do horário de atendimento (${expediente.turnos.map(t => `${t.inicio}-${t.fim}`).join(', ')})`,
+    expediente
+  };
+}
 
-    // Limitar resultados se solicitado
-    const agendamentosLimitados = limite ? agendamentos.slice(0, limite) : agendamentos;
+// ==================== MOTOR DE HORÁRIOS ====================
 
-    const response = {
-      success: true,
-      agendamentos: agendamentosLimitados,
-      total: agendamentosLimitados.length
-    };
+/**
+ * Grade de horários, intervalos de limpeza e conflitos ficam em
+ * src/agenda/motor.js (funções puras, cobertas por test/). Aqui o motor é
+ * ligado à configuração da clínica (agenda.json) e aos status de
+ * agendamento que liberam o horário.
+ */
 
-    cacheInstances.agendamentos.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
-    return response;
+function intervaloServicoClinica(servico) {
+  return intervaloDoServico(servico, carregarAgenda().intervalos_servico);
+}
 
-  } catch (error) {
-    log('TOOL', 'Erro ao listar próximos agendamentos:', error.message, LogLevel.ERROR);
-    return { success: false, agendamentos: [], error: error.message };
-  }
+function ocupacaoAgenda(agendamentos, data, opcoes = {}) {
+  return intervalosOcupados(agendamentos, data, {
+    intervalosServico: carregarAgenda().intervalos_servico,
+    statusLiberados: STATUS_AGENDAMENTO_LIBERADOS,
+    ...opcoes
+  });
 }
 
-async function listarHorariosDisponiveisProfissional({
-  veterinario_id,
-  data,
-  duracao_minutos = 30,
-  limite = 10
-}) {
-  log('TOOL', 'listar_horarios_disponiveis_profissional', { veterinario_id, data });
-  try {
-    if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
-    if (!data) throw new Error('data é obrigatória (formato YYYY-MM-DD)');
+// ==================== RECURSOS FÍSICOS DA CLÍNICA ====================
 
-    /**
-     * LÓGICA DE HORÁRIOS DISPONÍVEIS:
-     *
-     * 1. Busca todos os agendamentos do veterinário na data especificada
-     * 2. Define horário de funcionamento: 08:00 - 18:00
-     * 3. Gera slots de tempo baseado na duração (padrão 30min)
-     * 4. Remove slots conflitantes com agendamentos existentes
-     * 5. Retorna lista compacta de horários livres
-     */
+/**
+ * Salas e equipamentos compartilhados entre os profissionais (DATA_DIR/recursos.json):
+ * - recursos: { "<recurso_id>": { nome, tipo, quantidade, ativo } }
+ * - servicos: { "<servico_id>": ["<recurso_id>", ...] } vínculo explícito por serviço
+ *
+ * Serviços sem vínculo usam REGRAS_RECURSOS pelo nome/tipo. Um horário só está
+ * livre se cada recurso exigido tiver unidade sobrando naquele intervalo,
+ * somando os agendamentos de todos os profissionais. Recurso inativo
+ * (ex: raio-x em manutenção) bloqueia os serviços que dependem dele.
+ */
 
-    const dataFormatada = Validators.data(data);
-    const endpoint = `/agendamentos?veterinario_id=${veterinario_id}&data=${dataFormatada}`;
+const RECURSOS_PADRAO = {
+  recursos: {
+    sala_cirurgica: { nome: 'Sala cirúrgica', tipo: 'sala', quantidade: 1, ativo: true },
+    banheira: { nome: 'Banheira', tipo: 'banho_tosa', quantidade: 1, ativo: true },
+    secador: { nome: 'Secador', tipo: 'banho_tosa', quantidade: 1, ativo: true },
+    raio_x: { nome: 'Aparelho de raio-x', tipo: 'equipamento', quantidade: 1, ativo: true }
+  },
+  servicos: {}
+};
 
-    const result = await apiRequest(endpoint);
+// Recursos exigidos por palavra-chave no nome/tipo do serviço (sem acento, minúsculo)
+const REGRAS_RECURSOS = [
+  { termos: ['cirurgia', 'castracao'], recursos: ['sala_cirurgica'] },
+  { termos: ['banho', 'tosa'], recursos: ['banheira', 'secador'] },
+  { termos: ['raio-x', 'raio x', 'radiografia'], recursos: ['raio_x'] }
+];
 
-    if (!result.success) {
-      return { success: false, horarios: [], error: result.error };
+class RecursoStore {
+  constructor(filePath = CONFIG.RESOURCES_FILE || join(CONFIG.DATA_DIR, 'recursos.json')) {
+    this.store = new JsonFileStore(filePath, RECURSOS_PADRAO);
+  }
+  
+  listar() {
+    return this.store.load().recursos;
+  }
+  
+  salvar(recurso_id, dados) {
+    const data = this.store.load();
+    data.recursos[recurso_id] = { ...data.recursos[recurso_id], ...dados, atualizado_em: new Date().toISOString() };
+    this.store.save();
+    return data.recursos[recurso_id];
+  }
+  
+  vinculos() {
+    return this.store.load().servicos;
+  }
+  
+  vinculoServico(servico_id) {
+    return this.store.load().servicos[String(servico_id)] ?? null;
+  }
+  
+  vincularServico(servico_id, recursos) {
+    const data = this.store.load();
+    if (recursos === null) {
+      delete data.servicos[String(servico_id)];
+    } else {
+      data.servicos[String(servico_id)] = recursos;
     }
+    this.store.save();
+  }
+}
 
-    const agendamentos = Array.isArray(result.data) ? result.data : [];
-
-    // Definir horários de funcionamento
-    const INICIO_EXPEDIENTE = 8; // 08:00
-    const FIM_EXPEDIENTE = 18;   // 18:00
-    const INTERVALO_ALMOCO_INICIO = 12; // 12:00
-    const INTERVALO_ALMOCO_FIM = 13;    // 13:00
-
-    // Gerar todos os slots possíveis
-    const slotsDisponiveis = [];
-    const duracaoHoras = duracao_minutos / 60;
-
-    for (let hora = INICIO_EXPEDIENTE; hora < FIM_EXPEDIENTE; hora += duracaoHoras) {
-      // Pular intervalo de almoço
-      if (hora >= INTERVALO_ALMOCO_INICIO && hora < INTERVALO_ALMOCO_FIM) {
-        continue;
-      }
+const recursosClinica = new RecursoStore();
 
-      const horarioFormatado = `${String(Math.floor(hora)).padStart(2, '0')}:${String((hora % 1) * 60).padStart(2, '0')}`;
-      const dataHoraSlot = `${dataFormatada} ${horarioFormatado}:00`;
+// Recursos exigidos por um serviço (ou agendamento): vínculo explícito > regras por nome/tipo
+function recursosDoServico({ id, nome, tipo } = {}) {
+  if (id) {
+    const vinculo = recursosClinica.vinculoServico(id);
+    if (vinculo) return vinculo;
+  }
+  
+  const texto = `${nome || ''} ${tipo || ''}`.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const recursos = REGRAS_RECURSOS
+    .filter(regra => regra.termos.some(termo => texto.includes(termo)))
+    .flatMap(regra => regra.recursos);
+  return [...new Set(recursos)];
+}
 
-      // Verificar se há conflito com algum agendamento
-      const temConflito = agendamentos.some(agend => {
-        const agendInicio = new Date(agend.data_hora);
-        const agendFim = new Date(agendInicio.getTime() + (agend.duracao_minutos || 30) * 60000);
-        const slotInicio = new Date(dataHoraSlot);
-        const slotFim = new Date(slotInicio.getTime() + duracao_minutos * 60000);
+// Nome do serviço buscado no cadastro quando o agendamento só traz servico_id
+async function mapaNomesServicos() {
+  const result = await listarServicosAtivos();
+  const servicos = Array.isArray(result.servicos) ? result.servicos : [];
+  return new Map(servicos.map(s => [String(s.id), s.nome]));
+}
 
-        // Verifica sobreposição
-        return (slotInicio < agendFim && slotFim > agendInicio);
-      });
+// Requisitos de agenda de um agendamento: recursos físicos e intervalo de limpeza
+async function resolverServicoAgendamento({ servico_id, servico_nome, tipo }) {
+  if (servico_id && !servico_nome) {
+    servico_nome = (await mapaNomesServicos()).get(String(servico_id));
+  }
+  const servico = { id: servico_id, nome: servico_nome, tipo };
+  return {
+    nome: servico_nome || null,
+    recursos: recursosDoServico(servico),
+    intervalo_minutos: intervaloServicoClinica(servico)
+  };
+}
 
-      if (!temConflito) {
-        slotsDisponiveis.push({
-          horario: horarioFormatado,
-          data_hora_completa: dataHoraSlot,
-          disponivel: true
-        });
-      }
+/**
+ * Ocupação dos recursos em um dia: agendamentos ativos de todos os
+ * profissionais que usam algum recurso, em minutos do dia.
+ * agendamento_id é ignorado (remarcação do próprio agendamento).
+ */
+async function carregarOcupacaoRecursos(data, agendamento_id = null) {
+  const result = await apiRequest(`/agendamentos?data=${data}`);
+  if (!result.success) {
+    throw new Error(result.error || 'Não foi possível consultar a ocupação dos recursos');
+  }
+  
+  const agendamentos = Array.isArray(result.data) ? result.data : (result.data?.data || []);
+  // A sala fica ocupada também durante a limpeza após o atendimento
+  return ocupacaoAgenda(agendamentos, data, {
+    nomesServicos: await mapaNomesServicos(),
+    ignorarAgendamentoId: agendamento_id
+  })
+    .map(ocupado => ({ ...ocupado, recursos: recursosDoServico(ocupado.servico) }))
+    .filter(ocupacao => ocupacao.recursos.length > 0);
+}
 
-      // Limitar resultados para não sobrecarregar
-      if (slotsDisponiveis.length >= limite) {
-        break;
-      }
+// Primeiro recurso sem unidade livre em [inicio, fim), ou null se todos estão livres
+function conflitoRecursos(ocupacao, recursos, inicio, fim) {
+  const cadastro = recursosClinica.listar();
+  
+  for (const recurso_id of recursos) {
+    const recurso = cadastro[recurso_id];
+    if (!recurso || recurso.ativo === false) {
+      return {
+        recurso_id,
+        nome: recurso?.nome || recurso_id,
+        motivo: `${recurso?.nome || recurso_id} indisponível (${recurso ? 'inativo' : 'não cadastrado'})`
+      };
+    }
+    
+    const emUso = ocupacao.filter(o => o.recursos.includes(recurso_id) && o.inicio < fim && o.fim > inicio);
+    if (emUso.length >= (parseInt(recurso.quantidade) || 1)) {
+      return {
+        recurso_id,
+        nome: recurso.nome,
+        agendamentos: emUso.map(o => o.agendamento_id),
+        motivo: `${recurso.nome} em uso neste horário`
+      };
     }
+  }
+  
+  return null;
+}
 
-    return {
-      success: true,
-      veterinario_id: parseInt(veterinario_id),
-      data: dataFormatada,
-      horarios: slotsDisponiveis,
-      total: slotsDisponiveis.length,
-      duracao_minutos: parseInt(duracao_minutos),
-      mensagem: slotsDisponiveis.length > 0
-        ? `${slotsDisponiveis.length} horário(s) disponível(is)`
-        : 'Nenhum horário disponível para esta data'
-    };
+// Valida os recursos para um horário (YYYY-MM-DD HH:MM:SS); null se livres
+async function verificarRecursosHorario({ data_hora, duracao_minutos, intervalo_minutos = 0, recursos = [], agendamento_id = null }) {
+  if (recursos.length === 0) return null;
+  const data = data_hora.split(' ')[0];
+  const ocupacao = await carregarOcupacaoRecursos(data, agendamento_id);
+  const inicio = minutoDoDia(data_hora);
+  return conflitoRecursos(ocupacao, recursos, inicio, inicio + (parseInt(duracao_minutos) || 30) + intervalo_minutos);
+}
 
-  } catch (error) {
-    log('TOOL', 'Erro ao listar horários disponíveis:', error.message, LogLevel.ERROR);
-    return { success: false, horarios: [], error: error.message };
+/**
+ * Conflito com a agenda do profissional considerando os intervalos de limpeza,
+ * que a validação da API não conhece. Retorna o agendamento em conflito ou null.
+ */
+async function verificarIntervaloAgenda({ veterinario_id, data_hora, duracao_minutos, intervalo_minutos = 0, agendamento_id = null }) {
+  const data = data_hora.split(' ')[0];
+  const result = await apiRequest(`/agendamentos?veterinario_id=${veterinario_id}&data=${data}`);
+  if (!result.success) {
+    throw new Error(result.error || 'Não foi possível consultar a agenda do profissional');
   }
+  
+  const agendamentos = Array.isArray(result.data) ? result.data : (result.data?.data || []);
+  const ocupados = ocupacaoAgenda(agendamentos, data, {
+    nomesServicos: await mapaNomesServicos(),
+    ignorarAgendamentoId: agendamento_id
+  });
+  const inicio = minutoDoDia(data_hora);
+  const [conflito] = sobrepostos(ocupados, inicio, inicio + (parseInt(duracao_minutos) || 30) + intervalo_minutos);
+  
+  return conflito
+    ? {
+        agendamento_id: conflito.agendamento_id,
+        inicio: minutosParaHorario(conflito.inicio),
+        fim_com_intervalo: minutosParaHorario(conflito.fim),
+        motivo: `Conflito com agendamento das ${minutosParaHorario(conflito.inicio)} (agenda ocupada até ${minutosParaHorario(conflito.fim)} com o intervalo de limpeza)`
+      }
+    : null;
 }
 
-async function buscarPlanosPersonalizados({ cliente_id }) {
-  log('TOOL', 'buscar_planos_personalizados', { cliente_id });
+// ==================== FERRAMENTAS - AGENDAMENTOS ====================
+
+async function listarAgendamentos({ filtros = {} }) {
+  log('TOOL', 'listar_agendamentos', filtros);
   try {
-    if (!cliente_id) throw new Error('cliente_id é obrigatório');
+    let endpoint = '/agendamentos';
+    const params = [];
+    
+    if (filtros.cliente_id) params.push(`cliente_id=${filtros.cliente_id}`);
+    if (filtros.pet_id) params.push(`pet_id=${filtros.pet_id}`);
+    if (filtros.status) params.push(`status=${encodeURIComponent(filtros.status)}`);
+    if (filtros.data) params.push(`data=${filtros.data}`);
+    if (filtros.data_inicio) params.push(`data_inicio=${filtros.data_inicio}`);
+    if (filtros.data_fim) params.push(`data_fim=${filtros.data_fim}`);
+    
+    if (params.length > 0) {
+      endpoint += '?' + params.join('&');
+    }
+    
+    const result = await apiRequest(endpoint);
+    
+    if (!result.success) {
+      return { success: false, agendamentos: [], error: result.error };
+    }
+    
+    return {
+      success: true,
+      agendamentos: result.data,
+      total: result.data.length
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao listar agendamentos:', error.message, LogLevel.ERROR);
+    return { success: false, agendamentos: [], error: error.message };
+  }
+}
 
-    /**
-     * LÓGICA DE PLANOS PERSONALIZADOS:
-     *
-     * 1. Busca todos os pets do cliente
-     * 2. Extrai raças dos pets
-     * 3. Busca planos disponíveis
-     * 4. Filtra planos que contenham o nome da raça na descrição
-     * 5. Retorna planos personalizados + planos genéricos
-     * 6. Formata resposta de forma compacta (< 2000 chars)
-     */
+async function buscarAgendamentoPorId({ agendamento_id }) {
+  log('TOOL', `buscar_agendamento_por_id: ${agendamento_id}`);
+  try {
+    const result = await apiRequest(`/agendamentos/${agendamento_id}`);
+    
+    if (!result.success) {
+      return { success: false, found: false, error: result.error };
+    }
+    
+    return {
+      success: true,
+      found: true,
+      agendamento: result.data
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao buscar agendamento por ID:', error.message, LogLevel.ERROR);
+    return { success: false, found: false, error: error.message };
+  }
+}
 
-    // Buscar pets do cliente
-    const petsResult = await listarPetsCliente({ cliente_id });
+/**
+ * Bloqueia agendamentos eletivos de clientes com débito acima de
+ * CONFIG.MAX_DEBT_ALLOWED. Emergências nunca são bloqueadas. A equipe pode
+ * liberar com autorizar_com_debito; o chatbot não.
+ * Retorna null quando o agendamento pode seguir.
+ */
+async function verificarDebitoAgendamento({ cliente_id, tipo, autorizar_com_debito = false }) {
+  if (Validators.tipoAgendamento(tipo) === 'Emergência') return null;
+  
+  const contasResult = await listarContasReceber({ filtros: { cliente_id } });
+  if (!contasResult.success) {
+    // Indisponibilidade do financeiro não deve travar a agenda
+    log('TOOL', `Débito do cliente ${cliente_id} não verificado:`, contasResult.error, LogLevel.WARN);
+    return null;
+  }
+  
+  const debito = resumirDebitoCliente(contasResult.contas);
+  if (!debito.acima_do_limite) return null;
+  
+  const role = requestContext.getStore()?.role;
+  if (autorizar_com_debito && role !== 'chatbot') {
+    log('TOOL', `Agendamento autorizado com débito: cliente ${cliente_id}`, { debito: debito.valor_em_aberto, role }, LogLevel.WARN);
+    return null;
+  }
+  
+  const contasEmAberto = contasResult.contas
+    .filter(conta => !['Paga', 'Cancelada'].includes(conta.status))
+    .map(conta => ({
+      id: conta.id,
+      descricao: conta.descricao,
+      vencimento: conta.vencimento,
+      saldo: Number(((parseFloat(conta.valor) || 0) - (parseFloat(conta.valor_pago) || 0)).toFixed(2))
+    }))
+    .filter(conta => conta.saldo > 0);
+  
+  return {
+    success: false,
+    error: `Cliente com débito em aberto de R$ ${debito.valor_em_aberto.toFixed(2)} (limite R$ ${debito.limite.toFixed(2)}). Agendamento requer regularização ou autorização da recepção.`,
+    debito,
+    contas_em_aberto: contasEmAberto,
+    sugestao_pagamento: `Regularize R$ ${debito.valor_em_aberto.toFixed(2)} (PIX, cartão ou na recepção) para liberar o agendamento.`,
+    requer_aprovacao: true
+  };
+}
 
-    if (!petsResult.success || !petsResult.pets || petsResult.pets.length === 0) {
+async function criarAgendamento({ dados }, { debitoVerificado = false } = {}) {
+  log('TOOL', 'criar_agendamento:', dados);
+  try {
+    if (!dados.cliente_id) throw new Error('cliente_id é obrigatório');
+    if (!dados.pet_id) throw new Error('pet_id é obrigatório');
+    
+    // Ajustar o tipo se vier como nome de serviço
+    const tipoAjustado = Validators.tipoAgendamento(dados.tipo);
+    
+    if (!debitoVerificado) {
+      const bloqueio = await verificarDebitoAgendamento({
+        cliente_id: dados.cliente_id,
+        tipo: tipoAjustado,
+        autorizar_com_debito: dados.autorizar_com_debito === true
+      });
+      if (bloqueio) return bloqueio;
+    }
+    
+    const payload = {
+      cliente_id: parseInt(dados.cliente_id),
+      pet_id: parseInt(dados.pet_id),
+      servico_id: dados.servico_id ? parseInt(dados.servico_id) : null,
+      veterinario_id: dados.veterinario_id ? parseInt(dados.veterinario_id) : null,
+      data_hora: Validators.dataHora(dados.data_hora),
+      tipo: tipoAjustado,
+      duracao_minutos: parseInt(dados.duracao_minutos) || 30,
+      valor: dados.valor ? parseFloat(dados.valor) : null,
+      observacoes: dados.observacoes || '',
+      status: dados.status || 'Agendado'
+    };
+    
+    const servico = await resolverServicoAgendamento({
+      servico_id: payload.servico_id,
+      servico_nome: dados.servico_nome,
+      tipo: dados.tipo
+    });
+    
+    // Expediente (dias da semana, feriados, exceções e agenda do profissional)
+    const expediente = verificarExpediente(
+      payload.data_hora,
+      payload.duracao_minutos + servico.intervalo_minutos,
+      payload.veterinario_id
+    );
+    if (!expediente.dentro) {
       return {
         success: false,
-        planos_personalizados: [],
-        planos_genericos: [],
-        mensagem: 'Cliente não possui pets cadastrados',
-        sugestao: 'Cadastre primeiro o pet para ver planos personalizados'
+        fora_do_expediente: true,
+        error: `Horário não disponível: ${expediente.motivo}.`,
+        turnos: expediente.expediente.turnos
       };
     }
-
-    // Extrair raças dos pets
-    const racas = petsResult.pets
-      .filter(pet => pet.raca && pet.raca.trim() !== '')
-      .map(pet => ({
-        pet_id: pet.id,
-        pet_nome: pet.nome,
-        especie: pet.especie,
-        raca: pet.raca
-      }));
-
-    // Buscar todos os planos
-    const planosResult = await listarPlanos();
-
-    if (!planosResult.success || !planosResult.planos) {
+    
+    // Validar conflito de horário se veterinário especificado
+    if (payload.veterinario_id) {
+      const conflito = await apiRequest('/agendamentos/validar-conflito', 'POST', {
+        data_hora: payload.data_hora,
+        veterinario_id: payload.veterinario_id,
+        duracao_minutos: payload.duracao_minutos
+      });
+      
+      if (conflito.success && !conflito.data.disponivel) {
+        return { 
+          success: false, 
+          error: 'Horário não disponível. Conflito com outro agendamento.' 
+        };
+      }
+      
+      const conflitoIntervalo = await verificarIntervaloAgenda({
+        veterinario_id: payload.veterinario_id,
+        data_hora: payload.data_hora,
+        duracao_minutos: payload.duracao_minutos,
+        intervalo_minutos: servico.intervalo_minutos
+      });
+      if (conflitoIntervalo) {
+        return {
+          success: false,
+          error: `Horário não disponível. ${conflitoIntervalo.motivo}.`,
+          conflito: conflitoIntervalo
+        };
+      }
+    }
+    
+    // Salas e equipamentos são compartilhados: valem para qualquer profissional
+    const conflitoRecurso = await verificarRecursosHorario({
+      data_hora: payload.data_hora,
+      duracao_minutos: payload.duracao_minutos,
+      intervalo_minutos: servico.intervalo_minutos,
+      recursos: servico.recursos
+    });
+    if (conflitoRecurso) {
       return {
         success: false,
-        planos_personalizados: [],
-        planos_genericos: [],
-        error: planosResult.error || 'Erro ao buscar planos'
+        error: `Horário não disponível: ${conflitoRecurso.motivo}.`,
+        conflito_recurso: conflitoRecurso
       };
     }
+    
+    const result = await apiRequest('/agendamentos', 'POST', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.agendamentos.deletePattern(/agendamento/);
+    
+    if (result.data?.id) {
+      notifyResourceUpdated(`vetcare://agendamentos/${result.data.id}`);
+    }
+    
+    return {
+      success: true,
+      agendamento: result.data,
+      message: 'Agendamento criado com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao criar agendamento:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
 
-    const todosPlanos = planosResult.planos;
-
-    // Separar planos personalizados e genéricos
-    const planosPersonalizados = [];
-    const planosGenericos = [];
+async function atualizarStatusAgendamento({ agendamento_id, status }) {
+  log('TOOL', `atualizar_status_agendamento: ${agendamento_id} -> ${status}`);
+  try {
+    const statusValidado = Validators.statusAgendamento(status);
 
-    todosPlanos.forEach(plano => {
-      const descricao = (plano.descricao || plano.nome || '').toLowerCase();
-      const nomePlano = (plano.nome || '').toLowerCase();
+    const result = await apiRequest(`/agendamentos/${agendamento_id}/status`, 'PUT', {
+      status: statusValidado
+    });
 
-      // Verificar se o plano menciona alguma raça dos pets
-      const racaEncontrada = racas.find(r => {
-        const racaNormalizada = r.raca.toLowerCase();
-        return descricao.includes(racaNormalizada) || nomePlano.includes(racaNormalizada);
-      });
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
 
-      if (racaEncontrada) {
-        planosPersonalizados.push({
-          ...plano,
-          recomendado_para: {
-            pet_nome: racaEncontrada.pet_nome,
-            raca: racaEncontrada.raca,
-            especie: racaEncontrada.especie
-          }
-        });
-      } else {
-        // Planos genéricos (sem menção de raça específica)
-        const ehGenerico = !/(raça|breed|cão|gato|cachorro)/i.test(nomePlano);
-        if (ehGenerico || planosGenericos.length < 3) {
-          planosGenericos.push(plano);
-        }
-      }
-    });
+    cacheInstances.agendamentos.deletePattern(/agendamento/);
+    notifyResourceUpdated(`vetcare://agendamentos/${agendamento_id}`);
 
     return {
       success: true,
-      pets_do_cliente: petsResult.pets.map(p => ({
-        id: p.id,
-        nome: p.nome,
-        especie: p.especie,
-        raca: p.raca
-      })),
-      planos_personalizados: planosPersonalizados,
-      planos_genericos: planosGenericos.slice(0, 5), // Limitar a 5 para não estourar limite
-      tem_planos_especificos: planosPersonalizados.length > 0,
-      mensagem: planosPersonalizados.length > 0
-        ? `✨ Encontramos ${planosPersonalizados.length} plano(s) especial(is) para a raça dos seus pets!`
-        : '💡 Temos planos genéricos disponíveis. Descontos especiais por raça - consulte!',
-      total_personalizados: planosPersonalizados.length,
-      total_genericos: planosGenericos.length
+      message: `Status atualizado para: ${statusValidado}`
     };
 
   } catch (error) {
-    log('TOOL', 'Erro ao buscar planos personalizados:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao atualizar status:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// Status a partir dos quais o agendamento não pode mais ser cancelado ou remarcado
+// Cancelados e faltas não ocupam mais a agenda nem os recursos da clínica
+const STATUS_AGENDAMENTO_LIBERADOS = ['Cancelado', 'Faltou'];
+const STATUS_AGENDAMENTO_FINALIZADOS = ['Em Atendimento', 'Concluído', ...STATUS_AGENDAMENTO_LIBERADOS];
+
+/**
+ * Política de antecedência mínima para cancelar ou remarcar (ambos liberam o
+ * horário); só a equipe (não o chatbot) pode ignorá-la. Retorna `bloqueio`
+ * com a resposta de erro quando a operação deve ser recusada.
+ */
+function verificarAntecedencia(agendamento, ignorar_politica, operacao) {
+  const horasRestantes = (new Date(String(agendamento.data_hora).replace(' ', 'T')) - Date.now()) / 3600000;
+  const minimo = CONFIG.CANCELLATION_MIN_NOTICE_HOURS;
+  
+  if (horasRestantes >= minimo) {
+    return { foraDaPolitica: false };
+  }
+  
+  const role = requestContext.getStore()?.role;
+  if (!ignorar_politica || role === 'chatbot') {
     return {
-      success: false,
-      planos_personalizados: [],
-      planos_genericos: [],
-      error: error.message
+      foraDaPolitica: true,
+      bloqueio: {
+        success: false,
+        error: `${operacao} exige ${minimo}h de antecedência (faltam ${Math.max(0, horasRestantes).toFixed(1)}h). Encaminhe para a recepção.`,
+        politica: { antecedencia_minima_horas: minimo, horas_restantes: Number(horasRestantes.toFixed(1)) },
+        requer_aprovacao: true
+      }
     };
   }
+  log('TOOL', `Política de antecedência ignorada (${operacao}): ${agendamento.id}`, { role }, LogLevel.WARN);
+  return { foraDaPolitica: true };
 }
 
-async function formatarRespostaCompacta({ dados, tipo, limite_caracteres = 1800 }) {
-  log('TOOL', 'formatar_resposta_compacta', { tipo });
+async function cancelarAgendamento({ agendamento_id, motivo, ignorar_politica = false }) {
+  log('TOOL', `cancelar_agendamento: ${agendamento_id}`, { motivo, ignorar_politica });
   try {
-    /**
-     * FORMATAÇÃO COMPACTA PARA CHATBOT (Limite: 2000 chars)
-     *
-     * Tipos suportados:
-     * - "horarios": Lista de horários disponíveis
-     * - "planos": Lista de planos
-     * - "agendamentos": Lista de agendamentos
-     * - "pets": Lista de pets
-     */
+    if (!agendamento_id) throw new Error('agendamento_id é obrigatório');
+    if (!motivo || !motivo.trim()) throw new Error('motivo é obrigatório');
 
-    let textoFormatado = '';
+    const atual = await buscarAgendamentoPorId({ agendamento_id });
+    if (!atual.success) {
+      return { success: false, error: atual.error || 'Agendamento não encontrado' };
+    }
 
-    switch (tipo) {
-      case 'horarios':
-        if (!dados.horarios || dados.horarios.length === 0) {
-          textoFormatado = '❌ Nenhum horário disponível nesta data.';
-        } else {
-          // Agrupar horários por período
-          const manha = dados.horarios.filter(h => parseInt(h.horario.split(':')[0]) < 12);
-          const tarde = dados.horarios.filter(h => parseInt(h.horario.split(':')[0]) >= 13);
+    const agendamento = atual.agendamento;
+    if (STATUS_AGENDAMENTO_FINALIZADOS.includes(agendamento.status)) {
+      return {
+        success: false,
+        error: `Agendamento com status "${agendamento.status}" não pode ser cancelado`
+      };
+    }
 
-          textoFormatado = `📅 Horários disponíveis para ${dados.data}:\n\n`;
+    const antecedencia = verificarAntecedencia(agendamento, ignorar_politica, 'Cancelamento');
+    if (antecedencia.bloqueio) {
+      return antecedencia.bloqueio;
+    }
 
-          if (manha.length > 0) {
-            textoFormatado += `🌅 Manhã: ${manha.map(h => h.horario).join(', ')}\n`;
-          }
+    const result = await apiRequest(`/agendamentos/${agendamento_id}/status`, 'PUT', {
+      status: 'Cancelado',
+      motivo: motivo.trim()
+    });
 
-          if (tarde.length > 0) {
-            textoFormatado += `🌇 Tarde: ${tarde.map(h => h.horario).join(', ')}\n`;
-          }
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
 
-          textoFormatado += `\n✅ Total: ${dados.total} opções`;
-        }
-        break;
+    cacheInstances.agendamentos.deletePattern(/agendamento/);
+    notifyResourceUpdated(`vetcare://agendamentos/${agendamento_id}`);
 
-      case 'planos':
-        if (!dados.planos_personalizados || dados.planos_personalizados.length === 0) {
-          if (dados.planos_genericos && dados.planos_genericos.length > 0) {
-            textoFormatado = `💰 Planos disponíveis:\n\n`;
-            dados.planos_genericos.slice(0, 5).forEach(plano => {
-              textoFormatado += `• ${plano.nome}: R$ ${plano.preco || plano.valor || '?'}\n`;
-            });
-            textoFormatado += `\n💡 Temos descontos especiais por raça! Qual a raça do seu pet?`;
-          } else {
-            textoFormatado = '❌ Nenhum plano disponível no momento.';
-          }
-        } else {
-          textoFormatado = `✨ Planos especiais para seus pets:\n\n`;
-          dados.planos_personalizados.slice(0, 5).forEach(plano => {
-            textoFormatado += `🐾 ${plano.nome} (${plano.recomendado_para.raca}): R$ ${plano.preco || plano.valor || '?'}\n`;
-          });
+    return {
+      success: true,
+      agendamento_id: parseInt(agendamento_id),
+      data_hora: agendamento.data_hora,
+      motivo: motivo.trim(),
+      fora_da_politica: antecedencia.foraDaPolitica,
+      message: 'Agendamento cancelado com sucesso'
+    };
 
-          if (dados.planos_genericos && dados.planos_genericos.length > 0) {
-            textoFormatado += `\n📋 Outros planos:\n`;
-            dados.planos_genericos.slice(0, 3).forEach(plano => {
-              textoFormatado += `• ${plano.nome}: R$ ${plano.preco || plano.valor || '?'}\n`;
-            });
-          }
-        }
-        break;
+  } catch (error) {
+    log('TOOL', 'Erro ao cancelar agendamento:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
 
-      case 'agendamentos':
-        if (!dados.agendamentos || dados.agendamentos.length === 0) {
-          textoFormatado = '📅 Nenhum agendamento futuro.';
-        } else {
-          textoFormatado = `📅 Seus agendamentos:\n\n`;
-          dados.agendamentos.slice(0, 5).forEach(ag => {
-            const data = new Date(ag.data_hora);
-            const dataStr = data.toLocaleDateString('pt-BR');
-            const horaStr = data.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
-            textoFormatado += `• ${dataStr} às ${horaStr} - ${ag.pet_nome || 'Pet'} (${ag.servico || 'Consulta'})\n`;
-          });
-        }
-        break;
+async function remarcarAgendamento({ agendamento_id, nova_data_hora, veterinario_id, manter_profissional = true, motivo, ignorar_politica = false }) {
+  log('TOOL', `remarcar_agendamento: ${agendamento_id} -> ${nova_data_hora}`, { veterinario_id, manter_profissional, ignorar_politica });
+  try {
+    if (!agendamento_id) throw new Error('agendamento_id é obrigatório');
+    const dataHora = Validators.dataHora(nova_data_hora);
 
-      case 'pets':
-        if (!dados.pets || dados.pets.length === 0) {
-          textoFormatado = '🐾 Nenhum pet cadastrado.';
-        } else {
-          textoFormatado = `🐾 Seus pets:\n\n`;
-          dados.pets.forEach(pet => {
-            const icone = pet.especie && pet.especie.toLowerCase().includes('gato') ? '🐱' :
-                         pet.especie && pet.especie.toLowerCase().includes('cão') ? '🐶' :
-                         pet.especie && pet.especie.toLowerCase().includes('coelho') ? '🐇' : '🐾';
-            textoFormatado += `${icone} ${pet.nome} (${pet.especie || '?'}, ${pet.raca || 'SRD'})\n`;
-          });
+    if (new Date(dataHora.replace(' ', 'T')) <= new Date()) {
+      throw new Error('A nova data/hora deve ser no futuro');
+    }
+
+    const atual = await buscarAgendamentoPorId({ agendamento_id });
+    if (!atual.success) {
+      return { success: false, error: atual.error || 'Agendamento não encontrado' };
+    }
+
+    const agendamento = atual.agendamento;
+    if (STATUS_AGENDAMENTO_FINALIZADOS.includes(agendamento.status)) {
+      return {
+        success: false,
+        error: `Agendamento com status "${agendamento.status}" não pode ser remarcado`
+      };
+    }
+
+    // Remarcar também libera o horário atual: mesma política do cancelamento
+    const antecedencia = verificarAntecedencia(agendamento, ignorar_politica, 'Remarcação');
+    if (antecedencia.bloqueio) {
+      return antecedencia.bloqueio;
+    }
+
+    const duracao = parseInt(agendamento.duracao_minutos) || 30;
+    const servico = await resolverServicoAgendamento({
+      servico_id: agendamento.servico_id,
+      servico_nome: agendamento.servico_nome || agendamento.servico,
+      tipo: agendamento.tipo
+    });
+
+    // Profissional: informado > atual (se mantido) > sugerido pelas regras da clínica
+    const sugerir = async () => {
+      const sugestao = await sugerirProfissional({
+        tipo_servico: agendamento.tipo,
+        pet_id: agendamento.pet_id,
+        data: nova_data_hora
+      });
+      return sugestao.success ? sugestao.veterinario_id : null;
+    };
+
+    let profissionalId = veterinario_id
+      ? parseInt(veterinario_id)
+      : (manter_profissional && agendamento.veterinario_id ? parseInt(agendamento.veterinario_id) : await sugerir());
+
+    if (!profissionalId) {
+      return {
+        success: false,
+        error: 'Não foi possível definir o profissional. Informe veterinario_id.',
+        sugestao: 'Use listar_veterinarios para ver os profissionais disponíveis.'
+      };
+    }
+
+    let validacao = await validarHorarioDisponivel({
+      data_hora: dataHora,
+      veterinario_id: profissionalId,
+      duracao_minutos: duracao,
+      intervalo_minutos: servico.intervalo_minutos,
+      recursos: servico.recursos,
+      agendamento_id
+    });
+
+    // Profissional atual ocupado: tenta o sugerido, a menos que o profissional tenha sido escolhido
+    if (validacao.success && !validacao.disponivel && !veterinario_id) {
+      const alternativo = await sugerir();
+      if (alternativo && alternativo !== profissionalId) {
+        const validacaoAlternativa = await validarHorarioDisponivel({
+          data_hora: dataHora,
+          veterinario_id: alternativo,
+          duracao_minutos: duracao,
+          intervalo_minutos: servico.intervalo_minutos,
+          recursos: servico.recursos,
+          agendamento_id
+        });
+        if (validacaoAlternativa.success && validacaoAlternativa.disponivel) {
+          profissionalId = alternativo;
+          validacao = validacaoAlternativa;
         }
-        break;
+      }
+    }
 
-      default:
-        textoFormatado = JSON.stringify(dados).substring(0, limite_caracteres);
+    if (!validacao.success) {
+      return { success: false, error: validacao.error };
     }
 
-    // Garantir que não ultrapasse o limite
-    if (textoFormatado.length > limite_caracteres) {
-      textoFormatado = textoFormatado.substring(0, limite_caracteres - 20) + '\n\n[... truncado]';
+    if (!validacao.disponivel) {
+      return {
+        success: false,
+        disponivel: false,
+        error: 'Horário não disponível para remarcação.',
+        conflito: validacao.conflito,
+        conflito_recurso: validacao.conflito_recurso,
+        sugestao: 'Use consultar_horarios_agendamento para ver horários livres.'
+      };
+    }
+
+    const result = await apiRequest(`/agendamentos/${agendamento_id}/data`, 'PUT', {
+      data_hora: dataHora,
+      veterinario_id: profissionalId,
+      ...(motivo ? { motivo } : {})
+    });
+
+    if (!result.success) {
+      return { success: false, error: result.error };
     }
 
+    cacheInstances.agendamentos.deletePattern(/agendamento/);
+    notifyResourceUpdated(`vetcare://agendamentos/${agendamento_id}`);
+
     return {
       success: true,
-      texto: textoFormatado,
-      caracteres: textoFormatado.length,
-      dentro_limite: textoFormatado.length <= limite_caracteres
+      agendamento_id: parseInt(agendamento_id),
+      data_hora_anterior: agendamento.data_hora,
+      nova_data_hora: dataHora,
+      veterinario_id: profissionalId,
+      profissional_alterado: parseInt(agendamento.veterinario_id) !== profissionalId,
+      fora_da_politica: antecedencia.foraDaPolitica,
+      message: `Agendamento remarcado para ${dataHora}`
     };
 
   } catch (error) {
-    log('TOOL', 'Erro ao formatar resposta compacta:', error.message, LogLevel.ERROR);
-    return {
-      success: false,
-      texto: '',
-      error: error.message
-    };
+    log('TOOL', 'Erro ao remarcar agendamento:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
   }
 }
 
-// ==================== FERRAMENTAS - SERVIÇOS ====================
-
-async function listarServicosAtivos() {
-  log('TOOL', 'listar_servicos_ativos');
+async function validarHorarioDisponivel({ data_hora, veterinario_id, duracao_minutos, agendamento_id, servico_id, recursos, intervalo_minutos }) {
+  log('TOOL', 'validar_horario_disponivel', { data_hora, veterinario_id });
   try {
-    const cacheKey = 'servicos_ativos';
-    const cached = cacheInstances.servicos.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, servicos: [], error: cached.error };
-      }
-      log('TOOL', '✓ Serviços encontrados no cache');
-      return cached;
+    if (!data_hora) throw new Error('data_hora é obrigatória');
+    if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
+
+    const payload = {
+      data_hora: Validators.dataHora(data_hora),
+      veterinario_id: parseInt(veterinario_id),
+      duracao_minutos: parseInt(duracao_minutos) || 30
+    };
+
+    // Se estiver remarcando, incluir ID do agendamento
+    if (agendamento_id) {
+      payload.agendamento_id = parseInt(agendamento_id);
     }
-    
-    const result = await apiRequest('/servicos-ativos');
-    
+
+    // Intervalo de limpeza e recursos: informados ou derivados do serviço
+    const servico = servico_id ? await resolverServicoAgendamento({ servico_id }) : null;
+    const intervalo = intervalo_minutos ?? servico?.intervalo_minutos ?? 0;
+
+    // Expediente local (dias da semana, feriados, exceções) antes de consultar a API
+    const expediente = verificarExpediente(payload.data_hora, payload.duracao_minutos + intervalo, payload.veterinario_id);
+    if (!expediente.dentro) {
+      return {
+        success: true,
+        disponivel: false,
+        fora_do_expediente: true,
+        message: expediente.motivo,
+        turnos: expediente.expediente.turnos
+      };
+    }
+
+    const result = await apiRequest('/agendamentos/validar-conflito', 'POST', payload);
+
     if (!result.success) {
-      cacheInstances.servicos.setNegative(cacheKey, result.error);
-      return { success: false, servicos: [], error: result.error };
+      return { success: false, disponivel: false, error: result.error };
     }
-    
-    const response = {
+
+    if (result.data.disponivel === true) {
+      const conflitoIntervalo = await verificarIntervaloAgenda({
+        veterinario_id: payload.veterinario_id,
+        data_hora: payload.data_hora,
+        duracao_minutos: payload.duracao_minutos,
+        intervalo_minutos: intervalo,
+        agendamento_id: payload.agendamento_id
+      });
+      if (conflitoIntervalo) {
+        return {
+          success: true,
+          disponivel: false,
+          message: conflitoIntervalo.motivo,
+          conflito: conflitoIntervalo
+        };
+      }
+
+      const conflitoRecurso = await verificarRecursosHorario({
+        data_hora: payload.data_hora,
+        duracao_minutos: payload.duracao_minutos,
+        intervalo_minutos: intervalo,
+        recursos: recursos || servico?.recursos || [],
+        agendamento_id: payload.agendamento_id
+      });
+      if (conflitoRecurso) {
+        return {
+          success: true,
+          disponivel: false,
+          message: conflitoRecurso.motivo,
+          conflito: null,
+          conflito_recurso: conflitoRecurso
+        };
+      }
+    }
+
+    return {
       success: true,
-      servicos: result.data,
-      total: result.data.length
+      disponivel: result.data.disponivel === true,
+      message: result.data.message || '',
+      conflito: result.data.conflito || null
     };
-    
-    cacheInstances.servicos.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
-    return response;
-    
+
   } catch (error) {
-    log('TOOL', 'Erro ao listar serviços:', error.message, LogLevel.ERROR);
-    return { success: false, servicos: [], error: error.message };
+    log('TOOL', 'Erro ao validar horário:', error.message, LogLevel.ERROR);
+    return { success: false, disponivel: false, error: error.message };
   }
 }
 
-async function listarVeterinarios() {
-  log('TOOL', 'listar_veterinarios');
+async function listarProximosAgendamentos({ cliente_id, limite }) {
+  log('TOOL', 'listar_proximos_agendamentos', { cliente_id });
   try {
-    const cacheKey = 'veterinarios_ativos';
-    const cached = cacheInstances.veterinarios.get(cacheKey);
+    if (!cliente_id) throw new Error('cliente_id é obrigatório');
+
+    const hoje = new Date().toISOString().split('T')[0];
+    const endpoint = `/agendamentos?cliente_id=${cliente_id}&data_inicio=${hoje}`;
+
+    // Cache curto (1 min) pois agendamentos mudam frequentemente
+    const cacheKey = `agendamentos_proximos_${cliente_id}`;
+    const cached = cacheInstances.agendamentos.get(cacheKey);
     if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, veterinarios: [], error: cached.error };
-      }
-      log('TOOL', '✓ Veterinários encontrados no cache');
+      log('TOOL', '✓ Próximos agendamentos encontrados no cache');
       return cached;
     }
-    
-    const result = await apiRequest('/veterinarios');
-    
+
+    const result = await apiRequest(endpoint);
+
     if (!result.success) {
-      cacheInstances.veterinarios.setNegative(cacheKey, result.error);
-      return { success: false, veterinarios: [], error: result.error };
+      return { success: false, agendamentos: [], error: result.error };
     }
-    
+
+    const agendamentos = Array.isArray(result.data) ? result.data : [];
+
+    // Ordenar por data
+    agendamentos.sort((a, b) => new Date(a.data_hora) - new Date(b.data_hora));
+
+    // Limitar resultados se solicitado
+    const agendamentosLimitados = limite ? agendamentos.slice(0, limite) : agendamentos;
+
     const response = {
       success: true,
-      veterinarios: result.data,
-      total: result.data.length
+      agendamentos: agendamentosLimitados,
+      total: agendamentosLimitados.length
     };
-    
-    cacheInstances.veterinarios.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
+
+    cacheInstances.agendamentos.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
     return response;
-    
+
   } catch (error) {
-    log('TOOL', 'Erro ao listar veterinários:', error.message, LogLevel.ERROR);
-    return { success: false, veterinarios: [], error: error.message };
+    log('TOOL', 'Erro ao listar próximos agendamentos:', error.message, LogLevel.ERROR);
+    return { success: false, agendamentos: [], error: error.message };
   }
 }
 
-async function sugerirProfissional({ tipo_servico, especie_animal, pet_id }) {
-  log('TOOL', 'sugerir_profissional', { tipo_servico, especie_animal, pet_id });
+async function listarHorariosDisponiveisProfissional({
+  veterinario_id,
+  data,
+  duracao_minutos = 30,
+  limite = 10,
+  recursos = [],
+  intervalo_minutos = 0
+}) {
+  log('TOOL', 'listar_horarios_disponiveis_profissional', { veterinario_id, data, recursos, intervalo_minutos });
   try {
+    if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
+    if (!data) throw new Error('data é obrigatória (formato YYYY-MM-DD)');
+
     /**
-     * REGRAS DE NEGÓCIO - SUGESTÃO DE PROFISSIONAIS:
+     * LÓGICA DE HORÁRIOS DISPONÍVEIS:
      *
-     * IDs dos Profissionais:
-     * - 14: Thais Bregadioli D'Ávila (Clínico Geral)
-     * - 8: Gustavo D'Ávila (Clínico Geral / Aves e Exóticos / Cirurgias)
-     * - 9: Banho e Tosa (Estética Animal)
-     * - 6: Angelica Medeiros (Clínico Geral) - usar apenas quando especificado
-     * - 15: Cibele Zanom (Oncologista) - usar apenas quando especificado
-     * - 16: Marita Toledo (Cirurgião) - usar apenas quando especificado
-     * - 17: Luisa - usar apenas quando especificado
+     * 1. Obtém o expediente do dia (turnos da clínica/profissional, exceções e feriados)
+     * 2. Busca todos os agendamentos do veterinário na data especificada
+     * 3. Gera candidatos na grade de granularidade da agenda dentro de cada turno
+     * 4. Remove candidatos conflitantes com agendamentos existentes (com intervalos de limpeza)
+     * 5. Remove candidatos em que algum recurso exigido (sala, equipamento) está ocupado
+     * 6. Retorna lista compacta de horários livres
      *
-     * Regras:
-     * 1. Consultas para cães e gatos → Thais (14)
-     * 2. Consultas com aves ou animais exóticos → Gustavo (8)
-     * 3. Cirurgias → Gustavo (8)
-     * 4. Banho e tosa → Banho e Tosa (9)
-     * 5. Outros casos → solicitar especificação
+     * Ver MOTOR DE HORÁRIOS (gerarSlots).
      */
 
-    // Obter informações do pet se pet_id fornecido
-    let especie = especie_animal;
-    if (pet_id && !especie) {
-      const petResult = await obterPet({ pet_id });
-      if (petResult.success && petResult.pet) {
-        especie = petResult.pet.especie;
-      }
-    }
-
-    // Normalizar strings para comparação
-    const tipoNormalizado = (tipo_servico || '').toLowerCase().trim();
-    const especieNormalizada = (especie || '').toLowerCase().trim();
-
-    // REGRA 4: Banho e Tosa
-    if (tipoNormalizado.includes('banho') || tipoNormalizado.includes('tosa') ||
-        tipoNormalizado.includes('estetica') || tipoNormalizado.includes('grooming')) {
-      return {
-        success: true,
-        veterinario_id: 9,
-        veterinario_nome: 'Banho e Tosa',
-        especialidade: 'Estética Animal',
-        motivo: 'Serviço de banho e tosa',
-        regra_aplicada: 'banho_tosa'
-      };
-    }
+    const dataFormatada = Validators.data(data);
+    const duracao = parseInt(duracao_minutos) || 30;
 
-    // REGRA 3: Cirurgias → Gustavo
-    if (tipoNormalizado.includes('cirurgia') || tipoNormalizado.includes('cirurgico') ||
-        tipoNormalizado.includes('operacao') || tipoNormalizado.includes('procedimento cirurgico')) {
+    const expediente = obterExpediente(dataFormatada, veterinario_id);
+    if (!expediente.aberto) {
       return {
         success: true,
-        veterinario_id: 8,
-        veterinario_nome: 'Gustavo D\'Ávila',
-        especialidade: 'Clínico Geral / Cirurgias',
-        motivo: 'Procedimento cirúrgico',
-        regra_aplicada: 'cirurgia'
+        veterinario_id: parseInt(veterinario_id),
+        data: dataFormatada,
+        horarios: [],
+        total: 0,
+        duracao_minutos: duracao,
+        fechado: true,
+        motivo: expediente.motivo,
+        mensagem: `Sem atendimento em ${dataFormatada.split('-').reverse().join('/')}: ${expediente.motivo}`
       };
     }
 
-    // REGRA 2: Aves ou Animais Exóticos → Gustavo
-    if (especieNormalizada) {
-      const especiesExoticas = ['ave', 'passaro', 'papagaio', 'calopsita', 'canario',
-                                'periquito', 'arara', 'reptil', 'cobra', 'lagarto',
-                                'tartaruga', 'jabuti', 'hamster', 'porquinho', 'chinchila',
-                                'furão', 'coelho', 'peixe', 'iguana'];
-
-      const isExotico = especiesExoticas.some(e => especieNormalizada.includes(e));
-
-      if (isExotico) {
-        return {
-          success: true,
-          veterinario_id: 8,
-          veterinario_nome: 'Gustavo D\'Ávila',
-          especialidade: 'Clínico Geral / Aves e Exóticos',
-          motivo: `Especialista em ${especie || 'animais exóticos'}`,
-          regra_aplicada: 'aves_exoticos'
-        };
-      }
-    }
+    const endpoint = `/agendamentos?veterinario_id=${veterinario_id}&data=${dataFormatada}`;
 
-    // REGRA 1: Consultas para Cães e Gatos → Thais
-    if (especieNormalizada && (especieNormalizada.includes('cao') || especieNormalizada.includes('cão') ||
-        especieNormalizada.includes('cachorro') || especieNormalizada.includes('dog') ||
-        especieNormalizada.includes('gato') || especieNormalizada.includes('felino') ||
-        especieNormalizada.includes('cat'))) {
+    const result = await apiRequest(endpoint);
 
-      // Confirmar que é consulta (ou tipo não especificado)
-      if (!tipoNormalizado || tipoNormalizado.includes('consulta') ||
-          tipoNormalizado.includes('atendimento') || tipoNormalizado.includes('clinico')) {
-        return {
-          success: true,
-          veterinario_id: 14,
-          veterinario_nome: 'Thais Bregadioli D\'Ávila',
-          especialidade: 'Clínico Geral',
-          motivo: `Consulta clínica para ${especie || 'cães e gatos'}`,
-          regra_aplicada: 'caes_gatos'
-        };
-      }
+    if (!result.success) {
+      return { success: false, horarios: [], error: result.error };
     }
 
-    // REGRA 5: Caso não se encaixe em nenhuma regra
-    return {
-      success: false,
-      veterinario_id: null,
-      veterinario_nome: null,
-      error: 'Não foi possível sugerir profissional automaticamente. Por favor, especifique o profissional desejado.',
-      sugestao: 'Use listar_veterinarios para ver todos os profissionais disponíveis.',
-      info_fornecida: {
-        tipo_servico: tipo_servico || 'não especificado',
-        especie_animal: especie || 'não especificado'
-      }
-    };
+    const agendamentos = Array.isArray(result.data) ? result.data : [];
+    const intervalo = parseInt(intervalo_minutos) || 0;
+    const ocupacaoRecursos = recursos.length > 0 ? await carregarOcupacaoRecursos(dataFormatada) : [];
+
+    const slotsDisponiveis = gerarSlots({
+      turnos: expediente.turnos,
+      duracao,
+      intervalo,
+      granularidade: granularidadeAgenda(carregarAgenda()),
+      ocupados: ocupacaoAgenda(agendamentos, dataFormatada, { nomesServicos: await mapaNomesServicos() }),
+      // Hoje: só horários que ainda não passaram
+      aPartirDe: minutoDeCorte(dataFormatada),
+      limite,
+      aceitar: (inicio, fim) => !conflitoRecursos(ocupacaoRecursos, recursos, inicio, fim)
+    }).map(minuto => ({
+      horario: minutosParaHorario(minuto),
+      data_hora_completa: `${dataFormatada} ${minutosParaHorario(minuto)}:00`,
+      disponivel: true
+    }));
 
-  } catch (error) {
-    log('TOOL', 'Erro ao sugerir profissional:', error.message, LogLevel.ERROR);
     return {
-      success: false,
-      veterinario_id: null,
-      error: error.message
-    };
-  }
-}
-
-// ==================== FERRAMENTAS - VACINAS ====================
-
-async function listarVacinasAtivas() {
-  log('TOOL', 'listar_vacinas_ativas');
-  try {
-    const cacheKey = 'vacinas_ativas';
-    const cached = cacheInstances.vacinas.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, vacinas: [], error: cached.error };
-      }
-      log('TOOL', '✓ Vacinas encontradas no cache');
-      return cached;
-    }
-    
-    const result = await apiRequest('/vacinas-ativas');
-    
-    if (!result.success) {
-      cacheInstances.vacinas.setNegative(cacheKey, result.error);
-      return { success: false, vacinas: [], error: result.error };
-    }
-    
-    const response = {
       success: true,
-      vacinas: result.data,
-      total: result.data.length
+      veterinario_id: parseInt(veterinario_id),
+      data: dataFormatada,
+      horarios: slotsDisponiveis,
+      total: slotsDisponiveis.length,
+      duracao_minutos: duracao,
+      ...(intervalo > 0 ? { intervalo_minutos: intervalo } : {}),
+      turnos: expediente.turnos,
+      ...(recursos.length > 0 ? { recursos } : {}),
+      mensagem: slotsDisponiveis.length > 0
+        ? `${slotsDisponiveis.length} horário(s) disponível(is)`
+        : 'Nenhum horário disponível para esta data'
     };
-    
-    cacheInstances.vacinas.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
-    return response;
-    
+
   } catch (error) {
-    log('TOOL', 'Erro ao listar vacinas:', error.message, LogLevel.ERROR);
-    return { success: false, vacinas: [], error: error.message };
+    log('TOOL', 'Erro ao listar horários disponíveis:', error.message, LogLevel.ERROR);
+    return { success: false, horarios: [], error: error.message };
   }
 }
 
-async function registrarVacinacao({ dados }) {
-  log('TOOL', 'registrar_vacinacao', dados);
+async function buscarPlanosPersonalizados({ cliente_id }) {
+  log('TOOL', 'buscar_planos_personalizados', { cliente_id });
   try {
-    if (!dados.pet_id) throw new Error('pet_id é obrigatório');
-    if (!dados.vacina_id) throw new Error('vacina_id é obrigatório');
-    if (!dados.data_aplicacao) throw new Error('data_aplicacao é obrigatória');
+    if (!cliente_id) throw new Error('cliente_id é obrigatório');
 
-    const payload = {
-      pet_id: parseInt(dados.pet_id),
-      vacina_id: parseInt(dados.vacina_id),
-      veterinario_id: dados.veterinario_id ? parseInt(dados.veterinario_id) : null,
-      data_aplicacao: Validators.data(dados.data_aplicacao),
-      proxima_dose: dados.proxima_dose ? Validators.data(dados.proxima_dose) : null,
-      lote: dados.lote || '',
-      dose: dados.dose || '',
-      observacoes: dados.observacoes || ''
-    };
+    /**
+     * LÓGICA DE PLANOS PERSONALIZADOS:
+     *
+     * 1. Busca todos os pets do cliente
+     * 2. Extrai raças dos pets
+     * 3. Busca planos disponíveis
+     * 4. Filtra planos que contenham o nome da raça na descrição
+     * 5. Retorna planos personalizados + planos genéricos
+     * 6. Formata resposta de forma compacta (< 2000 chars)
+     */
 
-    const result = await apiRequest(`/pets/${dados.pet_id}/vacinacao`, 'POST', payload);
+    // Buscar pets do cliente
+    const petsResult = await listarPetsCliente({ cliente_id });
 
-    if (!result.success) {
-      return { success: false, error: result.error };
+    if (!petsResult.success || !petsResult.pets || petsResult.pets.length === 0) {
+      return {
+        success: false,
+        planos_personalizados: [],
+        planos_genericos: [],
+        mensagem: 'Cliente não possui pets cadastrados',
+        sugestao: 'Cadastre primeiro o pet para ver planos personalizados'
+      };
     }
 
-    // Invalidar cache de vacinações do pet
-    cacheInstances.pets.delete(`vacinacoes_pet_${dados.pet_id}`);
-
-    return {
-      success: true,
-      vacinacao: result.data,
-      message: 'Vacinação registrada com sucesso'
-    };
-
-  } catch (error) {
-    log('TOOL', 'Erro ao registrar vacinação:', error.message, LogLevel.ERROR);
-    return { success: false, error: error.message };
-  }
-}
+    // Extrair raças dos pets
+    const racas = petsResult.pets
+      .filter(pet => pet.raca && pet.raca.trim() !== '')
+      .map(pet => ({
+        pet_id: pet.id,
+        pet_nome: pet.nome,
+        especie: pet.especie,
+        raca: pet.raca
+      }));
 
-async function obterHistoricoVacinacao({ pet_id }) {
-  log('TOOL', 'obter_historico_vacinacao', { pet_id });
-  try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
+    // Buscar todos os planos
+    const planosResult = await listarPlanos();
 
-    const cacheKey = `vacinacoes_pet_${pet_id}`;
-    const cached = cacheInstances.pets.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, vacinacoes: [], error: cached.error };
-      }
-      log('TOOL', '✓ Histórico de vacinação encontrado no cache');
-      return cached;
+    if (!planosResult.success || !planosResult.planos) {
+      return {
+        success: false,
+        planos_personalizados: [],
+        planos_genericos: [],
+        error: planosResult.error || 'Erro ao buscar planos'
+      };
     }
 
-    const result = await apiRequest(`/pets/${pet_id}/vacinacoes`);
+    const todosPlanos = planosResult.planos;
 
-    if (!result.success) {
-      cacheInstances.pets.setNegative(cacheKey, result.error);
-      return { success: false, vacinacoes: [], error: result.error };
-    }
+    // Separar planos personalizados e genéricos
+    const planosPersonalizados = [];
+    const planosGenericos = [];
 
-    const vacinacoes = Array.isArray(result.data) ? result.data : [];
+    todosPlanos.forEach(plano => {
+      const descricao = (plano.descricao || plano.nome || '').toLowerCase();
+      const nomePlano = (plano.nome || '').toLowerCase();
 
-    const response = {
+      // Verificar se o plano menciona alguma raça dos pets
+      const racaEncontrada = racas.find(r => {
+        const racaNormalizada = r.raca.toLowerCase();
+        return descricao.includes(racaNormalizada) || nomePlano.includes(racaNormalizada);
+      });
+
+      if (racaEncontrada) {
+        planosPersonalizados.push({
+          ...plano,
+          recomendado_para: {
+            pet_nome: racaEncontrada.pet_nome,
+            raca: racaEncontrada.raca,
+            especie: racaEncontrada.especie
+          }
+        });
+      } else {
+        // Planos genéricos (sem menção de raça específica)
+        const ehGenerico = !/(raça|breed|cão|gato|cachorro)/i.test(nomePlano);
+        if (ehGenerico || planosGenericos.length < 3) {
+          planosGenericos.push(plano);
+        }
+      }
+    });
+
+    return {
       success: true,
-      vacinacoes,
-      total: vacinacoes.length
+      pets_do_cliente: petsResult.pets.map(p => ({
+        id: p.id,
+        nome: p.nome,
+        especie: p.especie,
+        raca: p.raca
+      })),
+      planos_personalizados: planosPersonalizados,
+      planos_genericos: planosGenericos.slice(0, 5), // Limitar a 5 para não estourar limite
+      tem_planos_especificos: planosPersonalizados.length > 0,
+      mensagem: planosPersonalizados.length > 0
+        ? `✨ Encontramos ${planosPersonalizados.length} plano(s) especial(is) para a raça dos seus pets!`
+        : '💡 Temos planos genéricos disponíveis. Descontos especiais por raça - consulte!',
+      total_personalizados: planosPersonalizados.length,
+      total_genericos: planosGenericos.length
     };
 
-    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
-    return response;
-
   } catch (error) {
-    log('TOOL', 'Erro ao obter histórico de vacinação:', error.message, LogLevel.ERROR);
-    return { success: false, vacinacoes: [], error: error.message };
+    log('TOOL', 'Erro ao buscar planos personalizados:', error.message, LogLevel.ERROR);
+    return {
+      success: false,
+      planos_personalizados: [],
+      planos_genericos: [],
+      error: error.message
+    };
   }
 }
 
-async function obterHistoricoClinico({ pet_id }) {
-  log('TOOL', 'obter_historico_clinico', { pet_id });
+async function formatarRespostaCompacta({ dados, tipo, limite_caracteres = 1800 }) {
+  log('TOOL', 'formatar_resposta_compacta', { tipo });
   try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
+    /**
+     * FORMATAÇÃO COMPACTA PARA CHATBOT (Limite: 2000 chars)
+     *
+     * Tipos suportados:
+     * - "horarios": Lista de horários disponíveis
+     * - "planos": Lista de planos
+     * - "agendamentos": Lista de agendamentos
+     * - "pets": Lista de pets
+     */
 
-    const cacheKey = `historico_clinico_${pet_id}`;
-    const cached = cacheInstances.pets.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, historico: [], error: cached.error };
-      }
-      log('TOOL', '✓ Histórico clínico encontrado no cache');
-      return cached;
-    }
+    let textoFormatado = '';
 
-    const result = await apiRequest(`/pets/${pet_id}/historico-medico`);
+    switch (tipo) {
+      case 'horarios':
+        if (!dados.horarios || dados.horarios.length === 0) {
+          textoFormatado = '❌ Nenhum horário disponível nesta data.';
+        } else {
+          // Agrupar horários por período
+          const manha = dados.horarios.filter(h => parseInt(h.horario.split(':')[0]) < 12);
+          const tarde = dados.horarios.filter(h => parseInt(h.horario.split(':')[0]) >= 12);
 
-    if (!result.success) {
-      cacheInstances.pets.setNegative(cacheKey, result.error);
-      return { success: false, historico: [], error: result.error };
-    }
+          textoFormatado = `📅 Horários disponíveis para ${dados.data}:\n\n`;
 
-    const historico = Array.isArray(result.data) ? result.data : [];
+          if (manha.length > 0) {
+            textoFormatado += `🌅 Manhã: ${manha.map(h => h.horario).join(', ')}\n`;
+          }
 
-    const response = {
-      success: true,
-      historico,
-      total: historico.length
-    };
+          if (tarde.length > 0) {
+            textoFormatado += `🌇 Tarde: ${tarde.map(h => h.horario).join(', ')}\n`;
+          }
 
-    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
-    return response;
+          textoFormatado += `\n✅ Total: ${dados.total} opções`;
+        }
+        break;
 
-  } catch (error) {
-    log('TOOL', 'Erro ao obter histórico clínico:', error.message, LogLevel.ERROR);
-    return { success: false, historico: [], error: error.message };
-  }
-}
+      case 'planos':
+        if (!dados.planos_personalizados || dados.planos_personalizados.length === 0) {
+          if (dados.planos_genericos && dados.planos_genericos.length > 0) {
+            textoFormatado = `💰 Planos disponíveis:\n\n`;
+            dados.planos_genericos.slice(0, 5).forEach(plano => {
+              textoFormatado += `• ${plano.nome}: R$ ${plano.preco || plano.valor || '?'}\n`;
+            });
+            textoFormatado += `\n💡 Temos descontos especiais por raça! Qual a raça do seu pet?`;
+          } else {
+            textoFormatado = '❌ Nenhum plano disponível no momento.';
+          }
+        } else {
+          textoFormatado = `✨ Planos especiais para seus pets:\n\n`;
+          dados.planos_personalizados.slice(0, 5).forEach(plano => {
+            textoFormatado += `🐾 ${plano.nome} (${plano.recomendado_para.raca}): R$ ${plano.preco || plano.valor || '?'}\n`;
+          });
 
-async function obterHistoricoPeso({ pet_id }) {
-  log('TOOL', 'obter_historico_peso', { pet_id });
-  try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
+          if (dados.planos_genericos && dados.planos_genericos.length > 0) {
+            textoFormatado += `\n📋 Outros planos:\n`;
+            dados.planos_genericos.slice(0, 3).forEach(plano => {
+              textoFormatado += `• ${plano.nome}: R$ ${plano.preco || plano.valor || '?'}\n`;
+            });
+          }
+        }
+        break;
 
-    const cacheKey = `historico_peso_${pet_id}`;
-    const cached = cacheInstances.pets.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, historico: [], error: cached.error };
-      }
-      log('TOOL', '✓ Histórico de peso encontrado no cache');
-      return cached;
-    }
+      case 'agendamentos':
+        if (!dados.agendamentos || dados.agendamentos.length === 0) {
+          textoFormatado = '📅 Nenhum agendamento futuro.';
+        } else {
+          textoFormatado = `📅 Seus agendamentos:\n\n`;
+          dados.agendamentos.slice(0, 5).forEach(ag => {
+            const data = new Date(ag.data_hora);
+            const dataStr = data.toLocaleDateString('pt-BR');
+            const horaStr = data.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+            textoFormatado += `• ${dataStr} às ${horaStr} - ${ag.pet_nome || 'Pet'} (${ag.servico || 'Consulta'})\n`;
+          });
+        }
+        break;
 
-    const result = await apiRequest(`/pets/${pet_id}/historico-peso`);
+      case 'pets':
+        if (!dados.pets || dados.pets.length === 0) {
+          textoFormatado = '🐾 Nenhum pet cadastrado.';
+        } else {
+          textoFormatado = `🐾 Seus pets:\n\n`;
+          dados.pets.forEach(pet => {
+            const icone = pet.especie && pet.especie.toLowerCase().includes('gato') ? '🐱' :
+                         pet.especie && pet.especie.toLowerCase().includes('cão') ? '🐶' :
+                         pet.especie && pet.especie.toLowerCase().includes('coelho') ? '🐇' : '🐾';
+            textoFormatado += `${icone} ${pet.nome} (${pet.especie || '?'}, ${pet.raca || 'SRD'})\n`;
+          });
+        }
+        break;
 
-    if (!result.success) {
-      cacheInstances.pets.setNegative(cacheKey, result.error);
-      return { success: false, historico: [], error: result.error };
+      default:
+        textoFormatado = JSON.stringify(dados).substring(0, limite_caracteres);
     }
 
-    const historico = Array.isArray(result.data) ? result.data : [];
+    // Garantir que não ultrapasse o limite
+    if (textoFormatado.length > limite_caracteres) {
+      textoFormatado = textoFormatado.substring(0, limite_caracteres - 20) + '\n\n[... truncado]';
+    }
 
-    const response = {
+    return {
       success: true,
-      historico,
-      total: historico.length,
-      peso_atual: historico.length > 0 ? historico[0].peso : null
+      texto: textoFormatado,
+      caracteres: textoFormatado.length,
+      dentro_limite: textoFormatado.length <= limite_caracteres
     };
 
-    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
-    return response;
-
   } catch (error) {
-    log('TOOL', 'Erro ao obter histórico de peso:', error.message, LogLevel.ERROR);
-    return { success: false, historico: [], error: error.message };
+    log('TOOL', 'Erro ao formatar resposta compacta:', error.message, LogLevel.ERROR);
+    return {
+      success: false,
+      texto: '',
+      error: error.message
+    };
   }
 }
 
-async function obterExamesPet({ pet_id }) {
-  log('TOOL', 'obter_exames_pet', { pet_id });
-  try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
-
-    const cacheKey = `exames_pet_${pet_id}`;
-    const cached = cacheInstances.pets.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, exames: [], error: cached.error };
-      }
-      log('TOOL', '✓ Exames encontrados no cache');
-      return cached;
-    }
+// ==================== FERRAMENTAS - AGENDA DOS PROFISSIONAIS ====================
 
-    const result = await apiRequest(`/pets/${pet_id}/exames`);
+// Aceita "segunda", "segunda-feira", "sábado", "sabado" ou o número do dia (0 = domingo)
+function normalizarDiaSemana(dia) {
+  if (/^[0-6]$/.test(String(dia))) return parseInt(dia);
+  const nome = String(dia).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace('-feira', '').trim();
+  const index = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'].indexOf(nome);
+  if (index === -1) throw new Error(`Dia da semana inválido: ${dia}`);
+  return index;
+}
 
-    if (!result.success) {
-      cacheInstances.pets.setNegative(cacheKey, result.error);
-      return { success: false, exames: [], error: result.error };
+// Turnos no formato [{ inicio, fim }] ou [["08:00", "12:00"]], ordenados e sem sobreposição
+function validarTurnos(turnos = []) {
+  if (!Array.isArray(turnos)) throw new Error('turnos deve ser uma lista');
+  const normalizados = turnos.map(turno => {
+    const [inicio, fim] = Array.isArray(turno) ? turno : [turno.inicio, turno.fim];
+    if (!/^\d{2}:\d{2}$/.test(inicio || '') || !/^\d{2}:\d{2}$/.test(fim || '')) {
+      throw new Error('Horários dos turnos devem estar no formato HH:MM');
+    }
+    if (paraMinutos(inicio) >= paraMinutos(fim)) {
+      throw new Error(`Turno inválido: ${inicio}-${fim}`);
+    }
+    return [inicio, fim];
+  }).sort((a, b) => paraMinutos(a[0]) - paraMinutos(b[0]));
+  
+  for (let i = 1; i < normalizados.length; i++) {
+    if (paraMinutos(normalizados[i][0]) < paraMinutos(normalizados[i - 1][1])) {
+      throw new Error(`Turnos sobrepostos: ${normalizados[i - 1].join('-')} e ${normalizados[i].join('-')}`);
     }
-
-    const exames = Array.isArray(result.data) ? result.data : [];
-
-    const response = {
-      success: true,
-      exames,
-      total: exames.length
-    };
-
-    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
-    return response;
-
-  } catch (error) {
-    log('TOOL', 'Erro ao obter exames do pet:', error.message, LogLevel.ERROR);
-    return { success: false, exames: [], error: error.message };
   }
+  return normalizados;
 }
 
-async function solicitarExame({ pet_id, tipo_exame_id, veterinario_id, observacoes }) {
-  log('TOOL', 'solicitar_exame', { pet_id, tipo_exame_id });
+async function definirAgendaProfissional({ veterinario_id, semana, substitutos, usar_padrao_clinica = false }) {
+  log('TOOL', `definir_agenda_profissional: ${veterinario_id}`, { usar_padrao_clinica, substitutos });
   try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
-    if (!tipo_exame_id) throw new Error('tipo_exame_id é obrigatório');
     if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
-
-    const payload = {
-      tipo_exame_id: parseInt(tipo_exame_id),
-      veterinario_id: parseInt(veterinario_id),
-      observacoes: observacoes || ''
-    };
-
-    const result = await apiRequest(`/pets/${pet_id}/solicitar-exame`, 'POST', payload);
-
-    if (!result.success) {
-      return { success: false, error: result.error };
+    const autor = requestContext.getStore()?.clientId || null;
+    
+    // Substitutos podem ser alterados sozinhos, sem redefinir a semana
+    let substitutosDefinidos;
+    if (substitutos !== undefined) {
+      if (!Array.isArray(substitutos)) throw new Error('substitutos deve ser uma lista de IDs de profissionais');
+      substitutosDefinidos = [...new Set(substitutos.map(id => parseInt(id)))];
+      if (substitutosDefinidos.some(id => !(id > 0))) throw new Error('substitutos deve conter apenas IDs de profissionais');
+      if (substitutosDefinidos.includes(parseInt(veterinario_id))) throw new Error('O profissional não pode ser substituto de si mesmo');
+      agendaProfissionais.definirSubstitutos(veterinario_id, substitutosDefinidos, autor);
+      
+      if (!semana && !usar_padrao_clinica) {
+        return {
+          success: true,
+          veterinario_id: parseInt(veterinario_id),
+          substitutos: substitutosDefinidos,
+          message: substitutosDefinidos.length > 0 ? 'Substitutos do profissional atualizados' : 'Profissional ficou sem substitutos'
+        };
+      }
     }
-
-    // Invalidar cache de exames
-    cacheInstances.pets.delete(`exames_pet_${pet_id}`);
-
+    
+    if (usar_padrao_clinica) {
+      agendaProfissionais.definirSemana(veterinario_id, null, autor);
+      return {
+        success: true,
+        veterinario_id: parseInt(veterinario_id),
+        ...(substitutosDefinidos ? { substitutos: substitutosDefinidos } : {}),
+        message: 'Profissional voltou a seguir o expediente da clínica'
+      };
+    }
+    
+    if (!semana || typeof semana !== 'object') {
+      throw new Error('semana é obrigatória (ex: { "segunda": [{ "inicio": "08:00", "fim": "12:00" }] })');
+    }
+    
+    // Dias não informados ficam sem atendimento
+    const semanaNormalizada = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+    for (const [dia, turnos] of Object.entries(semana)) {
+      semanaNormalizada[normalizarDiaSemana(dia)] = validarTurnos(turnos);
+    }
+    
+    agendaProfissionais.definirSemana(veterinario_id, semanaNormalizada, autor);
+    
     return {
       success: true,
-      exame: result.data,
-      message: 'Exame solicitado com sucesso'
+      veterinario_id: parseInt(veterinario_id),
+      semana: Object.fromEntries(Object.entries(semanaNormalizada).map(([dia, turnos]) => [
+        DIAS_SEMANA[dia],
+        turnos.map(([inicio, fim]) => `${inicio}-${fim}`)
+      ])),
+      ...(substitutosDefinidos ? { substitutos: substitutosDefinidos } : {}),
+      message: 'Agenda semanal do profissional atualizada'
     };
-
+    
   } catch (error) {
-    log('TOOL', 'Erro ao solicitar exame:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao definir agenda do profissional:', error.message, LogLevel.ERROR);
     return { success: false, error: error.message };
   }
 }
 
-async function listarTiposExame() {
-  log('TOOL', 'listar_tipos_exame');
+async function bloquearAgenda({ veterinario_id, data_inicio, data_fim, hora_inicio, hora_fim, motivo, tipo = 'bloqueio' }) {
+  log('TOOL', `bloquear_agenda: ${veterinario_id}`, { data_inicio, data_fim, tipo });
   try {
-    const cacheKey = 'tipos_exame_ativos';
-    const cached = cacheInstances.servicos.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, tipos: [], error: cached.error };
-      }
-      log('TOOL', '✓ Tipos de exame encontrados no cache');
-      return cached;
+    if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
+    if (!data_inicio) throw new Error('data_inicio é obrigatória');
+    if (!motivo || !motivo.trim()) throw new Error('motivo é obrigatório');
+    if (!['ferias', 'ausencia', 'bloqueio'].includes(tipo)) {
+      throw new Error('tipo deve ser ferias, ausencia ou bloqueio');
     }
-
-    const result = await apiRequest('/tipos-exame?ativo=1');
-
-    if (!result.success) {
-      cacheInstances.servicos.setNegative(cacheKey, result.error);
-      return { success: false, tipos: [], error: result.error };
+    
+    const inicio = Validators.data(data_inicio);
+    const fim = Validators.data(data_fim || data_inicio);
+    if (inicio > fim) throw new Error('data_inicio deve ser anterior a data_fim');
+    
+    if (Boolean(hora_inicio) !== Boolean(hora_fim)) {
+      throw new Error('Informe hora_inicio e hora_fim juntos (ou nenhum para o dia inteiro)');
     }
-
-    const tipos = Array.isArray(result.data) ? result.data : [];
-
-    const response = {
+    if (hora_inicio) validarTurnos([[hora_inicio, hora_fim]]);
+    
+    const bloqueio = agendaProfissionais.adicionarBloqueio({
+      veterinario_id: parseInt(veterinario_id),
+      data_inicio: inicio,
+      data_fim: fim,
+      hora_inicio: hora_inicio || null,
+      hora_fim: hora_fim || null,
+      tipo,
+      motivo: motivo.trim(),
+      criado_por: requestContext.getStore()?.clientId || null
+    });
+    
+    // Agendamentos já marcados no período não são cancelados: a recepção decide
+    let afetados = [];
+    try {
+      const result = await apiRequest(`/agendamentos?veterinario_id=${veterinario_id}&data_inicio=${inicio}&data_fim=${fim}`);
+      const agendamentos = Array.isArray(result.data) ? result.data : (result.data?.data || []);
+      afetados = agendamentos.filter(ag => {
+        const [data, hora] = String(ag.data_hora).split(/[ T]/);
+        if (data < inicio || data > fim || STATUS_AGENDAMENTO_FINALIZADOS.includes(ag.status)) return false;
+        if (!hora_inicio) return true;
+        const agInicio = paraMinutos(hora.substring(0, 5));
+        const agFim = agInicio + (parseInt(ag.duracao_minutos) || 30);
+        return agInicio < paraMinutos(hora_fim) && agFim > paraMinutos(hora_inicio);
+      });
+    } catch (error) {
+      log('TOOL', 'Não foi possível verificar agendamentos no período bloqueado:', error.message, LogLevel.WARN);
+    }
+    
+    return {
       success: true,
-      tipos,
-      total: tipos.length
+      bloqueio,
+      agendamentos_afetados: afetados.map(ag => ({
+        id: ag.id,
+        data_hora: ag.data_hora,
+        pet_nome: ag.pet_nome,
+        cliente_nome: ag.cliente_nome,
+        status: ag.status
+      })),
+      message: afetados.length > 0
+        ? `Agenda bloqueada. ⚠️ ${afetados.length} agendamento(s) no período precisam ser remarcados`
+        : 'Agenda bloqueada'
     };
-
-    cacheInstances.servicos.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
-    return response;
-
+    
   } catch (error) {
-    log('TOOL', 'Erro ao listar tipos de exame:', error.message, LogLevel.ERROR);
-    return { success: false, tipos: [], error: error.message };
+    log('TOOL', 'Erro ao bloquear agenda:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
   }
 }
 
-async function registrarAnamnese({ pet_id, veterinario_id, data_consulta, anamnese, diagnostico, peso_atual }) {
-  log('TOOL', 'registrar_anamnese', { pet_id });
+async function desbloquearAgenda({ bloqueio_id }) {
+  log('TOOL', `desbloquear_agenda: ${bloqueio_id}`);
   try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
-    if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
-    if (!data_consulta) throw new Error('data_consulta é obrigatória');
-    if (!anamnese) throw new Error('anamnese é obrigatória');
-
-    const payload = {
-      veterinario_id: parseInt(veterinario_id),
-      data_consulta: Validators.data(data_consulta),
-      anamnese: anamnese.trim(),
-      diagnostico: diagnostico?.trim() || '',
-      peso_atual: peso_atual ? parseFloat(peso_atual) : null
-    };
-
-    const result = await apiRequest(`/pets/${pet_id}/anamnese`, 'POST', payload);
-
-    if (!result.success) {
-      return { success: false, error: result.error };
+    if (!bloqueio_id) throw new Error('bloqueio_id é obrigatório');
+    
+    const removido = agendaProfissionais.removerBloqueio(bloqueio_id);
+    if (!removido) {
+      return { success: false, error: 'Bloqueio não encontrado' };
     }
+    
+    return { success: true, bloqueio: removido, message: 'Bloqueio removido' };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao remover bloqueio:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
 
-    // Invalidar caches relacionados
-    cacheInstances.pets.delete(`historico_clinico_${pet_id}`);
-    if (peso_atual) {
-      cacheInstances.pets.delete(`historico_peso_${pet_id}`);
-    }
+// ==================== FERRAMENTAS - RECURSOS FÍSICOS ====================
 
+async function listarRecursosClinica({ data } = {}) {
+  log('TOOL', 'listar_recursos_clinica', { data });
+  try {
+    const cadastro = recursosClinica.listar();
+    const dataFormatada = data ? Validators.data(data) : null;
+    const ocupacao = dataFormatada ? await carregarOcupacaoRecursos(dataFormatada) : [];
+    
+    const recursos = Object.entries(cadastro).map(([recurso_id, recurso]) => ({
+      recurso_id,
+      ...recurso,
+      ...(dataFormatada ? {
+        ocupacao: ocupacao
+          .filter(o => o.recursos.includes(recurso_id))
+          .sort((a, b) => a.inicio - b.inicio)
+          .map(o => ({
+            agendamento_id: o.agendamento_id,
+            veterinario_id: o.veterinario_id,
+            inicio: minutosParaHorario(o.inicio),
+            fim: minutosParaHorario(o.fim)
+          }))
+      } : {})
+    }));
+    
     return {
       success: true,
-      anamnese: result.data,
-      message: 'Anamnese registrada com sucesso'
+      recursos,
+      total: recursos.length,
+      ...(dataFormatada ? { data: dataFormatada } : {}),
+      vinculos_servicos: recursosClinica.vinculos(),
+      regras_padrao: REGRAS_RECURSOS
     };
-
+    
   } catch (error) {
-    log('TOOL', 'Erro ao registrar anamnese:', error.message, LogLevel.ERROR);
-    return { success: false, error: error.message };
+    log('TOOL', 'Erro ao listar recursos:', error.message, LogLevel.ERROR);
+    return { success: false, recursos: [], error: error.message };
   }
 }
 
-async function verificarVacinasAtrasadas({ pet_id }) {
-  log('TOOL', 'verificar_vacinas_atrasadas', { pet_id });
+async function salvarRecursoClinica({ recurso_id, nome, tipo, quantidade, ativo }) {
+  log('TOOL', `salvar_recurso_clinica: ${recurso_id}`, { quantidade, ativo });
   try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
-
-    // Buscar histórico de vacinação
-    const resultVacinas = await obterHistoricoVacinacao({ pet_id });
-
-    if (!resultVacinas.success) {
-      return { success: false, error: resultVacinas.error };
+    if (!recurso_id || !/^[a-z0-9_]+$/.test(recurso_id)) {
+      throw new Error('recurso_id é obrigatório (letras minúsculas, números e _, ex: sala_cirurgica)');
     }
-
-    const hoje = new Date();
-    const vacinasAtrasadas = [];
-    const proximasVacinas = [];
-
-    resultVacinas.vacinacoes.forEach(vacina => {
-      if (vacina.proxima_dose || vacina.data_proxima_dose) {
-        const proximaDose = new Date(vacina.proxima_dose || vacina.data_proxima_dose);
-        const diasDiferenca = Math.ceil((proximaDose - hoje) / (1000 * 60 * 60 * 24));
-
-        if (diasDiferenca < 0) {
-          // Vacina atrasada
-          vacinasAtrasadas.push({
-            ...vacina,
-            dias_atraso: Math.abs(diasDiferenca)
-          });
-        } else if (diasDiferenca <= 30) {
-          // Vacina próxima do vencimento (próximos 30 dias)
-          proximasVacinas.push({
-            ...vacina,
-            dias_restantes: diasDiferenca
-          });
-        }
-      }
+    
+    const existente = recursosClinica.listar()[recurso_id];
+    if (!existente && !nome) throw new Error('nome é obrigatório para cadastrar um novo recurso');
+    if (quantidade !== undefined && (!Number.isInteger(quantidade) || quantidade < 1)) {
+      throw new Error('quantidade deve ser um inteiro maior que zero');
+    }
+    
+    const recurso = recursosClinica.salvar(recurso_id, {
+      nome: nome || existente.nome,
+      tipo: tipo || existente?.tipo || 'equipamento',
+      quantidade: quantidade ?? existente?.quantidade ?? 1,
+      ativo: ativo ?? existente?.ativo ?? true
     });
-
+    
     return {
       success: true,
-      tem_vacinas_atrasadas: vacinasAtrasadas.length > 0,
-      vacinas_atrasadas: vacinasAtrasadas,
-      proximas_vacinas: proximasVacinas,
-      total_atrasadas: vacinasAtrasadas.length,
-      total_proximas: proximasVacinas.length,
-      mensagem: vacinasAtrasadas.length > 0
-        ? `⚠️ Atenção! ${vacinasAtrasadas.length} vacina(s) atrasada(s)`
-        : proximasVacinas.length > 0
-        ? `📅 ${proximasVacinas.length} vacina(s) próximas do vencimento`
-        : '✅ Todas as vacinas em dia!'
+      recurso: { recurso_id, ...recurso },
+      message: existente ? 'Recurso atualizado' : 'Recurso cadastrado'
     };
-
+    
   } catch (error) {
-    log('TOOL', 'Erro ao verificar vacinas atrasadas:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao salvar recurso:', error.message, LogLevel.ERROR);
     return { success: false, error: error.message };
   }
 }
 
-async function buscarServicos({ termo_busca }) {
-  log('TOOL', 'buscar_servicos', { termo_busca });
+async function vincularRecursosServico({ servico_id, recursos, usar_regra_padrao = false }) {
+  log('TOOL', `vincular_recursos_servico: ${servico_id}`, { recursos, usar_regra_padrao });
   try {
-    // Validação: termo de busca obrigatório
-    if (!termo_busca || termo_busca.trim().length < 2) {
+    if (!servico_id) throw new Error('servico_id é obrigatório');
+    
+    if (usar_regra_padrao) {
+      recursosClinica.vincularServico(servico_id, null);
       return {
-        success: false,
-        servicos: [],
-        error: 'Termo de busca obrigatório (mínimo 2 caracteres). Ex: consulta, banho, vacina, etc.'
+        success: true,
+        servico_id: parseInt(servico_id),
+        message: 'Serviço voltou a usar as regras padrão de recursos'
       };
     }
+    
+    // Lista vazia é válida: o serviço não ocupa nenhum recurso
+    if (!Array.isArray(recursos)) throw new Error('recursos deve ser uma lista de recurso_id');
+    const cadastro = recursosClinica.listar();
+    const desconhecidos = recursos.filter(id => !cadastro[id]);
+    if (desconhecidos.length > 0) {
+      throw new Error(`Recurso(s) não cadastrado(s): ${desconhecidos.join(', ')}`);
+    }
+    
+    const unicos = [...new Set(recursos)];
+    recursosClinica.vincularServico(servico_id, unicos);
+    
+    return {
+      success: true,
+      servico_id: parseInt(servico_id),
+      recursos: unicos,
+      message: unicos.length > 0
+        ? `Serviço passa a exigir: ${unicos.map(id => cadastro[id].nome).join(', ')}`
+        : 'Serviço não exige recursos físicos'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao vincular recursos ao serviço:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
 
-    const endpoint = `/servicos?busca=${encodeURIComponent(termo_busca.trim())}`;
+// ==================== FERRAMENTAS - SERVIÇOS ====================
 
-    const cacheKey = `servicos_busca_${termo_busca.trim().toLowerCase()}`;
+async function listarServicosAtivos() {
+  log('TOOL', 'listar_servicos_ativos');
+  try {
+    const cacheKey = 'servicos_ativos';
     const cached = cacheInstances.servicos.get(cacheKey);
     if (cached) {
       if (cached.cached && cached.error) {
@@ -2115,1943 +3351,5720 @@ async function buscarServicos({ termo_busca }) {
       log('TOOL', '✓ Serviços encontrados no cache');
       return cached;
     }
-
-    const result = await apiRequest(endpoint);
-
+    
+    const result = await apiRequest('/servicos-ativos');
+    
     if (!result.success) {
       cacheInstances.servicos.setNegative(cacheKey, result.error);
       return { success: false, servicos: [], error: result.error };
     }
-
-    const servicos = Array.isArray(result.data) ? result.data : [];
-
+    
     const response = {
       success: true,
-      servicos,
-      total: servicos.length
+      servicos: result.data,
+      total: result.data.length
     };
-
+    
     cacheInstances.servicos.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
     return response;
-
+    
   } catch (error) {
-    log('TOOL', 'Erro ao buscar serviços:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao listar serviços:', error.message, LogLevel.ERROR);
     return { success: false, servicos: [], error: error.message };
   }
 }
 
-async function listarPlanos() {
-  log('TOOL', 'listar_planos');
+async function listarVeterinarios({ data, apenas_disponiveis = false, incluir_agenda = false } = {}) {
+  log('TOOL', 'listar_veterinarios', { data, apenas_disponiveis, incluir_agenda });
   try {
-    const cacheKey = 'planos_disponiveis';
-    const cached = cacheInstances.servicos.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, planos: [], error: cached.error };
+    const cacheKey = 'veterinarios_ativos';
+    let response = cacheInstances.veterinarios.get(cacheKey);
+    if (response) {
+      if (response.cached && response.error) {
+        return { success: false, veterinarios: [], error: response.error };
       }
-      log('TOOL', '✓ Planos encontrados no cache');
-      return cached;
+      log('TOOL', '✓ Veterinários encontrados no cache');
+    } else {
+      const result = await apiRequest('/veterinarios');
+      
+      if (!result.success) {
+        cacheInstances.veterinarios.setNegative(cacheKey, result.error);
+        return { success: false, veterinarios: [], error: result.error };
+      }
+      
+      response = {
+        success: true,
+        veterinarios: result.data,
+        total: result.data.length
+      };
+      
+      cacheInstances.veterinarios.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
     }
-
-    const result = await apiRequest('/planos');
-
-    if (!result.success) {
-      cacheInstances.servicos.setNegative(cacheKey, result.error);
-      return { success: false, planos: [], error: result.error };
+    
+    if (!data && !apenas_disponiveis && !incluir_agenda) {
+      return response;
     }
-
-    const planos = Array.isArray(result.data) ? result.data : [];
-
-    const response = {
-      success: true,
-      planos,
-      total: planos.length
-    };
-
-    cacheInstances.servicos.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
-    return response;
-
+    
+    // Disponibilidade na data (padrão: hoje) e agenda própria de cada profissional
+    const dataReferencia = Validators.data(data || dataLocal());
+    let veterinarios = response.veterinarios.map(vet => {
+      const expediente = obterExpediente(dataReferencia, vet.id);
+      return {
+        ...vet,
+        disponivel: expediente.aberto,
+        expediente: { turnos: expediente.turnos, motivo: expediente.motivo },
+        ...(incluir_agenda ? {
+          agenda: {
+            semana: agendaProfissionais.semanaDe(vet.id),
+            bloqueios: agendaProfissionais.bloqueiosFuturos(vet.id, dataReferencia)
+          }
+        } : {})
+      };
+    });
+    
+    if (apenas_disponiveis) {
+      veterinarios = veterinarios.filter(vet => vet.disponivel);
+    }
+    
+    return {
+      success: true,
+      data: dataReferencia,
+      veterinarios,
+      total: veterinarios.length
+    };
+    
   } catch (error) {
-    log('TOOL', 'Erro ao listar planos:', error.message, LogLevel.ERROR);
-    return { success: false, planos: [], error: error.message };
+    log('TOOL', 'Erro ao listar veterinários:', error.message, LogLevel.ERROR);
+    return { success: false, veterinarios: [], error: error.message };
   }
 }
 
-async function obterEstatisticasPet({ pet_id }) {
-  log('TOOL', 'obter_estatisticas_pet', { pet_id });
-  try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
+// Substitutos do profissional (AgendaProfissionalStore) com nome do cadastro
+async function listarSubstitutos(veterinario_id) {
+  const ids = agendaProfissionais.substitutosDe(veterinario_id) ?? [];
+  if (ids.length === 0) return [];
+  
+  const cadastro = await listarVeterinarios();
+  const veterinarios = cadastro.success ? cadastro.veterinarios : [];
+  return ids.map(id => {
+    const vet = veterinarios.find(v => String(v.id) === String(id));
+    return {
+      veterinario_id: parseInt(id),
+      veterinario_nome: vet?.nome || null,
+      especialidade: vet?.especialidade || null
+    };
+  });
+}
 
-    const cacheKey = `estatisticas_pet_${pet_id}`;
-    const cached = cacheInstances.pets.get(cacheKey);
-    if (cached) {
-      if (cached.cached && cached.error) {
-        return { success: false, estatisticas: {}, error: cached.error };
-      }
-      log('TOOL', '✓ Estatísticas encontradas no cache');
-      return cached;
+async function sugerirProfissional({ tipo_servico, especie_animal, pet_id, data }) {
+  const sugestao = await sugerirProfissionalPorRegra({ tipo_servico, especie_animal, pet_id });
+  if (!sugestao.success || !data) {
+    return sugestao;
+  }
+  
+  try {
+    // Aceita data ou data_hora; a disponibilidade é avaliada pelo dia
+    const dia = Validators.data(String(data).substring(0, 10));
+    const expediente = obterExpediente(dia, sugestao.veterinario_id);
+    if (expediente.aberto) {
+      return { ...sugestao, disponivel: true };
     }
-
-    const result = await apiRequest(`/pets/${pet_id}/estatisticas`);
-
-    if (!result.success) {
-      cacheInstances.pets.setNegative(cacheKey, result.error);
-      return { success: false, estatisticas: {}, error: result.error };
+    
+    for (const alternativo of await listarSubstitutos(sugestao.veterinario_id)) {
+      if (obterExpediente(dia, alternativo.veterinario_id).aberto) {
+        log('TOOL', `Profissional ${sugestao.veterinario_id} indisponível em ${dia}, sugerindo ${alternativo.veterinario_id}`);
+        return {
+          ...sugestao,
+          ...alternativo,
+          disponivel: true,
+          motivo: `${sugestao.veterinario_nome} não atende em ${dia.split('-').reverse().join('/')} (${expediente.motivo})`,
+          profissional_preferencial: {
+            veterinario_id: sugestao.veterinario_id,
+            veterinario_nome: sugestao.veterinario_nome
+          }
+        };
+      }
     }
-
-    const response = {
-      success: true,
-      estatisticas: result.data || {}
+    
+    // Sem substituto: mantém a sugestão e avisa que a data não serve
+    return {
+      ...sugestao,
+      disponivel: false,
+      indisponibilidade: expediente.motivo,
+      sugestao_data: 'Profissional indisponível nesta data. Ofereça outra data ao cliente.'
     };
-
-    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
-    return response;
-
+    
   } catch (error) {
-    log('TOOL', 'Erro ao obter estatísticas do pet:', error.message, LogLevel.ERROR);
-    return { success: false, estatisticas: {}, error: error.message };
+    log('TOOL', 'Erro ao verificar disponibilidade do profissional:', error.message, LogLevel.WARN);
+    return sugestao;
   }
 }
 
-async function consultarHorariosAgendamento({
-  cliente_id,
-  pet_id,
-  servico_descricao,
-  veterinario_id,
-  data,
-  duracao_minutos = 30
-}) {
-  log('TOOL', 'consultar_horarios_agendamento', { cliente_id, pet_id, data });
+async function sugerirProfissionalPorRegra({ tipo_servico, especie_animal, pet_id }) {
+  log('TOOL', 'sugerir_profissional', { tipo_servico, especie_animal, pet_id });
   try {
-    if (!pet_id) throw new Error('pet_id é obrigatório');
-    if (!data) throw new Error('data é obrigatória (formato YYYY-MM-DD)');
-
-    const resultado = {
-      success: true,
-      etapas: {}
-    };
+    /**
+     * REGRAS DE NEGÓCIO - SUGESTÃO DE PROFISSIONAIS:
+     *
+     * IDs dos Profissionais:
+     * - 14: Thais Bregadioli D'Ávila (Clínico Geral)
+     * - 8: Gustavo D'Ávila (Clínico Geral / Aves e Exóticos / Cirurgias)
+     * - 9: Banho e Tosa (Estética Animal)
+     * - 6: Angelica Medeiros (Clínico Geral) - usar apenas quando especificado
+     * - 15: Cibele Zanom (Oncologista) - usar apenas quando especificado
+     * - 16: Marita Toledo (Cirurgião) - usar apenas quando especificado
+     * - 17: Luisa - usar apenas quando especificado
+     *
+     * Regras:
+     * 1. Consultas para cães e gatos → Thais (14)
+     * 2. Consultas com aves ou animais exóticos → Gustavo (8)
+     * 3. Cirurgias → Gustavo (8)
+     * 4. Banho e tosa → Banho e Tosa (9)
+     * 5. Outros casos → solicitar especificação
+     */
 
-    // Etapa 1: Buscar serviço se descrição fornecida (para saber duração)
-    if (servico_descricao) {
-      const servicoResult = await buscarServicos({ termo_busca: servico_descricao });
-      if (servicoResult.success && servicoResult.servicos.length > 0) {
-        resultado.etapas.servico = servicoResult.servicos[0];
-        duracao_minutos = servicoResult.servicos[0].duracao_minutos || 30;
+    // Obter informações do pet se pet_id fornecido
+    let especie = especie_animal;
+    if (pet_id && !especie) {
+      const petResult = await buscarPetPorId({ pet_id });
+      if (petResult.success && petResult.pet) {
+        especie = petResult.pet.especie;
       }
     }
 
-    // Etapa 2: Sugerir profissional automaticamente se não especificado
-    let veterinarioIdFinal = veterinario_id;
-
-    if (!veterinarioIdFinal) {
-      const tipo = resultado.etapas.servico?.tipo || servico_descricao || 'consulta';
-
-      const sugestaoResult = await sugerirProfissional({
-        tipo_servico: tipo,
-        pet_id: pet_id
-      });
+    // Normalizar strings para comparação
+    const tipoNormalizado = (tipo_servico || '').toLowerCase().trim();
+    const especieNormalizada = (especie || '').toLowerCase().trim();
 
-      if (sugestaoResult.success && sugestaoResult.veterinario_id) {
-        veterinarioIdFinal = sugestaoResult.veterinario_id;
-        resultado.etapas.sugestao_profissional = {
-          veterinario_id: sugestaoResult.veterinario_id,
-          veterinario_nome: sugestaoResult.veterinario_nome,
-          motivo: sugestaoResult.motivo,
-          regra_aplicada: sugestaoResult.regra_aplicada
-        };
-        log('TOOL', `✓ Profissional sugerido: ${sugestaoResult.veterinario_nome} (${sugestaoResult.veterinario_id})`);
-      }
+    // REGRA 4: Banho e Tosa
+    if (tipoNormalizado.includes('banho') || tipoNormalizado.includes('tosa') ||
+        tipoNormalizado.includes('estetica') || tipoNormalizado.includes('grooming')) {
+      return {
+        success: true,
+        veterinario_id: 9,
+        veterinario_nome: 'Banho e Tosa',
+        especialidade: 'Estética Animal',
+        motivo: 'Serviço de banho e tosa',
+        regra_aplicada: 'banho_tosa'
+      };
     }
 
-    // Etapa 3: Listar horários disponíveis do profissional
-    if (!veterinarioIdFinal) {
+    // REGRA 3: Cirurgias → Gustavo
+    if (tipoNormalizado.includes('cirurgia') || tipoNormalizado.includes('cirurgico') ||
+        tipoNormalizado.includes('operacao') || tipoNormalizado.includes('procedimento cirurgico')) {
       return {
-        success: false,
-        error: 'Não foi possível determinar profissional. Especifique veterinario_id.'
+        success: true,
+        veterinario_id: 8,
+        veterinario_nome: 'Gustavo D\'Ávila',
+        especialidade: 'Clínico Geral / Cirurgias',
+        motivo: 'Procedimento cirúrgico',
+        regra_aplicada: 'cirurgia'
       };
     }
 
-    const horariosResult = await listarHorariosDisponiveisProfissional({
-      veterinario_id: veterinarioIdFinal,
-      data: data,
-      duracao_minutos: duracao_minutos,
-      limite: 15
-    });
+    // REGRA 2: Aves ou Animais Exóticos → Gustavo
+    if (especieNormalizada) {
+      const especiesExoticas = ['ave', 'passaro', 'papagaio', 'calopsita', 'canario',
+                                'periquito', 'arara', 'reptil', 'cobra', 'lagarto',
+                                'tartaruga', 'jabuti', 'hamster', 'porquinho', 'chinchila',
+                                'furão', 'coelho', 'peixe', 'iguana'];
 
-    resultado.etapas.horarios = horariosResult;
+      const isExotico = especiesExoticas.some(e => especieNormalizada.includes(e));
 
-    if (!horariosResult.success || horariosResult.total === 0) {
-      return {
-        success: false,
-        veterinario_id: veterinarioIdFinal,
-        veterinario_nome: resultado.etapas.sugestao_profissional?.veterinario_nome || null,
-        data: data,
-        horarios: [],
-        mensagem: 'Nenhum horário disponível para esta data. Tente outra data.'
-      };
+      if (isExotico) {
+        return {
+          success: true,
+          veterinario_id: 8,
+          veterinario_nome: 'Gustavo D\'Ávila',
+          especialidade: 'Clínico Geral / Aves e Exóticos',
+          motivo: `Especialista em ${especie || 'animais exóticos'}`,
+          regra_aplicada: 'aves_exoticos'
+        };
+      }
     }
 
-    // Formatar resposta compacta para chatbot
-    const respostaFormatada = await formatarRespostaCompacta({
-      dados: horariosResult,
-      tipo: 'horarios',
-      limite_caracteres: 1800
-    });
+    // REGRA 1: Consultas para Cães e Gatos → Thais
+    if (especieNormalizada && (especieNormalizada.includes('cao') || especieNormalizada.includes('cão') ||
+        especieNormalizada.includes('cachorro') || especieNormalizada.includes('dog') ||
+        especieNormalizada.includes('gato') || especieNormalizada.includes('felino') ||
+        especieNormalizada.includes('cat'))) {
+
+      // Confirmar que é consulta (ou tipo não especificado)
+      if (!tipoNormalizado || tipoNormalizado.includes('consulta') ||
+          tipoNormalizado.includes('atendimento') || tipoNormalizado.includes('clinico')) {
+        return {
+          success: true,
+          veterinario_id: 14,
+          veterinario_nome: 'Thais Bregadioli D\'Ávila',
+          especialidade: 'Clínico Geral',
+          motivo: `Consulta clínica para ${especie || 'cães e gatos'}`,
+          regra_aplicada: 'caes_gatos'
+        };
+      }
+    }
 
+    // REGRA 5: Caso não se encaixe em nenhuma regra
     return {
-      success: true,
-      veterinario_id: veterinarioIdFinal,
-      veterinario_nome: resultado.etapas.sugestao_profissional?.veterinario_nome || null,
-      data: data,
-      horarios: horariosResult.horarios,
-      total_horarios: horariosResult.total,
-      duracao_minutos: duracao_minutos,
-      texto_formatado: respostaFormatada.texto,
-      mensagem: `✅ Encontramos ${horariosResult.total} horário(s) disponível(is)`
+      success: false,
+      veterinario_id: null,
+      veterinario_nome: null,
+      error: 'Não foi possível sugerir profissional automaticamente. Por favor, especifique o profissional desejado.',
+      sugestao: 'Use listar_veterinarios para ver todos os profissionais disponíveis.',
+      info_fornecida: {
+        tipo_servico: tipo_servico || 'não especificado',
+        especie_animal: especie || 'não especificado'
+      }
     };
 
   } catch (error) {
-    log('TOOL', 'Erro ao consultar horários para agendamento:', error.message, LogLevel.ERROR);
-    return { success: false, horarios: [], error: error.message };
+    log('TOOL', 'Erro ao sugerir profissional:', error.message, LogLevel.ERROR);
+    return {
+      success: false,
+      veterinario_id: null,
+      error: error.message
+    };
   }
 }
 
-async function workflowAgendamentoCompleto({
-  cliente_id,
-  pet_id,
-  servico_descricao,
-  veterinario_id,
-  data_hora,
-  observacoes,
-  validar_antes
-}) {
-  log('TOOL', 'workflow_agendamento_completo', { cliente_id, pet_id });
-  try {
-    if (!cliente_id) throw new Error('cliente_id é obrigatório');
-    if (!pet_id) throw new Error('pet_id é obrigatório');
-    if (!data_hora) throw new Error('data_hora é obrigatória');
-
-    const resultado = {
-      success: true,
-      etapas: {}
-    };
+// ==================== FERRAMENTAS - VACINAS ====================
 
-    // Etapa 1: Buscar serviço se descrição fornecida
-    if (servico_descricao) {
-      const servicoResult = await buscarServicos({ termo_busca: servico_descricao });
-      if (!servicoResult.success || servicoResult.servicos.length === 0) {
-        return {
-          success: false,
-          etapa_falha: 'buscar_servico',
-          error: 'Serviço não encontrado. Tente outro termo de busca.'
-        };
+async function listarVacinasAtivas() {
+  log('TOOL', 'listar_vacinas_ativas');
+  try {
+    const cacheKey = 'vacinas_ativas';
+    const cached = cacheInstances.vacinas.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, vacinas: [], error: cached.error };
       }
-      resultado.etapas.servico = servicoResult.servicos[0];
+      log('TOOL', '✓ Vacinas encontradas no cache');
+      return cached;
+    }
+    
+    const result = await apiRequest('/vacinas-ativas');
+    
+    if (!result.success) {
+      cacheInstances.vacinas.setNegative(cacheKey, result.error);
+      return { success: false, vacinas: [], error: result.error };
     }
+    
+    const response = {
+      success: true,
+      vacinas: result.data,
+      total: result.data.length
+    };
+    
+    cacheInstances.vacinas.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
+    return response;
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao listar vacinas:', error.message, LogLevel.ERROR);
+    return { success: false, vacinas: [], error: error.message };
+  }
+}
 
-    // Etapa 1.5: Sugerir profissional automaticamente se não especificado
-    let veterinarioIdFinal = veterinario_id;
+async function registrarVacinacao({ dados }) {
+  log('TOOL', 'registrar_vacinacao', dados);
+  try {
+    if (!dados.pet_id) throw new Error('pet_id é obrigatório');
+    if (!dados.vacina_id) throw new Error('vacina_id é obrigatório');
+    if (!dados.data_aplicacao) throw new Error('data_aplicacao é obrigatória');
 
-    if (!veterinarioIdFinal) {
-      const tipo = resultado.etapas.servico?.tipo || servico_descricao || 'consulta';
+    const payload = {
+      pet_id: parseInt(dados.pet_id),
+      vacina_id: parseInt(dados.vacina_id),
+      veterinario_id: dados.veterinario_id ? parseInt(dados.veterinario_id) : null,
+      data_aplicacao: Validators.data(dados.data_aplicacao),
+      proxima_dose: dados.proxima_dose ? Validators.data(dados.proxima_dose) : null,
+      lote: dados.lote || '',
+      dose: dados.dose || '',
+      observacoes: dados.observacoes || ''
+    };
 
-      const sugestaoResult = await sugerirProfissional({
-        tipo_servico: tipo,
-        pet_id: pet_id
-      });
+    const result = await apiRequest(`/pets/${dados.pet_id}/vacinacao`, 'POST', payload);
 
-      if (sugestaoResult.success && sugestaoResult.veterinario_id) {
-        veterinarioIdFinal = sugestaoResult.veterinario_id;
-        resultado.etapas.sugestao_profissional = {
-          veterinario_id: sugestaoResult.veterinario_id,
-          veterinario_nome: sugestaoResult.veterinario_nome,
-          motivo: sugestaoResult.motivo,
-          regra_aplicada: sugestaoResult.regra_aplicada
-        };
-        log('TOOL', `✓ Profissional sugerido automaticamente: ${sugestaoResult.veterinario_nome} (${sugestaoResult.veterinario_id})`);
-      }
+    if (!result.success) {
+      return { success: false, error: result.error };
     }
 
-    // Etapa 2: Validar horário (se solicitado ou se veterinário especificado)
-    if ((validar_antes === true || veterinarioIdFinal) && veterinarioIdFinal) {
-      const validacaoResult = await validarHorarioDisponivel({
-        data_hora,
-        veterinario_id: veterinarioIdFinal,
-        duracao_minutos: resultado.etapas.servico?.duracao_minutos || 30
-      });
+    // Invalidar cache de vacinações do pet
+    cacheInstances.pets.delete(`vacinacoes_pet_${dados.pet_id}`);
 
-      resultado.etapas.validacao = validacaoResult;
+    return {
+      success: true,
+      vacinacao: result.data,
+      message: 'Vacinação registrada com sucesso'
+    };
 
-      if (!validacaoResult.disponivel) {
-        return {
-          success: false,
-          etapa_falha: 'validar_horario',
-          error: 'Horário não disponível',
-          validacao: validacaoResult
-        };
+  } catch (error) {
+    log('TOOL', 'Erro ao registrar vacinação:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+async function obterHistoricoVacinacao({ pet_id }) {
+  log('TOOL', 'obter_historico_vacinacao', { pet_id });
+  try {
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+
+    const cacheKey = `vacinacoes_pet_${pet_id}`;
+    const cached = cacheInstances.pets.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, vacinacoes: [], error: cached.error };
       }
+      log('TOOL', '✓ Histórico de vacinação encontrado no cache');
+      return cached;
     }
 
-    // Etapa 3: Criar agendamento
-    const agendamentoResult = await criarAgendamento({
-      dados: {
-        cliente_id: parseInt(cliente_id),
-        pet_id: parseInt(pet_id),
-        servico_id: resultado.etapas.servico?.id || null,
-        veterinario_id: veterinarioIdFinal ? parseInt(veterinarioIdFinal) : null,
-        data_hora,
-        tipo: resultado.etapas.servico?.tipo || 'Consulta',
-        duracao_minutos: resultado.etapas.servico?.duracao_minutos || 30,
-        valor: resultado.etapas.servico?.preco || null,
-        observacoes: observacoes || '',
-        status: 'Agendado'
-      }
-    });
+    const result = await apiRequest(`/pets/${pet_id}/vacinacoes`);
 
-    if (!agendamentoResult.success) {
-      return {
-        success: false,
-        etapa_falha: 'criar_agendamento',
-        error: agendamentoResult.error
-      };
+    if (!result.success) {
+      cacheInstances.pets.setNegative(cacheKey, result.error);
+      return { success: false, vacinacoes: [], error: result.error };
     }
 
-    resultado.etapas.agendamento = agendamentoResult.agendamento;
-    resultado.message = '✅ Agendamento criado com sucesso!';
+    const vacinacoes = Array.isArray(result.data) ? result.data : [];
 
-    return resultado;
+    const response = {
+      success: true,
+      vacinacoes,
+      total: vacinacoes.length
+    };
+
+    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
+    return response;
 
   } catch (error) {
-    log('TOOL', 'Erro no workflow de agendamento:', error.message, LogLevel.ERROR);
-    return { success: false, error: error.message };
+    log('TOOL', 'Erro ao obter histórico de vacinação:', error.message, LogLevel.ERROR);
+    return { success: false, vacinacoes: [], error: error.message };
   }
 }
 
-// ==================== FERRAMENTAS - PRODUTOS ====================
-
-async function buscarProdutos({ termo_busca, categoria, estoque_baixo }) {
-  log('TOOL', 'buscar_produtos', { termo_busca, categoria, estoque_baixo });
+async function obterHistoricoClinico({ pet_id }) {
+  log('TOOL', 'obter_historico_clinico', { pet_id });
   try {
-    // VALIDAÇÃO OBRIGATÓRIA: Ao menos um filtro deve ser fornecido
-    if (!termo_busca && !categoria && !estoque_baixo) {
-      return {
-        success: false,
-        produtos: [],
-        error: 'Informe ao menos um filtro: termo_busca (mínimo 3 caracteres), categoria ou estoque_baixo=true'
-      };
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+
+    const cacheKey = `historico_clinico_${pet_id}`;
+    const cached = cacheInstances.pets.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, historico: [], error: cached.error };
+      }
+      log('TOOL', '✓ Histórico clínico encontrado no cache');
+      return cached;
     }
 
-    // Se termo_busca fornecido, validar mínimo de caracteres
-    if (termo_busca && termo_busca.trim().length < 3) {
-      return {
-        success: false,
-        produtos: [],
-        error: 'Termo de busca deve ter no mínimo 3 caracteres'
-      };
+    const result = await apiRequest(`/pets/${pet_id}/historico-medico`);
+
+    if (!result.success) {
+      cacheInstances.pets.setNegative(cacheKey, result.error);
+      return { success: false, historico: [], error: result.error };
     }
 
-    const params = [];
-    if (termo_busca) params.push(`busca=${encodeURIComponent(termo_busca.trim())}`);
-    if (categoria) params.push(`categoria=${encodeURIComponent(categoria)}`);
-    if (estoque_baixo) params.push(`estoque_baixo=1`);
-    params.push('ativo=1'); // Sempre buscar apenas produtos ativos
+    const historico = Array.isArray(result.data) ? result.data : [];
 
-    const endpoint = `/produtos?${params.join('&')}`;
+    const response = {
+      success: true,
+      historico,
+      total: historico.length
+    };
 
-    // Cache por combinação de filtros
-    const cacheKey = `produtos_${params.join('_')}`;
-    const cached = cacheInstances.produtos.get(cacheKey);
+    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
+    return response;
+
+  } catch (error) {
+    log('TOOL', 'Erro ao obter histórico clínico:', error.message, LogLevel.ERROR);
+    return { success: false, historico: [], error: error.message };
+  }
+}
+
+async function obterHistoricoPeso({ pet_id }) {
+  log('TOOL', 'obter_historico_peso', { pet_id });
+  try {
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+
+    const cacheKey = `historico_peso_${pet_id}`;
+    const cached = cacheInstances.pets.get(cacheKey);
     if (cached) {
       if (cached.cached && cached.error) {
-        return { success: false, produtos: [], error: cached.error };
+        return { success: false, historico: [], error: cached.error };
       }
-      log('TOOL', '✓ Produtos encontrados no cache');
+      log('TOOL', '✓ Histórico de peso encontrado no cache');
       return cached;
     }
 
-    const result = await apiRequest(endpoint);
+    const result = await apiRequest(`/pets/${pet_id}/historico-peso`);
 
     if (!result.success) {
-      cacheInstances.produtos.setNegative(cacheKey, result.error);
-      return { success: false, produtos: [], error: result.error };
+      cacheInstances.pets.setNegative(cacheKey, result.error);
+      return { success: false, historico: [], error: result.error };
     }
 
-    const produtos = Array.isArray(result.data) ? result.data : [];
-
-    // Limitar a 100 resultados
-    const produtosLimitados = produtos.slice(0, 100);
+    const historico = Array.isArray(result.data) ? result.data : [];
 
     const response = {
       success: true,
-      produtos: produtosLimitados,
-      total: produtosLimitados.length,
-      limitado: produtos.length > 100
+      historico,
+      total: historico.length,
+      peso_atual: historico.length > 0 ? historico[0].peso : null
     };
 
-    cacheInstances.produtos.set(cacheKey, response, CONFIG.CACHE_TTL.MEDIUM);
+    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
     return response;
 
   } catch (error) {
-    log('TOOL', 'Erro ao buscar produtos:', error.message, LogLevel.ERROR);
-    return { success: false, produtos: [], error: error.message };
+    log('TOOL', 'Erro ao obter histórico de peso:', error.message, LogLevel.ERROR);
+    return { success: false, historico: [], error: error.message };
   }
 }
 
-async function criarProduto({ dados }) {
-  log('TOOL', 'criar_produto:', dados.nome);
+async function obterExamesPet({ pet_id }) {
+  log('TOOL', 'obter_exames_pet', { pet_id });
   try {
-    if (!dados.nome) throw new Error('nome é obrigatório');
-    if (!dados.categoria) throw new Error('categoria é obrigatória');
-    if (!dados.preco_venda) throw new Error('preco_venda é obrigatório');
-    
-    const payload = {
-      nome: dados.nome.trim(),
-      categoria: dados.categoria.trim(),
-      codigo_barras: dados.codigo_barras || '',
-      preco_custo: dados.preco_custo ? parseFloat(dados.preco_custo) : null,
-      preco_venda: parseFloat(dados.preco_venda),
-      estoque_atual: parseInt(dados.estoque_atual) || 0,
-      estoque_minimo: parseInt(dados.estoque_minimo) || 0,
-      unidade: dados.unidade || 'un',
-      ativo: dados.ativo !== false ? 1 : 0
-    };
-    
-    const result = await apiRequest('/produtos', 'POST', payload);
-    
-    if (!result.success) {
-      return { success: false, error: result.error };
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+
+    const cacheKey = `exames_pet_${pet_id}`;
+    const cached = cacheInstances.pets.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, exames: [], error: cached.error };
+      }
+      log('TOOL', '✓ Exames encontrados no cache');
+      return cached;
     }
-    
-    cacheInstances.produtos.deletePattern(/produto/);
-    
-    return {
-      success: true,
-      produto: result.data.produto || result.data,
-      message: 'Produto criado com sucesso'
-    };
-    
-  } catch (error) {
-    log('TOOL', 'Erro ao criar produto:', error.message, LogLevel.ERROR);
-    return { success: false, error: error.message };
-  }
-}
 
-// ==================== FERRAMENTAS - FINANCEIRO ====================
+    const result = await apiRequest(`/pets/${pet_id}/exames`);
 
-async function listarContasReceber({ filtros = {} }) {
-  log('TOOL', 'listar_contas_receber', filtros);
-  try {
-    let endpoint = '/contas-receber';
-    const params = [];
-    
-    if (filtros.status) params.push(`status=${encodeURIComponent(filtros.status)}`);
-    if (filtros.vencimento_inicio) params.push(`vencimento_inicio=${filtros.vencimento_inicio}`);
-    if (filtros.vencimento_fim) params.push(`vencimento_fim=${filtros.vencimento_fim}`);
-    if (filtros.cliente_id) params.push(`cliente_id=${filtros.cliente_id}`);
-    
-    if (params.length > 0) {
-      endpoint += '?' + params.join('&');
-    }
-    
-    const result = await apiRequest(endpoint);
-    
     if (!result.success) {
-      return { success: false, contas: [], error: result.error };
+      cacheInstances.pets.setNegative(cacheKey, result.error);
+      return { success: false, exames: [], error: result.error };
     }
-    
-    return {
+
+    const exames = Array.isArray(result.data) ? result.data : [];
+
+    const response = {
       success: true,
-      contas: result.data,
-      total: result.data.length
+      exames,
+      total: exames.length
     };
-    
+
+    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
+    return response;
+
   } catch (error) {
-    log('TOOL', 'Erro ao listar contas a receber:', error.message, LogLevel.ERROR);
-    return { success: false, contas: [], error: error.message };
+    log('TOOL', 'Erro ao obter exames do pet:', error.message, LogLevel.ERROR);
+    return { success: false, exames: [], error: error.message };
   }
 }
 
-async function criarContaReceber({ dados }) {
-  log('TOOL', 'criar_conta_receber:', dados);
+async function solicitarExame({ pet_id, tipo_exame_id, veterinario_id, observacoes }) {
+  log('TOOL', 'solicitar_exame', { pet_id, tipo_exame_id });
   try {
-    if (!dados.descricao) throw new Error('descricao é obrigatória');
-    if (!dados.valor) throw new Error('valor é obrigatório');
-    if (!dados.vencimento) throw new Error('vencimento é obrigatório');
-    
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+    if (!tipo_exame_id) throw new Error('tipo_exame_id é obrigatório');
+    if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
+
     const payload = {
-      descricao: dados.descricao.trim(),
-      valor: Validators.valor(dados.valor),
-      vencimento: Validators.data(dados.vencimento),
-      cliente_id: dados.cliente_id ? parseInt(dados.cliente_id) : null,
-      categoria_id: dados.categoria_id ? parseInt(dados.categoria_id) : null,
-      forma_pagamento: dados.forma_pagamento || 'Dinheiro',
-      status: dados.status || 'Pendente',
-      observacoes: dados.observacoes || ''
+      tipo_exame_id: parseInt(tipo_exame_id),
+      veterinario_id: parseInt(veterinario_id),
+      observacoes: observacoes || ''
     };
-    
-    const result = await apiRequest('/contas-receber', 'POST', payload);
-    
+
+    const result = await apiRequest(`/pets/${pet_id}/solicitar-exame`, 'POST', payload);
+
     if (!result.success) {
       return { success: false, error: result.error };
     }
-    
-    cacheInstances.financeiro.deletePattern(/conta/);
-    
+
+    // Invalidar cache de exames
+    cacheInstances.pets.delete(`exames_pet_${pet_id}`);
+
     return {
       success: true,
-      conta: result.data,
-      message: 'Conta a receber criada com sucesso'
+      exame: result.data,
+      message: 'Exame solicitado com sucesso'
     };
-    
+
   } catch (error) {
-    log('TOOL', 'Erro ao criar conta a receber:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao solicitar exame:', error.message, LogLevel.ERROR);
     return { success: false, error: error.message };
   }
 }
 
-async function registrarPagamento({ conta_id, dados }) {
-  log('TOOL', `registrar_pagamento: ${conta_id}`);
+async function listarTiposExame() {
+  log('TOOL', 'listar_tipos_exame');
   try {
-    if (!dados.valor_pago) throw new Error('valor_pago é obrigatório');
-    if (!dados.data_pagamento) throw new Error('data_pagamento é obrigatória');
-    
-    const payload = {
-      valor_pago: Validators.valor(dados.valor_pago),
-      data_pagamento: Validators.data(dados.data_pagamento),
-      forma_pagamento: Validators.formaPagamento(dados.forma_pagamento || 'Dinheiro'),
-      observacoes: dados.observacoes || ''
-    };
-    
-    const result = await apiRequest(`/contas-receber/${conta_id}/pagar`, 'POST', payload);
-    
-    if (!result.success) {
-      return { success: false, error: result.error };
+    const cacheKey = 'tipos_exame_ativos';
+    const cached = cacheInstances.servicos.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, tipos: [], error: cached.error };
+      }
+      log('TOOL', '✓ Tipos de exame encontrados no cache');
+      return cached;
     }
-    
-    cacheInstances.financeiro.deletePattern(/conta/);
-    
-    return {
-      success: true,
-      message: 'Pagamento registrado com sucesso'
-    };
-    
-  } catch (error) {
-    log('TOOL', 'Erro ao registrar pagamento:', error.message, LogLevel.ERROR);
-    return { success: false, error: error.message };
-  }
-}
 
-// ==================== FERRAMENTAS - CAIXA ====================
+    const result = await apiRequest('/tipos-exame?ativo=1');
 
-async function obterCaixaAberto() {
-  log('TOOL', 'obter_caixa_aberto');
-  try {
-    const result = await apiRequest('/caixa/aberto');
-    
     if (!result.success) {
-      return { success: false, caixa: null, error: result.error };
+      cacheInstances.servicos.setNegative(cacheKey, result.error);
+      return { success: false, tipos: [], error: result.error };
     }
-    
-    return {
+
+    const tipos = Array.isArray(result.data) ? result.data : [];
+
+    const response = {
       success: true,
-      caixa: result.data,
-      aberto: result.data !== null
+      tipos,
+      total: tipos.length
     };
-    
+
+    cacheInstances.servicos.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
+    return response;
+
   } catch (error) {
-    log('TOOL', 'Erro ao obter caixa aberto:', error.message, LogLevel.ERROR);
-    return { success: false, caixa: null, error: error.message };
+    log('TOOL', 'Erro ao listar tipos de exame:', error.message, LogLevel.ERROR);
+    return { success: false, tipos: [], error: error.message };
   }
 }
 
-async function abrirCaixa({ valor_inicial, observacoes }) {
-  log('TOOL', 'abrir_caixa');
+async function registrarAnamnese({ pet_id, veterinario_id, data_consulta, anamnese, diagnostico, peso_atual }) {
+  log('TOOL', 'registrar_anamnese', { pet_id });
   try {
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+    if (!veterinario_id) throw new Error('veterinario_id é obrigatório');
+    if (!data_consulta) throw new Error('data_consulta é obrigatória');
+    if (!anamnese) throw new Error('anamnese é obrigatória');
+
     const payload = {
-      valor_inicial: Validators.valor(valor_inicial || 0),
-      observacoes: observacoes || ''
+      veterinario_id: parseInt(veterinario_id),
+      data_consulta: Validators.data(data_consulta),
+      anamnese: anamnese.trim(),
+      diagnostico: diagnostico?.trim() || '',
+      peso_atual: peso_atual ? parseFloat(peso_atual) : null
     };
-    
-    const result = await apiRequest('/caixa/abrir', 'POST', payload);
-    
+
+    const result = await apiRequest(`/pets/${pet_id}/anamnese`, 'POST', payload);
+
     if (!result.success) {
       return { success: false, error: result.error };
     }
-    
-    cacheInstances.financeiro.deletePattern(/caixa/);
-    
-    return {
-      success: true,
-      caixa: result.data,
-      message: 'Caixa aberto com sucesso'
-    };
-    
-  } catch (error) {
-    log('TOOL', 'Erro ao abrir caixa:', error.message, LogLevel.ERROR);
-    return { success: false, error: error.message };
-  }
-}
 
-async function fecharCaixa({ caixa_id }) {
-  log('TOOL', `fechar_caixa: ${caixa_id}`);
-  try {
-    const result = await apiRequest(`/caixa/${caixa_id}/fechar`, 'POST');
-    
-    if (!result.success) {
-      return { success: false, error: result.error };
+    // Invalidar caches relacionados
+    cacheInstances.pets.delete(`historico_clinico_${pet_id}`);
+    if (peso_atual) {
+      cacheInstances.pets.delete(`historico_peso_${pet_id}`);
     }
-    
-    cacheInstances.financeiro.deletePattern(/caixa/);
-    
+
     return {
       success: true,
-      resumo: result.data,
-      message: 'Caixa fechado com sucesso'
+      anamnese: result.data,
+      message: 'Anamnese registrada com sucesso'
     };
-    
+
   } catch (error) {
-    log('TOOL', 'Erro ao fechar caixa:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao registrar anamnese:', error.message, LogLevel.ERROR);
     return { success: false, error: error.message };
   }
 }
 
-// ==================== FERRAMENTAS - VENDAS ====================
-
-async function criarVenda({ dados }) {
-  log('TOOL', 'criar_venda:', dados);
+async function verificarVacinasAtrasadas({ pet_id }) {
+  log('TOOL', 'verificar_vacinas_atrasadas', { pet_id });
   try {
-    if (!dados.itens || dados.itens.length === 0) {
-      throw new Error('A venda deve ter pelo menos um item');
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+
+    // Pet inativo (óbito ou desativado) nunca gera lembrete
+    const petResult = await buscarPetPorId({ pet_id });
+    if (petResult.success && petResult.pet && !Number(petResult.pet.ativo ?? 1)) {
+      return {
+        success: true,
+        pet_inativo: true,
+        tem_vacinas_atrasadas: false,
+        vacinas_atrasadas: [],
+        proximas_vacinas: [],
+        total_atrasadas: 0,
+        total_proximas: 0,
+        mensagem: 'Pet inativo - não enviar lembretes de vacinação'
+      };
     }
-    
-    const payload = {
-      cliente_id: dados.cliente_id ? parseInt(dados.cliente_id) : null,
-      itens: dados.itens.map(item => ({
-        produto_id: parseInt(item.produto_id),
-        quantidade: parseInt(item.quantidade),
-        valor_unitario: parseFloat(item.valor_unitario),
-        desconto: parseFloat(item.desconto || 0)
-      })),
-      forma_pagamento: Validators.formaPagamento(dados.forma_pagamento || 'Dinheiro'),
-      desconto_total: parseFloat(dados.desconto_total || 0),
-      observacoes: dados.observacoes || ''
-    };
-    
-    const result = await apiRequest('/vendas', 'POST', payload);
-    
-    if (!result.success) {
-      return { success: false, error: result.error };
+
+    // Buscar histórico de vacinação
+    const resultVacinas = await obterHistoricoVacinacao({ pet_id });
+
+    if (!resultVacinas.success) {
+      return { success: false, error: resultVacinas.error };
     }
-    
-    cacheInstances.financeiro.deletePattern(/venda/);
-    cacheInstances.produtos.deletePattern(/produto/);
-    
+
+    const hoje = new Date();
+    const vacinasAtrasadas = [];
+    const proximasVacinas = [];
+
+    resultVacinas.vacinacoes.forEach(vacina => {
+      if (vacina.proxima_dose || vacina.data_proxima_dose) {
+        const proximaDose = new Date(vacina.proxima_dose || vacina.data_proxima_dose);
+        const diasDiferenca = Math.ceil((proximaDose - hoje) / (1000 * 60 * 60 * 24));
+
+        if (diasDiferenca < 0) {
+          // Vacina atrasada
+          vacinasAtrasadas.push({
+            ...vacina,
+            dias_atraso: Math.abs(diasDiferenca)
+          });
+        } else if (diasDiferenca <= 30) {
+          // Vacina próxima do vencimento (próximos 30 dias)
+          proximasVacinas.push({
+            ...vacina,
+            dias_restantes: diasDiferenca
+          });
+        }
+      }
+    });
+
     return {
       success: true,
-      venda: result.data,
-      message: 'Venda realizada com sucesso'
+      tem_vacinas_atrasadas: vacinasAtrasadas.length > 0,
+      vacinas_atrasadas: vacinasAtrasadas,
+      proximas_vacinas: proximasVacinas,
+      total_atrasadas: vacinasAtrasadas.length,
+      total_proximas: proximasVacinas.length,
+      mensagem: vacinasAtrasadas.length > 0
+        ? `⚠️ Atenção! ${vacinasAtrasadas.length} vacina(s) atrasada(s)`
+        : proximasVacinas.length > 0
+        ? `📅 ${proximasVacinas.length} vacina(s) próximas do vencimento`
+        : '✅ Todas as vacinas em dia!'
     };
-    
+
   } catch (error) {
-    log('TOOL', 'Erro ao criar venda:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao verificar vacinas atrasadas:', error.message, LogLevel.ERROR);
     return { success: false, error: error.message };
   }
 }
 
-// ==================== FERRAMENTAS - DASHBOARD ====================
+// Serviço com o que ele ocupa na agenda: recursos físicos e intervalo de limpeza
+function comRequisitosAgenda(servico) {
+  return { ...servico, recursos: recursosDoServico(servico), intervalo_minutos: intervaloServicoClinica(servico) };
+}
 
-async function obterIndicadoresDashboard() {
-  log('TOOL', 'obter_indicadores_dashboard');
+async function buscarServicos({ termo_busca }) {
+  log('TOOL', 'buscar_servicos', { termo_busca });
   try {
-    const cacheKey = 'dashboard_indicadores';
-    const cached = cacheInstances.dashboard.get(cacheKey);
+    // Validação: termo de busca obrigatório
+    if (!termo_busca || termo_busca.trim().length < 2) {
+      return {
+        success: false,
+        servicos: [],
+        error: 'Termo de busca obrigatório (mínimo 2 caracteres). Ex: consulta, banho, vacina, etc.'
+      };
+    }
+
+    const endpoint = `/servicos?busca=${encodeURIComponent(termo_busca.trim())}`;
+
+    const cacheKey = `servicos_busca_${termo_busca.trim().toLowerCase()}`;
+    const cached = cacheInstances.servicos.get(cacheKey);
     if (cached) {
       if (cached.cached && cached.error) {
-        return { success: false, indicadores: {}, error: cached.error };
+        return { success: false, servicos: [], error: cached.error };
       }
-      log('TOOL', '✓ Indicadores encontrados no cache');
-      return cached;
+      log('TOOL', '✓ Serviços encontrados no cache');
+      return { ...cached, servicos: cached.servicos.map(comRequisitosAgenda) };
     }
-    
-    const result = await apiRequest('/dashboard/indicadores');
-    
+
+    const result = await apiRequest(endpoint);
+
     if (!result.success) {
-      cacheInstances.dashboard.setNegative(cacheKey, result.error);
-      return { success: false, indicadores: {}, error: result.error };
+      cacheInstances.servicos.setNegative(cacheKey, result.error);
+      return { success: false, servicos: [], error: result.error };
     }
-    
+
+    const servicos = Array.isArray(result.data) ? result.data : [];
+
     const response = {
       success: true,
-      indicadores: result.data
+      servicos,
+      total: servicos.length
     };
-    
-    cacheInstances.dashboard.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
-    return response;
-    
+
+    // Recursos anexados na saída (não no cache): vínculos podem mudar a qualquer momento
+    cacheInstances.servicos.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
+    return { ...response, servicos: servicos.map(comRequisitosAgenda) };
+
   } catch (error) {
-    log('TOOL', 'Erro ao obter indicadores:', error.message, LogLevel.ERROR);
-    return { success: false, indicadores: {}, error: error.message };
+    log('TOOL', 'Erro ao buscar serviços:', error.message, LogLevel.ERROR);
+    return { success: false, servicos: [], error: error.message };
   }
 }
 
-async function obterInsightsDashboard() {
-  log('TOOL', 'obter_insights_dashboard');
+async function listarPlanos() {
+  log('TOOL', 'listar_planos');
   try {
-    const result = await apiRequest('/dashboard/insights');
-    
+    const cacheKey = 'planos_disponiveis';
+    const cached = cacheInstances.servicos.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, planos: [], error: cached.error };
+      }
+      log('TOOL', '✓ Planos encontrados no cache');
+      return cached;
+    }
+
+    const result = await apiRequest('/planos');
+
     if (!result.success) {
-      return { success: false, insights: {}, error: result.error };
+      cacheInstances.servicos.setNegative(cacheKey, result.error);
+      return { success: false, planos: [], error: result.error };
     }
-    
-    return {
+
+    const planos = Array.isArray(result.data) ? result.data : [];
+
+    const response = {
       success: true,
-      insights: result.data
+      planos,
+      total: planos.length
     };
-    
+
+    cacheInstances.servicos.set(cacheKey, response, CONFIG.CACHE_TTL.LONG);
+    return response;
+
   } catch (error) {
-    log('TOOL', 'Erro ao obter insights:', error.message, LogLevel.ERROR);
-    return { success: false, insights: {}, error: error.message };
+    log('TOOL', 'Erro ao listar planos:', error.message, LogLevel.ERROR);
+    return { success: false, planos: [], error: error.message };
   }
 }
 
-async function obterEstatisticasFinanceiras() {
-  log('TOOL', 'obter_estatisticas_financeiras');
+async function obterEstatisticasPet({ pet_id }) {
+  log('TOOL', 'obter_estatisticas_pet', { pet_id });
   try {
-    const result = await apiRequest('/dashboard/estatisticas-financeiras');
-    
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+
+    const cacheKey = `estatisticas_pet_${pet_id}`;
+    const cached = cacheInstances.pets.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, estatisticas: {}, error: cached.error };
+      }
+      log('TOOL', '✓ Estatísticas encontradas no cache');
+      return cached;
+    }
+
+    const result = await apiRequest(`/pets/${pet_id}/estatisticas`);
+
     if (!result.success) {
+      cacheInstances.pets.setNegative(cacheKey, result.error);
       return { success: false, estatisticas: {}, error: result.error };
     }
-    
-    return {
+
+    const response = {
       success: true,
-      estatisticas: result.data
+      estatisticas: result.data || {}
     };
-    
+
+    cacheInstances.pets.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
+    return response;
+
   } catch (error) {
-    log('TOOL', 'Erro ao obter estatísticas financeiras:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro ao obter estatísticas do pet:', error.message, LogLevel.ERROR);
     return { success: false, estatisticas: {}, error: error.message };
   }
 }
 
-// ==================== FERRAMENTAS - COMISSÕES ====================
-
-async function listarComissoes({ filtros = {} }) {
-  log('TOOL', 'listar_comissoes', filtros);
-  try {
-    let endpoint = '/comissoes';
-    const params = [];
-    
-    if (filtros.funcionario_id) params.push(`funcionario_id=${filtros.funcionario_id}`);
-    if (filtros.mes) params.push(`mes=${filtros.mes}`);
-    if (filtros.ano) params.push(`ano=${filtros.ano}`);
-    if (filtros.status) params.push(`status=${encodeURIComponent(filtros.status)}`);
-    
-    if (params.length > 0) {
-      endpoint += '?' + params.join('&');
-    }
-    
-    const result = await apiRequest(endpoint);
-    
-    if (!result.success) {
-      return { success: false, comissoes: [], error: result.error };
-    }
-    
+/**
+ * Preferência de horário do cliente: "manha", "tarde" ou um horário
+ * aproximado ("HH:MM"). Retorna um filtro e uma ordenação para os slots.
+ */
+function interpretarPreferenciaHorario(preferencia) {
+  const texto = String(preferencia || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+  const minutoDoSlot = (slot) => paraMinutos(slot.horario);
+  
+  if (!texto) {
+    return { filtro: () => true, ordem: (a, b) => minutoDoSlot(a) - minutoDoSlot(b) };
+  }
+  if (texto.includes('manha')) {
+    return { filtro: slot => minutoDoSlot(slot) < 12 * 60, ordem: (a, b) => minutoDoSlot(a) - minutoDoSlot(b) };
+  }
+  if (texto.includes('tarde')) {
+    return { filtro: slot => minutoDoSlot(slot) >= 12 * 60, ordem: (a, b) => minutoDoSlot(a) - minutoDoSlot(b) };
+  }
+  
+  const horario = texto.match(/(\d{1,2})(?:[:h](\d{2}))?/);
+  if (horario) {
+    const alvo = parseInt(horario[1]) * 60 + parseInt(horario[2] || '0');
+    // Horário aproximado: aceita até 2h de diferença, mais próximos primeiro
     return {
-      success: true,
-      comissoes: result.data,
-      total: result.data.length
+      filtro: slot => Math.abs(minutoDoSlot(slot) - alvo) <= 120,
+      ordem: (a, b) => Math.abs(minutoDoSlot(a) - alvo) - Math.abs(minutoDoSlot(b) - alvo)
     };
-    
-  } catch (error) {
-    log('TOOL', 'Erro ao listar comissões:', error.message, LogLevel.ERROR);
-    return { success: false, comissoes: [], error: error.message };
   }
+  
+  throw new Error('preferencia_horario inválida. Use "manha", "tarde" ou um horário como "14:00"');
 }
 
-// ==================== FERRAMENTAS - ALERTAS ====================
-
-async function obterAlertas() {
-  log('TOOL', 'obter_alertas');
-  try {
-    const result = await apiRequest('/alertas');
-    
-    if (!result.success) {
-      return { success: false, alertas: [], error: result.error };
-    }
-    
-    return {
-      success: true,
-      alertas: result.data.alertas || result.data,
-      total: result.data.total || 0
-    };
-    
-  } catch (error) {
-    log('TOOL', 'Erro ao obter alertas:', error.message, LogLevel.ERROR);
-    return { success: false, alertas: [], error: error.message };
+/**
+ * Procura os N horários livres mais próximos em vários dias e vários
+ * profissionais. Dias fechados são descartados pelo expediente local, sem
+ * consultar a API; a busca para assim que encontra opções suficientes.
+ */
+async function buscarHorariosEmVariosDias({ profissionais, data_inicio, dias, duracao_minutos, recursos = [], intervalo_minutos = 0, preferencia_horario, max_opcoes = 5 }) {
+  const preferencia = interpretarPreferenciaHorario(preferencia_horario);
+  const totalDias = Math.min(Math.max(parseInt(dias) || 1, 1), CONFIG.ADVANCE_BOOKING_DAYS);
+  const agora = new Date();
+  const hoje = dataLocal(agora);
+  const horizonte = somarDias(hoje, CONFIG.ADVANCE_BOOKING_DAYS);
+  const ultimoDia = [somarDias(data_inicio, totalDias - 1), horizonte].sort()[0];
+  
+  const opcoes = [];
+  let diasConsultados = 0;
+  
+  for (let i = 0; i < totalDias && opcoes.length < max_opcoes; i++) {
+    const data = somarDias(data_inicio, i);
+    if (data > ultimoDia) break;
+    if (data < hoje) continue;
+    diasConsultados++;
+    
+    for (const profissional of profissionais) {
+      if (!obterExpediente(data, profissional.veterinario_id).aberto) continue;
+      
+      const horariosResult = await listarHorariosDisponiveisProfissional({
+        veterinario_id: profissional.veterinario_id,
+        data,
+        duracao_minutos,
+        limite: 50,
+        recursos,
+        intervalo_minutos
+      });
+      if (!horariosResult.success) continue;
+      
+      // No máximo 2 opções por profissional/dia para variar as alternativas
+      horariosResult.horarios
+        .filter(preferencia.filtro)
+        .sort(preferencia.ordem)
+        .slice(0, 2)
+        .forEach(slot => opcoes.push({
+          data,
+          dia_semana: DIAS_SEMANA[diaDaSemana(data)],
+          horario: slot.horario,
+          data_hora_completa: slot.data_hora_completa,
+          veterinario_id: profissional.veterinario_id,
+          veterinario_nome: profissional.veterinario_nome || null
+        }));
+    }
   }
+  
+  const selecionadas = opcoes
+    .sort((a, b) => a.data_hora_completa.localeCompare(b.data_hora_completa))
+    .slice(0, max_opcoes);
+  
+  let texto = selecionadas.length === 0
+    ? `❌ Nenhum horário disponível até ${ultimoDia.split('-').reverse().join('/')}.`
+    : `📅 Próximos horários disponíveis:\n\n`;
+  selecionadas.forEach(opcao => {
+    const [, m, d] = opcao.data.split('-');
+    texto += `• ${opcao.dia_semana} ${d}/${m} às ${opcao.horario}${opcao.veterinario_nome ? ` - ${opcao.veterinario_nome}` : ''}\n`;
+  });
+  
+  return {
+    opcoes: selecionadas,
+    total: selecionadas.length,
+    periodo: { inicio: data_inicio, fim: ultimoDia },
+    dias_consultados: diasConsultados,
+    texto_formatado: texto.trim()
+  };
 }
 
-async function obterBadgeAlertas() {
-  log('TOOL', 'obter_badge_alertas');
+async function consultarHorariosAgendamento({
+  cliente_id,
+  pet_id,
+  servico_descricao,
+  veterinario_id,
+  data,
+  duracao_minutos = 30,
+  dias_busca = 1,
+  preferencia_horario,
+  max_opcoes = 5
+}) {
+  log('TOOL', 'consultar_horarios_agendamento', { cliente_id, pet_id, data, dias_busca, preferencia_horario });
   try {
-    const result = await apiRequest('/alertas/badge');
-    
-    if (!result.success) {
-      return { success: false, badge: { criticos: 0, avisos: 0, total: 0 }, error: result.error };
-    }
-    
-    return {
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+    if (!data) throw new Error('data é obrigatória (formato YYYY-MM-DD)');
+
+    const resultado = {
       success: true,
-      badge: result.data
+      etapas: {}
     };
-    
-  } catch (error) {
-    log('TOOL', 'Erro ao obter badge de alertas:', error.message, LogLevel.ERROR);
-    return { success: false, badge: { criticos: 0, avisos: 0, total: 0 }, error: error.message };
-  }
-}
 
-// ==================== FERRAMENTAS - BUSCA GLOBAL ====================
+    // Etapa 1: Buscar serviço se descrição fornecida (para saber duração)
+    if (servico_descricao) {
+      const servicoResult = await buscarServicos({ termo_busca: servico_descricao });
+      if (servicoResult.success && servicoResult.servicos.length > 0) {
+        resultado.etapas.servico = servicoResult.servicos[0];
+        duracao_minutos = servicoResult.servicos[0].duracao_minutos || 30;
+      }
+    }
 
-async function buscaGlobal({ termo }) {
-  log('TOOL', `busca_global: ${termo}`);
-  try {
-    const termoLimpo = termo.toLowerCase().trim();
-    const resultados = {
-      clientes: [],
-      pets: [],
-      produtos: [],
-      servicos: []
+    // Etapa 2: Sugerir profissional automaticamente se não especificado
+    let veterinarioIdFinal = veterinario_id;
+
+    if (!veterinarioIdFinal) {
+      const tipo = resultado.etapas.servico?.tipo || servico_descricao || 'consulta';
+
+      const sugestaoResult = await sugerirProfissional({
+        tipo_servico: tipo,
+        pet_id: pet_id,
+        data: data
+      });
+
+      if (sugestaoResult.success && sugestaoResult.veterinario_id) {
+        veterinarioIdFinal = sugestaoResult.veterinario_id;
+        resultado.etapas.sugestao_profissional = {
+          veterinario_id: sugestaoResult.veterinario_id,
+          veterinario_nome: sugestaoResult.veterinario_nome,
+          motivo: sugestaoResult.motivo,
+          regra_aplicada: sugestaoResult.regra_aplicada,
+          profissional_preferencial: sugestaoResult.profissional_preferencial || null
+        };
+        log('TOOL', `✓ Profissional sugerido: ${sugestaoResult.veterinario_nome} (${sugestaoResult.veterinario_id})`);
+      }
+    }
+
+    // Etapa 3: Listar horários disponíveis do profissional
+    if (!veterinarioIdFinal) {
+      return {
+        success: false,
+        error: 'Não foi possível determinar profissional. Especifique veterinario_id.'
+      };
+    }
+
+    // Profissionais elegíveis para a busca em vários dias: o informado, ou o
+    // preferencial pelas regras da clínica e seus substitutos
+    const sugestao = resultado.etapas.sugestao_profissional;
+    const preferencial = sugestao?.profissional_preferencial || { veterinario_id: veterinarioIdFinal, veterinario_nome: sugestao?.veterinario_nome || null };
+    const profissionais = veterinario_id
+      ? [{ veterinario_id: parseInt(veterinario_id), veterinario_nome: null }]
+      : [preferencial, ...await listarSubstitutos(preferencial.veterinario_id)]
+          .filter((p, i, lista) => lista.findIndex(q => q.veterinario_id === p.veterinario_id) === i);
+
+    const recursos = resultado.etapas.servico?.recursos || [];
+    const intervalo_minutos = resultado.etapas.servico?.intervalo_minutos || 0;
+
+    const buscarAlternativas = async (dataInicio, dias) => {
+      const busca = await buscarHorariosEmVariosDias({
+        profissionais,
+        data_inicio: dataInicio,
+        dias,
+        duracao_minutos,
+        recursos,
+        intervalo_minutos,
+        preferencia_horario,
+        max_opcoes: parseInt(max_opcoes) || 5
+      });
+      return {
+        success: busca.total > 0,
+        modo: 'varios_dias',
+        data_solicitada: data,
+        ...busca,
+        duracao_minutos: duracao_minutos,
+        mensagem: busca.total > 0
+          ? `✅ Encontramos ${busca.total} opção(ões) nos próximos dias`
+          : `Nenhum horário disponível até ${busca.periodo.fim.split('-').reverse().join('/')}`
+      };
     };
-    
-    // Buscar em paralelo para otimizar
-    const [clientesRes, petsRes, produtosRes, servicosRes] = await Promise.allSettled([
-      apiRequest(`/clientes?busca=${encodeURIComponent(termo)}`),
-      apiRequest('/pets?page=1'),
-      apiRequest(`/produtos?busca=${encodeURIComponent(termo)}`),
-      apiRequest('/servicos')
-    ]);
-    
-    // Processar clientes
-    if (clientesRes.status === 'fulfilled' && clientesRes.value.success) {
-      const clientes = Array.isArray(clientesRes.value.data) ? clientesRes.value.data : [];
-      resultados.clientes = clientes.slice(0, 10);
+
+    const dataFormatada = Validators.data(data);
+
+    // Modo intervalo: procura direto em vários dias
+    if (parseInt(dias_busca) > 1) {
+      return await buscarAlternativas(dataFormatada, dias_busca);
     }
-    
-    // Processar pets
-    if (petsRes.status === 'fulfilled' && petsRes.value.success) {
-      const petsData = petsRes.value.data?.data || petsRes.value.data || [];
-      const pets = Array.isArray(petsData) ? petsData : [];
-      resultados.pets = pets.filter(p => 
-        (p.nome && p.nome.toLowerCase().includes(termoLimpo)) ||
-        (p.especie && p.especie.toLowerCase().includes(termoLimpo))
-      ).slice(0, 10);
+
+    const horariosResult = await listarHorariosDisponiveisProfissional({
+      veterinario_id: veterinarioIdFinal,
+      data: dataFormatada,
+      duracao_minutos: duracao_minutos,
+      limite: 50,
+      recursos,
+      intervalo_minutos
+    });
+
+    if (horariosResult.success && preferencia_horario) {
+      const preferencia = interpretarPreferenciaHorario(preferencia_horario);
+      horariosResult.horarios = horariosResult.horarios.filter(preferencia.filtro).sort(preferencia.ordem);
     }
-    
-    // Processar produtos
-    if (produtosRes.status === 'fulfilled' && produtosRes.value.success) {
-      const produtos = Array.isArray(produtosRes.value.data) ? produtosRes.value.data : [];
-      resultados.produtos = produtos.slice(0, 10);
+    if (horariosResult.success) {
+      horariosResult.horarios = horariosResult.horarios.slice(0, 15);
+      horariosResult.total = horariosResult.horarios.length;
     }
-    
-    // Processar serviços
-    if (servicosRes.status === 'fulfilled' && servicosRes.value.success) {
-      const servicos = Array.isArray(servicosRes.value.data) ? servicosRes.value.data : [];
-      resultados.servicos = servicos.filter(s =>
-        (s.nome && s.nome.toLowerCase().includes(termoLimpo)) ||
-        (s.tipo && s.tipo.toLowerCase().includes(termoLimpo))
-      ).slice(0, 10);
+
+    resultado.etapas.horarios = horariosResult;
+
+    // Dia cheio ou fechado: a data pedida não serve (success: false), mas
+    // oferece as alternativas mais próximas em uma janela curta de dias seguintes
+    if (!horariosResult.success || horariosResult.total === 0) {
+      const busca = await buscarHorariosEmVariosDias({
+        profissionais,
+        data_inicio: somarDias(dataFormatada, 1),
+        dias: CONFIG.ALTERNATIVE_SEARCH_DAYS,
+        duracao_minutos,
+        recursos,
+        intervalo_minutos,
+        preferencia_horario,
+        max_opcoes: parseInt(max_opcoes) || 5
+      });
+      const motivo = horariosResult.fechado ? horariosResult.mensagem : 'Nenhum horário disponível para esta data';
+      return {
+        success: false,
+        modo: 'alternativas',
+        veterinario_id: veterinarioIdFinal,
+        veterinario_nome: sugestao?.veterinario_nome || null,
+        data: data,
+        horarios: [],
+        duracao_minutos: duracao_minutos,
+        alternativas: busca.opcoes,
+        total_alternativas: busca.total,
+        periodo_alternativas: busca.periodo,
+        texto_formatado: busca.texto_formatado,
+        mensagem: busca.total > 0
+          ? `${motivo}. Ofereça uma das ${busca.total} alternativa(s) nos próximos dias.`
+          : `${motivo}. Nenhum horário disponível até ${busca.periodo.fim.split('-').reverse().join('/')}; peça outra data ao cliente.`
+      };
     }
-    
+
+    // Formatar resposta compacta para chatbot
+    const respostaFormatada = await formatarRespostaCompacta({
+      dados: horariosResult,
+      tipo: 'horarios',
+      limite_caracteres: 1800
+    });
+
     return {
       success: true,
-      resultados,
-      total: {
-        clientes: resultados.clientes.length,
-        pets: resultados.pets.length,
-        produtos: resultados.produtos.length,
-        servicos: resultados.servicos.length
-      },
-      termo_busca: termo
+      veterinario_id: veterinarioIdFinal,
+      veterinario_nome: resultado.etapas.sugestao_profissional?.veterinario_nome || null,
+      data: data,
+      horarios: horariosResult.horarios,
+      total_horarios: horariosResult.total,
+      duracao_minutos: duracao_minutos,
+      texto_formatado: respostaFormatada.texto,
+      mensagem: `✅ Encontramos ${horariosResult.total} horário(s) disponível(is)`
     };
-    
+
   } catch (error) {
-    log('TOOL', 'Erro na busca global:', error.message, LogLevel.ERROR);
-    return { success: false, resultados: {}, error: error.message };
+    log('TOOL', 'Erro ao consultar horários para agendamento:', error.message, LogLevel.ERROR);
+    return { success: false, horarios: [], error: error.message };
   }
 }
 
-// ==================== WORKFLOW COMPLETO ====================
-
-async function workflowNovoCliente({ dados }) {
-  log('TOOL', 'workflow_novo_cliente');
+async function workflowAgendamentoCompleto({
+  cliente_id,
+  pet_id,
+  servico_descricao,
+  veterinario_id,
+  data_hora,
+  observacoes,
+  validar_antes,
+  autorizar_com_debito = false
+}) {
+  log('TOOL', 'workflow_agendamento_completo', { cliente_id, pet_id });
   try {
-    const resultado = { success: true, etapas: {} };
-    let clienteId;
-    
-    // Verificar se cliente já existe
-    if (dados.cliente_telefone) {
-      const clienteExistente = await buscarClientePorTelefone({ 
-        telefone: dados.cliente_telefone 
-      });
-      
-      if (clienteExistente.success && clienteExistente.found) {
-        resultado.etapas.cliente = clienteExistente.cliente;
-        resultado.etapas.cliente_existente = true;
-        clienteId = clienteExistente.cliente.id;
-        
-        if (dados.usar_cliente_existente === false) {
-          return {
-            success: false,
-            etapa_falha: 'cliente_duplicado',
-            cliente_existente: clienteExistente.cliente,
-            error: 'Cliente já existe. Configure usar_cliente_existente: true para continuar.'
-          };
-        }
+    if (!cliente_id) throw new Error('cliente_id é obrigatório');
+    if (!pet_id) throw new Error('pet_id é obrigatório');
+    if (!data_hora) throw new Error('data_hora é obrigatória');
+
+    const resultado = {
+      success: true,
+      etapas: {}
+    };
+
+    // Etapa 1: Buscar serviço se descrição fornecida
+    if (servico_descricao) {
+      const servicoResult = await buscarServicos({ termo_busca: servico_descricao });
+      if (!servicoResult.success || servicoResult.servicos.length === 0) {
+        return {
+          success: false,
+          etapa_falha: 'buscar_servico',
+          error: 'Serviço não encontrado. Tente outro termo de busca.'
+        };
       }
+      resultado.etapas.servico = servicoResult.servicos[0];
     }
-    
-    // Criar cliente se não existe
-    if (!clienteId) {
-      const novoClienteResult = await criarCliente({ 
-        dados: {
-          nome: dados.cliente_nome,
-          cpf: dados.cliente_cpf,
-          telefone: dados.cliente_telefone,
-          email: dados.cliente_email,
-          whatsapp: dados.cliente_whatsapp || dados.cliente_telefone,
-          endereco: dados.cliente_endereco,
-          numero: dados.cliente_numero,
-          bairro: dados.cliente_bairro,
-          cidade: dados.cliente_cidade,
-          estado: dados.cliente_estado,
-          cep: dados.cliente_cep,
-          observacoes: dados.cliente_observacoes
-        }
+
+    // Etapa 1.2: Verificar débito do cliente antes de procurar horário
+    const bloqueioDebito = await verificarDebitoAgendamento({
+      cliente_id,
+      tipo: resultado.etapas.servico?.tipo || servico_descricao,
+      autorizar_com_debito
+    });
+    if (bloqueioDebito) {
+      return { ...bloqueioDebito, etapa_falha: 'verificar_debito' };
+    }
+
+    // Etapa 1.5: Sugerir profissional automaticamente se não especificado
+    let veterinarioIdFinal = veterinario_id;
+
+    if (!veterinarioIdFinal) {
+      const tipo = resultado.etapas.servico?.tipo || servico_descricao || 'consulta';
+
+      const sugestaoResult = await sugerirProfissional({
+        tipo_servico: tipo,
+        pet_id: pet_id,
+        data: data_hora
       });
-      
-      if (!novoClienteResult.success) {
-        return { 
-          success: false, 
-          etapa_falha: 'criar_cliente', 
-          error: novoClienteResult.error 
+
+      if (sugestaoResult.success && sugestaoResult.veterinario_id) {
+        veterinarioIdFinal = sugestaoResult.veterinario_id;
+        resultado.etapas.sugestao_profissional = {
+          veterinario_id: sugestaoResult.veterinario_id,
+          veterinario_nome: sugestaoResult.veterinario_nome,
+          motivo: sugestaoResult.motivo,
+          regra_aplicada: sugestaoResult.regra_aplicada
         };
+        log('TOOL', `✓ Profissional sugerido automaticamente: ${sugestaoResult.veterinario_nome} (${sugestaoResult.veterinario_id})`);
       }
-      
-      resultado.etapas.cliente = novoClienteResult.cliente;
-      resultado.etapas.cliente_existente = false;
-      clienteId = novoClienteResult.cliente.id;
     }
-    
-    // Criar pet se dados fornecidos
-    if (dados.pet_nome) {
-      const novoPetResult = await criarPet({ 
-        dados: {
-          cliente_id: clienteId,
-          nome: dados.pet_nome,
-          especie: dados.pet_especie,
-          raca: dados.pet_raca,
-          sexo: dados.pet_sexo,
-          castrado: dados.pet_castrado,
-          data_nascimento: dados.pet_data_nascimento,
-          peso: dados.pet_peso,
-          pelagem: dados.pet_pelagem,
-          microchip: dados.pet_microchip,
-          alergias: dados.pet_alergias,
-          observacoes: dados.pet_observacoes
-        }
+
+    // Etapa 2: Validar horário (se solicitado ou se veterinário especificado)
+    if ((validar_antes === true || veterinarioIdFinal) && veterinarioIdFinal) {
+      const validacaoResult = await validarHorarioDisponivel({
+        data_hora,
+        veterinario_id: veterinarioIdFinal,
+        duracao_minutos: resultado.etapas.servico?.duracao_minutos || 30,
+        recursos: resultado.etapas.servico?.recursos || [],
+        intervalo_minutos: resultado.etapas.servico?.intervalo_minutos || 0
       });
-      
-      if (!novoPetResult.success) {
-        return { 
-          success: false, 
-          etapa_falha: 'criar_pet', 
-          cliente: resultado.etapas.cliente, 
-          error: novoPetResult.error 
+
+      resultado.etapas.validacao = validacaoResult;
+
+      if (!validacaoResult.disponivel) {
+        return {
+          success: false,
+          etapa_falha: 'validar_horario',
+          error: 'Horário não disponível',
+          validacao: validacaoResult
         };
       }
-      
-      resultado.etapas.pet = novoPetResult.pet;
     }
-    
-    // Criar agendamento se dados fornecidos
-    if (dados.agendamento_data_hora && resultado.etapas.pet) {
-      const novoAgendamentoResult = await criarAgendamento({ 
-        dados: {
-          cliente_id: clienteId,
-          pet_id: resultado.etapas.pet.id,
-          servico_id: dados.agendamento_servico_id,
-          veterinario_id: dados.agendamento_veterinario_id,
-          data_hora: dados.agendamento_data_hora,
-          tipo: dados.agendamento_tipo || 'Consulta',
-          duracao_minutos: dados.agendamento_duracao || 30,
-          valor: dados.agendamento_valor,
-          observacoes: dados.agendamento_observacoes,
-          status: dados.agendamento_status || 'Agendado'
-        }
-      });
-      
-      if (!novoAgendamentoResult.success) {
-        return { 
-          success: false, 
-          etapa_falha: 'criar_agendamento',
-          cliente: resultado.etapas.cliente,
-          pet: resultado.etapas.pet,
-          error: novoAgendamentoResult.error 
-        };
+
+    // Etapa 3: Criar agendamento
+    const agendamentoResult = await criarAgendamento({
+      dados: {
+        cliente_id: parseInt(cliente_id),
+        pet_id: parseInt(pet_id),
+        servico_id: resultado.etapas.servico?.id || null,
+        veterinario_id: veterinarioIdFinal ? parseInt(veterinarioIdFinal) : null,
+        data_hora,
+        servico_nome: resultado.etapas.servico?.nome,
+        tipo: resultado.etapas.servico?.tipo || 'Consulta',
+        duracao_minutos: resultado.etapas.servico?.duracao_minutos || 30,
+        valor: resultado.etapas.servico?.preco || null,
+        observacoes: observacoes || '',
+        status: 'Agendado'
       }
-      
-      resultado.etapas.agendamento = novoAgendamentoResult.agendamento;
+    }, { debitoVerificado: true });
+
+    if (!agendamentoResult.success) {
+      return {
+        success: false,
+        etapa_falha: 'criar_agendamento',
+        error: agendamentoResult.error
+      };
     }
-    
-    resultado.message = resultado.etapas.cliente_existente 
-      ? 'Workflow concluído (cliente existente utilizado)'
-      : 'Workflow concluído (novo cliente criado)';
-    
-    resultado.resumo = {
-      cliente_id: clienteId,
-      cliente_nome: resultado.etapas.cliente.nome,
-      cliente_novo: !resultado.etapas.cliente_existente,
-      pet_id: resultado.etapas.pet?.id,
-      pet_nome: resultado.etapas.pet?.nome,
-      agendamento_id: resultado.etapas.agendamento?.id,
-      agendamento_data: resultado.etapas.agendamento?.data_hora
-    };
-    
+
+    resultado.etapas.agendamento = agendamentoResult.agendamento;
+    resultado.message = '✅ Agendamento criado com sucesso!';
+
     return resultado;
-    
+
   } catch (error) {
-    log('WORKFLOW', 'Erro no workflow:', error.message, LogLevel.ERROR);
+    log('TOOL', 'Erro no workflow de agendamento:', error.message, LogLevel.ERROR);
     return { success: false, error: error.message };
   }
 }
 
-// ==================== DEFINIÇÕES DE FERRAMENTAS ====================
+// ==================== FERRAMENTAS - PRODUTOS ====================
 
-const toolDefinitions = [
-  // Clientes
-  {
-    name: "buscar_cliente_por_telefone",
-    description: "Busca cliente por telefone ou WhatsApp",
-    inputSchema: {
-      type: "object",
-      properties: {
-        telefone: { type: "string", description: "Número de telefone (aceita com ou sem código do país)" }
-      },
-      required: ["telefone"]
-    }
-  },
-  {
-    name: "buscar_clientes",
-    description: "Busca clientes por nome, telefone, CPF ou email. OBRIGATÓRIO informar termo de busca (mínimo 3 caracteres) para evitar retornar milhares de registros",
-    inputSchema: {
-      type: "object",
-      properties: {
-        termo_busca: {
-          type: "string",
-          description: "Termo de busca OBRIGATÓRIO: nome, telefone, CPF ou email do cliente (mínimo 3 caracteres)"
-        }
-      },
-      required: ["termo_busca"]
+async function buscarProdutos({ termo_busca, categoria, estoque_baixo }) {
+  log('TOOL', 'buscar_produtos', { termo_busca, categoria, estoque_baixo });
+  try {
+    // VALIDAÇÃO OBRIGATÓRIA: Ao menos um filtro deve ser fornecido
+    if (!termo_busca && !categoria && !estoque_baixo) {
+      return {
+        success: false,
+        produtos: [],
+        error: 'Informe ao menos um filtro: termo_busca (mínimo 3 caracteres), categoria ou estoque_baixo=true'
+      };
     }
-  },
-  {
-    name: "criar_cliente",
-    description: "Cria novo cliente com geração automática de CPF se não fornecido",
-    inputSchema: {
-      type: "object",
-      properties: {
-        dados: {
-          type: "object",
-          properties: {
-            nome: { type: "string", description: "Nome completo do cliente" },
-            cpf: { type: "string", description: "CPF (opcional - será gerado se não fornecido)" },
-            telefone: { type: "string", description: "Telefone principal" },
-            email: { type: "string", description: "Email" },
-            whatsapp: { type: "string", description: "WhatsApp (se diferente do telefone)" },
-            endereco: { type: "string", description: "Endereço completo" },
-            numero: { type: "string", description: "Número" },
-            bairro: { type: "string", description: "Bairro" },
-            cidade: { type: "string", description: "Cidade" },
-            estado: { type: "string", description: "Estado (sigla com 2 letras)" },
-            cep: { type: "string", description: "CEP" },
-            observacoes: { type: "string", description: "Observações adicionais" },
-            ativo: { type: "boolean", description: "Status ativo (padrão: true)" }
-          },
-          required: ["nome"]
-        }
-      },
-      required: ["dados"]
+
+    // Se termo_busca fornecido, validar mínimo de caracteres
+    if (termo_busca && termo_busca.trim().length < 3) {
+      return {
+        success: false,
+        produtos: [],
+        error: 'Termo de busca deve ter no mínimo 3 caracteres'
+      };
     }
-  },
-  {
-    name: "atualizar_cliente",
-    description: "Atualiza dados de cliente existente",
-    inputSchema: {
-      type: "object",
-      properties: {
-        cliente_id: { type: "integer", description: "ID do cliente" },
-        dados_atualizacao: { 
-          type: "object",
-          description: "Campos a atualizar (apenas enviar campos que deseja modificar)"
-        }
-      },
-      required: ["cliente_id", "dados_atualizacao"]
+
+    const params = [];
+    if (termo_busca) params.push(`busca=${encodeURIComponent(termo_busca.trim())}`);
+    if (categoria) params.push(`categoria=${encodeURIComponent(categoria)}`);
+    if (estoque_baixo) params.push(`estoque_baixo=1`);
+    params.push('ativo=1'); // Sempre buscar apenas produtos ativos
+
+    const endpoint = `/produtos?${params.join('&')}`;
+
+    // Cache por combinação de filtros
+    const cacheKey = `produtos_${params.join('_')}`;
+    const cached = cacheInstances.produtos.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, produtos: [], error: cached.error };
+      }
+      log('TOOL', '✓ Produtos encontrados no cache');
+      return cached;
+    }
+
+    const result = await apiRequest(endpoint);
+
+    if (!result.success) {
+      cacheInstances.produtos.setNegative(cacheKey, result.error);
+      return { success: false, produtos: [], error: result.error };
+    }
+
+    const produtos = Array.isArray(result.data) ? result.data : [];
+
+    // Limitar a 100 resultados
+    const produtosLimitados = produtos.slice(0, 100);
+
+    const response = {
+      success: true,
+      produtos: produtosLimitados,
+      total: produtosLimitados.length,
+      limitado: produtos.length > 100
+    };
+
+    cacheInstances.produtos.set(cacheKey, response, CONFIG.CACHE_TTL.MEDIUM);
+    return response;
+
+  } catch (error) {
+    log('TOOL', 'Erro ao buscar produtos:', error.message, LogLevel.ERROR);
+    return { success: false, produtos: [], error: error.message };
+  }
+}
+
+async function criarProduto({ dados }) {
+  log('TOOL', 'criar_produto:', dados.nome);
+  try {
+    if (!dados.nome) throw new Error('nome é obrigatório');
+    if (!dados.categoria) throw new Error('categoria é obrigatória');
+    if (!dados.preco_venda) throw new Error('preco_venda é obrigatório');
+    
+    const payload = {
+      nome: dados.nome.trim(),
+      categoria: dados.categoria.trim(),
+      codigo_barras: dados.codigo_barras || '',
+      preco_custo: dados.preco_custo ? parseFloat(dados.preco_custo) : null,
+      preco_venda: parseFloat(dados.preco_venda),
+      estoque_atual: parseInt(dados.estoque_atual) || 0,
+      estoque_minimo: parseInt(dados.estoque_minimo) || 0,
+      unidade: dados.unidade || 'un',
+      ativo: dados.ativo !== false ? 1 : 0
+    };
+    
+    const result = await apiRequest('/produtos', 'POST', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.produtos.deletePattern(/produto/);
+    
+    return {
+      success: true,
+      produto: result.data.produto || result.data,
+      message: 'Produto criado com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao criar produto:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - FINANCEIRO ====================
+
+async function listarContasReceber({ filtros = {} }) {
+  log('TOOL', 'listar_contas_receber', filtros);
+  try {
+    let endpoint = '/contas-receber';
+    const params = [];
+    
+    if (filtros.status) params.push(`status=${encodeURIComponent(filtros.status)}`);
+    if (filtros.vencimento_inicio) params.push(`vencimento_inicio=${filtros.vencimento_inicio}`);
+    if (filtros.vencimento_fim) params.push(`vencimento_fim=${filtros.vencimento_fim}`);
+    if (filtros.cliente_id) params.push(`cliente_id=${filtros.cliente_id}`);
+    
+    if (params.length > 0) {
+      endpoint += '?' + params.join('&');
+    }
+    
+    const result = await apiRequest(endpoint);
+    
+    if (!result.success) {
+      return { success: false, contas: [], error: result.error };
+    }
+    
+    return {
+      success: true,
+      contas: result.data,
+      total: result.data.length
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao listar contas a receber:', error.message, LogLevel.ERROR);
+    return { success: false, contas: [], error: error.message };
+  }
+}
+
+async function criarContaReceber({ dados }) {
+  log('TOOL', 'criar_conta_receber:', dados);
+  try {
+    if (!dados.descricao) throw new Error('descricao é obrigatória');
+    if (!dados.valor) throw new Error('valor é obrigatório');
+    if (!dados.vencimento) throw new Error('vencimento é obrigatório');
+    
+    const payload = {
+      descricao: dados.descricao.trim(),
+      valor: Validators.valor(dados.valor),
+      vencimento: Validators.data(dados.vencimento),
+      cliente_id: dados.cliente_id ? parseInt(dados.cliente_id) : null,
+      categoria_id: dados.categoria_id ? parseInt(dados.categoria_id) : null,
+      forma_pagamento: dados.forma_pagamento || 'Dinheiro',
+      status: dados.status || 'Pendente',
+      observacoes: dados.observacoes || ''
+    };
+    
+    const result = await apiRequest('/contas-receber', 'POST', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/conta/);
+    
+    return {
+      success: true,
+      conta: result.data,
+      message: 'Conta a receber criada com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao criar conta a receber:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+async function registrarPagamento({ conta_id, dados }) {
+  log('TOOL', `registrar_pagamento: ${conta_id}`);
+  try {
+    if (!dados.valor_pago) throw new Error('valor_pago é obrigatório');
+    if (!dados.data_pagamento) throw new Error('data_pagamento é obrigatória');
+    
+    const payload = {
+      valor_pago: Validators.valor(dados.valor_pago),
+      data_pagamento: Validators.data(dados.data_pagamento),
+      forma_pagamento: Validators.formaPagamento(dados.forma_pagamento || 'Dinheiro'),
+      observacoes: dados.observacoes || ''
+    };
+    
+    const result = await apiRequest(`/contas-receber/${conta_id}/pagar`, 'POST', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/conta/);
+    
+    return {
+      success: true,
+      message: 'Pagamento registrado com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao registrar pagamento:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Consolida as contas a receber de um cliente em valor em aberto/vencido
+ * e compara com o limite de débito da clínica (CONFIG.MAX_DEBT_ALLOWED).
+ */
+function resumirDebitoCliente(contas = []) {
+  const hoje = dataLocal();
+  let valorEmAberto = 0;
+  let valorVencido = 0;
+  let contasEmAberto = 0;
+  let contasVencidas = 0;
+  
+  for (const conta of contas) {
+    if (['Paga', 'Cancelada'].includes(conta.status)) continue;
+    
+    // Contas parciais: considera apenas o saldo restante
+    const saldo = (parseFloat(conta.valor) || 0) - (parseFloat(conta.valor_pago) || 0);
+    if (saldo <= 0) continue;
+    
+    valorEmAberto += saldo;
+    contasEmAberto++;
+    if (conta.vencimento && String(conta.vencimento).substring(0, 10) < hoje) {
+      valorVencido += saldo;
+      contasVencidas++;
+    }
+  }
+  
+  return {
+    valor_em_aberto: Number(valorEmAberto.toFixed(2)),
+    valor_vencido: Number(valorVencido.toFixed(2)),
+    contas_em_aberto: contasEmAberto,
+    contas_vencidas: contasVencidas,
+    limite: CONFIG.MAX_DEBT_ALLOWED,
+    acima_do_limite: valorEmAberto > CONFIG.MAX_DEBT_ALLOWED
+  };
+}
+
+// Saldo e faturas do cliente
+
+async function obterSaldoCliente({ cliente_id, mes, ano, data_inicio, data_fim, incluir_detalhes = false }) {
+  log('TOOL', `obter_saldo_cliente: ${cliente_id}`);
+  try {
+    if (!cliente_id) throw new Error('cliente_id é obrigatório');
+    
+    // Período considerado para "pago no período" (padrão: mês corrente)
+    const periodo = resolverPeriodoRelatorio({ data_inicio, data_fim, mes, ano });
+    
+    const contasResult = await listarContasReceber({ filtros: { cliente_id } });
+    if (!contasResult.success) {
+      return { success: false, error: contasResult.error };
+    }
+    
+    const contas = contasResult.contas || [];
+    const debito = resumirDebitoCliente(contas);
+    const hoje = dataLocal();
+    const dataConta = (valor) => (valor ? String(valor).substring(0, 10) : null);
+    const saldoConta = (conta) => Number(((parseFloat(conta.valor) || 0) - (parseFloat(conta.valor_pago) || 0)).toFixed(2));
+    
+    const pagas = contas.filter(conta => {
+      if (conta.status !== 'Paga' && conta.status !== 'Parcial') return false;
+      const pagamento = dataConta(conta.data_pagamento);
+      return pagamento && pagamento >= periodo.inicio && pagamento <= periodo.fim;
+    });
+    const valorPago = pagas.reduce((soma, conta) => soma + (parseFloat(conta.valor_pago ?? conta.valor) || 0), 0);
+    
+    const emAberto = contas.filter(conta => !['Paga', 'Cancelada'].includes(conta.status) && saldoConta(conta) > 0);
+    const vencidas = emAberto.filter(conta => dataConta(conta.vencimento) && dataConta(conta.vencimento) < hoje);
+    const aVencer = emAberto.filter(conta => !vencidas.includes(conta));
+    
+    let texto;
+    if (debito.valor_em_aberto === 0) {
+      texto = '✅ Nenhum valor em aberto. Obrigado!';
+    } else {
+      texto = `💰 Total em aberto: R$ ${debito.valor_em_aberto.toFixed(2)}`;
+      if (debito.valor_vencido > 0) {
+        texto += `\n⚠️ Vencido: R$ ${debito.valor_vencido.toFixed(2)} (${debito.contas_vencidas} conta(s))`;
+      }
+      const proxima = [...aVencer].sort((a, b) => String(a.vencimento).localeCompare(String(b.vencimento)))[0];
+      if (proxima) {
+        const [a, m, d] = dataConta(proxima.vencimento).split('-');
+        texto += `\n📅 Próximo vencimento: ${d}/${m}/${a} - R$ ${saldoConta(proxima).toFixed(2)}`;
+      }
+    }
+    
+    const response = {
+      success: true,
+      cliente_id: parseInt(cliente_id),
+      saldo: {
+        pendente: Number((debito.valor_em_aberto - debito.valor_vencido).toFixed(2)),
+        vencido: debito.valor_vencido,
+        total_em_aberto: debito.valor_em_aberto,
+        pago_no_periodo: Number(valorPago.toFixed(2))
+      },
+      periodo,
+      acima_do_limite: debito.acima_do_limite,
+      texto
+    };
+    
+    if (incluir_detalhes) {
+      const resumir = (conta) => ({
+        id: conta.id,
+        descricao: conta.descricao,
+        vencimento: dataConta(conta.vencimento),
+        valor: parseFloat(conta.valor) || 0,
+        saldo: saldoConta(conta),
+        status: conta.status
+      });
+      response.detalhes = {
+        vencidas: vencidas.map(resumir),
+        a_vencer: aVencer.map(resumir),
+        pagas_no_periodo: pagas.map(conta => ({ ...resumir(conta), data_pagamento: dataConta(conta.data_pagamento) }))
+      };
+    }
+    
+    return response;
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao obter saldo do cliente:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Agrupa serviços e produtos em uma única conta a receber. A API não tem
+ * itens de conta, então a discriminação vai nas observações da conta e no
+ * resumo para impressão retornado ao chamador.
+ */
+async function criarFatura({ cliente_id, itens = [], vencimento, forma_pagamento, desconto = 0, observacoes }) {
+  log('TOOL', `criar_fatura: ${cliente_id}`, { itens: itens.length });
+  try {
+    if (!cliente_id) throw new Error('cliente_id é obrigatório');
+    if (!Array.isArray(itens) || itens.length === 0) {
+      throw new Error('A fatura deve ter pelo menos um item');
+    }
+    
+    // Mesma condição da consulta ao cadastro abaixo: falta preço ou descrição
+    const precisaCadastro = item => item.valor_unitario === undefined || item.descricao === undefined;
+    const servicosResult = itens.some(item => item.tipo === 'servico' && item.id && precisaCadastro(item))
+      ? await listarServicosAtivos()
+      : { servicos: [] };
+    
+    const linhas = [];
+    for (const item of itens) {
+      if (!['servico', 'produto'].includes(item.tipo)) {
+        throw new Error('tipo do item deve ser "servico" ou "produto"');
+      }
+      
+      let descricao = item.descricao;
+      let valorUnitario = item.valor_unitario;
+      
+      // Sem preço ou descrição informados, usa o cadastro do serviço/produto
+      if (precisaCadastro(item)) {
+        if (!item.id) throw new Error('Informe id ou descricao/valor_unitario para cada item');
+        
+        if (item.tipo === 'servico') {
+          const servico = (servicosResult.servicos || []).find(s => String(s.id) === String(item.id));
+          if (!servico) throw new Error(`Serviço ${item.id} não encontrado`);
+          descricao = descricao ?? servico.nome;
+          valorUnitario = valorUnitario ?? servico.preco ?? servico.valor;
+        } else {
+          const produtoResult = await apiRequest(`/produtos/${item.id}`);
+          const produto = produtoResult.data?.produto || produtoResult.data;
+          if (!produto) throw new Error(`Produto ${item.id} não encontrado`);
+          descricao = descricao ?? produto.nome;
+          valorUnitario = valorUnitario ?? produto.preco_venda;
+        }
+      }
+      
+      const quantidade = item.quantidade !== undefined ? parseFloat(item.quantidade) : 1;
+      if (!(quantidade > 0)) throw new Error(`Quantidade inválida para ${descricao}`);
+      const unitario = Validators.valor(valorUnitario);
+      
+      linhas.push({
+        tipo: item.tipo,
+        id: item.id ? parseInt(item.id) : null,
+        descricao,
+        quantidade,
+        valor_unitario: unitario,
+        subtotal: Number((unitario * quantidade).toFixed(2))
+      });
+    }
+    
+    const subtotal = Number(linhas.reduce((soma, linha) => soma + linha.subtotal, 0).toFixed(2));
+    const descontoValor = desconto ? Validators.valor(desconto) : 0;
+    if (descontoValor > subtotal) throw new Error('desconto maior que o total da fatura');
+    const total = Number((subtotal - descontoValor).toFixed(2));
+    
+    const vencimentoFatura = Validators.data(vencimento || dataLocal());
+    
+    const formatarLinha = (linha) =>
+      `${linha.quantidade}x ${linha.descricao} @ R$ ${linha.valor_unitario.toFixed(2)} = R$ ${linha.subtotal.toFixed(2)}`;
+    const servicos = linhas.filter(linha => linha.tipo === 'servico');
+    const produtos = linhas.filter(linha => linha.tipo === 'produto');
+    
+    const resumo = [
+      `FATURA - Cliente ${cliente_id}`,
+      `Vencimento: ${vencimentoFatura.split('-').reverse().join('/')}`,
+      ...(servicos.length > 0 ? ['', 'Serviços:', ...servicos.map(formatarLinha)] : []),
+      ...(produtos.length > 0 ? ['', 'Produtos:', ...produtos.map(formatarLinha)] : []),
+      '',
+      `Subtotal: R$ ${subtotal.toFixed(2)}`,
+      ...(descontoValor > 0 ? [`Desconto: R$ ${descontoValor.toFixed(2)}`] : []),
+      `TOTAL: R$ ${total.toFixed(2)}`,
+      ...(observacoes ? ['', observacoes] : [])
+    ].join('\n');
+    
+    const contaResult = await criarContaReceber({
+      dados: {
+        descricao: linhas.length === 1
+          ? `Fatura: ${linhas[0].descricao}`
+          : `Fatura: ${linhas.length} itens (${[servicos.length && 'serviços', produtos.length && 'produtos'].filter(Boolean).join(' e ')})`,
+        valor: total,
+        vencimento: vencimentoFatura,
+        cliente_id,
+        forma_pagamento: forma_pagamento ? Validators.formaPagamento(forma_pagamento) : undefined,
+        observacoes: resumo
+      }
+    });
+    
+    if (!contaResult.success) {
+      return { success: false, error: contaResult.error };
+    }
+    
+    return {
+      success: true,
+      fatura: {
+        conta_id: contaResult.conta?.id ?? null,
+        cliente_id: parseInt(cliente_id),
+        vencimento: vencimentoFatura,
+        itens: linhas,
+        subtotal,
+        desconto: descontoValor,
+        total
+      },
+      resumo_impressao: resumo,
+      message: `Fatura de R$ ${total.toFixed(2)} criada`
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao criar fatura:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// Contas a pagar (fornecedores, despesas fixas)
+
+async function listarContasPagar({ filtros = {} }) {
+  log('TOOL', 'listar_contas_pagar', filtros);
+  try {
+    let endpoint = '/financeiro/contas-pagar';
+    const params = [];
+    
+    if (filtros.status) params.push(`status=${encodeURIComponent(Validators.statusConta(filtros.status))}`);
+    if (filtros.vencimento_inicio) params.push(`vencimento_inicio=${Validators.data(filtros.vencimento_inicio)}`);
+    if (filtros.vencimento_fim) params.push(`vencimento_fim=${Validators.data(filtros.vencimento_fim)}`);
+    if (filtros.fornecedor) params.push(`fornecedor=${encodeURIComponent(filtros.fornecedor)}`);
+    if (filtros.categoria_id) params.push(`categoria_id=${filtros.categoria_id}`);
+    
+    if (params.length > 0) {
+      endpoint += '?' + params.join('&');
+    }
+    
+    const result = await apiRequest(endpoint);
+    
+    if (!result.success) {
+      return { success: false, contas: [], error: result.error };
+    }
+    
+    const contas = Array.isArray(result.data) ? result.data : (result.data?.data || []);
+    const valorTotal = contas.reduce((soma, conta) => soma + (parseFloat(conta.valor) || 0), 0);
+    
+    return {
+      success: true,
+      contas,
+      total: contas.length,
+      valor_total: Number(valorTotal.toFixed(2))
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao listar contas a pagar:', error.message, LogLevel.ERROR);
+    return { success: false, contas: [], error: error.message };
+  }
+}
+
+async function criarContaPagar({ dados }) {
+  log('TOOL', 'criar_conta_pagar:', dados);
+  try {
+    if (!dados.descricao) throw new Error('descricao é obrigatória');
+    if (!dados.valor) throw new Error('valor é obrigatório');
+    if (!dados.vencimento) throw new Error('vencimento é obrigatório');
+    
+    const payload = {
+      descricao: dados.descricao.trim(),
+      valor: Validators.valor(dados.valor),
+      vencimento: Validators.data(dados.vencimento),
+      fornecedor: dados.fornecedor || '',
+      categoria_id: dados.categoria_id ? parseInt(dados.categoria_id) : null,
+      centro_custo_id: dados.centro_custo_id ? parseInt(dados.centro_custo_id) : null,
+      forma_pagamento: dados.forma_pagamento ? Validators.formaPagamento(dados.forma_pagamento) : 'Boleto',
+      status: dados.status ? Validators.statusConta(dados.status) : 'Pendente',
+      observacoes: dados.observacoes || ''
+    };
+    
+    const result = await apiRequest('/financeiro/contas-pagar', 'POST', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/conta/);
+    
+    return {
+      success: true,
+      conta: result.data,
+      message: 'Conta a pagar criada com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao criar conta a pagar:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+async function atualizarContaPagar({ conta_id, dados_atualizacao = {} }) {
+  log('TOOL', `atualizar_conta_pagar: ${conta_id}`, dados_atualizacao);
+  try {
+    if (!conta_id) throw new Error('conta_id é obrigatório');
+    
+    // PUT exige a conta completa: mescla com os dados atuais
+    const atual = await apiRequest(`/financeiro/contas-pagar/${conta_id}`);
+    if (!atual.success) {
+      return { success: false, error: 'Conta a pagar não encontrada' };
+    }
+    const conta = atual.data.conta || atual.data;
+    const novo = (campo) => dados_atualizacao[campo] !== undefined;
+    
+    const payload = {
+      descricao: novo('descricao') ? dados_atualizacao.descricao.trim() : conta.descricao,
+      valor: Validators.valor(novo('valor') ? dados_atualizacao.valor : conta.valor),
+      // Conta sem vencimento cadastrado continua sem, a menos que um seja informado
+      vencimento: novo('vencimento')
+        ? Validators.data(dados_atualizacao.vencimento)
+        : (conta.vencimento ? Validators.data(String(conta.vencimento).substring(0, 10)) : null),
+      fornecedor: novo('fornecedor') ? dados_atualizacao.fornecedor : (conta.fornecedor || ''),
+      categoria_id: novo('categoria_id') ? parseInt(dados_atualizacao.categoria_id) : (conta.categoria_id ?? null),
+      centro_custo_id: novo('centro_custo_id') ? parseInt(dados_atualizacao.centro_custo_id) : (conta.centro_custo_id ?? null),
+      forma_pagamento: novo('forma_pagamento')
+        ? Validators.formaPagamento(dados_atualizacao.forma_pagamento)
+        : conta.forma_pagamento,
+      observacoes: novo('observacoes') ? dados_atualizacao.observacoes : (conta.observacoes || '')
+    };
+    
+    const result = await apiRequest(`/financeiro/contas-pagar/${conta_id}`, 'PUT', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/conta/);
+    
+    return {
+      success: true,
+      conta: result.data,
+      message: 'Conta a pagar atualizada com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao atualizar conta a pagar:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+async function pagarContaPagar({ conta_id, dados }) {
+  log('TOOL', `pagar_conta_pagar: ${conta_id}`);
+  try {
+    if (!conta_id) throw new Error('conta_id é obrigatório');
+    if (!dados.valor_pago) throw new Error('valor_pago é obrigatório');
+    if (!dados.data_pagamento) throw new Error('data_pagamento é obrigatória');
+    
+    const payload = {
+      valor_pago: Validators.valor(dados.valor_pago),
+      data_pagamento: Validators.data(dados.data_pagamento),
+      forma_pagamento: Validators.formaPagamento(dados.forma_pagamento || 'Boleto'),
+      observacoes: dados.observacoes || ''
+    };
+    
+    const result = await apiRequest(`/financeiro/contas-pagar/${conta_id}/pagar`, 'POST', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/conta/);
+    
+    return {
+      success: true,
+      conta: result.data?.conta || result.data,
+      message: 'Pagamento ao fornecedor registrado com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao pagar conta:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+async function atualizarStatusContaPagar({ conta_id, status }) {
+  log('TOOL', `atualizar_status_conta_pagar: ${conta_id} -> ${status}`);
+  try {
+    if (!conta_id) throw new Error('conta_id é obrigatório');
+    const statusValidado = Validators.statusConta(status);
+    
+    const result = await apiRequest(`/financeiro/contas-pagar/${conta_id}/status`, 'PUT', {
+      status: statusValidado
+    });
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/conta/);
+    
+    return {
+      success: true,
+      message: `Status atualizado para: ${statusValidado}`
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao atualizar status da conta a pagar:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - PIX ====================
+
+/**
+ * Cobranças PIX geradas localmente a partir da chave da clínica (BR Code
+ * estático "copia e cola", padrão EMV do Banco Central). Não depende de PSP:
+ * a confirmação do pagamento é feita pela equipe com confirmar_pagamento_pix.
+ * A montagem do BR Code (campos EMV e CRC) fica em src/pix/brcode.js.
+ */
+
+function montarPayloadPix({ valor, txid, descricao }) {
+  const { KEY, MERCHANT_NAME, MERCHANT_CITY } = CONFIG.PIX;
+  return montarBrCode({ chave: KEY, nome: MERCHANT_NAME, cidade: MERCHANT_CITY, valor, txid, descricao });
+}
+
+class PixChargeStore {
+  constructor(filePath = CONFIG.PIX.CHARGES_FILE || join(CONFIG.DATA_DIR, 'pix-charges.json')) {
+    this.store = new JsonFileStore(filePath, { charges: [] });
+  }
+  
+  create(charge) {
+    const data = this.store.load();
+    data.charges.push(charge);
+    this.store.save();
+    return charge;
+  }
+  
+  get(txid) {
+    return this.store.load().charges.find(c => c.txid === txid) || null;
+  }
+  
+  update(txid, changes) {
+    const data = this.store.load();
+    const charge = data.charges.find(c => c.txid === txid);
+    if (!charge) return null;
+    Object.assign(charge, changes);
+    this.store.save();
+    return charge;
+  }
+}
+
+const pixCharges = new PixChargeStore();
+
+async function gerarCobrancaPix({ conta_id, agendamento_id, valor, descricao, aplicar_desconto = true, incluir_qr_code = true }) {
+  log('TOOL', 'gerar_cobranca_pix', { conta_id, agendamento_id, valor });
+  try {
+    if (!CONFIG.PIX.KEY) {
+      return { success: false, error: 'Chave PIX da clínica não configurada (PIX_KEY)' };
+    }
+    if (!conta_id && !agendamento_id) {
+      throw new Error('Informe conta_id ou agendamento_id');
+    }
+    
+    let valorOriginal = valor !== undefined && valor !== null ? Validators.valor(valor) : null;
+    let clienteId = null;
+    let referencia = descricao;
+    
+    if (conta_id) {
+      const contaResult = await apiRequest(`/contas-receber/${conta_id}`);
+      if (!contaResult.success) {
+        return { success: false, error: 'Conta a receber não encontrada' };
+      }
+      const conta = contaResult.data.conta || contaResult.data;
+      if (['Paga', 'Cancelada'].includes(conta.status)) {
+        return { success: false, error: `Conta com status "${conta.status}" não pode ser cobrada` };
+      }
+      // Sem valor informado, cobra o saldo restante da conta
+      const saldo = (parseFloat(conta.valor) || 0) - (parseFloat(conta.valor_pago) || 0);
+      valorOriginal = valorOriginal ?? Number(saldo.toFixed(2));
+      clienteId = conta.cliente_id ?? null;
+      referencia = referencia || conta.descricao;
+    } else {
+      const agendamentoResult = await buscarAgendamentoPorId({ agendamento_id });
+      if (!agendamentoResult.success) {
+        return { success: false, error: agendamentoResult.error || 'Agendamento não encontrado' };
+      }
+      const agendamento = agendamentoResult.agendamento;
+      valorOriginal = valorOriginal ?? (agendamento.valor ? Validators.valor(agendamento.valor) : null);
+      clienteId = agendamento.cliente_id ?? null;
+      referencia = referencia || `Agendamento ${agendamento_id}`;
+    }
+    
+    if (!valorOriginal || valorOriginal <= 0) {
+      return { success: false, error: 'Valor da cobrança não definido. Informe o parâmetro valor.' };
+    }
+    
+    const percentual = aplicar_desconto ? CONFIG.PIX.DISCOUNT_PERCENT : 0;
+    const desconto = Number((valorOriginal * percentual / 100).toFixed(2));
+    const valorFinal = Number((valorOriginal - desconto).toFixed(2));
+    
+    const txid = `VC${Date.now().toString(36)}${randomBytes(4).toString('hex')}`.toUpperCase();
+    const payload = montarPayloadPix({ valor: valorFinal, txid, descricao: referencia });
+    
+    const cobranca = pixCharges.create({
+      txid,
+      conta_id: conta_id ? parseInt(conta_id) : null,
+      agendamento_id: agendamento_id ? parseInt(agendamento_id) : null,
+      cliente_id: clienteId,
+      descricao: referencia,
+      valor_original: valorOriginal,
+      desconto_percentual: percentual,
+      desconto,
+      valor: valorFinal,
+      payload,
+      status: 'Pendente',
+      criado_em: new Date().toISOString(),
+      criado_por: requestContext.getStore()?.clientId || null
+    });
+    
+    const response = {
+      success: true,
+      cobranca,
+      pix_copia_e_cola: payload,
+      message: desconto > 0
+        ? `PIX de R$ ${valorFinal.toFixed(2)} (${percentual}% de desconto sobre R$ ${valorOriginal.toFixed(2)})`
+        : `PIX de R$ ${valorFinal.toFixed(2)}`
+    };
+    
+    if (incluir_qr_code) {
+      response.qr_code_data_url = await QRCode.toDataURL(payload, { errorCorrectionLevel: 'M', margin: 2 });
+    }
+    
+    return response;
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao gerar cobrança PIX:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+async function confirmarPagamentoPix({ txid, data_pagamento }) {
+  log('TOOL', `confirmar_pagamento_pix: ${txid}`);
+  try {
+    if (!txid) throw new Error('txid é obrigatório');
+    
+    const cobranca = pixCharges.get(String(txid).toUpperCase());
+    if (!cobranca) {
+      return { success: false, error: 'Cobrança PIX não encontrada' };
+    }
+    if (cobranca.status === 'Paga') {
+      return { success: true, cobranca, message: 'Cobrança já estava confirmada' };
+    }
+    
+    const dataPagamento = Validators.data(data_pagamento || dataLocal());
+    let contaId = cobranca.conta_id;
+    
+    // Cobrança de agendamento sem conta: lança a conta antes de dar baixa
+    if (!contaId) {
+      const contaResult = await criarContaReceber({
+        dados: {
+          descricao: cobranca.descricao,
+          valor: cobranca.valor_original,
+          vencimento: dataPagamento,
+          cliente_id: cobranca.cliente_id,
+          forma_pagamento: 'PIX',
+          observacoes: `Cobrança PIX ${cobranca.txid}`
+        }
+      });
+      if (!contaResult.success) {
+        return { success: false, error: contaResult.error };
+      }
+      contaId = contaResult.conta?.id;
+      if (!contaId) {
+        return { success: false, error: 'API não retornou o ID da conta criada' };
+      }
+      pixCharges.update(cobranca.txid, { conta_id: contaId });
+    }
+    
+    const pagamento = await registrarPagamento({
+      conta_id: contaId,
+      dados: {
+        valor_pago: cobranca.valor,
+        data_pagamento: dataPagamento,
+        forma_pagamento: 'PIX',
+        observacoes: `PIX ${cobranca.txid}` +
+          (cobranca.desconto > 0 ? ` (desconto de ${cobranca.desconto_percentual}%: R$ ${cobranca.desconto.toFixed(2)})` : '')
+      }
+    });
+    
+    if (!pagamento.success) {
+      return { success: false, error: pagamento.error };
+    }
+    
+    // Com desconto o valor pago fica abaixo do valor da conta; quita explicitamente
+    let statusAtualizado = true;
+    if (cobranca.desconto > 0) {
+      let erroStatus;
+      try {
+        const statusResult = await apiRequest(`/contas-receber/${contaId}/status`, 'PUT', { status: 'Paga' });
+        statusAtualizado = statusResult.success;
+        erroStatus = statusResult.error;
+      } catch (error) {
+        statusAtualizado = false;
+        erroStatus = error.message;
+      }
+      if (!statusAtualizado) {
+        log('TOOL', `Conta ${contaId} paga com desconto, mas o status não foi atualizado:`, erroStatus, LogLevel.WARN);
+      }
+    }
+    
+    const atualizada = pixCharges.update(cobranca.txid, {
+      status: 'Paga',
+      pago_em: dataPagamento,
+      confirmado_por: requestContext.getStore()?.clientId || null
+    });
+    
+    return {
+      success: true,
+      cobranca: atualizada,
+      status_atualizado: statusAtualizado,
+      message: `Pagamento PIX de R$ ${cobranca.valor.toFixed(2)} confirmado` +
+        (statusAtualizado ? '' : `. Atenção: a conta ${contaId} não foi marcada como paga; ajuste o status manualmente.`)
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao confirmar pagamento PIX:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - RELATÓRIOS FINANCEIROS ====================
+
+const RELATORIOS_FINANCEIROS = {
+  'dre': { endpoint: '/financeiro/relatorio/dre', titulo: 'DRE' },
+  'fluxo-caixa': { endpoint: '/financeiro/fluxo-caixa', titulo: 'Fluxo de caixa' },
+  'inadimplencia': { endpoint: '/financeiro/relatorio/inadimplencia', titulo: 'Inadimplência' },
+  'recebimentos': { endpoint: '/financeiro/relatorio/recebimentos', titulo: 'Recebimentos' },
+  'vencimentos': { endpoint: '/financeiro/relatorio/vencimentos', titulo: 'Vencimentos' },
+  'despesas': { endpoint: '/financeiro/relatorio/despesas', titulo: 'Despesas' },
+  'centro-custo': { endpoint: '/financeiro/relatorio/centro-custo', titulo: 'Centro de custo' },
+  'comissoes': { endpoint: '/financeiro/relatorio/comissoes', titulo: 'Comissões' }
+};
+
+function formatarMoeda(valor) {
+  const numero = Number(valor) || 0;
+  return `R$ ${numero.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Resolve o período do relatório: data_inicio/data_fim explícitos,
+ * ou mes/ano (mês fechado). Sem parâmetros, usa o mês corrente.
+ */
+function resolverPeriodoRelatorio({ data_inicio, data_fim, mes, ano }) {
+  if (data_inicio || data_fim) {
+    if (!data_inicio || !data_fim) {
+      throw new Error('Informe data_inicio e data_fim juntos');
+    }
+    const inicio = Validators.data(data_inicio);
+    const fim = Validators.data(data_fim);
+    if (inicio > fim) throw new Error('data_inicio deve ser anterior a data_fim');
+    return { inicio, fim };
+  }
+  
+  const hoje = new Date();
+  const anoRef = ano ? parseInt(ano) : hoje.getFullYear();
+  const mesRef = mes ? parseInt(mes) : hoje.getMonth() + 1;
+  if (!(mesRef >= 1 && mesRef <= 12)) throw new Error('mes deve estar entre 1 e 12');
+  if (!(anoRef >= 2000 && anoRef <= 2100)) throw new Error('ano inválido');
+  
+  const ultimoDia = new Date(anoRef, mesRef, 0).getDate();
+  const mm = String(mesRef).padStart(2, '0');
+  return {
+    inicio: `${anoRef}-${mm}-01`,
+    fim: `${anoRef}-${mm}-${String(ultimoDia).padStart(2, '0')}`
+  };
+}
+
+/**
+ * Resume o retorno da API em texto curto para o chat (limite de 2000 chars).
+ * Campos numéricos de primeiro nível viram linhas "chave: R$ valor" e listas
+ * mostram apenas os maiores itens, já que o formato exato varia por relatório.
+ */
+function resumirRelatorioFinanceiro(tipo, dados, periodo, limiteCaracteres = 1800) {
+  const { titulo } = RELATORIOS_FINANCEIROS[tipo];
+  const [ai, mi, di] = periodo.inicio.split('-');
+  const [af, mf, df] = periodo.fim.split('-');
+  let texto = `📊 ${titulo} - ${di}/${mi}/${ai} a ${df}/${mf}/${af}\n\n`;
+  
+  const rotulo = (chave) => chave.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+  const nomeItem = (item) => item.descricao || item.nome || item.cliente_nome || item.cliente ||
+    item.fornecedor || item.categoria || item.centro_custo || item.funcionario_nome ||
+    item.data || item.mes || `#${item.id ?? '?'}`;
+  const valorItem = (item) => item.valor ?? item.total ?? item.valor_total ?? item.saldo ?? item.valor_aberto;
+  
+  const listas = [];
+  const campos = [];
+  
+  if (Array.isArray(dados)) {
+    listas.push(['itens', dados]);
+  } else if (dados && typeof dados === 'object') {
+    // Achata um nível (ex: { receitas: { total, itens } } -> receitas_total)
+    for (const [chave, valor] of Object.entries(dados)) {
+      if (valor && typeof valor === 'object' && !Array.isArray(valor)) {
+        const prefixo = (chave === 'resumo' || chave === 'totais') ? '' : `${chave}_`;
+        for (const [sub, subValor] of Object.entries(valor)) {
+          campos.push([`${prefixo}${sub}`, subValor]);
+        }
+      } else {
+        campos.push([chave, valor]);
+      }
+    }
+  }
+  
+  for (const [chave, valor] of campos) {
+    if (Array.isArray(valor)) {
+      listas.push([chave, valor]);
+    } else if (valor !== null && valor !== '' && !isNaN(Number(valor)) && typeof valor !== 'boolean') {
+      if (/(^|_)id$|^ano$|^mes$/.test(chave)) continue;
+      const ehContagem = /quantidade|qtd|dias|total_(contas|clientes|itens)|^count/.test(chave);
+      const ehPercentual = /percent|margem|taxa/.test(chave);
+      const formatado = ehContagem ? Number(valor)
+        : ehPercentual ? `${Number(valor).toFixed(1)}%`
+        : formatarMoeda(valor);
+      texto += `• ${rotulo(chave)}: ${formatado}\n`;
+    }
+  }
+  
+  for (const [chave, itens] of listas) {
+    if (itens.length === 0) continue;
+    const ordenados = [...itens].sort((a, b) => Math.abs(Number(valorItem(b)) || 0) - Math.abs(Number(valorItem(a)) || 0));
+    texto += `${texto.endsWith('\n\n') ? '' : '\n'}${rotulo(chave)} (${itens.length}):\n`;
+    ordenados.slice(0, 8).forEach(item => {
+      if (item === null || typeof item !== 'object') {
+        texto += `• ${item}\n`;
+        return;
+      }
+      const valor = valorItem(item);
+      texto += `• ${nomeItem(item)}${valor !== undefined ? `: ${formatarMoeda(valor)}` : ''}\n`;
+    });
+    if (itens.length > 8) texto += `… e mais ${itens.length - 8}\n`;
+  }
+  
+  if (texto.length > limiteCaracteres) {
+    texto = texto.substring(0, limiteCaracteres - 20) + '\n\n[... truncado]';
+  }
+  return texto.trim();
+}
+
+async function relatorioFinanceiro({ tipo, data_inicio, data_fim, mes, ano, formato = 'compacto' }) {
+  log('TOOL', `relatorio_financeiro: ${tipo}`, { data_inicio, data_fim, mes, ano });
+  try {
+    if (!RELATORIOS_FINANCEIROS[tipo]) {
+      throw new Error(`tipo inválido. Valores aceitos: ${Object.keys(RELATORIOS_FINANCEIROS).join(', ')}`);
+    }
+    const periodo = resolverPeriodoRelatorio({ data_inicio, data_fim, mes, ano });
+    
+    const cacheKey = `relatorio_${tipo}_${periodo.inicio}_${periodo.fim}`;
+    const cached = cacheInstances.financeiro.get(cacheKey);
+    let dados;
+    
+    if (cached && !(cached.cached && cached.error)) {
+      log('TOOL', '✓ Relatório encontrado no cache');
+      dados = cached.relatorio;
+    } else {
+      const endpoint = `${RELATORIOS_FINANCEIROS[tipo].endpoint}?data_inicio=${periodo.inicio}&data_fim=${periodo.fim}`;
+      const result = await apiRequest(endpoint);
+      
+      if (!result.success) {
+        return { success: false, tipo, periodo, error: result.error };
+      }
+      
+      dados = result.data?.data ?? result.data;
+      // Períodos já encerrados quase não mudam; o mês corrente sim
+      const hoje = dataLocal();
+      const ttl = periodo.fim < hoje ? CONFIG.CACHE_TTL.MEDIUM : CONFIG.CACHE_TTL.SHORT;
+      cacheInstances.financeiro.set(cacheKey, { relatorio: dados }, ttl);
+    }
+    
+    const texto = resumirRelatorioFinanceiro(tipo, dados, periodo);
+    const response = {
+      success: true,
+      tipo,
+      periodo,
+      texto,
+      caracteres: texto.length
+    };
+    if (formato === 'completo') {
+      response.relatorio = dados;
+    }
+    return response;
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao gerar relatório financeiro:', error.message, LogLevel.ERROR);
+    return { success: false, tipo, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - CAIXA ====================
+
+async function obterCaixaAberto() {
+  log('TOOL', 'obter_caixa_aberto');
+  try {
+    const result = await apiRequest('/caixa/aberto');
+    
+    if (!result.success) {
+      return { success: false, caixa: null, error: result.error };
+    }
+    
+    return {
+      success: true,
+      caixa: result.data,
+      aberto: result.data !== null
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao obter caixa aberto:', error.message, LogLevel.ERROR);
+    return { success: false, caixa: null, error: error.message };
+  }
+}
+
+async function abrirCaixa({ valor_inicial, observacoes }) {
+  log('TOOL', 'abrir_caixa');
+  try {
+    const payload = {
+      valor_inicial: Validators.valor(valor_inicial || 0),
+      observacoes: observacoes || ''
+    };
+    
+    const result = await apiRequest('/caixa/abrir', 'POST', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/caixa/);
+    
+    return {
+      success: true,
+      caixa: result.data,
+      message: 'Caixa aberto com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao abrir caixa:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+async function fecharCaixa({ caixa_id }) {
+  log('TOOL', `fechar_caixa: ${caixa_id}`);
+  try {
+    const result = await apiRequest(`/caixa/${caixa_id}/fechar`, 'POST');
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/caixa/);
+    
+    return {
+      success: true,
+      resumo: result.data,
+      message: 'Caixa fechado com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao fechar caixa:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - VENDAS ====================
+
+async function criarVenda({ dados }) {
+  log('TOOL', 'criar_venda:', dados);
+  try {
+    if (!dados.itens || dados.itens.length === 0) {
+      throw new Error('A venda deve ter pelo menos um item');
+    }
+    
+    const payload = {
+      cliente_id: dados.cliente_id ? parseInt(dados.cliente_id) : null,
+      itens: dados.itens.map(item => ({
+        produto_id: parseInt(item.produto_id),
+        quantidade: parseInt(item.quantidade),
+        valor_unitario: parseFloat(item.valor_unitario),
+        desconto: parseFloat(item.desconto || 0)
+      })),
+      forma_pagamento: Validators.formaPagamento(dados.forma_pagamento || 'Dinheiro'),
+      desconto_total: parseFloat(dados.desconto_total || 0),
+      observacoes: dados.observacoes || ''
+    };
+    
+    const result = await apiRequest('/vendas', 'POST', payload);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    cacheInstances.financeiro.deletePattern(/venda/);
+    cacheInstances.produtos.deletePattern(/produto/);
+    
+    return {
+      success: true,
+      venda: result.data,
+      message: 'Venda realizada com sucesso'
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao criar venda:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - DASHBOARD ====================
+
+async function obterIndicadoresDashboard() {
+  log('TOOL', 'obter_indicadores_dashboard');
+  try {
+    const cacheKey = 'dashboard_indicadores';
+    const cached = cacheInstances.dashboard.get(cacheKey);
+    if (cached) {
+      if (cached.cached && cached.error) {
+        return { success: false, indicadores: {}, error: cached.error };
+      }
+      log('TOOL', '✓ Indicadores encontrados no cache');
+      return cached;
+    }
+    
+    const result = await apiRequest('/dashboard/indicadores');
+    
+    if (!result.success) {
+      cacheInstances.dashboard.setNegative(cacheKey, result.error);
+      return { success: false, indicadores: {}, error: result.error };
+    }
+    
+    const response = {
+      success: true,
+      indicadores: result.data
+    };
+    
+    cacheInstances.dashboard.set(cacheKey, response, CONFIG.CACHE_TTL.SHORT);
+    return response;
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao obter indicadores:', error.message, LogLevel.ERROR);
+    return { success: false, indicadores: {}, error: error.message };
+  }
+}
+
+async function obterInsightsDashboard() {
+  log('TOOL', 'obter_insights_dashboard');
+  try {
+    const result = await apiRequest('/dashboard/insights');
+    
+    if (!result.success) {
+      return { success: false, insights: {}, error: result.error };
+    }
+    
+    return {
+      success: true,
+      insights: result.data
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao obter insights:', error.message, LogLevel.ERROR);
+    return { success: false, insights: {}, error: error.message };
+  }
+}
+
+async function obterEstatisticasFinanceiras() {
+  log('TOOL', 'obter_estatisticas_financeiras');
+  try {
+    const result = await apiRequest('/dashboard/estatisticas-financeiras');
+    
+    if (!result.success) {
+      return { success: false, estatisticas: {}, error: result.error };
+    }
+    
+    return {
+      success: true,
+      estatisticas: result.data
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao obter estatísticas financeiras:', error.message, LogLevel.ERROR);
+    return { success: false, estatisticas: {}, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - COMISSÕES ====================
+
+async function listarComissoes({ filtros = {} }) {
+  log('TOOL', 'listar_comissoes', filtros);
+  try {
+    let endpoint = '/comissoes';
+    const params = [];
+    
+    if (filtros.funcionario_id) params.push(`funcionario_id=${filtros.funcionario_id}`);
+    if (filtros.mes) params.push(`mes=${filtros.mes}`);
+    if (filtros.ano) params.push(`ano=${filtros.ano}`);
+    if (filtros.status) params.push(`status=${encodeURIComponent(filtros.status)}`);
+    
+    if (params.length > 0) {
+      endpoint += '?' + params.join('&');
+    }
+    
+    const result = await apiRequest(endpoint);
+    
+    if (!result.success) {
+      return { success: false, comissoes: [], error: result.error };
+    }
+    
+    return {
+      success: true,
+      comissoes: result.data,
+      total: result.data.length
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao listar comissões:', error.message, LogLevel.ERROR);
+    return { success: false, comissoes: [], error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - ALERTAS ====================
+
+async function obterAlertas() {
+  log('TOOL', 'obter_alertas');
+  try {
+    const result = await apiRequest('/alertas');
+    
+    if (!result.success) {
+      return { success: false, alertas: [], error: result.error };
+    }
+    
+    return {
+      success: true,
+      alertas: result.data.alertas || result.data,
+      total: result.data.total || 0
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao obter alertas:', error.message, LogLevel.ERROR);
+    return { success: false, alertas: [], error: error.message };
+  }
+}
+
+async function obterBadgeAlertas() {
+  log('TOOL', 'obter_badge_alertas');
+  try {
+    const result = await apiRequest('/alertas/badge');
+    
+    if (!result.success) {
+      return { success: false, badge: { criticos: 0, avisos: 0, total: 0 }, error: result.error };
+    }
+    
+    return {
+      success: true,
+      badge: result.data
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao obter badge de alertas:', error.message, LogLevel.ERROR);
+    return { success: false, badge: { criticos: 0, avisos: 0, total: 0 }, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - BUSCA GLOBAL ====================
+
+async function buscaGlobal({ termo }) {
+  log('TOOL', `busca_global: ${termo}`);
+  try {
+    const termoLimpo = termo.toLowerCase().trim();
+    const resultados = {
+      clientes: [],
+      pets: [],
+      produtos: [],
+      servicos: []
+    };
+    
+    // Buscar em paralelo para otimizar
+    const [clientesRes, petsRes, produtosRes, servicosRes] = await Promise.allSettled([
+      apiRequest(`/clientes?busca=${encodeURIComponent(termo)}`),
+      apiRequest('/pets?page=1'),
+      apiRequest(`/produtos?busca=${encodeURIComponent(termo)}`),
+      apiRequest('/servicos')
+    ]);
+    
+    // Processar clientes
+    if (clientesRes.status === 'fulfilled' && clientesRes.value.success) {
+      const clientes = Array.isArray(clientesRes.value.data) ? clientesRes.value.data : [];
+      resultados.clientes = clientes.slice(0, 10);
+    }
+    
+    // Processar pets
+    if (petsRes.status === 'fulfilled' && petsRes.value.success) {
+      const petsData = petsRes.value.data?.data || petsRes.value.data || [];
+      const pets = Array.isArray(petsData) ? petsData : [];
+      resultados.pets = pets.filter(p => 
+        (p.nome && p.nome.toLowerCase().includes(termoLimpo)) ||
+        (p.especie && p.especie.toLowerCase().includes(termoLimpo))
+      ).slice(0, 10);
+    }
+    
+    // Processar produtos
+    if (produtosRes.status === 'fulfilled' && produtosRes.value.success) {
+      const produtos = Array.isArray(produtosRes.value.data) ? produtosRes.value.data : [];
+      resultados.produtos = produtos.slice(0, 10);
+    }
+    
+    // Processar serviços
+    if (servicosRes.status === 'fulfilled' && servicosRes.value.success) {
+      const servicos = Array.isArray(servicosRes.value.data) ? servicosRes.value.data : [];
+      resultados.servicos = servicos.filter(s =>
+        (s.nome && s.nome.toLowerCase().includes(termoLimpo)) ||
+        (s.tipo && s.tipo.toLowerCase().includes(termoLimpo))
+      ).slice(0, 10);
+    }
+    
+    return {
+      success: true,
+      resultados,
+      total: {
+        clientes: resultados.clientes.length,
+        pets: resultados.pets.length,
+        produtos: resultados.produtos.length,
+        servicos: resultados.servicos.length
+      },
+      termo_busca: termo
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro na busca global:', error.message, LogLevel.ERROR);
+    return { success: false, resultados: {}, error: error.message };
+  }
+}
+
+// ==================== FERRAMENTAS - AUDITORIA ====================
+
+async function consultarAuditoria({ filtros = {}, limite }) {
+  log('TOOL', 'consultar_auditoria', filtros);
+  try {
+    if (filtros.data_inicio) filtros.data_inicio = Validators.data(filtros.data_inicio);
+    if (filtros.data_fim) filtros.data_fim = Validators.data(filtros.data_fim);
+    
+    const max = Math.min(parseInt(limite) || 50, 500);
+    const registros = await auditLog.search(filtros, max);
+    
+    return {
+      success: true,
+      registros,
+      total: registros.length,
+      filtros
+    };
+    
+  } catch (error) {
+    log('TOOL', 'Erro ao consultar auditoria:', error.message, LogLevel.ERROR);
+    return { success: false, registros: [], error: error.message };
+  }
+}
+
+// ==================== WORKFLOW COMPLETO ====================
+
+async function workflowNovoCliente({ dados }) {
+  log('TOOL', 'workflow_novo_cliente');
+  try {
+    const resultado = { success: true, etapas: {} };
+    let clienteId;
+    
+    // Verificar se cliente já existe
+    if (dados.cliente_telefone) {
+      const clienteExistente = await buscarClientePorTelefone({ 
+        telefone: dados.cliente_telefone 
+      });
+      
+      if (clienteExistente.success && clienteExistente.found) {
+        resultado.etapas.cliente = clienteExistente.cliente;
+        resultado.etapas.cliente_existente = true;
+        clienteId = clienteExistente.cliente.id;
+        
+        if (dados.usar_cliente_existente === false) {
+          return {
+            success: false,
+            etapa_falha: 'cliente_duplicado',
+            cliente_existente: clienteExistente.cliente,
+            error: 'Cliente já existe. Configure usar_cliente_existente: true para continuar.'
+          };
+        }
+      }
+    }
+    
+    // Criar cliente se não existe
+    if (!clienteId) {
+      const novoClienteResult = await criarCliente({ 
+        dados: {
+          nome: dados.cliente_nome,
+          cpf: dados.cliente_cpf,
+          telefone: dados.cliente_telefone,
+          email: dados.cliente_email,
+          whatsapp: dados.cliente_whatsapp || dados.cliente_telefone,
+          endereco: dados.cliente_endereco,
+          numero: dados.cliente_numero,
+          bairro: dados.cliente_bairro,
+          cidade: dados.cliente_cidade,
+          estado: dados.cliente_estado,
+          cep: dados.cliente_cep,
+          observacoes: dados.cliente_observacoes
+        }
+      });
+      
+      if (!novoClienteResult.success) {
+        return { 
+          success: false, 
+          etapa_falha: 'criar_cliente', 
+          error: novoClienteResult.error 
+        };
+      }
+      
+      resultado.etapas.cliente = novoClienteResult.cliente;
+      resultado.etapas.cliente_existente = false;
+      clienteId = novoClienteResult.cliente.id;
+    }
+    
+    reportProgress(1, 3, resultado.etapas.cliente_existente ? 'Cliente existente localizado' : 'Cliente cadastrado');
+    
+    // Criar pet se dados fornecidos
+    if (dados.pet_nome) {
+      const novoPetResult = await criarPet({ 
+        dados: {
+          cliente_id: clienteId,
+          nome: dados.pet_nome,
+          especie: dados.pet_especie,
+          raca: dados.pet_raca,
+          sexo: dados.pet_sexo,
+          castrado: dados.pet_castrado,
+          data_nascimento: dados.pet_data_nascimento,
+          peso: dados.pet_peso,
+          pelagem: dados.pet_pelagem,
+          microchip: dados.pet_microchip,
+          alergias: dados.pet_alergias,
+          observacoes: dados.pet_observacoes
+        }
+      });
+      
+      if (!novoPetResult.success) {
+        return { 
+          success: false, 
+          etapa_falha: 'criar_pet', 
+          cliente: resultado.etapas.cliente, 
+          error: novoPetResult.error 
+        };
+      }
+      
+      resultado.etapas.pet = novoPetResult.pet;
+    }
+    
+    reportProgress(2, 3, resultado.etapas.pet ? 'Pet cadastrado' : 'Sem pet para cadastrar');
+    
+    // Criar agendamento se dados fornecidos
+    if (dados.agendamento_data_hora && resultado.etapas.pet) {
+      const novoAgendamentoResult = await criarAgendamento({ 
+        dados: {
+          cliente_id: clienteId,
+          pet_id: resultado.etapas.pet.id,
+          servico_id: dados.agendamento_servico_id,
+          veterinario_id: dados.agendamento_veterinario_id,
+          data_hora: dados.agendamento_data_hora,
+          tipo: dados.agendamento_tipo || 'Consulta',
+          duracao_minutos: dados.agendamento_duracao || 30,
+          valor: dados.agendamento_valor,
+          observacoes: dados.agendamento_observacoes,
+          status: dados.agendamento_status || 'Agendado'
+        }
+      });
+      
+      if (!novoAgendamentoResult.success) {
+        return { 
+          success: false, 
+          etapa_falha: 'criar_agendamento',
+          cliente: resultado.etapas.cliente,
+          pet: resultado.etapas.pet,
+          error: novoAgendamentoResult.error 
+        };
+      }
+      
+      resultado.etapas.agendamento = novoAgendamentoResult.agendamento;
+    }
+    
+    reportProgress(3, 3, resultado.etapas.agendamento ? 'Agendamento criado' : 'Sem agendamento para criar');
+    
+    resultado.message = resultado.etapas.cliente_existente 
+      ? 'Workflow concluído (cliente existente utilizado)'
+      : 'Workflow concluído (novo cliente criado)';
+    
+    resultado.resumo = {
+      cliente_id: clienteId,
+      cliente_nome: resultado.etapas.cliente.nome,
+      cliente_novo: !resultado.etapas.cliente_existente,
+      pet_id: resultado.etapas.pet?.id,
+      pet_nome: resultado.etapas.pet?.nome,
+      agendamento_id: resultado.etapas.agendamento?.id,
+      agendamento_data: resultado.etapas.agendamento?.data_hora
+    };
+    
+    return resultado;
+    
+  } catch (error) {
+    log('WORKFLOW', 'Erro no workflow:', error.message, LogLevel.ERROR);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== DEFINIÇÕES DE FERRAMENTAS ====================
+
+const toolDefinitions = [
+  // Clientes
+  {
+    name: "buscar_cliente_por_telefone",
+    description: "Busca cliente por telefone ou WhatsApp",
+    inputSchema: {
+      type: "object",
+      properties: {
+        telefone: { type: "string", description: "Número de telefone (aceita com ou sem código do país)" }
+      },
+      required: ["telefone"]
+    }
+  },
+  {
+    name: "buscar_clientes",
+    description: "Busca clientes por nome, telefone, CPF ou email. OBRIGATÓRIO informar termo de busca (mínimo 3 caracteres) para evitar retornar milhares de registros",
+    inputSchema: {
+      type: "object",
+      properties: {
+        termo_busca: {
+          type: "string",
+          description: "Termo de busca OBRIGATÓRIO: nome, telefone, CPF ou email do cliente (mínimo 3 caracteres)"
+        }
+      },
+      required: ["termo_busca"]
+    }
+  },
+  {
+    name: "criar_cliente",
+    description: "Cria novo cliente com geração automática de CPF se não fornecido",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dados: {
+          type: "object",
+          properties: {
+            nome: { type: "string", description: "Nome completo do cliente" },
+            cpf: { type: "string", description: "CPF (opcional - será gerado se não fornecido)" },
+            telefone: { type: "string", description: "Telefone principal" },
+            email: { type: "string", description: "Email" },
+            whatsapp: { type: "string", description: "WhatsApp (se diferente do telefone)" },
+            endereco: { type: "string", description: "Endereço completo" },
+            numero: { type: "string", description: "Número" },
+            bairro: { type: "string", description: "Bairro" },
+            cidade: { type: "string", description: "Cidade" },
+            estado: { type: "string", description: "Estado (sigla com 2 letras)" },
+            cep: { type: "string", description: "CEP" },
+            observacoes: { type: "string", description: "Observações adicionais" },
+            ativo: { type: "boolean", description: "Status ativo (padrão: true)" }
+          },
+          required: ["nome"]
+        },
+        idempotency_key: { type: "string", description: "Chave única da operação; repetir a chamada com a mesma chave dentro da janela de idempotência (padrão 24h), nesta instância do servidor, devolve o resultado gravado em vez de duplicar o registro" }
+      },
+      required: ["dados"]
+    }
+  },
+  {
+    name: "atualizar_cliente",
+    description: "Atualiza dados de cliente existente",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cliente_id: { type: "integer", description: "ID do cliente" },
+        dados_atualizacao: { 
+          type: "object",
+          description: "Campos a atualizar (apenas enviar campos que deseja modificar)"
+        }
+      },
+      required: ["cliente_id", "dados_atualizacao"]
+    }
+  },
+  
+  {
+    name: "obter_ficha_cliente",
+    description: "Ficha completa do cliente em uma chamada: cadastro, pets, próximos agendamentos, contas em aberto, vacinas atrasadas por pet e débito comparado ao limite da clínica. Use para clientes que retornam, em vez de várias consultas separadas.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cliente_id: { type: "integer", description: "ID do cliente" }
+      },
+      required: ["cliente_id"]
+    }
+  },
+  
+  // Pets
+  {
+    name: "listar_pets_cliente",
+    description: "Lista todos os pets de um cliente específico",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cliente_id: { type: "integer", description: "ID do cliente" }
+      },
+      required: ["cliente_id"]
+    }
+  },
+  {
+    name: "buscar_pet_por_id",
+    description: "Busca pet por ID com histórico completo",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" }
+      },
+      required: ["pet_id"]
+    }
+  },
+  {
+    name: "criar_pet",
+    description: "Cadastra novo pet para um cliente",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dados: {
+          type: "object",
+          properties: {
+            cliente_id: { type: "integer", description: "ID do cliente dono do pet" },
+            nome: { type: "string", description: "Nome do pet" },
+            especie: { type: "string", description: "Espécie (Cão, Gato, Ave, etc)" },
+            raca: { type: "string", description: "Raça do pet" },
+            sexo: { type: "string", description: "Sexo (M ou F)" },
+            castrado: { type: "boolean", description: "Se é castrado" },
+            data_nascimento: { type: "string", description: "Data de nascimento (YYYY-MM-DD)" },
+            peso: { type: "number", description: "Peso em kg" },
+            pelagem: { type: "string", description: "Cor/tipo de pelagem" },
+            microchip: { type: "string", description: "Número do microchip" },
+            alergias: { type: "string", description: "Alergias conhecidas" },
+            observacoes: { type: "string", description: "Observações gerais" }
+          },
+          required: ["cliente_id", "nome", "especie", "sexo"]
+        }
+      },
+      required: ["dados"]
+    }
+  },
+  {
+    name: "atualizar_pet",
+    description: "Atualiza dados de um pet (peso, castração, microchip, alergias, observações, etc). Apenas os campos informados são alterados.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" },
+        dados_atualizacao: {
+          type: "object",
+          properties: {
+            nome: { type: "string", description: "Nome do pet" },
+            especie: { type: "string", description: "Espécie" },
+            raca: { type: "string", description: "Raça" },
+            sexo: { type: "string", description: "Sexo (M ou F)" },
+            castrado: { type: "boolean", description: "Se é castrado" },
+            data_nascimento: { type: "string", description: "Data de nascimento (YYYY-MM-DD)" },
+            peso: { type: "number", description: "Peso em kg" },
+            pelagem: { type: "string", description: "Cor/tipo de pelagem" },
+            microchip: { type: "string", description: "Número do microchip" },
+            alergias: { type: "string", description: "Alergias conhecidas" },
+            observacoes: { type: "string", description: "Observações gerais" }
+          }
+        }
+      },
+      required: ["pet_id", "dados_atualizacao"]
+    }
+  },
+  {
+    name: "registrar_obito_pet",
+    description: "Registra o óbito de um pet: desativa o cadastro, cancela agendamentos futuros e suspende lembretes (vacinas, banho)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" },
+        data_obito: { type: "string", description: "Data do óbito (YYYY-MM-DD, padrão: hoje)" },
+        causa: { type: "string", description: "Causa/observação (opcional)" }
+      },
+      required: ["pet_id"]
+    }
+  },
+  {
+    name: "desativar_pet",
+    description: "Desativa um pet por outro motivo (doado, mudou de clínica, etc): cancela agendamentos futuros e suspende lembretes",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" },
+        motivo: { type: "string", description: "Motivo da desativação" }
+      },
+      required: ["pet_id", "motivo"]
+    }
+  },
+  
+  // Agendamentos
+  {
+    name: "listar_agendamentos",
+    description: "Lista agendamentos com filtros diversos",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filtros: {
+          type: "object",
+          properties: {
+            cliente_id: { type: "integer", description: "Filtrar por cliente" },
+            pet_id: { type: "integer", description: "Filtrar por pet" },
+            status: { type: "string", description: "Status do agendamento" },
+            data: { type: "string", description: "Data específica (YYYY-MM-DD)" },
+            data_inicio: { type: "string", description: "Data inicial do período" },
+            data_fim: { type: "string", description: "Data final do período" }
+          }
+        }
+      }
+    }
+  },
+  {
+    name: "criar_agendamento",
+    description: "Cria novo agendamento com validação automática de conflitos de horário",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dados: {
+          type: "object",
+          properties: {
+            cliente_id: { type: "integer", description: "ID do cliente" },
+            pet_id: { type: "integer", description: "ID do pet" },
+            servico_id: { type: "integer", description: "ID do serviço (opcional)" },
+            veterinario_id: { type: "integer", description: "ID do veterinário (opcional)" },
+            data_hora: { type: "string", description: "Data e hora (YYYY-MM-DD HH:MM:SS)" },
+            tipo: { type: "string", description: "Tipo (Consulta, Retorno, Emergência, Cirurgia)" },
+            duracao_minutos: { type: "integer", description: "Duração em minutos (padrão: 30)" },
+            valor: { type: "number", description: "Valor do serviço" },
+            observacoes: { type: "string", description: "Observações do agendamento" },
+            status: { type: "string", description: "Status inicial (padrão: Agendado)" },
+            autorizar_com_debito: { type: "boolean", description: "Libera o agendamento de cliente com débito acima do limite (somente equipe da clínica)" }
+          },
+          required: ["cliente_id", "pet_id", "data_hora"]
+        },
+        idempotency_key: { type: "string", description: "Chave única da operação; repetir a chamada com a mesma chave dentro da janela de idempotência (padrão 24h), nesta instância do servidor, devolve o resultado gravado em vez de duplicar o registro" }
+      },
+      required: ["dados"]
+    }
+  },
+  {
+    name: "atualizar_status_agendamento",
+    description: "Atualiza o status de um agendamento",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agendamento_id: { type: "integer", description: "ID do agendamento" },
+        status: { 
+          type: "string", 
+          description: "Novo status (Agendado, Confirmado, Em Atendimento, Concluído, Cancelado, Faltou)" 
+        }
+      },
+      required: ["agendamento_id", "status"]
+    }
+  },
+  {
+    name: "cancelar_agendamento",
+    description: "Cancela um agendamento informando o motivo. Respeita a antecedência mínima da clínica; fora do prazo, encaminhe para a recepção.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agendamento_id: { type: "integer", description: "ID do agendamento" },
+        motivo: { type: "string", description: "Motivo do cancelamento" },
+        ignorar_politica: { type: "boolean", description: "Cancela mesmo fora do prazo mínimo (apenas equipe da clínica)" }
+      },
+      required: ["agendamento_id", "motivo"]
+    }
+  },
+  {
+    name: "remarcar_agendamento",
+    description: "Remarca um agendamento para nova data/hora, validando disponibilidade. Mantém o profissional atual ou sugere outro se ele estiver ocupado. Respeita a mesma antecedência mínima do cancelamento; fora do prazo, encaminhe para a recepção.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agendamento_id: { type: "integer", description: "ID do agendamento" },
+        nova_data_hora: { type: "string", description: "Nova data e hora (YYYY-MM-DD HH:MM:SS)" },
+        veterinario_id: { type: "integer", description: "ID do profissional (opcional - força um profissional específico)" },
+        manter_profissional: { type: "boolean", description: "Tenta manter o profissional atual (padrão: true)" },
+        motivo: { type: "string", description: "Motivo da remarcação (opcional)" },
+        ignorar_politica: { type: "boolean", description: "Remarca mesmo fora do prazo mínimo de antecedência (apenas equipe da clínica)" }
+      },
+      required: ["agendamento_id", "nova_data_hora"]
+    }
+  },
+  
+  // Serviços e Veterinários
+  {
+    name: "listar_servicos_ativos",
+    description: "Lista todos os serviços disponíveis na clínica",
+    inputSchema: { type: "object", properties: {} }
+  },
+  {
+    name: "listar_veterinarios",
+    description: "Lista veterinários ativos da clínica. Com data, informa quem atende no dia (turnos, férias e bloqueios)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        data: { type: "string", description: "Data para verificar disponibilidade (YYYY-MM-DD, padrão: hoje)" },
+        apenas_disponiveis: { type: "boolean", description: "Retorna somente profissionais que atendem na data" },
+        incluir_agenda: { type: "boolean", description: "Inclui a agenda semanal própria (null = segue a clínica) e os bloqueios futuros" }
+      }
+    }
+  },
+  {
+    name: "sugerir_profissional",
+    description: "Sugere o profissional mais adequado baseado no tipo de serviço e espécie do animal. Regras: Consultas cães/gatos→Thais(14), Aves/exóticos→Gustavo(8), Cirurgias→Gustavo(8), Banho e tosa→Banho e Tosa(9)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tipo_servico: {
+          type: "string",
+          description: "Tipo de serviço: consulta, cirurgia, banho e tosa, etc"
+        },
+        especie_animal: {
+          type: "string",
+          description: "Espécie do animal: cão, gato, ave, etc (opcional se pet_id fornecido)"
+        },
+        pet_id: {
+          type: "integer",
+          description: "ID do pet para obter espécie automaticamente (opcional)"
+        },
+        data: {
+          type: "string",
+          description: "Data desejada (YYYY-MM-DD). Se o profissional não atender no dia, sugere um substituto quando houver (opcional)"
+        }
+      }
+    }
+  },
+  {
+    name: "definir_agenda_profissional",
+    description: "Define a agenda semanal recorrente de um profissional (dias e turnos de atendimento) e quem o substitui quando não atende. Dias não informados ficam sem atendimento.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        veterinario_id: { type: "integer", description: "ID do profissional" },
+        semana: {
+          type: "object",
+          description: "Turnos por dia (domingo, segunda, terca, quarta, quinta, sexta, sabado). Ex: { \"segunda\": [{ \"inicio\": \"08:00\", \"fim\": \"12:00\" }] }",
+          additionalProperties: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                inicio: { type: "string", description: "Início do turno (HH:MM)" },
+                fim: { type: "string", description: "Fim do turno (HH:MM)" }
+              },
+              required: ["inicio", "fim"]
+            }
+          }
+        },
+        substitutos: {
+          type: "array",
+          items: { type: "integer" },
+          description: "IDs dos profissionais que cobrem este nos dias em que não atende, em ordem de preferência ([] remove os substitutos)"
+        },
+        usar_padrao_clinica: { type: "boolean", description: "Remove a agenda própria e volta ao expediente da clínica" }
+      },
+      required: ["veterinario_id"]
+    }
+  },
+  {
+    name: "bloquear_agenda",
+    description: "Bloqueia a agenda de um profissional (férias, ausência ou bloqueio pontual). Sem horários, bloqueia o dia inteiro. Retorna agendamentos já marcados no período.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        veterinario_id: { type: "integer", description: "ID do profissional" },
+        data_inicio: { type: "string", description: "Primeiro dia (YYYY-MM-DD)" },
+        data_fim: { type: "string", description: "Último dia (YYYY-MM-DD, padrão: data_inicio)" },
+        hora_inicio: { type: "string", description: "Início do bloqueio em cada dia (HH:MM, opcional)" },
+        hora_fim: { type: "string", description: "Fim do bloqueio em cada dia (HH:MM, opcional)" },
+        tipo: { type: "string", enum: ["ferias", "ausencia", "bloqueio"], description: "Tipo (padrão: bloqueio)" },
+        motivo: { type: "string", description: "Motivo do bloqueio" }
+      },
+      required: ["veterinario_id", "data_inicio", "motivo"]
+    }
+  },
+  {
+    name: "desbloquear_agenda",
+    description: "Remove um bloqueio de agenda criado com bloquear_agenda",
+    inputSchema: {
+      type: "object",
+      properties: {
+        bloqueio_id: { type: "string", description: "ID do bloqueio" }
+      },
+      required: ["bloqueio_id"]
+    }
+  },
+
+  // Recursos físicos (salas e equipamentos)
+  {
+    name: "listar_recursos_clinica",
+    description: "Lista salas e equipamentos da clínica (sala cirúrgica, banheira, secador, raio-x), os serviços que usam cada um e, com data, a ocupação do dia",
+    inputSchema: {
+      type: "object",
+      properties: {
+        data: { type: "string", description: "Data para mostrar a ocupação (YYYY-MM-DD, opcional)" }
+      }
+    }
+  },
+  {
+    name: "salvar_recurso_clinica",
+    description: "Cadastra ou atualiza um recurso físico. Use ativo=false para tirar de uso (manutenção): serviços que dependem dele deixam de ter horários",
+    inputSchema: {
+      type: "object",
+      properties: {
+        recurso_id: { type: "string", description: "Identificador (ex: sala_cirurgica, banheira, raio_x)" },
+        nome: { type: "string", description: "Nome exibido (obrigatório no cadastro)" },
+        tipo: { type: "string", description: "Tipo (sala, equipamento, banho_tosa...)" },
+        quantidade: { type: "integer", description: "Unidades disponíveis ao mesmo tempo (padrão: 1)" },
+        ativo: { type: "boolean", description: "Se o recurso está em uso (padrão: true)" }
+      },
+      required: ["recurso_id"]
+    }
+  },
+  {
+    name: "vincular_recursos_servico",
+    description: "Define os recursos que um serviço ocupa, substituindo as regras padrão por nome (cirurgia → sala cirúrgica, banho/tosa → banheira e secador, raio-x → aparelho)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        servico_id: { type: "integer", description: "ID do serviço" },
+        recursos: { type: "array", items: { type: "string" }, description: "IDs dos recursos exigidos (lista vazia = nenhum)" },
+        usar_regra_padrao: { type: "boolean", description: "Remove o vínculo e volta às regras padrão" }
+      },
+      required: ["servico_id"]
+    }
+  },
+
+  // Vacinas
+  {
+    name: "listar_vacinas_ativas",
+    description: "Lista todas as vacinas disponíveis",
+    inputSchema: { type: "object", properties: {} }
+  },
+  {
+    name: "registrar_vacinacao",
+    description: "Registra aplicação de vacina em um pet",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dados: {
+          type: "object",
+          properties: {
+            pet_id: { type: "integer", description: "ID do pet" },
+            vacina_id: { type: "integer", description: "ID da vacina" },
+            veterinario_id: { type: "integer", description: "ID do veterinário aplicador" },
+            data_aplicacao: { type: "string", description: "Data de aplicação (YYYY-MM-DD)" },
+            data_proxima_dose: { type: "string", description: "Data da próxima dose (YYYY-MM-DD)" },
+            lote: { type: "string", description: "Número do lote" },
+            dose: { type: "string", description: "Número da dose" },
+            observacoes: { type: "string", description: "Observações" },
+            valor: { type: "number", description: "Valor cobrado" }
+          },
+          required: ["pet_id", "vacina_id", "data_aplicacao"]
+        }
+      },
+      required: ["dados"]
+    }
+  },
+  
+  // Produtos
+  {
+    name: "buscar_produtos",
+    description: "Busca produtos por nome/código, categoria ou estoque baixo. OBRIGATÓRIO ao menos um filtro para evitar retornar centenas de produtos",
+    inputSchema: {
+      type: "object",
+      properties: {
+        termo_busca: {
+          type: "string",
+          description: "Termo de busca (nome ou código do produto, mínimo 3 caracteres)"
+        },
+        categoria: {
+          type: "string",
+          description: "Filtrar por categoria específica"
+        },
+        estoque_baixo: {
+          type: "boolean",
+          description: "Se true, retorna apenas produtos com estoque abaixo do mínimo"
+        }
+      }
+    }
+  },
+  {
+    name: "criar_produto",
+    description: "Cria novo produto no catálogo",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dados: {
+          type: "object",
+          properties: {
+            nome: { type: "string", description: "Nome do produto" },
+            categoria: { type: "string", description: "Categoria do produto" },
+            codigo_barras: { type: "string", description: "Código de barras" },
+            preco_custo: { type: "number", description: "Preço de custo" },
+            preco_venda: { type: "number", description: "Preço de venda" },
+            estoque_atual: { type: "integer", description: "Estoque inicial" },
+            estoque_minimo: { type: "integer", description: "Estoque mínimo para alerta" },
+            unidade: { type: "string", description: "Unidade de medida (un, cx, etc)" },
+            ativo: { type: "boolean", description: "Se está ativo para venda" }
+          },
+          required: ["nome", "categoria", "preco_venda"]
+        }
+      },
+      required: ["dados"]
+    }
+  },
+  
+  // Financeiro
+  {
+    name: "listar_contas_receber",
+    description: "Lista contas a receber com filtros",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filtros: {
+          type: "object",
+          properties: {
+            status: { type: "string", description: "Status (Pendente, Paga, Parcial, Cancelada)" },
+            vencimento_inicio: { type: "string", description: "Data inicial de vencimento" },
+            vencimento_fim: { type: "string", description: "Data final de vencimento" },
+            cliente_id: { type: "integer", description: "Filtrar por cliente" }
+          }
+        }
+      }
+    }
+  },
+  {
+    name: "criar_conta_receber",
+    description: "Cria nova conta a receber",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dados: {
+          type: "object",
+          properties: {
+            descricao: { type: "string", description: "Descrição da conta" },
+            valor: { type: "number", description: "Valor total" },
+            vencimento: { type: "string", description: "Data de vencimento (YYYY-MM-DD)" },
+            cliente_id: { type: "integer", description: "ID do cliente (opcional)" },
+            categoria_id: { type: "integer", description: "ID da categoria financeira" },
+            forma_pagamento: { type: "string", description: "Forma de pagamento prevista" },
+            status: { type: "string", description: "Status inicial (padrão: Pendente)" },
+            observacoes: { type: "string", description: "Observações" }
+          },
+          required: ["descricao", "valor", "vencimento"]
+        },
+        idempotency_key: { type: "string", description: "Chave única da operação; repetir a chamada com a mesma chave dentro da janela de idempotência (padrão 24h), nesta instância do servidor, devolve o resultado gravado em vez de duplicar o registro" }
+      },
+      required: ["dados"]
+    }
+  },
+  {
+    name: "registrar_pagamento",
+    description: "Registra pagamento de uma conta a receber",
+    inputSchema: {
+      type: "object",
+      properties: {
+        conta_id: { type: "integer", description: "ID da conta" },
+        dados: {
+          type: "object",
+          properties: {
+            valor_pago: { type: "number", description: "Valor pago" },
+            data_pagamento: { type: "string", description: "Data do pagamento (YYYY-MM-DD)" },
+            forma_pagamento: { 
+              type: "string", 
+              description: "Forma de pagamento (Dinheiro, Cartão, PIX, etc)" 
+            },
+            observacoes: { type: "string", description: "Observações do pagamento" }
+          },
+          required: ["valor_pago", "data_pagamento"]
+        }
+      },
+      required: ["conta_id", "dados"]
+    }
+  },
+  
+  {
+    name: "obter_saldo_cliente",
+    description: "Saldo financeiro do cliente (\"quanto eu devo?\"): valor pendente, vencido, total em aberto e pago no período (padrão: mês corrente). Retorna texto pronto para o chat.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cliente_id: { type: "integer", description: "ID do cliente" },
+        mes: { type: "integer", description: "Mês de referência para pagamentos (1-12)" },
+        ano: { type: "integer", description: "Ano de referência para pagamentos" },
+        data_inicio: { type: "string", description: "Início do período de pagamentos (YYYY-MM-DD)" },
+        data_fim: { type: "string", description: "Fim do período de pagamentos (YYYY-MM-DD)" },
+        incluir_detalhes: { type: "boolean", description: "Inclui a lista de contas vencidas, a vencer e pagas (padrão: false)" }
+      },
+      required: ["cliente_id"]
+    }
+  },
+  {
+    name: "criar_fatura",
+    description: "Cria uma fatura agrupando serviços e produtos em uma única conta a receber, com itens discriminados e resumo para impressão",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cliente_id: { type: "integer", description: "ID do cliente" },
+        itens: {
+          type: "array",
+          description: "Itens da fatura. Sem valor_unitario/descricao, usa o cadastro do serviço ou produto",
+          items: {
+            type: "object",
+            properties: {
+              tipo: { type: "string", enum: ["servico", "produto"], description: "Tipo do item" },
+              id: { type: "integer", description: "ID do serviço ou produto" },
+              descricao: { type: "string", description: "Descrição do item" },
+              quantidade: { type: "number", description: "Quantidade (padrão: 1)" },
+              valor_unitario: { type: "number", description: "Valor unitário" }
+            },
+            required: ["tipo"]
+          }
+        },
+        vencimento: { type: "string", description: "Data de vencimento (YYYY-MM-DD, padrão: hoje)" },
+        forma_pagamento: { type: "string", description: "Forma de pagamento prevista" },
+        desconto: { type: "number", description: "Desconto em reais sobre o total" },
+        observacoes: { type: "string", description: "Observações impressas na fatura" },
+        idempotency_key: { type: "string", description: "Chave única da operação; repetir a chamada com a mesma chave dentro da janela de idempotência (padrão 24h), nesta instância do servidor, devolve o resultado gravado em vez de duplicar o registro" }
+      },
+      required: ["cliente_id", "itens"]
+    }
+  },
+  
+  // Contas a pagar
+  {
+    name: "listar_contas_pagar",
+    description: "Lista contas a pagar (fornecedores e despesas) com filtros. Ex: contas que vencem nesta semana = vencimento_inicio/vencimento_fim da semana e status Pendente. Retorna também o valor total.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filtros: {
+          type: "object",
+          properties: {
+            status: { type: "string", description: "Status (Pendente, Paga, Parcial, Cancelada)" },
+            vencimento_inicio: { type: "string", description: "Data inicial de vencimento (YYYY-MM-DD)" },
+            vencimento_fim: { type: "string", description: "Data final de vencimento (YYYY-MM-DD)" },
+            fornecedor: { type: "string", description: "Nome do fornecedor" },
+            categoria_id: { type: "integer", description: "Filtrar por categoria financeira" }
+          }
+        }
+      }
+    }
+  },
+  {
+    name: "criar_conta_pagar",
+    description: "Cria nova conta a pagar (boleto de fornecedor, despesa fixa, etc)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dados: {
+          type: "object",
+          properties: {
+            descricao: { type: "string", description: "Descrição da conta" },
+            valor: { type: "number", description: "Valor total" },
+            vencimento: { type: "string", description: "Data de vencimento (YYYY-MM-DD)" },
+            fornecedor: { type: "string", description: "Fornecedor/credor" },
+            categoria_id: { type: "integer", description: "ID da categoria financeira" },
+            centro_custo_id: { type: "integer", description: "ID do centro de custo" },
+            forma_pagamento: { type: "string", description: "Forma de pagamento prevista (padrão: Boleto)" },
+            status: { type: "string", description: "Status inicial (padrão: Pendente)" },
+            observacoes: { type: "string", description: "Observações" }
+          },
+          required: ["descricao", "valor", "vencimento"]
+        },
+        idempotency_key: { type: "string", description: "Chave única da operação; repetir a chamada com a mesma chave dentro da janela de idempotência (padrão 24h), nesta instância do servidor, devolve o resultado gravado em vez de duplicar o registro" }
+      },
+      required: ["dados"]
+    }
+  },
+  {
+    name: "atualizar_conta_pagar",
+    description: "Atualiza dados de uma conta a pagar. Apenas os campos informados são alterados.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        conta_id: { type: "integer", description: "ID da conta a pagar" },
+        dados_atualizacao: {
+          type: "object",
+          properties: {
+            descricao: { type: "string", description: "Descrição da conta" },
+            valor: { type: "number", description: "Valor total" },
+            vencimento: { type: "string", description: "Data de vencimento (YYYY-MM-DD)" },
+            fornecedor: { type: "string", description: "Fornecedor/credor" },
+            categoria_id: { type: "integer", description: "ID da categoria financeira" },
+            centro_custo_id: { type: "integer", description: "ID do centro de custo" },
+            forma_pagamento: { type: "string", description: "Forma de pagamento prevista" },
+            observacoes: { type: "string", description: "Observações" }
+          }
+        }
+      },
+      required: ["conta_id", "dados_atualizacao"]
+    }
+  },
+  {
+    name: "pagar_conta_pagar",
+    description: "Registra o pagamento de uma conta a pagar (pagamento a fornecedor)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        conta_id: { type: "integer", description: "ID da conta a pagar" },
+        dados: {
+          type: "object",
+          properties: {
+            valor_pago: { type: "number", description: "Valor pago" },
+            data_pagamento: { type: "string", description: "Data do pagamento (YYYY-MM-DD)" },
+            forma_pagamento: { type: "string", description: "Forma de pagamento (Dinheiro, Cartão, PIX, Boleto, etc)" },
+            observacoes: { type: "string", description: "Observações do pagamento" }
+          },
+          required: ["valor_pago", "data_pagamento"]
+        }
+      },
+      required: ["conta_id", "dados"]
+    }
+  },
+  {
+    name: "atualizar_status_conta_pagar",
+    description: "Atualiza o status de uma conta a pagar",
+    inputSchema: {
+      type: "object",
+      properties: {
+        conta_id: { type: "integer", description: "ID da conta a pagar" },
+        status: { type: "string", description: "Novo status (Pendente, Paga, Parcial, Cancelada)" }
+      },
+      required: ["conta_id", "status"]
     }
   },
   
-  // Pets
+  // PIX
   {
-    name: "listar_pets_cliente",
-    description: "Lista todos os pets de um cliente específico",
+    name: "gerar_cobranca_pix",
+    description: "Gera cobrança PIX (copia e cola + QR code) para uma conta a receber ou agendamento, aplicando o desconto PIX da clínica. Envie o código copia e cola ao cliente.",
     inputSchema: {
       type: "object",
       properties: {
-        cliente_id: { type: "integer", description: "ID do cliente" }
+        conta_id: { type: "integer", description: "ID da conta a receber (cobra o saldo em aberto)" },
+        agendamento_id: { type: "integer", description: "ID do agendamento (cobra o valor do agendamento)" },
+        valor: { type: "number", description: "Valor a cobrar antes do desconto (opcional; padrão: saldo da conta ou valor do agendamento)" },
+        descricao: { type: "string", description: "Descrição exibida no app do banco (opcional)" },
+        aplicar_desconto: { type: "boolean", description: "Aplica o desconto PIX configurado (padrão: true)" },
+        incluir_qr_code: { type: "boolean", description: "Inclui a imagem do QR code como data URL (padrão: true)" },
+        idempotency_key: { type: "string", description: "Chave única da operação; repetir a chamada com a mesma chave dentro da janela de idempotência (padrão 24h), nesta instância do servidor, devolve o resultado gravado em vez de duplicar o registro" }
+      }
+    }
+  },
+  {
+    name: "confirmar_pagamento_pix",
+    description: "Confirma o recebimento de uma cobrança PIX e dá baixa na conta a receber (cria a conta quando a cobrança foi de um agendamento)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        txid: { type: "string", description: "Identificador da cobrança (txid) retornado por gerar_cobranca_pix" },
+        data_pagamento: { type: "string", description: "Data do pagamento (YYYY-MM-DD, padrão: hoje)" }
       },
-      required: ["cliente_id"]
+      required: ["txid"]
     }
   },
+  
+  // Relatórios financeiros
   {
-    name: "buscar_pet_por_id",
-    description: "Busca pet por ID com histórico completo",
+    name: "relatorio_financeiro",
+    description: "Relatórios financeiros da clínica por período (padrão: mês corrente). Tipos: dre (resultado do mês), fluxo-caixa, inadimplencia, recebimentos, vencimentos, despesas, centro-custo, comissoes. Retorna um resumo em texto pronto para o chat (até 1800 caracteres).",
     inputSchema: {
       type: "object",
       properties: {
-        pet_id: { type: "integer", description: "ID do pet" }
+        tipo: {
+          type: "string",
+          enum: ["dre", "fluxo-caixa", "inadimplencia", "recebimentos", "vencimentos", "despesas", "centro-custo", "comissoes"],
+          description: "Tipo de relatório"
+        },
+        mes: { type: "integer", description: "Mês de referência (1-12). Usado quando não há data_inicio/data_fim" },
+        ano: { type: "integer", description: "Ano de referência (padrão: ano atual)" },
+        data_inicio: { type: "string", description: "Início do período (YYYY-MM-DD)" },
+        data_fim: { type: "string", description: "Fim do período (YYYY-MM-DD)" },
+        formato: {
+          type: "string",
+          enum: ["compacto", "completo"],
+          description: "compacto (apenas o resumo em texto) ou completo (inclui os dados brutos). Padrão: compacto"
+        }
       },
-      required: ["pet_id"]
+      required: ["tipo"]
     }
   },
+  
+  // Caixa
+  {
+    name: "obter_caixa_aberto",
+    description: "Verifica se há caixa aberto e retorna informações",
+    inputSchema: { type: "object", properties: {} }
+  },
   {
-    name: "criar_pet",
-    description: "Cadastra novo pet para um cliente",
+    name: "abrir_caixa",
+    description: "Abre o caixa do dia",
+    inputSchema: {
+      type: "object",
+      properties: {
+        valor_inicial: { type: "number", description: "Valor inicial em caixa (padrão: 0)" },
+        observacoes: { type: "string", description: "Observações de abertura" }
+      }
+    }
+  },
+  {
+    name: "fechar_caixa",
+    description: "Fecha o caixa e gera resumo",
+    inputSchema: {
+      type: "object",
+      properties: {
+        caixa_id: { type: "integer", description: "ID do caixa a fechar" }
+      },
+      required: ["caixa_id"]
+    }
+  },
+  
+  // Vendas
+  {
+    name: "criar_venda",
+    description: "Realiza venda de produtos com atualização automática de estoque",
     inputSchema: {
       type: "object",
       properties: {
         dados: {
           type: "object",
           properties: {
-            cliente_id: { type: "integer", description: "ID do cliente dono do pet" },
-            nome: { type: "string", description: "Nome do pet" },
-            especie: { type: "string", description: "Espécie (Cão, Gato, Ave, etc)" },
-            raca: { type: "string", description: "Raça do pet" },
-            sexo: { type: "string", description: "Sexo (M ou F)" },
-            castrado: { type: "boolean", description: "Se é castrado" },
-            data_nascimento: { type: "string", description: "Data de nascimento (YYYY-MM-DD)" },
-            peso: { type: "number", description: "Peso em kg" },
-            pelagem: { type: "string", description: "Cor/tipo de pelagem" },
-            microchip: { type: "string", description: "Número do microchip" },
-            alergias: { type: "string", description: "Alergias conhecidas" },
-            observacoes: { type: "string", description: "Observações gerais" }
+            cliente_id: { type: "integer", description: "ID do cliente (opcional)" },
+            itens: {
+              type: "array",
+              description: "Lista de itens da venda",
+              items: {
+                type: "object",
+                properties: {
+                  produto_id: { type: "integer", description: "ID do produto" },
+                  quantidade: { type: "integer", description: "Quantidade vendida" },
+                  valor_unitario: { type: "number", description: "Valor unitário" },
+                  desconto: { type: "number", description: "Desconto no item" }
+                },
+                required: ["produto_id", "quantidade", "valor_unitario"]
+              }
+            },
+            forma_pagamento: { type: "string", description: "Forma de pagamento" },
+            desconto_total: { type: "number", description: "Desconto total da venda" },
+            observacoes: { type: "string", description: "Observações da venda" }
           },
-          required: ["cliente_id", "nome", "especie", "sexo"]
-        }
+          required: ["itens"]
+        },
+        idempotency_key: { type: "string", description: "Chave única da operação; repetir a chamada com a mesma chave dentro da janela de idempotência (padrão 24h), nesta instância do servidor, devolve o resultado gravado em vez de duplicar o registro" }
       },
       required: ["dados"]
     }
   },
   
-  // Agendamentos
+  // Dashboard
   {
-    name: "listar_agendamentos",
-    description: "Lista agendamentos com filtros diversos",
+    name: "obter_indicadores_dashboard",
+    description: "Obtém KPIs principais do sistema (clientes, pets, agendamentos, financeiro)",
+    inputSchema: { type: "object", properties: {} }
+  },
+  {
+    name: "obter_insights_dashboard",
+    description: "Obtém insights e análises inteligentes do negócio",
+    inputSchema: { type: "object", properties: {} }
+  },
+  {
+    name: "obter_estatisticas_financeiras",
+    description: "Obtém estatísticas financeiras detalhadas",
+    inputSchema: { type: "object", properties: {} }
+  },
+  
+  // Comissões
+  {
+    name: "listar_comissoes",
+    description: "Lista comissões de funcionários com filtros",
     inputSchema: {
       type: "object",
       properties: {
         filtros: {
           type: "object",
           properties: {
-            cliente_id: { type: "integer", description: "Filtrar por cliente" },
-            pet_id: { type: "integer", description: "Filtrar por pet" },
-            status: { type: "string", description: "Status do agendamento" },
-            data: { type: "string", description: "Data específica (YYYY-MM-DD)" },
-            data_inicio: { type: "string", description: "Data inicial do período" },
-            data_fim: { type: "string", description: "Data final do período" }
+            funcionario_id: { type: "integer", description: "ID do funcionário" },
+            mes: { type: "string", description: "Mês (MM)" },
+            ano: { type: "string", description: "Ano (YYYY)" },
+            status: { type: "string", description: "Status (Pendente, Paga)" }
           }
         }
       }
     }
   },
+  
+  // Alertas
   {
-    name: "criar_agendamento",
-    description: "Cria novo agendamento com validação automática de conflitos de horário",
+    name: "obter_alertas",
+    description: "Obtém lista completa de alertas do sistema",
+    inputSchema: { type: "object", properties: {} }
+  },
+  {
+    name: "obter_badge_alertas",
+    description: "Obtém contadores resumidos de alertas (críticos, avisos, total)",
+    inputSchema: { type: "object", properties: {} }
+  },
+  
+  // Histórico e Verificações
+  {
+    name: "obter_historico_vacinacao",
+    description: "Obtém histórico completo de vacinação de um pet",
     inputSchema: {
       type: "object",
       properties: {
-        dados: {
-          type: "object",
-          properties: {
-            cliente_id: { type: "integer", description: "ID do cliente" },
-            pet_id: { type: "integer", description: "ID do pet" },
-            servico_id: { type: "integer", description: "ID do serviço (opcional)" },
-            veterinario_id: { type: "integer", description: "ID do veterinário (opcional)" },
-            data_hora: { type: "string", description: "Data e hora (YYYY-MM-DD HH:MM:SS)" },
-            tipo: { type: "string", description: "Tipo (Consulta, Retorno, Emergência, Cirurgia)" },
-            duracao_minutos: { type: "integer", description: "Duração em minutos (padrão: 30)" },
-            valor: { type: "number", description: "Valor do serviço" },
-            observacoes: { type: "string", description: "Observações do agendamento" },
-            status: { type: "string", description: "Status inicial (padrão: Agendado)" }
-          },
-          required: ["cliente_id", "pet_id", "data_hora"]
-        }
+        pet_id: { type: "integer", description: "ID do pet" }
       },
-      required: ["dados"]
+      required: ["pet_id"]
     }
   },
   {
-    name: "atualizar_status_agendamento",
-    description: "Atualiza o status de um agendamento",
+    name: "obter_historico_clinico",
+    description: "Obtém histórico médico/clínico completo de um pet (consultas, diagnósticos, anamneses)",
     inputSchema: {
       type: "object",
       properties: {
-        agendamento_id: { type: "integer", description: "ID do agendamento" },
-        status: { 
-          type: "string", 
-          description: "Novo status (Agendado, Confirmado, Em Atendimento, Concluído, Cancelado, Faltou)" 
-        }
+        pet_id: { type: "integer", description: "ID do pet" }
       },
-      required: ["agendamento_id", "status"]
+      required: ["pet_id"]
     }
   },
-  
-  // Serviços e Veterinários
   {
-    name: "listar_servicos_ativos",
-    description: "Lista todos os serviços disponíveis na clínica",
+    name: "obter_historico_peso",
+    description: "Obtém histórico de peso de um pet ao longo do tempo",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" }
+      },
+      required: ["pet_id"]
+    }
+  },
+  {
+    name: "obter_exames_pet",
+    description: "Obtém lista de exames solicitados/realizados para um pet",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" }
+      },
+      required: ["pet_id"]
+    }
+  },
+  {
+    name: "solicitar_exame",
+    description: "Solicita um novo exame para um pet",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" },
+        tipo_exame_id: { type: "integer", description: "ID do tipo de exame" },
+        veterinario_id: { type: "integer", description: "ID do veterinário solicitante" },
+        observacoes: { type: "string", description: "Observações sobre o exame" }
+      },
+      required: ["pet_id", "tipo_exame_id", "veterinario_id"]
+    }
+  },
+  {
+    name: "listar_tipos_exame",
+    description: "Lista todos os tipos de exames disponíveis",
     inputSchema: { type: "object", properties: {} }
   },
   {
-    name: "listar_veterinarios",
-    description: "Lista veterinários ativos da clínica",
-    inputSchema: { type: "object", properties: {} }
+    name: "registrar_anamnese",
+    description: "Registra anamnese/consulta clínica para um pet",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" },
+        veterinario_id: { type: "integer", description: "ID do veterinário" },
+        data_consulta: { type: "string", description: "Data da consulta (YYYY-MM-DD)" },
+        anamnese: { type: "string", description: "Descrição da anamnese" },
+        diagnostico: { type: "string", description: "Diagnóstico (opcional)" },
+        peso_atual: { type: "number", description: "Peso atual do pet em kg (opcional)" }
+      },
+      required: ["pet_id", "veterinario_id", "data_consulta", "anamnese"]
+    }
+  },
+  {
+    name: "verificar_vacinas_atrasadas",
+    description: "Verifica se o pet tem vacinas atrasadas ou próximas do vencimento",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pet_id: { type: "integer", description: "ID do pet" }
+      },
+      required: ["pet_id"]
+    }
   },
   {
-    name: "sugerir_profissional",
-    description: "Sugere o profissional mais adequado baseado no tipo de serviço e espécie do animal. Regras: Consultas cães/gatos→Thais(14), Aves/exóticos→Gustavo(8), Cirurgias→Gustavo(8), Banho e tosa→Banho e Tosa(9)",
+    name: "obter_estatisticas_pet",
+    description: "Obtém estatísticas gerais de um pet (total de consultas, vacinas, exames, etc)",
     inputSchema: {
       type: "object",
       properties: {
-        tipo_servico: {
-          type: "string",
-          description: "Tipo de serviço: consulta, cirurgia, banho e tosa, etc"
-        },
-        especie_animal: {
-          type: "string",
-          description: "Espécie do animal: cão, gato, ave, etc (opcional se pet_id fornecido)"
-        },
-        pet_id: {
-          type: "integer",
-          description: "ID do pet para obter espécie automaticamente (opcional)"
-        }
-      }
+        pet_id: { type: "integer", description: "ID do pet" }
+      },
+      required: ["pet_id"]
     }
   },
 
-  // Vacinas
+  // Agendamentos Avançados
   {
-    name: "listar_vacinas_ativas",
-    description: "Lista todas as vacinas disponíveis",
-    inputSchema: { type: "object", properties: {} }
+    name: "validar_horario_disponivel",
+    description: "Valida se um horário está disponível para agendamento com um veterinário específico",
+    inputSchema: {
+      type: "object",
+      properties: {
+        data_hora: { type: "string", description: "Data e hora desejada (YYYY-MM-DD HH:MM:SS)" },
+        veterinario_id: { type: "integer", description: "ID do veterinário" },
+        duracao_minutos: { type: "integer", description: "Duração estimada em minutos (padrão: 30)" },
+        agendamento_id: { type: "integer", description: "ID do agendamento (se estiver remarcando)" },
+        servico_id: { type: "integer", description: "ID do serviço, para validar também salas e equipamentos que ele usa" },
+        recursos: { type: "array", items: { type: "string" }, description: "Recursos exigidos (padrão: os do serviço)" },
+        intervalo_minutos: { type: "integer", description: "Intervalo de limpeza após o atendimento (padrão: o do serviço)" }
+      },
+      required: ["data_hora", "veterinario_id"]
+    }
   },
   {
-    name: "registrar_vacinacao",
-    description: "Registra aplicação de vacina em um pet",
+    name: "listar_proximos_agendamentos",
+    description: "Lista próximos agendamentos futuros de um cliente",
     inputSchema: {
       type: "object",
       properties: {
-        dados: {
-          type: "object",
-          properties: {
-            pet_id: { type: "integer", description: "ID do pet" },
-            vacina_id: { type: "integer", description: "ID da vacina" },
-            veterinario_id: { type: "integer", description: "ID do veterinário aplicador" },
-            data_aplicacao: { type: "string", description: "Data de aplicação (YYYY-MM-DD)" },
-            data_proxima_dose: { type: "string", description: "Data da próxima dose (YYYY-MM-DD)" },
-            lote: { type: "string", description: "Número do lote" },
-            dose: { type: "string", description: "Número da dose" },
-            observacoes: { type: "string", description: "Observações" },
-            valor: { type: "number", description: "Valor cobrado" }
-          },
-          required: ["pet_id", "vacina_id", "data_aplicacao"]
-        }
+        cliente_id: { type: "integer", description: "ID do cliente" },
+        limite: { type: "integer", description: "Limitar número de resultados (opcional)" }
       },
-      required: ["dados"]
+      required: ["cliente_id"]
     }
   },
-  
-  // Produtos
+
+  // Serviços e Planos
   {
-    name: "buscar_produtos",
-    description: "Busca produtos por nome/código, categoria ou estoque baixo. OBRIGATÓRIO ao menos um filtro para evitar retornar centenas de produtos",
+    name: "buscar_servicos",
+    description: "Busca serviços disponíveis por nome/descrição, com os recursos físicos (salas, equipamentos) que cada um ocupa. OBRIGATÓRIO termo de busca",
     inputSchema: {
       type: "object",
       properties: {
         termo_busca: {
           type: "string",
-          description: "Termo de busca (nome ou código do produto, mínimo 3 caracteres)"
-        },
-        categoria: {
-          type: "string",
-          description: "Filtrar por categoria específica"
-        },
-        estoque_baixo: {
-          type: "boolean",
-          description: "Se true, retorna apenas produtos com estoque abaixo do mínimo"
+          description: "Termo de busca (mínimo 2 caracteres): consulta, banho, vacina, etc"
         }
-      }
+      },
+      required: ["termo_busca"]
     }
   },
   {
-    name: "criar_produto",
-    description: "Cria novo produto no catálogo",
+    name: "listar_planos",
+    description: "Lista planos de saúde/assinatura disponíveis",
+    inputSchema: { type: "object", properties: {} }
+  },
+
+  // Workflows
+  {
+    name: "workflow_agendamento_completo",
+    description: "Workflow inteligente: busca serviço, valida horário e cria agendamento em uma única operação",
     inputSchema: {
       type: "object",
       properties: {
-        dados: {
-          type: "object",
-          properties: {
-            nome: { type: "string", description: "Nome do produto" },
-            categoria: { type: "string", description: "Categoria do produto" },
-            codigo_barras: { type: "string", description: "Código de barras" },
-            preco_custo: { type: "number", description: "Preço de custo" },
-            preco_venda: { type: "number", description: "Preço de venda" },
-            estoque_atual: { type: "integer", description: "Estoque inicial" },
-            estoque_minimo: { type: "integer", description: "Estoque mínimo para alerta" },
-            unidade: { type: "string", description: "Unidade de medida (un, cx, etc)" },
-            ativo: { type: "boolean", description: "Se está ativo para venda" }
-          },
-          required: ["nome", "categoria", "preco_venda"]
-        }
+        cliente_id: { type: "integer", description: "ID do cliente" },
+        pet_id: { type: "integer", description: "ID do pet" },
+        servico_descricao: { type: "string", description: "Descrição do serviço desejado (ex: consulta, banho)" },
+        veterinario_id: { type: "integer", description: "ID do veterinário (opcional)" },
+        data_hora: { type: "string", description: "Data e hora desejada (YYYY-MM-DD HH:MM:SS)" },
+        observacoes: { type: "string", description: "Observações (opcional)" },
+        validar_antes: { type: "boolean", description: "Se true, valida disponibilidade antes de criar (padrão: true se veterinario_id fornecido)" },
+        autorizar_com_debito: { type: "boolean", description: "Libera o agendamento de cliente com débito acima do limite (somente equipe da clínica)" }
       },
-      required: ["dados"]
+      required: ["cliente_id", "pet_id", "data_hora"]
     }
   },
-  
-  // Financeiro
   {
-    name: "listar_contas_receber",
-    description: "Lista contas a receber com filtros",
+    name: "consultar_horarios_agendamento",
+    description: "Consulta horários disponíveis para agendamento (NÃO agenda). Sugere profissional automaticamente e retorna lista de horários livres. Use quando cliente quiser VER opções antes de agendar.",
     inputSchema: {
       type: "object",
       properties: {
-        filtros: {
-          type: "object",
-          properties: {
-            status: { type: "string", description: "Status (Pendente, Paga, Parcial, Cancelada)" },
-            vencimento_inicio: { type: "string", description: "Data inicial de vencimento" },
-            vencimento_fim: { type: "string", description: "Data final de vencimento" },
-            cliente_id: { type: "integer", description: "Filtrar por cliente" }
-          }
-        }
-      }
+        cliente_id: { type: "integer", description: "ID do cliente (opcional)" },
+        pet_id: { type: "integer", description: "ID do pet (obrigatório)" },
+        servico_descricao: { type: "string", description: "Descrição do serviço (ex: consulta, banho)" },
+        veterinario_id: { type: "integer", description: "ID do veterinário (opcional - será sugerido automaticamente)" },
+        data: { type: "string", description: "Data desejada (YYYY-MM-DD). Em modo intervalo, primeiro dia da busca" },
+        duracao_minutos: { type: "integer", description: "Duração em minutos (padrão: 30)" },
+        dias_busca: { type: "integer", description: "Quantidade de dias a partir de data para procurar (padrão: 1; máximo: horizonte de agendamento da clínica). Se o dia pedido estiver cheio ou fechado, retorna success=false com modo=alternativas e as opções mais próximas dos dias seguintes" },
+        preferencia_horario: { type: "string", description: "Preferência do cliente: \"manha\", \"tarde\" ou horário aproximado (ex: \"14:00\")" },
+        max_opcoes: { type: "integer", description: "Número de alternativas na busca em vários dias (padrão: 5)" }
+      },
+      required: ["pet_id", "data"]
     }
   },
   {
-    name: "criar_conta_receber",
-    description: "Cria nova conta a receber",
+    name: "listar_horarios_disponiveis_profissional",
+    description: "Lista horários livres de um profissional específico em uma data",
     inputSchema: {
       type: "object",
       properties: {
-        dados: {
-          type: "object",
-          properties: {
-            descricao: { type: "string", description: "Descrição da conta" },
-            valor: { type: "number", description: "Valor total" },
-            vencimento: { type: "string", description: "Data de vencimento (YYYY-MM-DD)" },
-            cliente_id: { type: "integer", description: "ID do cliente (opcional)" },
-            categoria_id: { type: "integer", description: "ID da categoria financeira" },
-            forma_pagamento: { type: "string", description: "Forma de pagamento prevista" },
-            status: { type: "string", description: "Status inicial (padrão: Pendente)" },
-            observacoes: { type: "string", description: "Observações" }
-          },
-          required: ["descricao", "valor", "vencimento"]
-        }
+        veterinario_id: { type: "integer", description: "ID do veterinário" },
+        data: { type: "string", description: "Data (YYYY-MM-DD)" },
+        duracao_minutos: { type: "integer", description: "Duração em minutos (padrão: 30)" },
+        limite: { type: "integer", description: "Máximo de horários a retornar (padrão: 10)" },
+        recursos: { type: "array", items: { type: "string" }, description: "Recursos que precisam estar livres (campo recursos de buscar_servicos)" },
+        intervalo_minutos: { type: "integer", description: "Intervalo de limpeza após o atendimento (campo intervalo_minutos de buscar_servicos, padrão: 0)" }
       },
-      required: ["dados"]
+      required: ["veterinario_id", "data"]
     }
   },
   {
-    name: "registrar_pagamento",
-    description: "Registra pagamento de uma conta a receber",
+    name: "buscar_planos_personalizados",
+    description: "Busca planos personalizados baseado nas raças dos pets do cliente. Retorna planos específicos para as raças + planos genéricos.",
     inputSchema: {
       type: "object",
       properties: {
-        conta_id: { type: "integer", description: "ID da conta" },
-        dados: {
-          type: "object",
-          properties: {
-            valor_pago: { type: "number", description: "Valor pago" },
-            data_pagamento: { type: "string", description: "Data do pagamento (YYYY-MM-DD)" },
-            forma_pagamento: { 
-              type: "string", 
-              description: "Forma de pagamento (Dinheiro, Cartão, PIX, etc)" 
-            },
-            observacoes: { type: "string", description: "Observações do pagamento" }
-          },
-          required: ["valor_pago", "data_pagamento"]
-        }
+        cliente_id: { type: "integer", description: "ID do cliente" }
       },
-      required: ["conta_id", "dados"]
+      required: ["cliente_id"]
     }
   },
-  
-  // Caixa
-  {
-    name: "obter_caixa_aberto",
-    description: "Verifica se há caixa aberto e retorna informações",
-    inputSchema: { type: "object", properties: {} }
-  },
   {
-    name: "abrir_caixa",
-    description: "Abre o caixa do dia",
+    name: "formatar_resposta_compacta",
+    description: "Formata dados em texto compacto otimizado para chatbot (limite 2000 caracteres). Tipos: horarios, planos, agendamentos, pets",
     inputSchema: {
       type: "object",
       properties: {
-        valor_inicial: { type: "number", description: "Valor inicial em caixa (padrão: 0)" },
-        observacoes: { type: "string", description: "Observações de abertura" }
-      }
+        dados: { type: "object", description: "Dados a formatar" },
+        tipo: { type: "string", description: "Tipo de formatação: horarios, planos, agendamentos, pets" },
+        limite_caracteres: { type: "integer", description: "Limite de caracteres (padrão: 1800)" }
+      },
+      required: ["dados", "tipo"]
     }
   },
+
+  // Busca e Workflow Antigo
   {
-    name: "fechar_caixa",
-    description: "Fecha o caixa e gera resumo",
+    name: "busca_global",
+    description: "Busca global em clientes, pets, produtos e serviços",
     inputSchema: {
       type: "object",
       properties: {
-        caixa_id: { type: "integer", description: "ID do caixa a fechar" }
+        termo: { type: "string", description: "Termo de busca" }
       },
-      required: ["caixa_id"]
+      required: ["termo"]
     }
   },
-  
-  // Vendas
   {
-    name: "criar_venda",
-    description: "Realiza venda de produtos com atualização automática de estoque",
+    name: "workflow_novo_cliente",
+    description: "Workflow completo para cadastro de cliente, pet e agendamento em uma única operação",
     inputSchema: {
       type: "object",
       properties: {
         dados: {
           type: "object",
           properties: {
-            cliente_id: { type: "integer", description: "ID do cliente (opcional)" },
-            itens: {
-              type: "array",
-              description: "Lista de itens da venda",
-              items: {
-                type: "object",
-                properties: {
-                  produto_id: { type: "integer", description: "ID do produto" },
-                  quantidade: { type: "integer", description: "Quantidade vendida" },
-                  valor_unitario: { type: "number", description: "Valor unitário" },
-                  desconto: { type: "number", description: "Desconto no item" }
-                },
-                required: ["produto_id", "quantidade", "valor_unitario"]
-              }
+            usar_cliente_existente: { 
+              type: "boolean", 
+              description: "Se true, usa cliente existente caso encontrado" 
             },
-            forma_pagamento: { type: "string", description: "Forma de pagamento" },
-            desconto_total: { type: "number", description: "Desconto total da venda" },
-            observacoes: { type: "string", description: "Observações da venda" }
+            cliente_nome: { type: "string", description: "Nome do cliente" },
+            cliente_telefone: { type: "string", description: "Telefone do cliente" },
+            cliente_cpf: { type: "string", description: "CPF (opcional)" },
+            cliente_email: { type: "string", description: "Email" },
+            cliente_endereco: { type: "string", description: "Endereço" },
+            cliente_cidade: { type: "string", description: "Cidade" },
+            cliente_estado: { type: "string", description: "Estado (sigla)" },
+            pet_nome: { type: "string", description: "Nome do pet" },
+            pet_especie: { type: "string", description: "Espécie" },
+            pet_raca: { type: "string", description: "Raça" },
+            pet_sexo: { type: "string", description: "Sexo (M/F)" },
+            pet_data_nascimento: { type: "string", description: "Data nascimento (YYYY-MM-DD)" },
+            agendamento_data_hora: { type: "string", description: "Data/hora agendamento" },
+            agendamento_servico_id: { type: "integer", description: "ID do serviço" },
+            agendamento_veterinario_id: { type: "integer", description: "ID do veterinário" }
           },
-          required: ["itens"]
+          required: ["cliente_nome", "cliente_telefone"]
         }
       },
       required: ["dados"]
     }
   },
-  
-  // Dashboard
-  {
-    name: "obter_indicadores_dashboard",
-    description: "Obtém KPIs principais do sistema (clientes, pets, agendamentos, financeiro)",
-    inputSchema: { type: "object", properties: {} }
-  },
-  {
-    name: "obter_insights_dashboard",
-    description: "Obtém insights e análises inteligentes do negócio",
-    inputSchema: { type: "object", properties: {} }
-  },
-  {
-    name: "obter_estatisticas_financeiras",
-    description: "Obtém estatísticas financeiras detalhadas",
-    inputSchema: { type: "object", properties: {} }
-  },
-  
-  // Comissões
+
+  // Auditoria
   {
-    name: "listar_comissoes",
-    description: "Lista comissões de funcionários com filtros",
+    name: "consultar_auditoria",
+    description: "Consulta a trilha de auditoria das operações que alteram dados (quem fez, quando, argumentos e resultado). Filtra por cliente, pet, agendamento, credencial, ferramenta e período.",
     inputSchema: {
       type: "object",
       properties: {
         filtros: {
           type: "object",
           properties: {
-            funcionario_id: { type: "integer", description: "ID do funcionário" },
-            mes: { type: "string", description: "Mês (MM)" },
-            ano: { type: "string", description: "Ano (YYYY)" },
-            status: { type: "string", description: "Status (Pendente, Paga)" }
+            cliente_id: { type: "integer", description: "ID do cliente" },
+            pet_id: { type: "integer", description: "ID do pet" },
+            agendamento_id: { type: "integer", description: "ID do agendamento" },
+            credencial: { type: "string", description: "Nome da credencial/integração que executou" },
+            ferramenta: { type: "string", description: "Nome da ferramenta (ex: atualizar_status_agendamento)" },
+            data_inicio: { type: "string", description: "Data inicial (YYYY-MM-DD)" },
+            data_fim: { type: "string", description: "Data final (YYYY-MM-DD)" }
           }
-        }
+        },
+        limite: { type: "integer", description: "Máximo de registros, mais recentes primeiro (padrão: 50, máx: 500)" }
       }
     }
+  }
+];
+
+// Mapeamento de funções com validação
+const toolFunctions = {
+  // Clientes
+  buscar_cliente_por_telefone: handleValidationErrors(buscarClientePorTelefone),
+  buscar_clientes: handleValidationErrors(buscarClientes),
+  criar_cliente: handleValidationErrors(criarCliente),
+  atualizar_cliente: handleValidationErrors(atualizarCliente),
+  obter_ficha_cliente: handleValidationErrors(obterFichaCliente),
+
+  // Pets
+  listar_pets_cliente: handleValidationErrors(listarPetsCliente),
+  buscar_pet_por_id: handleValidationErrors(buscarPetPorId),
+  criar_pet: handleValidationErrors(criarPet),
+  atualizar_pet: handleValidationErrors(atualizarPet),
+  registrar_obito_pet: handleValidationErrors(registrarObitoPet),
+  desativar_pet: handleValidationErrors(desativarPet),
+
+  // Agendamentos
+  listar_agendamentos: handleValidationErrors(listarAgendamentos),
+  criar_agendamento: handleValidationErrors(criarAgendamento),
+  atualizar_status_agendamento: handleValidationErrors(atualizarStatusAgendamento),
+  cancelar_agendamento: handleValidationErrors(cancelarAgendamento),
+  remarcar_agendamento: handleValidationErrors(remarcarAgendamento),
+  validar_horario_disponivel: handleValidationErrors(validarHorarioDisponivel),
+  listar_proximos_agendamentos: handleValidationErrors(listarProximosAgendamentos),
+
+  // Serviços e Recursos
+  listar_servicos_ativos: handleValidationErrors(listarServicosAtivos),
+  buscar_servicos: handleValidationErrors(buscarServicos),
+  listar_veterinarios: handleValidationErrors(listarVeterinarios),
+  sugerir_profissional: handleValidationErrors(sugerirProfissional),
+  definir_agenda_profissional: handleValidationErrors(definirAgendaProfissional),
+  bloquear_agenda: handleValidationErrors(bloquearAgenda),
+  desbloquear_agenda: handleValidationErrors(desbloquearAgenda),
+  listar_recursos_clinica: handleValidationErrors(listarRecursosClinica),
+  salvar_recurso_clinica: handleValidationErrors(salvarRecursoClinica),
+  vincular_recursos_servico: handleValidationErrors(vincularRecursosServico),
+  listar_planos: handleValidationErrors(listarPlanos),
+
+  // Vacinas
+  listar_vacinas_ativas: handleValidationErrors(listarVacinasAtivas),
+  registrar_vacinacao: handleValidationErrors(registrarVacinacao),
+  obter_historico_vacinacao: handleValidationErrors(obterHistoricoVacinacao),
+  verificar_vacinas_atrasadas: handleValidationErrors(verificarVacinasAtrasadas),
+
+  // Histórico Clínico
+  obter_historico_clinico: handleValidationErrors(obterHistoricoClinico),
+  obter_historico_peso: handleValidationErrors(obterHistoricoPeso),
+  registrar_anamnese: handleValidationErrors(registrarAnamnese),
+
+  // Exames
+  obter_exames_pet: handleValidationErrors(obterExamesPet),
+  solicitar_exame: handleValidationErrors(solicitarExame),
+  listar_tipos_exame: handleValidationErrors(listarTiposExame),
+
+  // Estatísticas
+  obter_estatisticas_pet: handleValidationErrors(obterEstatisticasPet),
+
+  // Produtos
+  buscar_produtos: handleValidationErrors(buscarProdutos),
+  criar_produto: handleValidationErrors(criarProduto),
+
+  // Financeiro
+  listar_contas_receber: handleValidationErrors(listarContasReceber),
+  criar_conta_receber: handleValidationErrors(criarContaReceber),
+  registrar_pagamento: handleValidationErrors(registrarPagamento),
+  obter_saldo_cliente: handleValidationErrors(obterSaldoCliente),
+  criar_fatura: handleValidationErrors(criarFatura),
+  listar_contas_pagar: handleValidationErrors(listarContasPagar),
+  criar_conta_pagar: handleValidationErrors(criarContaPagar),
+  atualizar_conta_pagar: handleValidationErrors(atualizarContaPagar),
+  pagar_conta_pagar: handleValidationErrors(pagarContaPagar),
+  atualizar_status_conta_pagar: handleValidationErrors(atualizarStatusContaPagar),
+  relatorio_financeiro: handleValidationErrors(relatorioFinanceiro),
+  gerar_cobranca_pix: handleValidationErrors(gerarCobrancaPix),
+  confirmar_pagamento_pix: handleValidationErrors(confirmarPagamentoPix),
+
+  // Caixa
+  obter_caixa_aberto: handleValidationErrors(obterCaixaAberto),
+  abrir_caixa: handleValidationErrors(abrirCaixa),
+  fechar_caixa: handleValidationErrors(fecharCaixa),
+
+  // Vendas
+  criar_venda: handleValidationErrors(criarVenda),
+
+  // Dashboard
+  obter_indicadores_dashboard: handleValidationErrors(obterIndicadoresDashboard),
+  obter_insights_dashboard: handleValidationErrors(obterInsightsDashboard),
+  obter_estatisticas_financeiras: handleValidationErrors(obterEstatisticasFinanceiras),
+
+  // Comissões e Alertas
+  listar_comissoes: handleValidationErrors(listarComissoes),
+  obter_alertas: handleValidationErrors(obterAlertas),
+  obter_badge_alertas: handleValidationErrors(obterBadgeAlertas),
+
+  // Busca e Workflows
+  busca_global: handleValidationErrors(buscaGlobal),
+  workflow_novo_cliente: handleValidationErrors(workflowNovoCliente),
+  workflow_agendamento_completo: handleValidationErrors(workflowAgendamentoCompleto),
+  consultar_horarios_agendamento: handleValidationErrors(consultarHorariosAgendamento),
+  listar_horarios_disponiveis_profissional: handleValidationErrors(listarHorariosDisponiveisProfissional),
+  buscar_planos_personalizados: handleValidationErrors(buscarPlanosPersonalizados),
+  formatar_resposta_compacta: handleValidationErrors(formatarRespostaCompacta),
+
+  // Auditoria
+  consultar_auditoria: handleValidationErrors(consultarAuditoria)
+};
+
+// Ferramentas que alteram dados (executadas em sequência em lotes JSON-RPC)
+const MUTATING_TOOLS = new Set([
+  'criar_cliente',
+  'atualizar_cliente',
+  'criar_pet',
+  'atualizar_pet',
+  'registrar_obito_pet',
+  'desativar_pet',
+  'criar_agendamento',
+  'atualizar_status_agendamento',
+  'cancelar_agendamento',
+  'remarcar_agendamento',
+  'definir_agenda_profissional',
+  'bloquear_agenda',
+  'desbloquear_agenda',
+  'salvar_recurso_clinica',
+  'vincular_recursos_servico',
+  'registrar_vacinacao',
+  'solicitar_exame',
+  'registrar_anamnese',
+  'criar_produto',
+  'criar_conta_receber',
+  'registrar_pagamento',
+  'criar_fatura',
+  'gerar_cobranca_pix',
+  'confirmar_pagamento_pix',
+  'criar_conta_pagar',
+  'atualizar_conta_pagar',
+  'pagar_conta_pagar',
+  'atualizar_status_conta_pagar',
+  'abrir_caixa',
+  'fechar_caixa',
+  'criar_venda',
+  'workflow_novo_cliente',
+  'workflow_agendamento_completo'
+]);
+
+// ==================== PAPÉIS E ESCOPOS ====================
+
+/**
+ * Cada credencial tem um papel; cada papel libera um conjunto de escopos.
+ * Ferramentas não listadas abaixo pertencem ao escopo 'recepcao', de modo
+ * que uma ferramenta nova nunca fica visível ao chatbot por acidente.
+ */
+const ROLES = {
+  chatbot: ['atendimento'],
+  recepcao: ['atendimento', 'recepcao'],
+  gestao: ['atendimento', 'recepcao', 'gestao']
+};
+
+const DEFAULT_ROLE = 'chatbot';
+
+const TOOL_SCOPES = {
+  // Autoatendimento (WhatsApp e demais chatbots)
+  atendimento: [
+    'buscar_cliente_por_telefone',
+    'criar_cliente',
+    'listar_pets_cliente',
+    'buscar_pet_por_id',
+    'criar_pet',
+    'listar_agendamentos',
+    'criar_agendamento',
+    'cancelar_agendamento',
+    'remarcar_agendamento',
+    'validar_horario_disponivel',
+    'listar_proximos_agendamentos',
+    'listar_servicos_ativos',
+    'buscar_servicos',
+    'listar_veterinarios',
+    'sugerir_profissional',
+    'listar_planos',
+    'listar_vacinas_ativas',
+    'obter_historico_vacinacao',
+    'verificar_vacinas_atrasadas',
+    'workflow_novo_cliente',
+    'workflow_agendamento_completo',
+    'consultar_horarios_agendamento',
+    'listar_horarios_disponiveis_profissional',
+    'buscar_planos_personalizados',
+    'obter_saldo_cliente',
+    'gerar_cobranca_pix',
+    'formatar_resposta_compacta'
+  ],
+  // Gestão da clínica (financeiro consolidado, contas a pagar, comissões, cadastro de produtos)
+  gestao: [
+    'criar_produto',
+    'listar_contas_pagar',
+    'criar_conta_pagar',
+    'atualizar_conta_pagar',
+    'pagar_conta_pagar',
+    'atualizar_status_conta_pagar',
+    'relatorio_financeiro',
+    'salvar_recurso_clinica',
+    'vincular_recursos_servico',
+    'fechar_caixa',
+    'obter_indicadores_dashboard',
+    'obter_insights_dashboard',
+    'obter_estatisticas_financeiras',
+    'listar_comissoes',
+    'consultar_auditoria'
+  ]
+};
+
+function getToolScope(toolName) {
+  for (const [scope, tools] of Object.entries(TOOL_SCOPES)) {
+    if (tools.includes(toolName)) return scope;
+  }
+  return 'recepcao';
+}
+
+function isToolAllowed(toolName, role) {
+  const scopes = ROLES[role] || [];
+  return scopes.includes(getToolScope(toolName));
+}
+
+// ==================== RECURSOS MCP ====================
+
+/**
+ * Recursos MCP: dados que o host pode anexar como contexto sem gastar uma
+ * chamada de ferramenta. Cada recurso é lido pelas mesmas funções das
+ * ferramentas (e portanto usa o mesmo cache) e herda o escopo da ferramenta
+ * indicada em `tool`: um papel só lê o que poderia obter via tools/call.
+ */
+
+// Ficha clínica: pets do cliente com vacinação e histórico clínico de cada um
+async function montarFichaClinicaCliente({ cliente_id }) {
+  const petsResult = await listarPetsCliente({ cliente_id });
+  if (!petsResult.success) {
+    return { success: false, error: petsResult.error };
+  }
+
+  const pets = await Promise.all((petsResult.pets || []).map(async (pet) => {
+    const [vacinas, historico] = await Promise.all([
+      obterHistoricoVacinacao({ pet_id: pet.id }),
+      obterHistoricoClinico({ pet_id: pet.id })
+    ]);
+    return {
+      ...pet,
+      vacinacoes: vacinas.success ? vacinas.vacinacoes : [],
+      historico_clinico: historico.success ? historico.historico : []
+    };
+  }));
+
+  return {
+    success: true,
+    cliente_id: parseInt(cliente_id),
+    pets,
+    total_pets: pets.length
+  };
+}
+
+// Recursos fixos (resources/list)
+const resourceDefinitions = [
+  {
+    uri: "vetcare://servicos",
+    name: "Serviços ativos",
+    description: "Serviços disponíveis na clínica com preço e duração",
+    mimeType: "application/json",
+    tool: 'listar_servicos_ativos',
+    read: () => listarServicosAtivos()
   },
-  
-  // Alertas
   {
-    name: "obter_alertas",
-    description: "Obtém lista completa de alertas do sistema",
-    inputSchema: { type: "object", properties: {} }
+    uri: "vetcare://veterinarios",
+    name: "Veterinários",
+    description: "Profissionais ativos da clínica",
+    mimeType: "application/json",
+    tool: 'listar_veterinarios',
+    read: () => listarVeterinarios()
   },
   {
-    name: "obter_badge_alertas",
-    description: "Obtém contadores resumidos de alertas (críticos, avisos, total)",
-    inputSchema: { type: "object", properties: {} }
+    uri: "vetcare://vacinas",
+    name: "Vacinas",
+    description: "Vacinas disponíveis para aplicação",
+    mimeType: "application/json",
+    tool: 'listar_vacinas_ativas',
+    read: () => listarVacinasAtivas()
   },
-  
-  // Histórico e Verificações
   {
-    name: "obter_historico_vacinacao",
-    description: "Obtém histórico completo de vacinação de um pet",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pet_id: { type: "integer", description: "ID do pet" }
-      },
-      required: ["pet_id"]
-    }
+    uri: "vetcare://planos",
+    name: "Planos",
+    description: "Planos de saúde/assinatura disponíveis",
+    mimeType: "application/json",
+    tool: 'listar_planos',
+    read: () => listarPlanos()
+  }
+];
+
+// Templates de URI (resources/templates/list)
+const resourceTemplates = [
+  {
+    uriTemplate: "vetcare://pets/{id}",
+    name: "Pet",
+    description: "Dados cadastrais de um pet",
+    mimeType: "application/json",
+    pattern: /^vetcare:\/\/pets\/(\d+)$/,
+    tool: 'buscar_pet_por_id',
+    read: ([id]) => buscarPetPorId({ pet_id: id })
   },
   {
-    name: "obter_historico_clinico",
-    description: "Obtém histórico médico/clínico completo de um pet (consultas, diagnósticos, anamneses)",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pet_id: { type: "integer", description: "ID do pet" }
-      },
-      required: ["pet_id"]
-    }
+    uriTemplate: "vetcare://pets/{id}/vacinacoes",
+    name: "Vacinações do pet",
+    description: "Histórico completo de vacinação de um pet",
+    mimeType: "application/json",
+    pattern: /^vetcare:\/\/pets\/(\d+)\/vacinacoes$/,
+    tool: 'obter_historico_vacinacao',
+    read: ([id]) => obterHistoricoVacinacao({ pet_id: id })
+  },
+  {
+    uriTemplate: "vetcare://pets/{id}/historico",
+    name: "Histórico clínico do pet",
+    description: "Consultas, diagnósticos e anamneses de um pet",
+    mimeType: "application/json",
+    pattern: /^vetcare:\/\/pets\/(\d+)\/historico$/,
+    tool: 'obter_historico_clinico',
+    read: ([id]) => obterHistoricoClinico({ pet_id: id })
+  },
+  {
+    uriTemplate: "vetcare://clientes/{id}/pets",
+    name: "Pets do cliente",
+    description: "Pets cadastrados para um cliente",
+    mimeType: "application/json",
+    pattern: /^vetcare:\/\/clientes\/(\d+)\/pets$/,
+    tool: 'listar_pets_cliente',
+    read: ([id]) => listarPetsCliente({ cliente_id: id })
+  },
+  {
+    uriTemplate: "vetcare://agendamentos/{id}",
+    name: "Agendamento",
+    description: "Dados e status atual de um agendamento (aceita resources/subscribe)",
+    mimeType: "application/json",
+    pattern: /^vetcare:\/\/agendamentos\/(\d+)$/,
+    tool: 'listar_agendamentos',
+    read: ([id]) => buscarAgendamentoPorId({ agendamento_id: id })
   },
   {
-    name: "obter_historico_peso",
-    description: "Obtém histórico de peso de um pet ao longo do tempo",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pet_id: { type: "integer", description: "ID do pet" }
-      },
-      required: ["pet_id"]
-    }
+    uriTemplate: "vetcare://clientes/{id}/ficha",
+    name: "Ficha clínica do cliente",
+    description: "Todos os pets do cliente com vacinação e histórico clínico",
+    mimeType: "application/json",
+    pattern: /^vetcare:\/\/clientes\/(\d+)\/ficha$/,
+    tool: 'obter_historico_clinico',
+    read: ([id]) => montarFichaClinicaCliente({ cliente_id: id })
+  }
+];
+
+function listResources(role) {
+  return resourceDefinitions
+    .filter(resource => isToolAllowed(resource.tool, role))
+    .map(({ uri, name, description, mimeType }) => ({
+      uri, name, description, mimeType
+    }));
+}
+
+function listResourceTemplates(role) {
+  return resourceTemplates
+    .filter(template => isToolAllowed(template.tool, role))
+    .map(({ uriTemplate, name, description, mimeType }) => ({
+      uriTemplate, name, description, mimeType
+    }));
+}
+
+// Localiza o recurso (fixo ou template) e valida o papel contra o escopo da ferramenta
+function findResource(uri, role) {
+  if (!uri || typeof uri !== 'string') {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'uri é obrigatório');
+  }
+
+  let resource = resourceDefinitions.find(r => r.uri === uri);
+  let args = [];
+
+  if (!resource) {
+    for (const template of resourceTemplates) {
+      const match = uri.match(template.pattern);
+      if (match) {
+        resource = template;
+        args = match.slice(1);
+        break;
+      }
+    }
+  }
+
+  if (!resource) {
+    throw new MCPError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+  }
+
+  if (!isToolAllowed(resource.tool, role)) {
+    log('AUTH', `Recurso negado: ${uri}`, { role }, LogLevel.WARN);
+    throw new MCPError(
+      ErrorCodes.FORBIDDEN,
+      `Resource not allowed for role '${role}': ${uri}`,
+      { uri, role }
+    );
+  }
+
+  return { resource, args };
+}
+
+async function readResource(uri, role) {
+  const { resource, args } = findResource(uri, role);
+
+  log('MCP', `Reading resource: ${uri}`);
+  const result = await resource.read(args);
+
+  if (!result.success || result.found === false) {
+    throw new MCPError(
+      ErrorCodes.RESOURCE_NOT_FOUND,
+      `Resource not available: ${uri}`,
+      { uri, error: result.error || null }
+    );
+  }
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: resource.mimeType,
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+// Assinaturas de recursos: uri -> sessões que recebem notifications/resources/updated
+class ResourceSubscriptions {
+  constructor() {
+    this.subscribers = new Map();
+  }
+  
+  subscribe(uri, session) {
+    if (!this.subscribers.has(uri)) {
+      this.subscribers.set(uri, new Set());
+    }
+    this.subscribers.get(uri).add(session);
+  }
+  
+  unsubscribe(uri, session) {
+    const sessions = this.subscribers.get(uri);
+    if (!sessions) return;
+    sessions.delete(session);
+    if (sessions.size === 0) this.subscribers.delete(uri);
+  }
+  
+  removeSession(session) {
+    for (const uri of [...this.subscribers.keys()]) {
+      this.unsubscribe(uri, session);
+    }
+  }
+  
+  notify(uri) {
+    const sessions = this.subscribers.get(uri);
+    if (!sessions) return 0;
+    
+    const notification = formatMCPNotification('notifications/resources/updated', { uri });
+    let delivered = 0;
+    for (const session of sessions) {
+      if (session.send(notification)) delivered++;
+    }
+    
+    log('MCP', `Recurso atualizado: ${uri}`, { subscribers: sessions.size, delivered });
+    return delivered;
+  }
+  
+  stats() {
+    return {
+      uris: this.subscribers.size,
+      subscriptions: [...this.subscribers.values()].reduce((sum, s) => sum + s.size, 0)
+    };
+  }
+}
+
+const resourceSubscriptions = new ResourceSubscriptions();
+
+function notifyResourceUpdated(uri) {
+  return resourceSubscriptions.notify(uri);
+}
+
+function subscribeResource(uri, session, role) {
+  if (!session) {
+    throw new MCPError(
+      ErrorCodes.INVALID_REQUEST,
+      'resources/subscribe requer uma sessão (use /mcp ou stdio)'
+    );
+  }
+  
+  findResource(uri, role);
+  resourceSubscriptions.subscribe(uri, session);
+  log('MCP', `Assinatura de recurso: ${uri}`, { session: session.id });
+  return {};
+}
+
+function unsubscribeResource(uri, session) {
+  if (session) {
+    resourceSubscriptions.unsubscribe(uri, session);
+    log('MCP', `Assinatura removida: ${uri}`, { session: session.id });
+  }
+  return {};
+}
+
+// ==================== PROMPTS MCP ====================
+
+/**
+ * Prompts MCP: roteiros padrão de conversa da clínica. Centralizados aqui
+ * para que todas as integrações de chatbot usem o mesmo texto.
+ */
+
+const promptDefinitions = [
+  {
+    name: "cadastro_novo_cliente",
+    description: "Roteiro de cadastro de novo cliente, pet e primeiro agendamento",
+    arguments: [
+      { name: "canal", description: "Canal do atendimento (ex: WhatsApp, Instagram)", required: false },
+      { name: "cliente_telefone", description: "Telefone já conhecido do cliente", required: false }
+    ],
+    build: ({ canal, cliente_telefone }) => [
+      `Você é o assistente de atendimento da clínica veterinária${canal ? ` no ${canal}` : ''}.`,
+      `Objetivo: cadastrar um novo cliente, o pet e, se o cliente quiser, o primeiro agendamento.`,
+      ``,
+      `Passos:`,
+      `1. ${cliente_telefone
+        ? `Chame buscar_cliente_por_telefone com o telefone ${cliente_telefone} para confirmar que o cliente ainda não existe.`
+        : `Peça o telefone e chame buscar_cliente_por_telefone para confirmar que o cliente ainda não existe.`}`,
+      `2. Colete nome completo e telefone (obrigatórios); CPF, email e endereço são opcionais.`,
+      `3. Colete os dados do pet: nome, espécie, raça, sexo (M/F) e data de nascimento (YYYY-MM-DD).`,
+      `4. Se o cliente quiser agendar, use consultar_horarios_agendamento e ofereça no máximo 3 horários.`,
+      `5. Confirme todos os dados em uma única mensagem e chame workflow_novo_cliente com dados.usar_cliente_existente=true.`,
+      `6. Informe o resultado de cada etapa (cliente, pet, agendamento) de forma curta.`,
+      ``,
+      `Nunca invente IDs; use apenas os retornados pelas ferramentas.`
+    ].join('\n')
   },
   {
-    name: "obter_exames_pet",
-    description: "Obtém lista de exames solicitados/realizados para um pet",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pet_id: { type: "integer", description: "ID do pet" }
-      },
-      required: ["pet_id"]
-    }
+    name: "agendamento",
+    description: "Roteiro de agendamento: consultar horários e confirmar com workflow_agendamento_completo",
+    arguments: [
+      { name: "cliente_id", description: "ID do cliente", required: true },
+      { name: "pet_id", description: "ID do pet", required: true },
+      { name: "servico", description: "Serviço desejado (ex: consulta, banho)", required: false },
+      { name: "data", description: "Data desejada (YYYY-MM-DD)", required: false }
+    ],
+    build: ({ cliente_id, pet_id, servico, data }) => [
+      `Você é o assistente de agendamentos da clínica veterinária.`,
+      `Cliente ID ${cliente_id}, pet ID ${pet_id}.`,
+      ``,
+      `Passos:`,
+      `1. ${servico ? `O serviço desejado é "${servico}".` : `Pergunte qual serviço o cliente deseja.`}`,
+      `2. ${data ? `Chame consultar_horarios_agendamento para ${data}.` : `Pergunte a data desejada e chame consultar_horarios_agendamento.`}`,
+      `3. Ofereça no máximo 3 horários e o nome do profissional sugerido.`,
+      `4. Após a escolha, chame workflow_agendamento_completo com data_hora no formato YYYY-MM-DD HH:MM:SS.`,
+      `5. Se o horário não estiver mais livre, volte ao passo 2 sem pedir desculpas longas.`,
+      ``,
+      `Não confirme o agendamento antes do retorno de sucesso da ferramenta.`
+    ].join('\n')
   },
   {
-    name: "solicitar_exame",
-    description: "Solicita um novo exame para um pet",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pet_id: { type: "integer", description: "ID do pet" },
-        tipo_exame_id: { type: "integer", description: "ID do tipo de exame" },
-        veterinario_id: { type: "integer", description: "ID do veterinário solicitante" },
-        observacoes: { type: "string", description: "Observações sobre o exame" }
-      },
-      required: ["pet_id", "tipo_exame_id", "veterinario_id"]
-    }
+    name: "lembrete_vacinacao",
+    description: "Conversa de lembrete de vacinas atrasadas ou próximas do vencimento",
+    arguments: [
+      { name: "pet_id", description: "ID do pet", required: true },
+      { name: "cliente_nome", description: "Nome do tutor", required: false }
+    ],
+    build: ({ pet_id, cliente_nome }) => [
+      `Você é o assistente da clínica veterinária entrando em contato${cliente_nome ? ` com ${cliente_nome}` : ''} sobre a vacinação do pet ID ${pet_id}.`,
+      ``,
+      `Passos:`,
+      `1. Chame verificar_vacinas_atrasadas com pet_id=${pet_id}.`,
+      `2. Se não houver pendências, não envie mensagem.`,
+      `3. Liste as vacinas atrasadas primeiro e depois as que vencem em breve, com as datas.`,
+      `4. Ofereça agendar a aplicação; se aceitar, siga o roteiro de agendamento.`,
+      ``,
+      `Tom cordial e curto, sem alarmismo.`
+    ].join('\n')
   },
   {
-    name: "listar_tipos_exame",
-    description: "Lista todos os tipos de exames disponíveis",
-    inputSchema: { type: "object", properties: {} }
+    name: "oferta_planos",
+    description: "Oferta de planos personalizados para as raças dos pets do cliente",
+    arguments: [
+      { name: "cliente_id", description: "ID do cliente", required: true }
+    ],
+    build: ({ cliente_id }) => [
+      `Você é o assistente comercial da clínica veterinária.`,
+      ``,
+      `Passos:`,
+      `1. Chame buscar_planos_personalizados com cliente_id=${cliente_id}.`,
+      `2. Apresente primeiro os planos específicos para as raças dos pets, depois no máximo 2 genéricos.`,
+      `3. Para cada plano informe nome, valor e os principais benefícios.`,
+      `4. Se o cliente recusar, agradeça e encerre sem insistir.`,
+      ``,
+      `Use formatar_resposta_compacta com tipo "planos" quando a lista for longa.`
+    ].join('\n')
+  }
+];
+
+function listPrompts() {
+  return promptDefinitions.map(({ name, description, arguments: args }) => ({
+    name, description, arguments: args
+  }));
+}
+
+function getPrompt(name, args = {}) {
+  const prompt = promptDefinitions.find(p => p.name === name);
+  if (!prompt) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `Prompt not found: ${name}`, { name });
+  }
+
+  const missing = prompt.arguments
+    .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+    .map(arg => arg.name);
+
+  if (missing.length > 0) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `Missing required arguments: ${missing.join(', ')}`,
+      { prompt: name, missing }
+    );
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: "user",
+        content: { type: "text", text: prompt.build(args) }
+      }
+    ]
+  };
+}
+
+// ==================== MÉTRICAS ====================
+
+const metrics = {
+  requests: {
+    total: 0,
+    successful: 0,
+    failed: 0
   },
-  {
-    name: "registrar_anamnese",
-    description: "Registra anamnese/consulta clínica para um pet",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pet_id: { type: "integer", description: "ID do pet" },
-        veterinario_id: { type: "integer", description: "ID do veterinário" },
-        data_consulta: { type: "string", description: "Data da consulta (YYYY-MM-DD)" },
-        anamnese: { type: "string", description: "Descrição da anamnese" },
-        diagnostico: { type: "string", description: "Diagnóstico (opcional)" },
-        peso_atual: { type: "number", description: "Peso atual do pet em kg (opcional)" }
-      },
-      required: ["pet_id", "veterinario_id", "data_consulta", "anamnese"]
+  tools: {},
+  response_times: [],
+  startTime: Date.now()
+};
+
+// Inicializar métricas
+toolDefinitions.forEach(tool => {
+  metrics.tools[tool.name] = { calls: 0, success: 0, failed: 0, totalTime: 0 };
+});
+
+function updateMetrics(toolName, success, duration) {
+  if (!CONFIG.FEATURES.METRICS_ENABLED) return;
+  
+  metrics.requests.total++;
+  if (success) {
+    metrics.requests.successful++;
+  } else {
+    metrics.requests.failed++;
+  }
+  
+  metrics.response_times.push(duration);
+  if (metrics.response_times.length > 100) {
+    metrics.response_times.shift();
+  }
+  
+  if (metrics.tools[toolName]) {
+    metrics.tools[toolName].calls++;
+    if (success) {
+      metrics.tools[toolName].success++;
+    } else {
+      metrics.tools[toolName].failed++;
     }
-  },
-  {
-    name: "verificar_vacinas_atrasadas",
-    description: "Verifica se o pet tem vacinas atrasadas ou próximas do vencimento",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pet_id: { type: "integer", description: "ID do pet" }
-      },
-      required: ["pet_id"]
+    metrics.tools[toolName].totalTime += duration;
+  }
+}
+
+function getMetrics() {
+  const uptime = Math.floor((Date.now() - metrics.startTime) / 1000);
+  const successRate = metrics.requests.total > 0 
+    ? ((metrics.requests.successful / metrics.requests.total) * 100).toFixed(2)
+    : 0;
+  
+  const avgResponseTime = metrics.response_times.length > 0
+    ? (metrics.response_times.reduce((a, b) => a + b, 0) / metrics.response_times.length).toFixed(2)
+    : 0;
+  
+  return {
+    uptime,
+    requests: metrics.requests,
+    successRate: `${successRate}%`,
+    avgResponseTime: `${avgResponseTime}ms`,
+    cache: Object.fromEntries(
+      Object.entries(cacheInstances).map(([name, cache]) => [name, cache.stats()])
+    ),
+    topTools: Object.entries(metrics.tools)
+      .filter(([_, stats]) => stats.calls > 0)
+      .sort((a, b) => b[1].calls - a[1].calls)
+      .slice(0, 10)
+      .map(([name, stats]) => ({
+        name,
+        calls: stats.calls,
+        successRate: ((stats.success / stats.calls) * 100).toFixed(2) + '%',
+        avgTime: (stats.totalTime / stats.calls).toFixed(2) + 'ms'
+      }))
+  };
+}
+
+// ==================== PROCESSAMENTO MCP ====================
+
+const MCP_CAPABILITIES = {
+  tools: { listChanged: false },
+  resources: { subscribe: true, listChanged: false },
+  prompts: { listChanged: false }
+};
+
+function negotiateProtocolVersion(requested) {
+  return CONFIG.PROTOCOL_VERSIONS.includes(requested)
+    ? requested
+    : CONFIG.PROTOCOL_VERSIONS[0];
+}
+
+/**
+ * Processa uma mensagem JSON-RPC já decodificada e retorna a resposta.
+ * Compartilhado por todos os transportes (POST / clássico e Streamable HTTP).
+ *
+ * context:
+ *  - clientId: identificador do cliente (logs e métricas)
+ *  - role:     papel da credencial (define as ferramentas visíveis)
+ *  - auth:     credencial autenticada (auditoria)
+ *  - idempotencyKey: header Idempotency-Key (o argumento idempotency_key tem precedência)
+ *  - session:  sessão MCP, quando o transporte tiver uma
+ *  - send:     função para enviar notificações ao cliente durante a chamada
+ */
+async function processMCPRequest(message, context = {}) {
+  let requestId = null;
+  const startTime = Date.now();
+  
+  try {
+    if (!message || typeof message !== 'object' || Object.keys(message).length === 0) {
+      throw new MCPError(ErrorCodes.INVALID_REQUEST, "Invalid Request - Empty body");
     }
-  },
-  {
-    name: "obter_estatisticas_pet",
-    description: "Obtém estatísticas gerais de um pet (total de consultas, vacinas, exames, etc)",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pet_id: { type: "integer", description: "ID do pet" }
-      },
-      required: ["pet_id"]
+    
+    const { jsonrpc, id, method, params = {} } = message;
+    requestId = id ?? null;
+    
+    if (jsonrpc !== "2.0") {
+      throw new MCPError(ErrorCodes.INVALID_REQUEST, "Invalid Request - JSON-RPC 2.0 required");
+    }
+    
+    // Notificações e respostas do cliente nunca recebem resposta
+    if (isNotification(message)) {
+      handleMCPNotification(message, context);
+      return null;
+    }
+    
+    switch (method) {
+      case 'initialize':
+        return formatMCPResponse(requestId, {
+          protocolVersion: context.session?.protocolVersion || negotiateProtocolVersion(params.protocolVersion),
+          capabilities: MCP_CAPABILITIES,
+          serverInfo: {
+            name: "vetcare-mcp",
+            version: "4.0.0",
+            description: "VetCare MCP Server v4.0 - Produção Otimizada"
+          }
+        });
+        
+      case 'ping':
+        return formatMCPResponse(requestId, {});
+        
+      case 'tools/list':
+        return formatMCPResponse(requestId, {
+          tools: toolDefinitions.filter(tool => isToolAllowed(tool.name, context.role))
+        });
+        
+      case 'resources/list':
+        return formatMCPResponse(requestId, { resources: listResources(context.role) });
+        
+      case 'resources/templates/list':
+        return formatMCPResponse(requestId, { resourceTemplates: listResourceTemplates(context.role) });
+        
+      case 'resources/read':
+        return formatMCPResponse(requestId, await readResource(params.uri, context.role));
+        
+      case 'resources/subscribe':
+        return formatMCPResponse(requestId, subscribeResource(params.uri, context.session, context.role));
+        
+      case 'resources/unsubscribe':
+        return formatMCPResponse(requestId, unsubscribeResource(params.uri, context.session));
+        
+      case 'prompts/list':
+        return formatMCPResponse(requestId, { prompts: listPrompts() });
+        
+      case 'prompts/get':
+        return formatMCPResponse(requestId, getPrompt(params.name, params.arguments));
+        
+      case 'tools/call': {
+        const toolName = params.name;
+        if (!toolName || !toolFunctions[toolName]) {
+          throw new MCPError(
+            ErrorCodes.METHOD_NOT_FOUND, 
+            `Tool not found: ${toolName}`
+          );
+        }
+        
+        if (!isToolAllowed(toolName, context.role)) {
+          log('AUTH', `Ferramenta negada: ${toolName}`, { clientId: context.clientId, role: context.role }, LogLevel.WARN);
+          throw new MCPError(
+            ErrorCodes.FORBIDDEN,
+            `Tool not allowed for role '${context.role}': ${toolName}`,
+            { tool: toolName, role: context.role }
+          );
+        }
+        
+        const inFlightKey = getInFlightKey(context, requestId);
+        const controller = new AbortController();
+        inFlightRequests.set(inFlightKey, { controller, toolName, started: Date.now() });
+        
+        try {
+          const toolStartTime = Date.now();
+          const { idempotency_key: argKey, ...toolArgs } = params.arguments || {};
+          const idempotencyKey = MUTATING_TOOLS.has(toolName) ? (argKey || context.idempotencyKey || null) : null;
+          
+          log('MCP', `Executing tool: ${toolName}`, { requestId: context.requestId, idempotencyKey });
+          
+          const runTool = () => requestContext.run({
+            ...context,
+            toolName,
+            idempotencyKey,
+            signal: controller.signal,
+            progressToken: params._meta?.progressToken
+          }, () => toolFunctions[toolName](toolArgs));
+          
+          const toolPromise = idempotencyKey
+            ? runIdempotent(`${context.clientId || 'local'}:${toolName}:${idempotencyKey}`, toolArgs, runTool)
+            : runTool();
+          
+          // Responde assim que o cancelamento chega, sem esperar a ferramenta
+          const cancelPromise = new Promise((_, reject) => {
+            controller.signal.addEventListener('abort', () => {
+              reject(new MCPError(ErrorCodes.REQUEST_CANCELLED, 'Request cancelled', { tool: toolName }));
+            }, { once: true });
+          });
+          toolPromise.catch(() => {});
+          cancelPromise.catch(() => {});
+          
+          const result = await Promise.race([toolPromise, cancelPromise]);
+          
+          const duration = Date.now() - toolStartTime;
+          updateMetrics(toolName, result.success, duration);
+          auditToolCall(context, toolName, toolArgs, { result, duration });
+          
+          log('MCP', `Tool completed: ${toolName} (${duration}ms)`, { 
+            success: result.success, 
+            requestId: context.requestId 
+          });
+          
+          return formatMCPResponse(requestId, {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(result, null, 2)
+              }
+            ]
+          });
+          
+        } catch (toolError) {
+          updateMetrics(toolName, false, Date.now() - startTime);
+          auditToolCall(context, toolName, params.arguments || {}, {
+            error: toolError.message,
+            duration: Date.now() - startTime
+          });
+          
+          if (toolError instanceof MCPError) {
+            throw toolError;
+          } else {
+            throw new MCPError(
+              ErrorCodes.INTERNAL_ERROR,
+              `Tool execution failed: ${toolError.message}`,
+              { tool: toolName }
+            );
+          }
+        } finally {
+          inFlightRequests.delete(inFlightKey);
+        }
+      }
+        
+      default:
+        throw new MCPError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
     }
-  },
-
-  // Agendamentos Avançados
-  {
-    name: "validar_horario_disponivel",
-    description: "Valida se um horário está disponível para agendamento com um veterinário específico",
-    inputSchema: {
-      type: "object",
-      properties: {
-        data_hora: { type: "string", description: "Data e hora desejada (YYYY-MM-DD HH:MM:SS)" },
-        veterinario_id: { type: "integer", description: "ID do veterinário" },
-        duracao_minutos: { type: "integer", description: "Duração estimada em minutos (padrão: 30)" },
-        agendamento_id: { type: "integer", description: "ID do agendamento (se estiver remarcando)" }
-      },
-      required: ["data_hora", "veterinario_id"]
+    
+  } catch (err) {
+    // Em transportes com sessão, requisições canceladas não recebem resposta
+    if (err.code === ErrorCodes.REQUEST_CANCELLED && context.session) {
+      log('MCP', 'Request cancelled', { requestId: context.requestId });
+      return null;
     }
-  },
-  {
-    name: "listar_proximos_agendamentos",
-    description: "Lista próximos agendamentos futuros de um cliente",
-    inputSchema: {
-      type: "object",
-      properties: {
-        cliente_id: { type: "integer", description: "ID do cliente" },
-        limite: { type: "integer", description: "Limitar número de resultados (opcional)" }
-      },
-      required: ["cliente_id"]
+    
+    log('MCP', 'Request error', { 
+      error: err.message, 
+      requestId: context.requestId 
+    }, LogLevel.ERROR);
+    
+    if (err instanceof MCPError) {
+      return formatMCPResponse(requestId, null, err);
+    } else {
+      return formatMCPResponse(requestId, null, {
+        code: ErrorCodes.INTERNAL_ERROR,
+        message: "Internal server error",
+        data: { originalError: err.message }
+      });
     }
-  },
+  }
+}
 
-  // Serviços e Planos
-  {
-    name: "buscar_servicos",
-    description: "Busca serviços disponíveis por nome/descrição. OBRIGATÓRIO termo de busca",
-    inputSchema: {
-      type: "object",
-      properties: {
-        termo_busca: {
-          type: "string",
-          description: "Termo de busca (mínimo 2 caracteres): consulta, banho, vacina, etc"
-        }
-      },
-      required: ["termo_busca"]
-    }
-  },
-  {
-    name: "listar_planos",
-    description: "Lista planos de saúde/assinatura disponíveis",
-    inputSchema: { type: "object", properties: {} }
-  },
+function isNotification(message) {
+  return !message || typeof message !== 'object' || message.id === undefined || message.id === null;
+}
 
-  // Workflows
-  {
-    name: "workflow_agendamento_completo",
-    description: "Workflow inteligente: busca serviço, valida horário e cria agendamento em uma única operação",
-    inputSchema: {
-      type: "object",
-      properties: {
-        cliente_id: { type: "integer", description: "ID do cliente" },
-        pet_id: { type: "integer", description: "ID do pet" },
-        servico_descricao: { type: "string", description: "Descrição do serviço desejado (ex: consulta, banho)" },
-        veterinario_id: { type: "integer", description: "ID do veterinário (opcional)" },
-        data_hora: { type: "string", description: "Data e hora desejada (YYYY-MM-DD HH:MM:SS)" },
-        observacoes: { type: "string", description: "Observações (opcional)" },
-        validar_antes: { type: "boolean", description: "Se true, valida disponibilidade antes de criar (padrão: true se veterinario_id fornecido)" }
-      },
-      required: ["cliente_id", "pet_id", "data_hora"]
-    }
-  },
-  {
-    name: "consultar_horarios_agendamento",
-    description: "Consulta horários disponíveis para agendamento (NÃO agenda). Sugere profissional automaticamente e retorna lista de horários livres. Use quando cliente quiser VER opções antes de agendar.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        cliente_id: { type: "integer", description: "ID do cliente (opcional)" },
-        pet_id: { type: "integer", description: "ID do pet (obrigatório)" },
-        servico_descricao: { type: "string", description: "Descrição do serviço (ex: consulta, banho)" },
-        veterinario_id: { type: "integer", description: "ID do veterinário (opcional - será sugerido automaticamente)" },
-        data: { type: "string", description: "Data desejada (YYYY-MM-DD)" },
-        duracao_minutos: { type: "integer", description: "Duração em minutos (padrão: 30)" }
-      },
-      required: ["pet_id", "data"]
-    }
-  },
-  {
-    name: "listar_horarios_disponiveis_profissional",
-    description: "Lista horários livres de um profissional específico em uma data",
-    inputSchema: {
-      type: "object",
-      properties: {
-        veterinario_id: { type: "integer", description: "ID do veterinário" },
-        data: { type: "string", description: "Data (YYYY-MM-DD)" },
-        duracao_minutos: { type: "integer", description: "Duração em minutos (padrão: 30)" },
-        limite: { type: "integer", description: "Máximo de horários a retornar (padrão: 10)" }
-      },
-      required: ["veterinario_id", "data"]
-    }
-  },
-  {
-    name: "buscar_planos_personalizados",
-    description: "Busca planos personalizados baseado nas raças dos pets do cliente. Retorna planos específicos para as raças + planos genéricos.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        cliente_id: { type: "integer", description: "ID do cliente" }
-      },
-      required: ["cliente_id"]
-    }
-  },
-  {
-    name: "formatar_resposta_compacta",
-    description: "Formata dados em texto compacto otimizado para chatbot (limite 2000 caracteres). Tipos: horarios, planos, agendamentos, pets",
-    inputSchema: {
-      type: "object",
-      properties: {
-        dados: { type: "object", description: "Dados a formatar" },
-        tipo: { type: "string", description: "Tipo de formatação: horarios, planos, agendamentos, pets" },
-        limite_caracteres: { type: "integer", description: "Limite de caracteres (padrão: 1800)" }
-      },
-      required: ["dados", "tipo"]
-    }
-  },
+// Chamadas de ferramenta em andamento, por cliente/sessão + id da requisição
+const inFlightRequests = new Map();
 
-  // Busca e Workflow Antigo
-  {
-    name: "busca_global",
-    description: "Busca global em clientes, pets, produtos e serviços",
-    inputSchema: {
-      type: "object",
-      properties: {
-        termo: { type: "string", description: "Termo de busca" }
-      },
-      required: ["termo"]
+function getInFlightKey(context, requestId) {
+  return `${context.session?.id || context.clientId || 'local'}:${requestId}`;
+}
+
+/**
+ * Trata notificações do cliente (mensagens sem id). Nunca gera resposta.
+ */
+function handleMCPNotification(message, context = {}) {
+  const { method, params = {} } = message;
+  
+  // Resposta do cliente a uma requisição do servidor: nada a fazer
+  if (!method) {
+    log('MCP', 'Client response ignored', { requestId: context.requestId }, LogLevel.DEBUG);
+    return;
+  }
+  
+  switch (method) {
+    case 'notifications/initialized':
+      log('MCP', 'Client initialized', { clientId: context.clientId, session: context.session?.id });
+      return;
+      
+    case 'notifications/cancelled': {
+      const inFlight = inFlightRequests.get(getInFlightKey(context, params.requestId));
+      if (!inFlight) {
+        // Já concluída ou desconhecida: o cancelamento é ignorado
+        log('MCP', `Cancel ignored, request not in flight: ${params.requestId}`, null, LogLevel.DEBUG);
+        return;
+      }
+      log('MCP', `Cancelling request ${params.requestId} (${inFlight.toolName})`, {
+        reason: params.reason || null
+      }, LogLevel.WARN);
+      inFlight.controller.abort(params.reason);
+      return;
     }
-  },
-  {
-    name: "workflow_novo_cliente",
-    description: "Workflow completo para cadastro de cliente, pet e agendamento em uma única operação",
-    inputSchema: {
-      type: "object",
-      properties: {
-        dados: {
-          type: "object",
-          properties: {
-            usar_cliente_existente: { 
-              type: "boolean", 
-              description: "Se true, usa cliente existente caso encontrado" 
-            },
-            cliente_nome: { type: "string", description: "Nome do cliente" },
-            cliente_telefone: { type: "string", description: "Telefone do cliente" },
-            cliente_cpf: { type: "string", description: "CPF (opcional)" },
-            cliente_email: { type: "string", description: "Email" },
-            cliente_endereco: { type: "string", description: "Endereço" },
-            cliente_cidade: { type: "string", description: "Cidade" },
-            cliente_estado: { type: "string", description: "Estado (sigla)" },
-            pet_nome: { type: "string", description: "Nome do pet" },
-            pet_especie: { type: "string", description: "Espécie" },
-            pet_raca: { type: "string", description: "Raça" },
-            pet_sexo: { type: "string", description: "Sexo (M/F)" },
-            pet_data_nascimento: { type: "string", description: "Data nascimento (YYYY-MM-DD)" },
-            agendamento_data_hora: { type: "string", description: "Data/hora agendamento" },
-            agendamento_servico_id: { type: "integer", description: "ID do serviço" },
-            agendamento_veterinario_id: { type: "integer", description: "ID do veterinário" }
-          },
-          required: ["cliente_nome", "cliente_telefone"]
-        }
-      },
-      required: ["dados"]
+      
+    default:
+      if (method.startsWith('notifications/')) {
+        log('MCP', `Notification received: ${method}`, null, LogLevel.DEBUG);
+      } else {
+        // Requisição sem id: pelo MCP toda requisição precisa de id
+        log('MCP', `Request without id ignored: ${method}`, null, LogLevel.WARN);
+      }
+  }
+}
+
+// Ferramentas que alteram dados não rodam em paralelo dentro de um lote
+function isParallelSafe(message) {
+  return !(message?.method === 'tools/call' && MUTATING_TOOLS.has(message.params?.name));
+}
+
+/**
+ * Processa um lote JSON-RPC 2.0. Leituras rodam em paralelo; chamadas a
+ * ferramentas que alteram dados rodam em sequência, na ordem do lote.
+ * Retorna o array de respostas (sem as notificações) ou null se não houver
+ * nenhuma resposta a enviar.
+ */
+async function processMCPBatch(messages, context = {}) {
+  if (messages.length === 0) {
+    return formatMCPResponse(null, null, new MCPError(ErrorCodes.INVALID_REQUEST, "Invalid Request - Empty batch"));
+  }
+  
+  if (messages.length > CONFIG.BATCH_MAX_SIZE) {
+    return formatMCPResponse(null, null, new MCPError(
+      ErrorCodes.INVALID_REQUEST,
+      `Invalid Request - Batch too large (max ${CONFIG.BATCH_MAX_SIZE} messages)`
+    ));
+  }
+  
+  log('MCP', `Processing batch: ${messages.length} messages`, { requestId: context.requestId });
+  
+  const responses = new Array(messages.length).fill(null);
+  const parallel = [];
+  const sequential = [];
+  
+  messages.forEach((message, index) => {
+    const run = async () => {
+      responses[index] = await processMCPRequest(message, {
+        ...context,
+        requestId: `${context.requestId}#${index}`
+      });
+    };
+    (isParallelSafe(message) ? parallel : sequential).push(run);
+  });
+  
+  await Promise.all([
+    ...parallel.map(run => run()),
+    (async () => {
+      for (const run of sequential) {
+        await run();
+      }
+    })()
+  ]);
+  
+  // Itens inválidos (não-objetos) também recebem resposta de erro
+  const results = responses.filter((response, index) => {
+    const message = messages[index];
+    const invalid = !message || typeof message !== 'object' || Array.isArray(message);
+    return response !== null && (invalid || !isNotification(message));
+  });
+  
+  return results.length > 0 ? results : null;
+}
+
+/**
+ * Ponto de entrada dos transportes: aceita uma mensagem ou um lote.
+ */
+async function handleMCPPayload(payload, context = {}) {
+  if (Array.isArray(payload)) {
+    return processMCPBatch(payload, context);
+  }
+  return processMCPRequest(payload, context);
+}
+
+// ==================== TRANSPORTE STREAMABLE HTTP ====================
+
+/**
+ * Transporte Streamable HTTP (MCP 2025-03-26) em /mcp:
+ *  - POST   /mcp  envia mensagens JSON-RPC; a resposta vem em JSON ou SSE
+ *  - GET    /mcp  abre stream SSE para mensagens iniciadas pelo servidor
+ *  - DELETE /mcp  encerra a sessão
+ *
+ * A sessão é criada no initialize e identificada pelo header Mcp-Session-Id.
+ * O endpoint POST / continua respondendo uma mensagem por requisição.
+ */
+
+function writeSSE(res, message, eventId = null) {
+  if (eventId !== null) res.write(`id: ${eventId}\n`);
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function openSSE(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), CONFIG.SSE_KEEPALIVE);
+  res.on('close', () => clearInterval(keepAlive));
+}
+
+class MCPSession {
+  constructor(protocolVersion, clientId = null) {
+    this.id = randomUUID();
+    this.protocolVersion = protocolVersion;
+    this.clientId = clientId; // sessão só é aceita para o mesmo cliente que a criou
+    this.created = Date.now();
+    this.lastSeen = Date.now();
+    this.stream = null;   // stream SSE aberto via GET /mcp
+    this.eventId = 0;
+  }
+  
+  touch() {
+    this.lastSeen = Date.now();
+  }
+  
+  // Envia mensagem pelo stream GET; sem stream aberto a mensagem é descartada
+  send(message) {
+    if (!this.stream) return false;
+    writeSSE(this.stream, message, ++this.eventId);
+    return true;
+  }
+  
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
     }
   }
-];
+}
 
-// Mapeamento de funções com validação
-const toolFunctions = {
-  // Clientes
-  buscar_cliente_por_telefone: handleValidationErrors(buscarClientePorTelefone),
-  buscar_clientes: handleValidationErrors(buscarClientes),
-  criar_cliente: handleValidationErrors(criarCliente),
-  atualizar_cliente: handleValidationErrors(atualizarCliente),
+class SessionManager {
+  constructor(ttl = CONFIG.SESSION_TTL) {
+    this.sessions = new Map();
+    this.ttl = ttl;
+  }
+  
+  create(protocolVersion, clientId = null) {
+    const session = new MCPSession(protocolVersion, clientId);
+    this.sessions.set(session.id, session);
+    log('SESSION', `Sessão criada: ${session.id}`, { protocolVersion, clientId });
+    return session;
+  }
+  
+  get(id, clientId = null) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session) return null;
+    if (CONFIG.FEATURES.AUTH_ENABLED && session.clientId !== clientId) return null;
+    session.touch();
+    return session;
+  }
+  
+  delete(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+    session.close();
+    resourceSubscriptions.removeSession(session);
+    this.sessions.delete(id);
+    log('SESSION', `Sessão encerrada: ${id}`);
+    return true;
+  }
+  
+  cleanup() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions.entries()) {
+      // Sessões com stream aberto continuam vivas
+      if (!session.stream && now - session.lastSeen > this.ttl) {
+        this.delete(id);
+      }
+    }
+  }
+  
+  stats() {
+    return {
+      active: this.sessions.size,
+      streams: [...this.sessions.values()].filter(s => s.stream).length
+    };
+  }
+}
 
-  // Pets
-  listar_pets_cliente: handleValidationErrors(listarPetsCliente),
-  buscar_pet_por_id: handleValidationErrors(buscarPetPorId),
-  criar_pet: handleValidationErrors(criarPet),
+const sessionManager = new SessionManager();
 
-  // Agendamentos
-  listar_agendamentos: handleValidationErrors(listarAgendamentos),
-  criar_agendamento: handleValidationErrors(criarAgendamento),
-  atualizar_status_agendamento: handleValidationErrors(atualizarStatusAgendamento),
-  validar_horario_disponivel: handleValidationErrors(validarHorarioDisponivel),
-  listar_proximos_agendamentos: handleValidationErrors(listarProximosAgendamentos),
+setInterval(() => sessionManager.cleanup(), 60000);
 
-  // Serviços e Recursos
-  listar_servicos_ativos: handleValidationErrors(listarServicosAtivos),
-  buscar_servicos: handleValidationErrors(buscarServicos),
-  listar_veterinarios: handleValidationErrors(listarVeterinarios),
-  sugerir_profissional: handleValidationErrors(sugerirProfissional),
-  listar_planos: handleValidationErrors(listarPlanos),
+function acceptsSSE(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
 
-  // Vacinas
-  listar_vacinas_ativas: handleValidationErrors(listarVacinasAtivas),
-  registrar_vacinacao: handleValidationErrors(registrarVacinacao),
-  obter_historico_vacinacao: handleValidationErrors(obterHistoricoVacinacao),
-  verificar_vacinas_atrasadas: handleValidationErrors(verificarVacinasAtrasadas),
+// ==================== AUTENTICAÇÃO ====================
 
-  // Histórico Clínico
-  obter_historico_clinico: handleValidationErrors(obterHistoricoClinico),
-  obter_historico_peso: handleValidationErrors(obterHistoricoPeso),
-  registrar_anamnese: handleValidationErrors(registrarAnamnese),
+/**
+ * Chaves de API por cliente (chatbot, recepção, etc). Apenas o hash SHA-256
+ * da chave é persistido; o valor em texto só é exibido na criação.
+ */
+class ApiKeyStore {
+  constructor(filePath = CONFIG.API_KEYS_FILE || join(CONFIG.DATA_DIR, 'api-keys.json')) {
+    this.store = new JsonFileStore(filePath, { keys: [] });
+    this.lastFlush = 0;
+    this.dirty = false;
+  }
+  
+  static hash(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+  
+  create(client, role = DEFAULT_ROLE) {
+    if (!client || typeof client !== 'string' || !client.trim()) {
+      throw new Error('Nome do cliente é obrigatório');
+    }
+    if (!ROLES[role]) {
+      throw new Error(`Papel inválido: ${role} (use ${Object.keys(ROLES).join(', ')})`);
+    }
+    
+    const data = this.store.load();
+    const token = `vck_${randomBytes(24).toString('base64url')}`;
+    const entry = {
+      id: randomBytes(6).toString('hex'),
+      client: client.trim(),
+      role,
+      hash: ApiKeyStore.hash(token),
+      prefix: token.substring(0, 8),
+      created_at: new Date().toISOString(),
+      last_used_at: null,
+      revoked_at: null
+    };
+    
+    data.keys.push(entry);
+    this.store.save();
+    log('AUTH', `Chave criada para ${entry.client}`, { id: entry.id, role });
+    
+    return { ...entry, token };
+  }
+  
+  list() {
+    return this.store.load().keys.map(({ hash, ...entry }) => entry);
+  }
+  
+  revoke(id) {
+    const entry = this.store.load().keys.find(k => k.id === id);
+    if (!entry) return null;
+    
+    if (!entry.revoked_at) {
+      entry.revoked_at = new Date().toISOString();
+      this.store.save();
+      log('AUTH', `Chave revogada: ${id}`, { client: entry.client });
+    }
+    
+    const { hash, ...revoked } = entry;
+    return revoked;
+  }
+  
+  setRole(id, role) {
+    if (!ROLES[role]) {
+      throw new Error(`Papel inválido: ${role} (use ${Object.keys(ROLES).join(', ')})`);
+    }
+    
+    const entry = this.store.load().keys.find(k => k.id === id);
+    if (!entry) return null;
+    
+    entry.role = role;
+    this.store.save();
+    log('AUTH', `Papel alterado: ${id} -> ${role}`, { client: entry.client });
+    
+    const { hash, ...updated } = entry;
+    return updated;
+  }
+  
+  // Retorna a chave ativa correspondente ao token, ou null
+  verify(token) {
+    if (!token) return null;
+    
+    const hash = ApiKeyStore.hash(token);
+    const entry = this.store.load().keys.find(k => k.hash === hash && !k.revoked_at);
+    if (!entry) return null;
+    
+    entry.last_used_at = new Date().toISOString();
+    this.dirty = true;
+    this.flush();
+    
+    return entry;
+  }
+  
+  // last_used_at é gravado no máximo uma vez por intervalo para não escrever a cada chamada
+  flush(force = false) {
+    if (!this.dirty) return;
+    if (!force && Date.now() - this.lastFlush < CONFIG.API_KEY_TOUCH_INTERVAL) return;
+    
+    try {
+      this.store.load();
+      this.store.save();
+      this.dirty = false;
+      this.lastFlush = Date.now();
+    } catch (error) {
+      log('AUTH', 'Falha ao gravar uso das chaves', { error: error.message }, LogLevel.ERROR);
+    }
+  }
+}
 
-  // Exames
-  obter_exames_pet: handleValidationErrors(obterExamesPet),
-  solicitar_exame: handleValidationErrors(solicitarExame),
-  listar_tipos_exame: handleValidationErrors(listarTiposExame),
+const apiKeyStore = new ApiKeyStore();
 
-  // Estatísticas
-  obter_estatisticas_pet: handleValidationErrors(obterEstatisticasPet),
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
 
-  // Produtos
-  buscar_produtos: handleValidationErrors(buscarProdutos),
-  criar_produto: handleValidationErrors(criarProduto),
+// Exige Authorization: Bearer <chave ou token OAuth> e expõe a credencial em req.auth
+function authenticate(req, res, next) {
+  if (!CONFIG.FEATURES.AUTH_ENABLED) {
+    return next();
+  }
+  
+  const token = extractBearerToken(req);
+  const key = apiKeyStore.verify(token);
+  const oauthAuth = key ? null : oauthServer.verifyAccessToken(token);
+  
+  if (!key && !oauthAuth) {
+    log('AUTH', 'Credencial ausente ou inválida', { ip: req.ip, path: req.path }, LogLevel.WARN);
+    // resource_metadata permite ao host MCP descobrir o servidor de autorização
+    return res.status(401)
+      .set('WWW-Authenticate', `Bearer realm="vetcare-mcp", resource_metadata="${oauthServer.issuer}/.well-known/oauth-protected-resource"`)
+      .json(formatMCPResponse(req.body?.id ?? null, null, new MCPError(
+        ErrorCodes.UNAUTHORIZED, 'Credencial ausente ou inválida (use Authorization: Bearer <chave>)'
+      )));
+  }
+  
+  req.auth = oauthAuth || { keyId: key.id, client: key.client, role: key.role || DEFAULT_ROLE };
+  next();
+}
 
-  // Financeiro
-  listar_contas_receber: handleValidationErrors(listarContasReceber),
-  criar_conta_receber: handleValidationErrors(criarContaReceber),
-  registrar_pagamento: handleValidationErrors(registrarPagamento),
+// Identificador usado em logs, métricas e rate limiting
+function resolveClientId(req) {
+  if (req.auth) return req.auth.client;
+  // Sem autenticação (desenvolvimento) mantém o comportamento anterior
+  return req.headers['x-client-id'] || req.ip;
+}
 
-  // Caixa
-  obter_caixa_aberto: handleValidationErrors(obterCaixaAberto),
-  abrir_caixa: handleValidationErrors(abrirCaixa),
-  fechar_caixa: handleValidationErrors(fecharCaixa),
+// Sem autenticação (desenvolvimento) o acesso é total
+function resolveRole(req) {
+  return req.auth ? req.auth.role : 'gestao';
+}
 
-  // Vendas
-  criar_venda: handleValidationErrors(criarVenda),
+// Rate limiting das rotas MCP via HTTP (stdio é local e não passa por aqui).
+// Cada mensagem de um lote conta separadamente.
+function mcpRateLimit(req, res, next) {
+  const clientId = resolveClientId(req);
+  const mensagens = Array.isArray(req.body) ? Math.max(req.body.length, 1) : 1;
+  
+  for (let i = 0; i < mensagens; i++) {
+    if (!rateLimiter.checkLimit(clientId)) {
+      const remainingTime = rateLimiter.getRemainingTime(clientId);
+      log('HTTP', 'Rate limit excedido', { clientId }, LogLevel.WARN);
+      return res.status(429).set('Retry-After', String(remainingTime)).json(formatMCPResponse(
+        Array.isArray(req.body) ? null : req.body?.id ?? null,
+        null,
+        new MCPError(
+          ErrorCodes.RATE_LIMIT_ERROR,
+          `Rate limit exceeded. Please wait ${remainingTime} seconds before making more requests.`
+        )
+      ));
+    }
+  }
+  next();
+}
 
-  // Dashboard
-  obter_indicadores_dashboard: handleValidationErrors(obterIndicadoresDashboard),
-  obter_insights_dashboard: handleValidationErrors(obterInsightsDashboard),
-  obter_estatisticas_financeiras: handleValidationErrors(obterEstatisticasFinanceiras),
+// ==================== OAUTH 2.1 ====================
 
-  // Comissões e Alertas
-  listar_comissoes: handleValidationErrors(listarComissoes),
-  obter_alertas: handleValidationErrors(obterAlertas),
-  obter_badge_alertas: handleValidationErrors(obterBadgeAlertas),
+/**
+ * Servidor de autorização para hosts MCP remotos (especificação de
+ * autorização do MCP): metadados, registro dinâmico de clientes, fluxo
+ * authorization code com PKCE (S256) e introspecção de tokens.
+ *
+ * O consentimento é feito por um funcionário na página /oauth/authorize,
+ * informando a senha de aprovação (OAUTH_APPROVAL_SECRET) e o papel concedido.
+ * Tokens são opacos e persistidos apenas como hash.
+ */
 
-  // Busca e Workflows
-  busca_global: handleValidationErrors(buscaGlobal),
-  workflow_novo_cliente: handleValidationErrors(workflowNovoCliente),
-  workflow_agendamento_completo: handleValidationErrors(workflowAgendamentoCompleto),
-  consultar_horarios_agendamento: handleValidationErrors(consultarHorariosAgendamento),
-  listar_horarios_disponiveis_profissional: handleValidationErrors(listarHorariosDisponiveisProfissional),
-  buscar_planos_personalizados: handleValidationErrors(buscarPlanosPersonalizados),
-  formatar_resposta_compacta: handleValidationErrors(formatarRespostaCompacta)
-};
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-// ==================== MÉTRICAS ====================
+function sha256Base64Url(value) {
+  return createHash('sha256').update(value).digest('base64url');
+}
 
-const metrics = {
-  requests: {
-    total: 0,
-    successful: 0,
-    failed: 0
-  },
-  tools: {},
-  response_times: [],
-  startTime: Date.now()
-};
+// Comparação em tempo constante (crypto.timingSafeEqual); o hash iguala os tamanhos
+function safeEqual(a, b) {
+  const bufA = createHash('sha256').update(String(a)).digest();
+  const bufB = createHash('sha256').update(String(b)).digest();
+  return timingSafeEqual(bufA, bufB);
+}
 
-// Inicializar métricas
-toolDefinitions.forEach(tool => {
-  metrics.tools[tool.name] = { calls: 0, success: 0, failed: 0, totalTime: 0 };
-});
+class OAuthError extends Error {
+  constructor(error, description, status = 400) {
+    super(description);
+    this.error = error;
+    this.status = status;
+  }
+  
+  toJSON() {
+    return { error: this.error, error_description: this.message };
+  }
+}
 
-function updateMetrics(toolName, success, duration) {
-  if (!CONFIG.FEATURES.METRICS_ENABLED) return;
+class OAuthServer {
+  constructor(filePath = join(CONFIG.DATA_DIR, 'oauth.json')) {
+    this.store = new JsonFileStore(filePath, { clients: [], tokens: [] });
+    this.codes = new Map(); // códigos de autorização vivem só em memória
+  }
   
-  metrics.requests.total++;
-  if (success) {
-    metrics.requests.successful++;
-  } else {
-    metrics.requests.failed++;
+  get issuer() {
+    return CONFIG.OAUTH.ISSUER || `https://${CONFIG.DOMAIN}`;
   }
   
-  metrics.response_times.push(duration);
-  if (metrics.response_times.length > 100) {
-    metrics.response_times.shift();
+  // ---------- Metadados ----------
+  
+  protectedResourceMetadata() {
+    return {
+      resource: `${this.issuer}/mcp`,
+      authorization_servers: [this.issuer],
+      bearer_methods_supported: ['header'],
+      scopes_supported: Object.keys(ROLES)
+    };
   }
   
-  if (metrics.tools[toolName]) {
-    metrics.tools[toolName].calls++;
-    if (success) {
-      metrics.tools[toolName].success++;
-    } else {
-      metrics.tools[toolName].failed++;
+  authorizationServerMetadata() {
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/oauth/authorize`,
+      token_endpoint: `${this.issuer}/oauth/token`,
+      registration_endpoint: `${this.issuer}/oauth/register`,
+      introspection_endpoint: `${this.issuer}/oauth/introspect`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['none', 'client_secret_post'],
+      scopes_supported: Object.keys(ROLES)
+    };
+  }
+  
+  // ---------- Registro dinâmico (RFC 7591) ----------
+  
+  registerClient(metadata = {}) {
+    const redirectUris = metadata.redirect_uris;
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+      throw new OAuthError('invalid_redirect_uri', 'redirect_uris é obrigatório');
+    }
+    
+    for (const uri of redirectUris) {
+      let parsed;
+      try {
+        parsed = new URL(uri);
+      } catch {
+        throw new OAuthError('invalid_redirect_uri', `redirect_uri inválida: ${uri}`);
+      }
+      const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+      if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocal)) {
+        throw new OAuthError('invalid_redirect_uri', `redirect_uri deve usar https: ${uri}`);
+      }
+    }
+    
+    const authMethod = metadata.token_endpoint_auth_method || 'none';
+    if (!['none', 'client_secret_post'].includes(authMethod)) {
+      throw new OAuthError('invalid_client_metadata', `token_endpoint_auth_method não suportado: ${authMethod}`);
+    }
+    
+    // Registro é anônimo: descarta clientes que nunca obtiveram token e limita o total
+    const data = this.store.load();
+    const expiredBefore = Math.floor((Date.now() - CONFIG.OAUTH.UNUSED_CLIENT_TTL) / 1000);
+    data.clients = data.clients.filter(c => c.last_token_at || c.client_id_issued_at > expiredBefore);
+    if (data.clients.length >= CONFIG.OAUTH.MAX_CLIENTS) {
+      this.store.save();
+      throw new OAuthError('temporarily_unavailable', 'Limite de clientes registrados atingido', 503);
+    }
+    
+    const clientSecret = authMethod === 'none' ? null : randomBytes(32).toString('base64url');
+    const client = {
+      client_id: `vcc_${randomBytes(12).toString('hex')}`,
+      client_name: String(metadata.client_name || 'MCP client').substring(0, 100),
+      redirect_uris: redirectUris,
+      token_endpoint_auth_method: authMethod,
+      client_secret_hash: clientSecret ? ApiKeyStore.hash(clientSecret) : null,
+      client_id_issued_at: Math.floor(Date.now() / 1000)
+    };
+    
+    data.clients.push(client);
+    this.store.save();
+    log('OAUTH', `Cliente registrado: ${client.client_name}`, { client_id: client.client_id });
+    
+    const { client_secret_hash, ...response } = client;
+    return {
+      ...response,
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      ...(clientSecret ? { client_secret: clientSecret, client_secret_expires_at: 0 } : {})
+    };
+  }
+  
+  getClient(clientId) {
+    return this.store.load().clients.find(c => c.client_id === clientId) || null;
+  }
+  
+  authenticateClient(clientId, clientSecret) {
+    const client = this.getClient(clientId);
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Cliente desconhecido', 401);
+    }
+    if (client.client_secret_hash && (!clientSecret || ApiKeyStore.hash(clientSecret) !== client.client_secret_hash)) {
+      throw new OAuthError('invalid_client', 'Falha na autenticação do cliente', 401);
+    }
+    return client;
+  }
+  
+  // ---------- Autorização ----------
+  
+  // Valida a requisição de autorização; erros aqui não redirecionam (cliente/redirect não confiáveis)
+  validateAuthorizationRequest(query) {
+    const client = this.getClient(query.client_id);
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Cliente desconhecido');
+    }
+    if (!client.redirect_uris.includes(query.redirect_uri)) {
+      throw new OAuthError('invalid_request', 'redirect_uri não registrada para este cliente');
+    }
+    if (query.response_type !== 'code') {
+      throw new OAuthError('unsupported_response_type', 'Apenas response_type=code é suportado');
+    }
+    if (!query.code_challenge || query.code_challenge_method !== 'S256') {
+      throw new OAuthError('invalid_request', 'PKCE obrigatório (code_challenge_method=S256)');
+    }
+    if (query.resource && !this.isOwnResource(query.resource)) {
+      throw new OAuthError('invalid_target', `resource não atendido por este servidor: ${query.resource}`);
+    }
+    
+    const requestedRole = ROLES[query.scope] ? query.scope : DEFAULT_ROLE;
+    return { client, requestedRole };
+  }
+  
+  approve({ client, redirectUri, codeChallenge, role, operator, resource }) {
+    const code = randomBytes(32).toString('base64url');
+    this.codes.set(code, {
+      client_id: client.client_id,
+      redirect_uri: redirectUri,
+      code_challenge: codeChallenge,
+      role,
+      operator,
+      resource,
+      expires_at: Date.now() + CONFIG.OAUTH.CODE_TTL
+    });
+    log('OAUTH', `Acesso aprovado para ${client.client_name}`, { operator, role });
+    return code;
+  }
+  
+  // Indicador de recurso (RFC 8707): só o endpoint MCP deste servidor
+  isOwnResource(resource) {
+    const normalize = value => String(value).replace(/\/+$/, '');
+    return normalize(resource) === normalize(this.protectedResourceMetadata().resource);
+  }
+  
+  // ---------- Tokens ----------
+  
+  issueTokens({ client_id, role, operator }) {
+    const accessToken = `vco_${randomBytes(32).toString('base64url')}`;
+    const refreshToken = `vcr_${randomBytes(32).toString('base64url')}`;
+    const now = Date.now();
+    const data = this.store.load();
+    
+    // Remove tokens expirados a cada emissão
+    data.tokens = data.tokens.filter(t => t.expires_at > now);
+    const client = data.clients.find(c => c.client_id === client_id);
+    if (client) client.last_token_at = Math.floor(now / 1000);
+    data.tokens.push(
+      { hash: ApiKeyStore.hash(accessToken), type: 'access', client_id, role, operator,
+        issued_at: now, expires_at: now + CONFIG.OAUTH.ACCESS_TOKEN_TTL },
+      { hash: ApiKeyStore.hash(refreshToken), type: 'refresh', client_id, role, operator,
+        issued_at: now, expires_at: now + CONFIG.OAUTH.REFRESH_TOKEN_TTL }
+    );
+    this.store.save();
+    
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: Math.floor(CONFIG.OAUTH.ACCESS_TOKEN_TTL / 1000),
+      refresh_token: refreshToken,
+      scope: role
+    };
+  }
+  
+  exchangeCode({ code, client_id, client_secret, redirect_uri, code_verifier, resource }) {
+    const client = this.authenticateClient(client_id, client_secret);
+    const entry = code ? this.codes.get(code) : null;
+    
+    // Código é de uso único, mesmo quando a troca falha
+    if (code) this.codes.delete(code);
+    
+    if (!entry || entry.expires_at < Date.now() || entry.client_id !== client.client_id) {
+      throw new OAuthError('invalid_grant', 'Código inválido ou expirado');
+    }
+    if (entry.redirect_uri !== redirect_uri) {
+      throw new OAuthError('invalid_grant', 'redirect_uri não corresponde à autorização');
+    }
+    if (!code_verifier || sha256Base64Url(code_verifier) !== entry.code_challenge) {
+      throw new OAuthError('invalid_grant', 'code_verifier inválido');
+    }
+    // O resource da autorização já foi validado; o da troca também precisa ser este servidor
+    if (resource && !this.isOwnResource(resource)) {
+      throw new OAuthError('invalid_target', `resource não atendido por este servidor: ${resource}`);
+    }
+    
+    return this.issueTokens(entry);
+  }
+  
+  refresh({ refresh_token, client_id, client_secret }) {
+    const client = this.authenticateClient(client_id, client_secret);
+    const data = this.store.load();
+    const hash = ApiKeyStore.hash(refresh_token || '');
+    const entry = data.tokens.find(t => t.hash === hash && t.type === 'refresh');
+    
+    if (!entry || entry.expires_at < Date.now() || entry.client_id !== client.client_id) {
+      throw new OAuthError('invalid_grant', 'Refresh token inválido ou expirado');
+    }
+    
+    // Rotação: o refresh token usado deixa de valer
+    data.tokens = data.tokens.filter(t => t !== entry);
+    return this.issueTokens(entry);
+  }
+  
+  findToken(token, type = 'access') {
+    if (!token) return null;
+    const hash = ApiKeyStore.hash(token);
+    const entry = this.store.load().tokens.find(t => t.hash === hash && t.type === type);
+    if (!entry || entry.expires_at < Date.now()) return null;
+    return entry;
+  }
+  
+  introspect(token) {
+    const entry = this.findToken(token, 'access') || this.findToken(token, 'refresh');
+    if (!entry) return { active: false };
+    
+    const client = this.getClient(entry.client_id);
+    return {
+      active: true,
+      client_id: entry.client_id,
+      client_name: client?.client_name,
+      username: entry.operator,
+      scope: entry.role,
+      token_type: entry.type === 'access' ? 'Bearer' : 'refresh_token',
+      iat: Math.floor(entry.issued_at / 1000),
+      exp: Math.floor(entry.expires_at / 1000),
+      iss: this.issuer
+    };
+  }
+  
+  // Credencial no mesmo formato de req.auth
+  verifyAccessToken(token) {
+    const entry = this.findToken(token, 'access');
+    if (!entry) return null;
+    
+    const client = this.getClient(entry.client_id);
+    if (!client) return null;
+    
+    return {
+      keyId: `oauth:${client.client_id}`,
+      client: `oauth:${client.client_name}`,
+      role: ROLES[entry.role] ? entry.role : DEFAULT_ROLE,
+      operator: entry.operator
+    };
+  }
+  
+  cleanup() {
+    const now = Date.now();
+    for (const [code, entry] of this.codes.entries()) {
+      if (entry.expires_at < now) this.codes.delete(code);
     }
-    metrics.tools[toolName].totalTime += duration;
   }
 }
 
-function getMetrics() {
-  const uptime = Math.floor((Date.now() - metrics.startTime) / 1000);
-  const successRate = metrics.requests.total > 0 
-    ? ((metrics.requests.successful / metrics.requests.total) * 100).toFixed(2)
-    : 0;
-  
-  const avgResponseTime = metrics.response_times.length > 0
-    ? (metrics.response_times.reduce((a, b) => a + b, 0) / metrics.response_times.length).toFixed(2)
-    : 0;
+const oauthServer = new OAuthServer();
+
+setInterval(() => oauthServer.cleanup(), 60000);
+
+function renderConsentPage({ client, query, requestedRole, error }) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'code_challenge', 'code_challenge_method', 'response_type', 'resource']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(query[name])}">`)
+    .join('\n      ');
+  const roleOptions = Object.keys(ROLES)
+    .map(role => `<option value="${role}"${role === requestedRole ? ' selected' : ''}>${role}</option>`)
+    .join('');
   
-  return {
-    uptime,
-    requests: metrics.requests,
-    successRate: `${successRate}%`,
-    avgResponseTime: `${avgResponseTime}ms`,
-    cache: Object.fromEntries(
-      Object.entries(cacheInstances).map(([name, cache]) => [name, cache.stats()])
-    ),
-    topTools: Object.entries(metrics.tools)
-      .filter(([_, stats]) => stats.calls > 0)
-      .sort((a, b) => b[1].calls - a[1].calls)
-      .slice(0, 10)
-      .map(([name, stats]) => ({
-        name,
-        calls: stats.calls,
-        successRate: ((stats.success / stats.calls) * 100).toFixed(2) + '%',
-        avgTime: (stats.totalTime / stats.calls).toFixed(2) + 'ms'
-      }))
-  };
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>VetCare MCP - Autorizar acesso</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 420px; margin: 40px auto; padding: 0 16px; color: #222; }
+    label { display: block; margin-top: 12px; font-size: 14px; }
+    input, select { width: 100%; padding: 8px; margin-top: 4px; box-sizing: border-box; }
+    .actions { display: flex; gap: 8px; margin-top: 20px; }
+    button { flex: 1; padding: 10px; cursor: pointer; }
+    .error { color: #b00020; }
+    .muted { color: #666; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <h2>Autorizar acesso ao VetCare</h2>
+  <p><strong>${escapeHtml(client.client_name)}</strong> está solicitando acesso às ferramentas da clínica.</p>
+  <p class="muted">Redirecionamento: ${escapeHtml(query.redirect_uri)}</p>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <form method="post" action="/oauth/authorize">
+      ${hidden}
+    <label>Funcionário responsável
+      <input name="operator" required maxlength="100" autocomplete="name">
+    </label>
+    <label>Papel concedido
+      <select name="role">${roleOptions}</select>
+    </label>
+    <label>Senha de aprovação
+      <input name="approval_secret" type="password" required autocomplete="off">
+    </label>
+    <div class="actions">
+      <button type="submit" name="decision" value="deny">Negar</button>
+      <button type="submit" name="decision" value="approve">Autorizar</button>
+    </div>
+  </form>
+</body>
+</html>`;
+}
+
+function redirectWithParams(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  }
+  return res.redirect(302, url.toString());
+}
+
+function sendOAuthError(res, error) {
+  if (error instanceof OAuthError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  log('OAUTH', 'Erro interno', { error: error.message }, LogLevel.ERROR);
+  return res.status(500).json({ error: 'server_error', error_description: 'Erro interno' });
 }
 
 // ==================== SERVIDOR EXPRESS ====================
 
 const app = express();
 
-// CORS
+// CORS: apenas origens configuradas em CORS_ORIGINS (integrações servidor-a-servidor não usam CORS)
 app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Client-ID'],
+  origin: CONFIG.CORS_ORIGINS.length > 0 ? CONFIG.CORS_ORIGINS : false,
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Client-ID', 'Mcp-Session-Id', 'Last-Event-ID', 'Idempotency-Key'],
+  exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate'],
   credentials: true
 }));
 
@@ -4128,6 +9141,8 @@ app.get('/health', async (req, res) => {
       match: toolsMatch
     },
     metrics: getMetrics(),
+    sessions: sessionManager.stats(),
+    subscriptions: resourceSubscriptions.stats(),
     features: Object.keys(CONFIG.FEATURES).filter(f => CONFIG.FEATURES[f]),
     timestamp: new Date().toISOString()
   });
@@ -4142,10 +9157,118 @@ app.get('/.well-known/mcp', (req, res) => {
       version: "4.0.0",
       description: "VetCare MCP Server v4.0 - Sistema Completo de Gestão Veterinária com Validação Inteligente"
     },
-    capabilities: {
-      tools: { listChanged: false }
+    capabilities: MCP_CAPABILITIES
+  });
+});
+
+// OAuth 2.1 - metadados
+app.get('/.well-known/oauth-protected-resource', (req, res) => {
+  res.json(oauthServer.protectedResourceMetadata());
+});
+
+app.get('/.well-known/oauth-authorization-server', (req, res) => {
+  res.json(oauthServer.authorizationServerMetadata());
+});
+
+// OAuth 2.1 - registro dinâmico de clientes
+// Registro e aprovação são públicos: limite por IP contra abuso e força bruta da senha
+const oauthRateLimiter = new RateLimiter(CONFIG.RATE_LIMIT_WINDOW, CONFIG.OAUTH.RATE_LIMIT_MAX);
+
+function oauthRateLimit(req, res, next) {
+  const key = `${req.path}:${req.ip}`;
+  if (!oauthRateLimiter.checkLimit(key)) {
+    res.setHeader('Retry-After', oauthRateLimiter.getRemainingTime(key));
+    return sendOAuthError(res, new OAuthError('slow_down', 'Muitas requisições. Tente novamente em instantes.', 429));
+  }
+  next();
+}
+
+app.post('/oauth/register', oauthRateLimit, (req, res) => {
+  try {
+    res.status(201).json(oauthServer.registerClient(req.body));
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+// OAuth 2.1 - página de consentimento
+app.get('/oauth/authorize', (req, res) => {
+  try {
+    if (!CONFIG.OAUTH.APPROVAL_SECRET) {
+      throw new OAuthError('temporarily_unavailable', 'Consentimento desativado (defina OAUTH_APPROVAL_SECRET)', 503);
+    }
+    const { client, requestedRole } = oauthServer.validateAuthorizationRequest(req.query);
+    res.type('html').send(renderConsentPage({ client, query: req.query, requestedRole }));
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+app.post('/oauth/authorize', oauthRateLimit, express.urlencoded({ extended: false }), (req, res) => {
+  const form = req.body || {};
+  
+  let validated;
+  try {
+    if (!CONFIG.OAUTH.APPROVAL_SECRET) {
+      throw new OAuthError('temporarily_unavailable', 'Consentimento desativado (defina OAUTH_APPROVAL_SECRET)', 503);
     }
+    validated = oauthServer.validateAuthorizationRequest(form);
+  } catch (error) {
+    return sendOAuthError(res, error);
+  }
+  
+  if (form.decision !== 'approve') {
+    log('OAUTH', `Acesso negado para ${validated.client.client_name}`);
+    return redirectWithParams(res, form.redirect_uri, { error: 'access_denied', state: form.state });
+  }
+  
+  const role = ROLES[form.role] ? form.role : validated.requestedRole;
+  const operator = String(form.operator || '').trim();
+  
+  if (!operator || !safeEqual(form.approval_secret || '', CONFIG.OAUTH.APPROVAL_SECRET)) {
+    log('OAUTH', 'Tentativa de aprovação inválida', { ip: req.ip, client_id: form.client_id }, LogLevel.WARN);
+    return res.status(401).type('html').send(renderConsentPage({
+      client: validated.client,
+      query: form,
+      requestedRole: role,
+      error: 'Senha de aprovação inválida ou funcionário não informado.'
+    }));
+  }
+  
+  const code = oauthServer.approve({
+    client: validated.client,
+    redirectUri: form.redirect_uri,
+    codeChallenge: form.code_challenge,
+    role,
+    operator: operator.substring(0, 100),
+    resource: form.resource
   });
+  
+  return redirectWithParams(res, form.redirect_uri, { code, state: form.state });
+});
+
+// OAuth 2.1 - emissão de tokens
+app.post('/oauth/token', express.urlencoded({ extended: false }), (req, res) => {
+  const params = req.body || {};
+  res.setHeader('Cache-Control', 'no-store');
+  
+  try {
+    switch (params.grant_type) {
+      case 'authorization_code':
+        return res.json(oauthServer.exchangeCode(params));
+      case 'refresh_token':
+        return res.json(oauthServer.refresh(params));
+      default:
+        throw new OAuthError('unsupported_grant_type', `grant_type não suportado: ${params.grant_type}`);
+    }
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+// OAuth 2.1 - introspecção (RFC 7662), restrita a credenciais válidas
+app.post('/oauth/introspect', express.urlencoded({ extended: false }), authenticate, (req, res) => {
+  res.json(oauthServer.introspect(req.body?.token));
 });
 
 // Root endpoint
@@ -4155,11 +9278,15 @@ app.get('/', (req, res) => {
     version: '4.0.0',
     description: 'VetCare MCP Server v4.0 - Produção Otimizada',
     api_base: CONFIG.VETCARE_API_URL,
+    authentication: CONFIG.FEATURES.AUTH_ENABLED ? 'Bearer' : 'none',
     endpoints: {
       mcp: 'POST /',
+      mcp_streamable: 'POST|GET|DELETE /mcp',
       health: 'GET /health',
       metadata: 'GET /.well-known/mcp',
-      metrics: 'GET /metrics'
+      oauth: 'GET /.well-known/oauth-authorization-server',
+      metrics: 'GET /metrics',
+      audit: 'GET /audit'
     },
     tools_available: toolDefinitions.length,
     documentation: 'https://vet.talkhub.me/docs'
@@ -4171,122 +9298,158 @@ app.get('/metrics', (req, res) => {
   res.json(getMetrics());
 });
 
+// Auditoria - busca por cliente, pet, agendamento, credencial, ferramenta ou período
+app.get('/audit', authenticate, async (req, res) => {
+  const role = resolveRole(req);
+  if (!isToolAllowed('consultar_auditoria', role)) {
+    return res.status(403).json({
+      error: { code: ErrorCodes.FORBIDDEN, message: `Auditoria não permitida para o papel '${role}'` }
+    });
+  }
+  
+  const { limite, ...filtros } = req.query;
+  const result = await consultarAuditoria({ filtros, limite });
+  res.status(result.success ? 200 : 400).json(result);
+});
+
 // Main MCP endpoint
-app.post('/', async (req, res) => {
-  let requestId = null;
-  const startTime = Date.now();
+app.post('/', authenticate, mcpRateLimit, async (req, res) => {
+  const clientId = resolveClientId(req);
+  const role = resolveRole(req);
   
-  try {
-    const { jsonrpc, id, method, params = {} } = req.body || {};
-    requestId = id;
-    
-    // Rate limiting
-    const clientId = req.headers['x-client-id'] || req.ip;
-    if (!rateLimiter.checkLimit(clientId)) {
-      const remainingTime = rateLimiter.getRemainingTime(clientId);
-      throw new MCPError(
-        ErrorCodes.RATE_LIMIT_ERROR, 
-        `Rate limit exceeded. Please wait ${remainingTime} seconds before making more requests.`
-      );
-    }
-    
-    if (!req.body || Object.keys(req.body).length === 0) {
-      throw new MCPError(ErrorCodes.INVALID_REQUEST, "Invalid Request - Empty body");
-    }
-    
-    if (jsonrpc !== "2.0") {
-      throw new MCPError(ErrorCodes.INVALID_REQUEST, "Invalid Request - JSON-RPC 2.0 required");
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  
+  const response = await handleMCPPayload(req.body, {
+    clientId,
+    role,
+    auth: req.auth,
+    // Em lotes o header valeria para todos os itens; use idempotency_key por chamada
+    idempotencyKey: Array.isArray(req.body) ? null : req.headers['idempotency-key'],
+    requestId: req.requestId
+  });
+  
+  // Lote composto apenas de notificações: nada a responder
+  if (response === null) {
+    return res.status(202).end();
+  }
+  return res.json(response);
+});
+
+// Streamable HTTP - mensagens do cliente
+app.post('/mcp', authenticate, mcpRateLimit, async (req, res) => {
+  const clientId = resolveClientId(req);
+  const role = resolveRole(req);
+  const message = req.body || {};
+  
+  let session = null;
+  if (message.method === 'initialize') {
+    session = sessionManager.create(negotiateProtocolVersion(message.params?.protocolVersion), clientId);
+    res.setHeader('Mcp-Session-Id', session.id);
+  } else {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+      return res.status(400).json(formatMCPResponse(message.id ?? null, null, new MCPError(
+        ErrorCodes.INVALID_REQUEST, 'Mcp-Session-Id header obrigatório (envie initialize primeiro)'
+      )));
+    }
+    session = sessionManager.get(sessionId, clientId);
+    if (!session) {
+      return res.status(404).json(formatMCPResponse(message.id ?? null, null, new MCPError(
+        ErrorCodes.INVALID_REQUEST, 'Sessão não encontrada ou expirada'
+      )));
     }
-    
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    
-    switch (method) {
-      case 'initialize':
-        return res.json(formatMCPResponse(requestId, {
-          protocolVersion: "2024-11-05",
-          capabilities: { tools: { listChanged: false } },
-          serverInfo: {
-            name: "vetcare-mcp",
-            version: "4.0.0",
-            description: "VetCare MCP Server v4.0 - Produção Otimizada"
-          }
-        }));
-        
-      case 'notifications/initialized':
-        // Cliente MCP notificando que foi inicializado
-        return res.json(formatMCPResponse(requestId, {}));
-        
-      case 'tools/list':
-        return res.json(formatMCPResponse(requestId, { tools: toolDefinitions }));
-        
-      case 'tools/call':
-        const toolName = params.name;
-        if (!toolName || !toolFunctions[toolName]) {
-          throw new MCPError(
-            ErrorCodes.METHOD_NOT_FOUND, 
-            `Tool not found: ${toolName}`
-          );
-        }
-        
-        try {
-          const toolStartTime = Date.now();
-          const toolArgs = params.arguments || {};
-          
-          log('MCP', `Executing tool: ${toolName}`, { requestId: req.requestId });
-          
-          const result = await toolFunctions[toolName](toolArgs);
-          
-          const duration = Date.now() - toolStartTime;
-          updateMetrics(toolName, result.success, duration);
-          
-          log('MCP', `Tool completed: ${toolName} (${duration}ms)`, { 
-            success: result.success, 
-            requestId: req.requestId 
-          });
-          
-          return res.json(formatMCPResponse(requestId, {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify(result, null, 2)
-              }
-            ]
-          }));
-          
-        } catch (toolError) {
-          updateMetrics(toolName, false, Date.now() - startTime);
-          
-          if (toolError instanceof MCPError) {
-            throw toolError;
-          } else {
-            throw new MCPError(
-              ErrorCodes.INTERNAL_ERROR,
-              `Tool execution failed: ${toolError.message}`,
-              { tool: toolName }
-            );
-          }
-        }
-        
-      default:
-        throw new MCPError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+  
+  // Lotes são respondidos em JSON, com um item por requisição
+  if (Array.isArray(message)) {
+    const responses = await processMCPBatch(message, {
+      clientId,
+      role,
+      auth: req.auth,
+      session,
+      requestId: req.requestId,
+      send: (notification) => session.send(notification)
+    });
+    return responses === null ? res.status(202).end() : res.json(responses);
+  }
+  
+  // Notificações e respostas do cliente não têm corpo de retorno
+  if (message.id === undefined || message.id === null) {
+    await processMCPRequest(message, { clientId, role, auth: req.auth, session, requestId: req.requestId });
+    return res.status(202).end();
+  }
+  
+  // Chamadas de ferramenta respondem via SSE, permitindo progresso durante a execução
+  if (message.method === 'tools/call' && acceptsSSE(req)) {
+    openSSE(res);
+    let eventId = 0;
+    const response = await processMCPRequest(message, {
+      clientId,
+      role,
+      auth: req.auth,
+      idempotencyKey: req.headers['idempotency-key'],
+      session,
+      requestId: req.requestId,
+      send: (notification) => writeSSE(res, notification, ++eventId)
+    });
+    // Requisição cancelada: encerra o stream sem resposta
+    if (response !== null) {
+      writeSSE(res, response, ++eventId);
     }
-    
-  } catch (err) {
-    log('MCP', 'Request error', { 
-      error: err.message, 
-      requestId: req.requestId 
-    }, LogLevel.ERROR);
-    
-    if (err instanceof MCPError) {
-      return res.json(formatMCPResponse(requestId, null, err));
-    } else {
-      return res.json(formatMCPResponse(requestId, null, {
-        code: ErrorCodes.INTERNAL_ERROR,
-        message: "Internal server error",
-        data: { originalError: err.message }
-      }));
+    return res.end();
+  }
+  
+  const response = await processMCPRequest(message, {
+    clientId,
+    role,
+    auth: req.auth,
+    idempotencyKey: req.headers['idempotency-key'],
+    session,
+    requestId: req.requestId,
+    send: (notification) => session.send(notification)
+  });
+  return response === null ? res.status(204).end() : res.json(response);
+});
+
+// Streamable HTTP - stream de mensagens do servidor
+app.get('/mcp', authenticate, (req, res) => {
+  if (!acceptsSSE(req)) {
+    return res.status(405).set('Allow', 'POST, DELETE').json({
+      error: { code: ErrorCodes.INVALID_REQUEST, message: 'Use Accept: text/event-stream para abrir o stream' }
+    });
+  }
+  
+  const session = sessionManager.get(req.headers['mcp-session-id'], resolveClientId(req));
+  if (!session) {
+    return res.status(404).json({
+      error: { code: ErrorCodes.INVALID_REQUEST, message: 'Sessão não encontrada ou expirada' }
+    });
+  }
+  
+  // Apenas um stream por sessão: o novo substitui o anterior
+  session.close();
+  openSSE(res);
+  session.stream = res;
+  log('SESSION', `Stream SSE aberto: ${session.id}`, null, LogLevel.DEBUG);
+  
+  req.on('close', () => {
+    if (session.stream === res) {
+      session.stream = null;
+      log('SESSION', `Stream SSE fechado: ${session.id}`, null, LogLevel.DEBUG);
     }
+  });
+});
+
+// Streamable HTTP - encerramento de sessão
+app.delete('/mcp', authenticate, (req, res) => {
+  const session = sessionManager.get(req.headers['mcp-session-id'], resolveClientId(req));
+  const deleted = session ? sessionManager.delete(session.id) : false;
+  if (!deleted) {
+    return res.status(404).json({
+      error: { code: ErrorCodes.INVALID_REQUEST, message: 'Sessão não encontrada ou expirada' }
+    });
   }
+  return res.status(204).end();
 });
 
 // 404 handler
@@ -4298,7 +9461,7 @@ app.all('*', (req, res) => {
       data: {
         method: req.method,
         path: req.path,
-        available_endpoints: ['/', '/health', '/.well-known/mcp', '/metrics']
+        available_endpoints: ['/', '/mcp', '/health', '/.well-known/mcp', '/.well-known/oauth-authorization-server', '/metrics', '/audit']
       }
     }
   });
@@ -4306,6 +9469,16 @@ app.all('*', (req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+  // JSON malformado no corpo da requisição
+  if (err.type === 'entity.parse.failed') {
+    log('HTTP', 'JSON inválido recebido', { requestId: req.requestId }, LogLevel.WARN);
+    return res.status(400).json(formatMCPResponse(null, null, {
+      code: ErrorCodes.PARSE_ERROR,
+      message: "Parse error"
+    }));
+  }
+  
+
   log('ERROR', 'Unhandled exception:', err, LogLevel.CRITICAL);
   res.status(500).json(formatMCPResponse(null, null, {
     code: ErrorCodes.INTERNAL_ERROR,
@@ -4327,6 +9500,17 @@ async function startServer() {
     }
     console.log(`✓ ${toolDefinitions.length} ferramentas validadas`);
 
+    if (CONFIG.FEATURES.AUTH_ENABLED) {
+      const activeKeys = apiKeyStore.list().filter(k => !k.revoked_at).length;
+      console.log(`🔐 Autenticação ativa: ${activeKeys} chave(s) válida(s)`);
+      if (activeKeys === 0) {
+        console.warn('⚠ Nenhuma chave cadastrada: requisições MCP recebem 401 até que uma seja criada');
+        console.warn('  Crie uma com: npm run keys -- create <cliente> <papel> (vale sem reiniciar)');
+      }
+    } else {
+      console.warn('⚠ Autenticação DESATIVADA (MCP_AUTH_ENABLED=false)');
+    }
+
     // Testar conexão com API (não bloquear se falhar)
     try {
       const healthCheck = await apiRequest('/health');
@@ -4382,6 +9566,131 @@ async function startServer() {
   }
 }
 
+/**
+ * Modo stdio: uma mensagem JSON-RPC por linha no stdin, respostas no stdout.
+ * Usa as mesmas ferramentas do servidor HTTP, sem abrir porta.
+ */
+async function startStdioServer() {
+  try {
+    if (Object.keys(toolFunctions).length !== toolDefinitions.length) {
+      console.error('❌ Inconsistência entre ferramentas definidas e implementadas!');
+      throw new Error('Tool function mapping mismatch');
+    }
+    
+    const writeMessage = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+    
+    // Sessão única, ligada ao processo do host
+    const session = {
+      id: 'stdio',
+      protocolVersion: null,
+      send: (message) => {
+        writeMessage(message);
+        return true;
+      }
+    };
+    
+    const rl = readline.createInterface({ input: process.stdin, terminal: false });
+    const pending = new Set();
+    let sequence = 0;
+    
+    const handleLine = async (line) => {
+      if (!line.trim()) return;
+      
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (parseError) {
+        log('STDIO', 'Mensagem inválida recebida', { error: parseError.message }, LogLevel.WARN);
+        writeMessage(formatMCPResponse(null, null, {
+          code: ErrorCodes.PARSE_ERROR,
+          message: 'Parse error'
+        }));
+        return;
+      }
+      
+      const response = await handleMCPPayload(message, {
+        clientId: 'stdio',
+        role: 'gestao',
+        session,
+        requestId: `stdio_${++sequence}`,
+        send: session.send
+      });
+      
+      // Notificações (sem id) não recebem resposta
+      if (response !== null && (Array.isArray(message) || !isNotification(message))) {
+        writeMessage(response);
+      }
+    };
+    
+    rl.on('line', (line) => {
+      const task = handleLine(line).finally(() => pending.delete(task));
+      pending.add(task);
+    });
+    
+    // Aguarda chamadas em andamento antes de sair
+    rl.on('close', async () => {
+      log('STDIO', 'stdin encerrado, finalizando');
+      await Promise.allSettled([...pending]);
+      process.exit(0);
+    });
+    
+    console.log(`🔌 Modo stdio ativo - ${toolDefinitions.length} ferramentas disponíveis`);
+    
+  } catch (error) {
+    console.error('[FATAL] Falha ao iniciar modo stdio:', error);
+    process.exit(1);
+  }
+}
+
+// Gerenciamento de chaves de API
+function runKeysCommand([, action, arg, extra]) {
+  const print = (data) => process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+  
+  try {
+    switch (action) {
+      case 'create': {
+        const key = apiKeyStore.create(arg, extra);
+        print({ id: key.id, client: key.client, role: key.role, token: key.token });
+        console.error('⚠️  Guarde o token agora: ele não será exibido novamente.');
+        break;
+      }
+      
+      case 'list':
+        print(apiKeyStore.list());
+        break;
+        
+      case 'revoke': {
+        const key = apiKeyStore.revoke(arg);
+        if (!key) {
+          console.error(`Chave não encontrada: ${arg}`);
+          process.exit(1);
+        }
+        print(key);
+        break;
+      }
+      
+      case 'role': {
+        const key = apiKeyStore.setRole(arg, extra);
+        if (!key) {
+          console.error(`Chave não encontrada: ${arg}`);
+          process.exit(1);
+        }
+        print(key);
+        break;
+      }
+      
+      default:
+        console.error('Uso: node src/server.js keys <create <cliente> [papel] | list | revoke <id> | role <id> <papel>>');
+        console.error(`Papéis: ${Object.keys(ROLES).join(', ')}`);
+        process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`Erro: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // Signal handlers
 process.on('uncaughtException', (error) => {
   log('FATAL', 'Uncaught Exception:', error, LogLevel.CRITICAL);
@@ -4399,14 +9708,22 @@ process.on('SIGTERM', () => {
     Object.entries(cacheInstances).map(([name, cache]) => [name, cache.stats()])
   ));
   console.log('Metrics:', getMetrics());
+  apiKeyStore.flush(true);
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\n[SHUTDOWN] Desligando servidor (SIGINT)...');
   console.log('Final metrics:', getMetrics());
+  apiKeyStore.flush(true);
   process.exit(0);
 });
 
 // Start server
-startServer();
+if (CLI_COMMAND) {
+  runKeysCommand(CLI_COMMAND);
+} else if (CONFIG.TRANSPORT === 'stdio') {
+  startStdioServer();
+} else {
+  startServer();
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calcularPascoa, feriadoMovel } from '../../src/agenda/feriados.js';
+import { diaDaSemana, somarDias } from '../../src/agenda/motor.js';
+
+const TODOS = ['carnaval', 'sexta_santa', 'corpus_christi'];
+
+test('domingo de Páscoa em anos conhecidos', () => {
+  assert.equal(calcularPascoa(2025), '2025-04-20');
+  assert.equal(calcularPascoa(2026), '2026-04-05');
+  assert.equal(calcularPascoa(2024), '2024-03-31');
+  assert.equal(calcularPascoa(2008), '2008-03-23');
+  assert.equal(calcularPascoa(2038), '2038-04-25');
+
+  for (let ano = 2000; ano <= 2100; ano++) {
+    assert.equal(diaDaSemana(calcularPascoa(ano)), 0, `Páscoa de ${ano} não cai num domingo`);
+  }
+});
+
+test('feriados móveis de 2026', () => {
+  assert.equal(feriadoMovel('2026-02-16', TODOS), 'Carnaval');
+  assert.equal(feriadoMovel('2026-02-17', TODOS), 'Carnaval');
+  assert.equal(feriadoMovel('2026-02-18', TODOS), null); // Quarta de Cinzas
+  assert.equal(feriadoMovel('2026-04-03', TODOS), 'Sexta-feira Santa');
+  assert.equal(feriadoMovel('2026-06-04', TODOS), 'Corpus Christi');
+});
+
+test('feriados móveis de 2025', () => {
+  assert.equal(feriadoMovel('2025-03-03', TODOS), 'Carnaval');
+  assert.equal(feriadoMovel('2025-03-04', TODOS), 'Carnaval');
+  assert.equal(feriadoMovel('2025-04-18', TODOS), 'Sexta-feira Santa');
+  assert.equal(feriadoMovel('2025-06-19', TODOS), 'Corpus Christi');
+});
+
+test('Carnaval em ano bissexto atravessa o 29 de fevereiro', () => {
+  assert.equal(feriadoMovel('2024-02-12', TODOS), 'Carnaval');
+  assert.equal(feriadoMovel('2024-02-13', TODOS), 'Carnaval');
+  assert.equal(feriadoMovel('2024-05-30', TODOS), 'Corpus Christi');
+});
+
+test('só vale o feriado móvel que a clínica observa', () => {
+  assert.equal(feriadoMovel('2026-02-16', ['corpus_christi']), null);
+  assert.equal(feriadoMovel('2026-06-04', ['corpus_christi']), 'Corpus Christi');
+  assert.equal(feriadoMovel('2026-06-04'), null);
+  assert.equal(feriadoMovel('2026-06-04', ['desconhecido']), null);
+});
+
+test('somarDias atravessa mês e ano', () => {
+  assert.equal(somarDias('2026-12-31', 1), '2027-01-01');
+  assert.equal(somarDias('2024-03-01', -1), '2024-02-29');
+  assert.equal(somarDias('2026-04-05', 60), '2026-06-04');
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  gerarSlots,
+  intervalosOcupados,
+  intervaloDoServico,
+  granularidadeAgenda,
+  minutoDeCorte,
+  minutosParaHorario,
+  paraMinutos
+} from '../../src/agenda/motor.js';
+
+const DIA_UTIL = [{ inicio: '08:00', fim: '12:00' }, { inicio: '13:00', fim: '18:00' }];
+const MANHA = [{ inicio: '08:00', fim: '12:00' }];
+const INTERVALOS = { cirurgia: 30, banho: 15, tosa: 15 };
+
+const horarios = slots => slots.map(minutosParaHorario);
+
+function agendamento(id, hora, duracao, extra = {}) {
+  return { id, data_hora: `2026-10-22 ${hora}:00`, duracao_minutos: duracao, status: 'Agendado', ...extra };
+}
+
+test('serviço de 45 minutos na grade de 15 minutos', () => {
+  const slots = horarios(gerarSlots({ turnos: MANHA, duracao: 45, granularidade: 15 }));
+
+  assert.equal(slots[0], '08:00');
+  assert.equal(slots[1], '08:15');
+  assert.equal(slots.at(-1), '11:15');
+  assert.equal(slots.length, 14);
+});
+
+test('serviço de 50 minutos não sai da grade nem passa do turno', () => {
+  const slots = gerarSlots({ turnos: MANHA, duracao: 50, granularidade: 15 });
+
+  assert.ok(slots.every(minuto => minuto % 15 === 0));
+  assert.equal(minutosParaHorario(slots.at(-1)), '11:00');
+});
+
+test('grade da tarde recomeça no início do turno, sem pular horários após o almoço', () => {
+  const slots = horarios(gerarSlots({ turnos: DIA_UTIL, duracao: 45, granularidade: 15 }));
+
+  assert.ok(!slots.includes('11:30'));
+  assert.ok(!slots.includes('12:00'));
+  assert.equal(slots[slots.indexOf('11:15') + 1], '13:00');
+  assert.equal(slots.at(-1), '17:15');
+});
+
+test('agendamento que atravessa o almoço bloqueia o fim da manhã e o início da tarde', () => {
+  const ocupados = intervalosOcupados([
+    agendamento(1, '11:30', 60),
+    agendamento(2, '12:30', 60)
+  ], '2026-10-22');
+  const slots = horarios(gerarSlots({ turnos: DIA_UTIL, duracao: 30, granularidade: 15, ocupados }));
+
+  assert.ok(slots.includes('11:00'));
+  assert.ok(!slots.includes('11:15'));
+  assert.ok(!slots.includes('13:00'));
+  assert.ok(!slots.includes('13:15'));
+  assert.equal(slots[slots.indexOf('11:00') + 1], '13:30');
+});
+
+test('intervalo de limpeza do agendamento existente bloqueia o horário seguinte', () => {
+  const ocupados = intervalosOcupados(
+    [agendamento(1, '09:00', 30, { servico_nome: 'Banho' })],
+    '2026-10-22',
+    { intervalosServico: INTERVALOS }
+  );
+  const slots = horarios(gerarSlots({ turnos: MANHA, duracao: 30, granularidade: 15, ocupados }));
+
+  assert.deepEqual(ocupados.map(o => [o.inicio, o.fim]), [[paraMinutos('09:00'), paraMinutos('09:45')]]);
+  assert.ok(!slots.includes('09:30'));
+  assert.ok(slots.includes('09:45'));
+});
+
+test('intervalo de limpeza do novo atendimento precisa estar livre antes do próximo', () => {
+  const ocupados = intervalosOcupados([agendamento(1, '09:00', 30)], '2026-10-22');
+  const slots = horarios(gerarSlots({ turnos: MANHA, duracao: 30, intervalo: 15, granularidade: 15, ocupados }));
+
+  assert.ok(slots.includes('08:15'));
+  assert.ok(!slots.includes('08:30'));
+});
+
+test('atendimento e limpeza precisam terminar até o fim do turno', () => {
+  const slots = horarios(gerarSlots({ turnos: MANHA, duracao: 60, intervalo: 30, granularidade: 15 }));
+
+  assert.equal(slots.at(-1), '10:30');
+  assert.ok(!slots.includes('11:00'));
+});
+
+test('hoje só oferece horários depois do momento atual', () => {
+  const agora = new Date(2026, 9, 22, 10, 7);
+
+  assert.equal(minutoDeCorte('2026-10-22', agora), paraMinutos('10:08'));
+  assert.equal(minutoDeCorte('2026-10-23', agora), 0);
+  assert.equal(minutoDeCorte('2026-10-21', agora), Infinity);
+
+  const slots = horarios(gerarSlots({
+    turnos: MANHA,
+    duracao: 30,
+    granularidade: 15,
+    aPartirDe: minutoDeCorte('2026-10-22', agora)
+  }));
+  assert.equal(slots[0], '10:15');
+  assert.deepEqual(gerarSlots({ turnos: MANHA, duracao: 30, aPartirDe: minutoDeCorte('2026-10-21', agora) }), []);
+});
+
+test('limite interrompe a geração', () => {
+  assert.equal(gerarSlots({ turnos: DIA_UTIL, duracao: 30, granularidade: 15, limite: 3 }).length, 3);
+});
+
+test('restrição extra (recursos) recebe o intervalo completo com a limpeza', () => {
+  const chamadas = [];
+  gerarSlots({
+    turnos: [{ inicio: '08:00', fim: '09:00' }],
+    duracao: 30,
+    intervalo: 15,
+    granularidade: 15,
+    aceitar: (inicio, fim) => {
+      chamadas.push([inicio, fim]);
+      return true;
+    }
+  });
+
+  assert.deepEqual(chamadas[0], [paraMinutos('08:00'), paraMinutos('08:45')]);
+  assert.equal(chamadas.length, 2);
+});
+
+test('ocupação ignora status liberados, outras datas e o próprio agendamento', () => {
+  const ocupados = intervalosOcupados([
+    agendamento(1, '09:00', 30, { status: 'Cancelado' }),
+    agendamento(2, '10:00', 30, { status: 'Faltou' }),
+    agendamento(3, '11:00', 30),
+    agendamento(4, '14:00', 30),
+    { id: 5, data_hora: '2026-10-23 09:00:00', duracao_minutos: 30, status: 'Agendado' }
+  ], '2026-10-22', { statusLiberados: ['Cancelado', 'Faltou'], ignorarAgendamentoId: 4 });
+
+  assert.deepEqual(ocupados.map(o => o.agendamento_id), [3]);
+});
+
+test('intervalo do serviço usa o nome do cadastro quando o agendamento só traz o id', () => {
+  const [ocupado] = intervalosOcupados(
+    [agendamento(1, '09:00', 60, { servico_id: 5 })],
+    '2026-10-22',
+    { intervalosServico: INTERVALOS, nomesServicos: new Map([['5', 'Cirurgia de castração']]) }
+  );
+
+  assert.equal(ocupado.fim, paraMinutos('10:30'));
+});
+
+test('intervalo do serviço: maior termo encontrado, sem acento e sem diferenciar caixa', () => {
+  assert.equal(intervaloDoServico({ nome: 'Banho e Tosa' }, { banho: 15, tosa: 20 }), 20);
+  assert.equal(intervaloDoServico({ nome: 'CIRURGIA Ortopédica' }, INTERVALOS), 30);
+  assert.equal(intervaloDoServico({ nome: 'Consulta' }, INTERVALOS), 0);
+  assert.equal(intervaloDoServico({ tipo: 'Cirurgia' }), 0);
+});
+
+test('granularidade padrão de 15 minutos quando a agenda não define', () => {
+  assert.equal(granularidadeAgenda({}), 15);
+  assert.equal(granularidadeAgenda({ granularidade_minutos: 10 }), 10);
+  assert.equal(granularidadeAgenda({ granularidade_minutos: 0 }), 15);
+});
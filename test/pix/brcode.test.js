@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { crc16Ccitt, emvField, montarPayloadPix } from '../../src/pix/brcode.js';
+
+const CHAVE = '123e4567-e12b-12d1-a456-426655440000';
+
+// Lê os campos EMV de primeiro nível (ID + tamanho + valor)
+function camposEmOrdem(payload) {
+  const lidos = [];
+  for (let i = 0; i < payload.length;) {
+    const tamanho = Number(payload.substring(i + 2, i + 4));
+    lidos.push([payload.substring(i, i + 2), payload.substring(i + 4, i + 4 + tamanho)]);
+    i += 4 + tamanho;
+  }
+  return lidos;
+}
+
+const campos = payload => Object.fromEntries(camposEmOrdem(payload));
+
+function cobranca(extra = {}) {
+  return {
+    chave: CHAVE,
+    nome: 'Clínica Bicho Solto',
+    cidade: 'São Paulo',
+    valor: 150,
+    txid: 'VC123ABC',
+    descricao: 'Consulta Rex',
+    ...extra
+  };
+}
+
+test('CRC16-CCITT do vetor de referência "123456789"', () => {
+  assert.equal(crc16Ccitt('123456789'), '29B1');
+});
+
+test('CRC16-CCITT do exemplo do manual do BR Code', () => {
+  const exemplo = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-426655440000' +
+    '5204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***6304';
+
+  assert.equal(crc16Ccitt(exemplo), '1D3D');
+});
+
+test('campo EMV com mais de 99 caracteres é recusado', () => {
+  assert.equal(emvField('05', 'ABC'), '0503ABC');
+  assert.equal(emvField('02', 'x'.repeat(99)).length, 103);
+  assert.throws(() => emvField('02', 'x'.repeat(100)), /excede 99/);
+});
+
+test('payload completo', () => {
+  const payload = montarPayloadPix(cobranca());
+
+  assert.equal(payload,
+    '00020101021226740014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400000212Consulta Rex' +
+    '5204000053039865406150.005802BR5919CLINICA BICHO SOLTO6009SAO PAULO62120508VC123ABC6304CA08');
+
+  const lidos = campos(payload);
+  assert.deepEqual(camposEmOrdem(payload).map(([id]) => id),
+    ['00', '01', '26', '52', '53', '54', '58', '59', '60', '62', '63']);
+  assert.equal(lidos['54'], '150.00');
+  assert.equal(lidos['62'], '0508VC123ABC');
+  assert.equal(lidos['63'], crc16Ccitt(payload.slice(0, -4)));
+});
+
+test('descrição longa é truncada para o campo 26 caber em 99 caracteres', () => {
+  const lidos = campos(montarPayloadPix(cobranca({ descricao: 'Consulta e vacina '.repeat(10) })));
+  const conta = campos(lidos['26']);
+
+  assert.equal(lidos['26'].length, 99);
+  assert.equal(conta['01'], CHAVE);
+  assert.equal(conta['02'].length, 99 - 18 - 40 - 4);
+  assert.ok('Consulta e vacina '.repeat(10).startsWith(conta['02']));
+});
+
+test('campo 02 omitido quando a descrição fica vazia ou a chave não deixa espaço', () => {
+  for (const descricao of ['', '***', undefined]) {
+    const conta = campos(campos(montarPayloadPix(cobranca({ descricao })))['26']);
+    assert.equal(conta['02'], undefined);
+  }
+
+  const chaveLonga = 'k'.repeat(77);
+  const conta = campos(campos(montarPayloadPix(cobranca({ chave: chaveLonga })))['26']);
+  assert.equal(conta['01'], chaveLonga);
+  assert.equal(conta['02'], undefined);
+});
+
+test('nome e cidade sem acento, em maiúsculas e nos limites do BR Code', () => {
+  const lidos = campos(montarPayloadPix(cobranca({
+    nome: 'Clínica Veterinária São Francisco de Assis',
+    cidade: 'São José dos Campos'
+  })));
+
+  assert.equal(lidos['59'], 'CLINICA VETERINARIA SAO F');
+  assert.equal(lidos['60'], 'SAO JOSE DOS CA');
+});